@@ -4,6 +4,9 @@ const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
 
+// Fail fast when the field encryption or hash keys are missing
+require(path.join(__dirname, '..', 'utils', 'fieldEncryption')).validateConfig();
+
 // MongoDB connection for serverless
 let isConnected = false;
 
@@ -42,7 +45,15 @@ app.use(
   })
 );
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for webhook signature verification
+app.use(
+  express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Routes with absolute path resolution and /api prefix
@@ -69,6 +80,9 @@ try {
   // outlook-accounts and access-tokens are handled by admin.js sub-routes
   app.use('/api/customer/outlook-accounts', require(path.join(routesPath, 'customerOutlookAccounts')));
   app.use('/api/otp', require(path.join(routesPath, 'otp')));
+  app.use('/api/support', require(path.join(routesPath, 'support')));
+  app.use('/api/subscriptions', require(path.join(routesPath, 'subscriptions')));
+  app.use('/api/jobs', require(path.join(routesPath, 'jobs')));
   console.log('✅ All routes loaded successfully');
 } catch (err) {
   console.error('❌ Route loading error:', err);
@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+
+// Guards the cron trigger. Vercel Cron sends "Authorization: Bearer
+// <CRON_SECRET>"; other schedulers can send the same header.
+const protectCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: "Cron trigger is not configured",
+    });
+  }
+
+  let token = "";
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1] || "";
+  }
+
+  const expected = crypto.createHash("sha256").update(secret).digest();
+  const provided = crypto.createHash("sha256").update(token).digest();
+  if (!token || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized to trigger jobs",
+    });
+  }
+
+  next();
+};
+
+module.exports = { protectCron };
@@ -0,0 +1,65 @@
+const jwt = require("jsonwebtoken");
+const Order = require("../models/Order");
+
+// Tokens customers get after verifying their order email; they only grant
+// access to that order's support tickets
+const ORDER_ACCESS_SCOPE = "order_support";
+
+const generateOrderAccessToken = (order) => {
+  return jwt.sign(
+    {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      email: order.customer.email,
+      scope: ORDER_ACCESS_SCOPE,
+    },
+    process.env.JWT_SECRET || "fallback_secret",
+    { expiresIn: process.env.ORDER_ACCESS_TOKEN_EXPIRE || "2h" }
+  );
+};
+
+const protectOrder = async (req, res, next) => {
+  let token;
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1];
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: "Verify your order email to continue",
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET || "fallback_secret"
+    );
+
+    if (decoded.scope !== ORDER_ACCESS_SCOPE) {
+      throw new Error("Wrong token scope");
+    }
+
+    const order = await Order.findById(decoded.orderId);
+    if (!order || order.customer.email !== decoded.email) {
+      return res.status(401).json({
+        success: false,
+        message: "Order not found or email does not match",
+      });
+    }
+
+    req.order = order;
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      message: "Order access expired, please verify your email again",
+    });
+  }
+};
+
+module.exports = {
+  generateOrderAccessToken,
+  protectOrder,
+};
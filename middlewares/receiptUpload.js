@@ -0,0 +1,44 @@
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+
+// Receipt and evidence files are stored on disk under uploads/receipts/,
+// which is served publicly, or under req.receiptUploadDir for files that
+// must only be read through an authenticated route. Files are prefixed
+// with req.receiptFilePrefix, or the order number from the route.
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const directory = req.receiptUploadDir || "uploads/receipts/";
+    fs.mkdir(directory, { recursive: true }, (err) => cb(err, directory));
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(
+      null,
+      (req.receiptFilePrefix || req.params.orderNumber) +
+        "-" +
+        uniqueSuffix +
+        path.extname(file.originalname)
+    );
+  },
+});
+
+const receiptUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    // Accept images and PDFs
+    if (
+      file.mimetype.startsWith("image/") ||
+      file.mimetype === "application/pdf"
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files and PDFs are allowed!"), false);
+    }
+  },
+});
+
+module.exports = receiptUpload;
@@ -1,4 +1,6 @@
 const { body, validationResult } = require('express-validator');
+const Settings = require('../models/Settings');
+const { ALLOCATION_STRATEGIES } = require('../utils/allocationStrategies');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -33,6 +35,18 @@ const validateProduct = [
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
   
+  body('priceOverrides')
+    .optional()
+    .isObject()
+    .withMessage('Price overrides must be an object of currency codes to prices')
+    .custom((overrides) =>
+      Object.entries(overrides).every(
+        ([code, price]) =>
+          /^[A-Z]{3}$/.test(code) && !isNaN(parseFloat(price)) && price >= 0
+      )
+    )
+    .withMessage('Price overrides must map 3-letter currency codes to non-negative prices'),
+  
   body('category')
     .notEmpty()
     .withMessage('Category is required')
@@ -53,6 +67,26 @@ const validateProduct = [
     .isArray()
     .withMessage('Features must be an array'),
   
+  body('allocationStrategy')
+    .optional()
+    .isIn(ALLOCATION_STRATEGIES)
+    .withMessage(`Allocation strategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`),
+  
+  body('backorder.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Backorder enabled must be a boolean'),
+  
+  body('backorder.maxQuantity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Backorder limit must be a positive integer'),
+  
+  body('backorder.estimatedFulfillmentHours')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Estimated fulfilment time must be a positive number of hours'),
+  
   body('accountCredentials')
     .optional()
     .trim()
@@ -76,6 +110,23 @@ const validateCategory = [
   handleValidationErrors
 ];
 
+// Supplier validation rules
+const validateSupplier = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Supplier name must be between 1 and 100 characters'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid supplier email'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  handleValidationErrors
+];
+
 // Order validation rules
 const validateOrder = [
   body('customer.email')
@@ -96,8 +147,15 @@ const validateOrder = [
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
   body('currency')
-    .isIn(['LKR', 'USD'])
-    .withMessage('Currency must be either LKR or USD'),
+    .custom(async (currency) => {
+      const currencies = await Settings.getSupportedCurrencies();
+      if (!currencies.some((supported) => supported.code === currency)) {
+        throw new Error(
+          `Currency must be one of: ${currencies.map((supported) => supported.code).join(', ')}`
+        );
+      }
+      return true;
+    }),
   handleValidationErrors
 ];
 
@@ -136,6 +194,7 @@ const validateAdminUser = [
 module.exports = {
   validateProduct,
   validateCategory,
+  validateSupplier,
   validateOrder,
   validateAdminLogin,
   validateAdminUser,
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const credentialAccessLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["reveal", "edit", "delete", "export"],
+      required: true,
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+      required: true,
+    },
+    adminEmail: {
+      type: String,
+      required: true,
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    orderNumber: {
+      type: String,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // Which secret fields were read or changed
+    fields: [String],
+    reason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+credentialAccessLogSchema.index({ admin: 1, createdAt: -1 });
+credentialAccessLogSchema.index({ inventory: 1, createdAt: -1 });
+credentialAccessLogSchema.index({ order: 1, createdAt: -1 });
+credentialAccessLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model(
+  "CredentialAccessLog",
+  credentialAccessLogSchema
+);
@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const cryptoTransferSchema = new mongoose.Schema(
+  {
+    txHash: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    confirmations: {
+      type: Number,
+      default: 0,
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const cryptoPaymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    asset: {
+      type: String,
+      required: [true, "Crypto asset is required"],
+      uppercase: true,
+    },
+    watcher: {
+      type: String,
+      required: true,
+    },
+    depositAddress: {
+      type: String,
+      required: [true, "Deposit address is required"],
+    },
+    // Set for chains that share one address and tell payments apart by memo
+    memo: {
+      type: String,
+      default: null,
+    },
+    expectedAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    receivedAmount: {
+      type: Number,
+      default: 0,
+    },
+    pendingAmount: {
+      type: Number,
+      default: 0,
+    },
+    overpaidAmount: {
+      type: Number,
+      default: 0,
+    },
+    requiredConfirmations: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quote: {
+      fiatAmount: Number,
+      fiatCurrency: String,
+      assetPrice: Number, // Price of one unit in fiatCurrency
+    },
+    status: {
+      type: String,
+      enum: [
+        "awaiting_payment",
+        "confirming",
+        "underpaid",
+        "paid",
+        "overpaid",
+        "expired",
+      ],
+      default: "awaiting_payment",
+    },
+    transfers: [cryptoTransferSchema],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+cryptoPaymentSchema.index({ order: 1, status: 1 });
+cryptoPaymentSchema.index({ status: 1, expiresAt: 1 });
+cryptoPaymentSchema.index({ depositAddress: 1, memo: 1 }, { unique: true });
+
+module.exports = mongoose.model("CryptoPayment", cryptoPaymentSchema);
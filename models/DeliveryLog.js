@@ -30,6 +30,9 @@ const deliveryLogSchema = new mongoose.Schema(
         "email_failed",
         "inventory_allocated",
         "insufficient_inventory",
+        "refund_issued",
+        "credentials_revoked",
+        "credentials_replaced",
       ],
       required: true,
     },
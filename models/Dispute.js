@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+
+const disputeEvidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["file", "note"],
+    required: true,
+  },
+  description: {
+    type: String,
+    maxlength: [1000, "Description cannot exceed 1000 characters"],
+  },
+  filePath: {
+    type: String,
+  },
+  originalName: {
+    type: String,
+  },
+  mimeType: {
+    type: String,
+  },
+  uploadedBy: {
+    type: String,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const disputeSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["stripe", "manual"],
+      required: true,
+    },
+    // Stripe dispute ID (dp_...), unset for manual disputes
+    providerDisputeId: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      required: [true, "Dispute reason is required"],
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["needs_response", "under_review", "won", "lost", "closed"],
+      default: "needs_response",
+    },
+    evidenceDueBy: {
+      type: Date,
+      default: null,
+    },
+    evidence: [disputeEvidenceSchema],
+    // Generated from the order's delivery logs and email proof
+    evidenceBundle: {
+      generatedAt: Date,
+      order: mongoose.Schema.Types.Mixed,
+      deliveryTimeline: mongoose.Schema.Types.Mixed,
+      emailProof: mongoose.Schema.Types.Mixed,
+      assignments: mongoose.Schema.Types.Mixed,
+    },
+    history: [
+      {
+        status: String,
+        note: String,
+        by: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    notes: {
+      type: String,
+      maxlength: [2000, "Notes cannot exceed 2000 characters"],
+    },
+    createdBy: {
+      type: String,
+      default: "system",
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+disputeSchema.index(
+  { providerDisputeId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerDisputeId: { $type: "string" } },
+  }
+);
+disputeSchema.index({ order: 1 });
+disputeSchema.index({ status: 1, evidenceDueBy: 1 });
+
+// Whether the evidence deadline has passed without a response
+disputeSchema.virtual("isOverdue").get(function () {
+  return (
+    this.status === "needs_response" &&
+    !!this.evidenceDueBy &&
+    this.evidenceDueBy < new Date()
+  );
+});
+
+disputeSchema.set("toJSON", { virtuals: true });
+disputeSchema.set("toObject", { virtuals: true });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
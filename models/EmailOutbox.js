@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const { encryptedField } = require("../utils/fieldEncryption");
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    // Transport the message is sent through (see services/mailTransports)
+    transport: {
+      type: String,
+      required: [true, "Mail transport is required"],
+    },
+    category: {
+      type: String,
+      enum: ["customer", "admin", "verification"],
+      default: "customer",
+    },
+    template: {
+      type: String,
+      required: [true, "Mail template is required"],
+    },
+    from: {
+      type: String,
+      required: [true, "Sender is required"],
+    },
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+      lowercase: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    // Rendered body; may hold delivered credentials or verification codes
+    html: encryptedField({ required: [true, "Body is required"] }),
+    // queued until a transport accepts it; failed once retries run out
+    status: {
+      type: String,
+      enum: ["queued", "sent", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    messageId: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    failedAt: {
+      type: Date,
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Decrypt the body when serialized
+emailOutboxSchema.set("toJSON", { getters: true });
+emailOutboxSchema.set("toObject", { getters: true });
+
+// Index for efficient queries
+emailOutboxSchema.index({ status: 1, createdAt: -1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+emailOutboxSchema.index({ order: 1 });
+// Sent messages are kept for a month, then their bodies are gone for good
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("EmailOutbox", emailOutboxSchema);
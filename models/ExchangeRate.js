@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: "LKR",
+    },
+    rates: {
+      type: Map,
+      of: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+    },
+    date: {
+      type: String, // Provider's rate date, YYYY-MM-DD
+      required: true,
+    },
+    fetchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    setBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+exchangeRateSchema.index({ base: 1, fetchedAt: -1 });
+exchangeRateSchema.index({ source: 1, fetchedAt: -1 });
+
+// Most recent non-manual snapshot, optionally no older than maxAgeMs
+exchangeRateSchema.statics.getLatest = async function (
+  base = "LKR",
+  maxAgeMs = null
+) {
+  const query = { base, source: { $ne: "manual" } };
+  if (maxAgeMs) {
+    query.fetchedAt = { $gte: new Date(Date.now() - maxAgeMs) };
+  }
+  return this.findOne(query).sort({ fetchedAt: -1 });
+};
+
+// Rates in effect on a given day: every snapshot taken that day, plus the
+// last snapshot before the end of the day
+exchangeRateSchema.statics.getForDate = async function (date, base = "LKR") {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  const [effective, snapshots] = await Promise.all([
+    this.findOne({ base, fetchedAt: { $lt: end } }).sort({ fetchedAt: -1 }),
+    this.find({ base, fetchedAt: { $gte: start, $lt: end } }).sort({
+      fetchedAt: 1,
+    }),
+  ]);
+
+  return { effective, snapshots };
+};
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
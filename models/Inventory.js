@@ -1,4 +1,41 @@
 const mongoose = require("mongoose");
+const { encryptedField, hashValue } = require("../utils/fieldEncryption");
+
+// One seat (profile) of a shared account; each active assignment holds one
+const inventorySeatSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: [1, "Seat number must be at least 1"],
+    },
+    profileName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Profile name cannot exceed 50 characters"],
+    },
+    pin: encryptedField({
+      maxlength: [20, "PIN cannot exceed 20 characters"],
+    }),
+    // Seat-specific login, if the seat has its own
+    credentials: encryptedField({
+      maxlength: [500, "Seat credentials cannot exceed 500 characters"],
+    }),
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryAssignment",
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+inventorySeatSchema.set("toJSON", { getters: true });
+inventorySeatSchema.set("toObject", { getters: true });
 
 const inventorySchema = new mongoose.Schema(
   {
@@ -7,19 +44,21 @@ const inventorySchema = new mongoose.Schema(
       ref: "Product",
       required: [true, "Product reference is required"],
     },
-    accountCredentials: {
-      type: String,
+    accountCredentials: encryptedField({
       required: [true, "Account credentials are required"],
       maxlength: [1000, "Account credentials cannot exceed 1000 characters"],
-    },
-    username: {
+    }),
+    // Keyed hash of accountCredentials for duplicate lookups
+    credentialsHash: {
       type: String,
-      maxlength: [100, "Username cannot exceed 100 characters"],
+      select: false,
     },
-    password: {
-      type: String,
+    username: encryptedField({
+      maxlength: [100, "Username cannot exceed 100 characters"],
+    }),
+    password: encryptedField({
       maxlength: [100, "Password cannot exceed 100 characters"],
-    },
+    }),
     isUsed: {
       type: Boolean,
       default: false,
@@ -45,11 +84,34 @@ const inventorySchema = new mongoose.Schema(
       type: String,
       maxlength: [500, "Notes cannot exceed 500 characters"],
     },
+    // Where the account was bought and what it cost, in the base currency
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      default: null,
+    },
+    unitCost: {
+      type: Number,
+      min: [0, "Unit cost cannot be negative"],
+      default: null,
+    },
+    // Seats of a shared account; when set, maxAssignments follows the count
+    seats: [inventorySeatSchema],
+    // Defective accounts were reported broken and replaced; they are never
+    // allocated again until an admin sets them back to available
     status: {
       type: String,
-      enum: ["available", "reserved", "delivered", "expired"],
+      enum: ["available", "reserved", "delivered", "expired", "defective"],
       default: "available",
     },
+    defectiveAt: {
+      type: Date,
+      default: null,
+    },
+    defectiveReason: {
+      type: String,
+      default: null,
+    },
     expirationDate: {
       type: Date,
       default: null,
@@ -64,6 +126,16 @@ const inventorySchema = new mongoose.Schema(
       default: null,
       description: "Original delivery date for tracking subscription duration",
     },
+    // Bulk import the item was created by, if any
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryImport",
+      default: null,
+    },
+    importRow: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -73,6 +145,65 @@ const inventorySchema = new mongoose.Schema(
 // Index for efficient queries
 inventorySchema.index({ product: 1, status: 1 });
 inventorySchema.index({ isUsed: 1, status: 1 });
+inventorySchema.index({ importBatch: 1, importRow: 1 });
+inventorySchema.index({ credentialsHash: 1 });
+inventorySchema.index({ supplier: 1, product: 1 });
+
+// Seats are numbered uniquely and each one is a slot
+inventorySchema.pre("validate", function (next) {
+  if (this.seats.length > 0) {
+    const numbers = this.seats.map((seat) => seat.number);
+    if (new Set(numbers).size !== numbers.length) {
+      return next(new Error("Seat numbers must be unique"));
+    }
+    this.maxAssignments = this.seats.length;
+  }
+  next();
+});
+
+// Keep the credentials hash in step with the encrypted credentials
+inventorySchema.pre("save", function (next) {
+  if (this.isModified("accountCredentials")) {
+    this.credentialsHash = hashValue(this.accountCredentials);
+  }
+  next();
+});
+
+inventorySchema.pre(
+  ["findOneAndUpdate", "updateOne", "updateMany"],
+  function (next) {
+    const update = this.getUpdate() || {};
+    const credentials =
+      update.accountCredentials !== undefined
+        ? update.accountCredentials
+        : update.$set?.accountCredentials;
+    if (credentials !== undefined) {
+      this.set("credentialsHash", hashValue(credentials));
+    }
+    next();
+  }
+);
+
+/**
+ * Credentials to deliver for one seat: the account login plus only that
+ * seat's profile, PIN and login
+ * @param {Number} seatNumber - Seat number, or null for unseated accounts
+ * @returns {String} Credentials text
+ */
+inventorySchema.methods.getSeatCredentials = function (seatNumber) {
+  const seat =
+    seatNumber != null &&
+    this.seats.find((candidate) => candidate.number === seatNumber);
+  if (!seat) {
+    return this.accountCredentials;
+  }
+
+  const lines = [this.accountCredentials, "", `Seat: ${seat.number}`];
+  if (seat.profileName) lines.push(`Profile: ${seat.profileName}`);
+  if (seat.pin) lines.push(`PIN: ${seat.pin}`);
+  if (seat.credentials) lines.push(seat.credentials);
+  return lines.join("\n");
+};
 
 // Virtual for availability check
 inventorySchema.virtual("isAvailable").get(function () {
@@ -96,7 +227,7 @@ inventorySchema.virtual("canReceiveUpdates").get(function () {
 });
 
 // Ensure virtual fields are serialized
-inventorySchema.set("toJSON", { virtuals: true });
-inventorySchema.set("toObject", { virtuals: true });
+inventorySchema.set("toJSON", { virtuals: true, getters: true });
+inventorySchema.set("toObject", { virtuals: true, getters: true });
 
 module.exports = mongoose.model("Inventory", inventorySchema);
@@ -16,6 +16,16 @@ const inventoryAssignmentSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Order line the slot was delivered for
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Seat of a shared account this assignment holds
+    seat: {
+      type: Number,
+      default: null,
+    },
     customerEmail: {
       type: String,
       required: true,
@@ -36,6 +46,14 @@ const inventoryAssignmentSchema = new mongoose.Schema(
     notes: {
       type: String,
     },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      maxlength: [500, "Revoke reason cannot exceed 500 characters"],
+    },
   },
   {
     timestamps: true,
@@ -44,7 +62,7 @@ const inventoryAssignmentSchema = new mongoose.Schema(
 
 // Index for efficient queries
 inventoryAssignmentSchema.index({ inventory: 1, assignedAt: -1 });
-inventoryAssignmentSchema.index({ order: 1 });
+inventoryAssignmentSchema.index({ order: 1, status: 1 });
 inventoryAssignmentSchema.index({ customerEmail: 1 });
 
 module.exports = mongoose.model(
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const { encryptedField } = require("../utils/fieldEncryption");
+
+const importRowSchema = new mongoose.Schema(
+  {
+    // 1-based position in the uploaded file (excluding the CSV header)
+    row: {
+      type: Number,
+      required: true,
+    },
+    accountCredentials: encryptedField(),
+    maxAssignments: {
+      type: Number,
+      default: 1,
+    },
+    unitCost: {
+      type: Number,
+      default: null,
+    },
+    expirationDate: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["valid", "invalid", "duplicate", "created", "failed"],
+      required: true,
+    },
+    issues: [String],
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const inventoryImportSchema = new mongoose.Schema(
+  {
+    importId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product reference is required"],
+    },
+    // Purchase batch: the supplier and default cost of every row
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      default: null,
+    },
+    unitCost: {
+      type: Number,
+      min: [0, "Unit cost cannot be negative"],
+      default: null,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    fileName: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["dry_run", "pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    rows: [importRowSchema],
+    // Index into rows of the next row to import; a failed or interrupted
+    // import resumes from here
+    nextRow: {
+      type: Number,
+      default: 0,
+    },
+    summary: {
+      total: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Free assignment slots for the product before and after the import
+    availability: {
+      before: { type: Number, default: 0 },
+      after: { type: Number, default: 0 },
+    },
+    createdBy: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+inventoryImportSchema.index({ product: 1, createdAt: -1 });
+inventoryImportSchema.index({ status: 1 });
+inventoryImportSchema.index({ supplier: 1, createdAt: -1 });
+
+// Recount the summary from the row statuses
+inventoryImportSchema.methods.updateSummary = function () {
+  const count = (status) =>
+    this.rows.filter((row) => row.status === status).length;
+
+  this.summary = {
+    total: this.rows.length,
+    valid: count("valid") + count("created") + count("failed"),
+    invalid: count("invalid"),
+    duplicates: count("duplicate"),
+    created: count("created"),
+    failed: count("failed"),
+  };
+  return this.summary;
+};
+
+module.exports = mongoose.model("InventoryImport", inventoryImportSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const inventoryReservationSchema = new mongoose.Schema(
+  {
+    reservationId: {
+      type: String,
+      required: true,
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["held", "committed", "released", "expired"],
+      default: "held",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    committedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    releaseReason: {
+      type: String,
+      maxlength: [500, "Release reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+inventoryReservationSchema.index({ reservationId: 1 });
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+inventoryReservationSchema.index({ order: 1 });
+inventoryReservationSchema.index({ inventory: 1, status: 1 });
+
+module.exports = mongoose.model(
+  "InventoryReservation",
+  inventoryReservationSchema
+);
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // queued -> running -> completed, or back to queued with a backoff
+    // (or waiting for an event) until its retry policy gives up, then dead
+    // (the dead-letter state)
+    status: {
+      type: String,
+      enum: ["queued", "running", "waiting", "completed", "dead"],
+      default: "queued",
+    },
+    // Lower runs first, like Product.deliveryPriority
+    priority: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    // Set only while queued or running, so the same work is not queued
+    // twice; cleared when the job finishes
+    dedupeKey: {
+      type: String,
+    },
+    // Lease of the worker running the job; an expired lease makes the job
+    // claimable again
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    deadAt: {
+      type: Date,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+    },
+    // errorCode of the last failure, see RetryPolicyService
+    errorCode: {
+      type: String,
+    },
+    // Failed attempts per errorCode; each class has its own maxAttempts
+    errorCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Events a waiting job resumes on, e.g. "restock:<productId>"
+    waitingFor: [String],
+    failures: [
+      {
+        attempt: Number,
+        error: String,
+        errorCode: String,
+        workerId: String,
+        failedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+jobSchema.index({ status: 1, priority: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ status: 1, waitingFor: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+// Finished jobs are kept for a month for troubleshooting
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { formatAmount } = require("../utils/currency");
+const { encryptedField } = require("../utils/fieldEncryption");
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -30,10 +32,9 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  accountCredentials: {
-    type: String,
+  accountCredentials: encryptedField({
     maxlength: [1000, "Account credentials cannot exceed 1000 characters"],
-  },
+  }),
   features: [
     {
       type: String,
@@ -53,12 +54,35 @@ const orderItemSchema = new mongoose.Schema({
     default: false,
   },
   deliveredAt: Date,
-  credentials: {
-    type: String,
+  // Ordered while out of stock; delivered when inventory is added
+  backordered: {
+    type: Boolean,
+    default: false,
+  },
+  backorderedAt: Date,
+  estimatedFulfillmentAt: Date,
+  // Customer emails about the backorder, so each goes out once
+  backorderNotifiedAt: Date,
+  backorderDelayNotifiedAt: Date,
+  credentials: encryptedField({
     maxlength: [2000, "Credentials cannot exceed 2000 characters"],
+  }),
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
   },
 });
 
+// Decrypt the item credentials when serialized
+orderItemSchema.set("toJSON", { getters: true });
+orderItemSchema.set("toObject", { getters: true });
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -107,13 +131,22 @@ const orderSchema = new mongoose.Schema(
     },
     currency: {
       type: String,
-      enum: ["LKR", "USD"],
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
       default: "LKR",
     },
     exchangeRate: {
       type: Number,
       default: 1,
     },
+    exchangeRateSource: {
+      type: String,
+      default: "base",
+    },
+    exchangeRateAt: {
+      type: Date,
+      default: null,
+    },
     status: {
       type: String,
       enum: ["pending", "confirmed", "processing", "delivered", "cancelled"],
@@ -147,6 +180,10 @@ const orderSchema = new mongoose.Schema(
         type: String,
         sparse: true,
       },
+      paypalOrderId: {
+        type: String,
+        sparse: true,
+      },
       paidAt: {
         type: Date,
       },
@@ -163,7 +200,7 @@ const orderSchema = new mongoose.Schema(
       },
       method: {
         type: String,
-        enum: ["stripe", "paypal", "manual"],
+        enum: ["stripe", "paypal", "crypto", "manual"],
       },
       refundId: {
         type: String,
@@ -176,6 +213,42 @@ const orderSchema = new mongoose.Schema(
         type: Number,
         min: 0,
       },
+      disputeId: {
+        type: String,
+        sparse: true,
+      },
+      disputeReason: {
+        type: String,
+      },
+      disputeStatus: {
+        type: String,
+      },
+      disputedAt: {
+        type: Date,
+      },
+      // Individual refunds; refundAmount above is their running total
+      refunds: [
+        {
+          refundId: String,
+          amount: Number,
+          reason: String,
+          items: [
+            {
+              item: mongoose.Schema.Types.ObjectId,
+              title: String,
+              quantity: Number,
+              amount: Number,
+            },
+          ],
+          revokedAssignments: Number,
+          releasedSlots: Number,
+          processedBy: String,
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
     },
     paymentConfirmed: {
       type: Boolean,
@@ -244,6 +317,66 @@ const orderSchema = new mongoose.Schema(
         ref: "Inventory",
       },
     ],
+    // One-time code a customer verifies to open support tickets
+    supportVerification: {
+      codeHash: {
+        type: String,
+        select: false,
+      },
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      requestedAt: Date,
+      verifiedAt: Date,
+    },
+    // Subscription this order renews
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+      default: null,
+    },
+    // Renewal reminder whose link this order was placed from
+    renewalReminder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RenewalReminder",
+      default: null,
+    },
+    // Broken accounts swapped for fresh ones; counted against the
+    // replacement warranty limit
+    credentialReplacements: [
+      {
+        item: mongoose.Schema.Types.ObjectId,
+        title: String,
+        oldAssignment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "InventoryAssignment",
+        },
+        newAssignment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "InventoryAssignment",
+        },
+        oldInventory: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+        },
+        newInventory: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Inventory",
+        },
+        reason: String,
+        processedBy: String,
+        overrodeLimit: {
+          type: Boolean,
+          default: false,
+        },
+        replacedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     paymentTimeout: {
       expiresAt: {
         type: Date,
@@ -293,18 +426,11 @@ orderSchema.pre("save", async function (next) {
 
 // Virtual for formatted total
 orderSchema.virtual("formattedTotal").get(function () {
-  const formatter = new Intl.NumberFormat(
-    this.currency === "USD" ? "en-US" : "en-LK",
-    {
-      style: "currency",
-      currency: this.currency,
-    }
-  );
-  return formatter.format(this.total);
+  return formatAmount(this.total, this.currency);
 });
 
 // Ensure virtual fields are serialized
-orderSchema.set("toJSON", { virtuals: true });
-orderSchema.set("toObject", { virtuals: true });
+orderSchema.set("toJSON", { virtuals: true, getters: true });
+orderSchema.set("toObject", { virtuals: true, getters: true });
 
 module.exports = mongoose.model("Order", orderSchema);
@@ -1,5 +1,5 @@
 const mongoose = require("mongoose");
-const crypto = require("crypto");
+const { encryptedField } = require("../utils/fieldEncryption");
 
 const outlookAccountSchema = new mongoose.Schema(
   {
@@ -19,75 +19,11 @@ const outlookAccountSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Display name cannot exceed 100 characters"],
     },
-    accessToken: {
-      type: String,
+    accessToken: encryptedField({
       required: true,
-      set: function (value) {
-        if (value && value.length > 0) {
-          // Encrypt the access token
-          const cipher = crypto.createCipher(
-            "aes-256-cbc",
-            process.env.ENCRYPTION_KEY || "default-key"
-          );
-          let encrypted = cipher.update(value, "utf8", "hex");
-          encrypted += cipher.final("hex");
-          return encrypted;
-        }
-        return value;
-      },
-      get: function (value) {
-        if (value && value.length > 0) {
-          try {
-            // Decrypt the access token
-            const decipher = crypto.createDecipher(
-              "aes-256-cbc",
-              process.env.ENCRYPTION_KEY || "default-key"
-            );
-            let decrypted = decipher.update(value, "hex", "utf8");
-            decrypted += decipher.final("utf8");
-            return decrypted;
-          } catch (error) {
-            console.error("Error decrypting access token:", error);
-            return value;
-          }
-        }
-        return value;
-      },
-    },
-    refreshToken: {
-      type: String,
-      set: function (value) {
-        if (value && value.length > 0) {
-          // Encrypt the refresh token
-          const cipher = crypto.createCipher(
-            "aes-256-cbc",
-            process.env.ENCRYPTION_KEY || "default-key"
-          );
-          let encrypted = cipher.update(value, "utf8", "hex");
-          encrypted += cipher.final("hex");
-          return encrypted;
-        }
-        return value;
-      },
-      get: function (value) {
-        if (value && value.length > 0) {
-          try {
-            // Decrypt the refresh token
-            const decipher = crypto.createDecipher(
-              "aes-256-cbc",
-              process.env.ENCRYPTION_KEY || "default-key"
-            );
-            let decrypted = decipher.update(value, "hex", "utf8");
-            decrypted += decipher.final("utf8");
-            return decrypted;
-          } catch (error) {
-            console.error("Error decrypting refresh token:", error);
-            return value;
-          }
-        }
-        return value;
-      },
-    },
+      legacy: true,
+    }),
+    refreshToken: encryptedField({ legacy: true }),
     tokenExpiresAt: {
       type: Date,
       required: true,
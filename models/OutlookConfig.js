@@ -1,5 +1,5 @@
 const mongoose = require("mongoose");
-const crypto = require("crypto");
+const { encryptedField } = require("../utils/fieldEncryption");
 
 const outlookConfigSchema = new mongoose.Schema(
   {
@@ -8,41 +8,10 @@ const outlookConfigSchema = new mongoose.Schema(
       required: [true, "Client ID is required"],
       trim: true,
     },
-    clientSecret: {
-      type: String,
+    clientSecret: encryptedField({
       required: [true, "Client Secret is required"],
-      set: function (value) {
-        if (value && value.length > 0) {
-          // Encrypt the client secret
-          const cipher = crypto.createCipher(
-            "aes-256-cbc",
-            process.env.ENCRYPTION_KEY || "default-key"
-          );
-          let encrypted = cipher.update(value, "utf8", "hex");
-          encrypted += cipher.final("hex");
-          return encrypted;
-        }
-        return value;
-      },
-      get: function (value) {
-        if (value && value.length > 0) {
-          try {
-            // Decrypt the client secret
-            const decipher = crypto.createDecipher(
-              "aes-256-cbc",
-              process.env.ENCRYPTION_KEY || "default-key"
-            );
-            let decrypted = decipher.update(value, "hex", "utf8");
-            decrypted += decipher.final("utf8");
-            return decrypted;
-          } catch (error) {
-            console.error("Error decrypting client secret:", error);
-            return value;
-          }
-        }
-        return value;
-      },
-    },
+      legacy: true,
+    }),
     tenantId: {
       type: String,
       required: [true, "Tenant ID is required"],
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Every payment provider webhook we receive, stored once per event ID
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["stripe"],
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: [true, "Event ID is required"],
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "received",
+        "processing",
+        "processed",
+        "ignored",
+        "rejected",
+        "failed",
+      ],
+      default: "received",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    outcome: {
+      type: String,
+      maxlength: [1000, "Outcome cannot exceed 1000 characters"],
+    },
+    lastError: {
+      type: String,
+      maxlength: [1000, "Error cannot exceed 1000 characters"],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Stripe redeliveries of an event we already stored
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    replayedBy: {
+      type: String,
+      default: null,
+    },
+    replayedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ type: 1, createdAt: -1 });
+paymentEventSchema.index({ order: 1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -1,4 +1,13 @@
 const mongoose = require("mongoose");
+const {
+  BASE_CURRENCY,
+  roundAmount,
+  formatAmount,
+} = require("../utils/currency");
+const {
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+} = require("../utils/allocationStrategies");
 
 const productSchema = new mongoose.Schema(
   {
@@ -30,6 +39,15 @@ const productSchema = new mongoose.Schema(
       required: [true, "Service price is required"],
       min: [0, "Price cannot be negative"],
     },
+    // Fixed prices per currency code, used instead of converting `price`
+    priceOverrides: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0, "Price override cannot be negative"],
+      },
+      default: {},
+    },
 
     features: [
       {
@@ -38,16 +56,28 @@ const productSchema = new mongoose.Schema(
       },
     ],
 
+    // Hand-edited for manually stocked products; for auto-delivery products
+    // it caches the free inventory slots (ProductAvailabilityService)
     availability: {
       type: Number,
       required: [true, "Available accounts quantity is required"],
       min: [0, "Availability cannot be negative"],
       default: 0,
     },
+    availabilitySyncedAt: {
+      type: Date,
+      default: null,
+    },
     autoDelivery: {
       type: Boolean,
       default: false,
     },
+    // Which free inventory slots deliveries claim first
+    allocationStrategy: {
+      type: String,
+      enum: ALLOCATION_STRATEGIES,
+      default: DEFAULT_ALLOCATION_STRATEGY,
+    },
     deliveryPriority: {
       type: Number,
       default: 5,
@@ -55,6 +85,26 @@ const productSchema = new mongoose.Schema(
       max: [10, "Priority cannot exceed 10"],
       description: "Delivery priority (1 = highest, 10 = lowest)"
     },
+    // Accept auto-delivery orders beyond the free inventory slots; they are
+    // delivered in deliveryPriority order once inventory is added
+    backorder: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Most units that may wait at once; null for no limit
+      maxQuantity: {
+        type: Number,
+        default: null,
+        min: [1, "Backorder limit must be at least 1"],
+      },
+      // Promised to the customer as the estimated fulfilment time
+      estimatedFulfillmentHours: {
+        type: Number,
+        default: 24,
+        min: [1, "Estimated fulfilment time must be at least 1 hour"],
+      },
+    },
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -91,14 +141,39 @@ productSchema.pre("save", function (next) {
   next();
 });
 
-// Virtual for formatted price
+// Virtual for formatted price (prices are stored in the base currency)
 productSchema.virtual("formattedPrice").get(function () {
-  return new Intl.NumberFormat("en-LK", {
-    style: "currency",
-    currency: "LKR",
-  }).format(this.price);
+  return formatAmount(this.price, BASE_CURRENCY);
+});
+
+// Virtual for formatted per-currency price overrides
+productSchema.virtual("formattedPriceOverrides").get(function () {
+  const formatted = {};
+  for (const [code, amount] of this.priceOverrides || []) {
+    formatted[code] = formatAmount(amount, code);
+  }
+  return formatted;
 });
 
+/**
+ * Unit price in a checkout currency. A configured override wins; otherwise
+ * the base price is converted and rounded with the currency's rule.
+ * @param {String} currency - Checkout currency code
+ * @param {Number} exchangeRate - Base -> currency rate
+ * @param {Object} rule - Currency rounding rule
+ * @returns {Number} Unit price
+ */
+productSchema.methods.getPriceIn = function (currency, exchangeRate, rule) {
+  const override = this.priceOverrides?.get(currency);
+  if (override !== undefined && override !== null) {
+    return roundAmount(override, rule);
+  }
+  if (currency === BASE_CURRENCY) {
+    return roundAmount(this.price, rule);
+  }
+  return roundAmount(this.price * exchangeRate, rule);
+};
+
 // Ensure virtual fields are serialized
 productSchema.set("toJSON", { virtuals: true });
 productSchema.set("toObject", { virtuals: true });
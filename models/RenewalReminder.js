@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+const renewalReminderSchema = new mongoose.Schema(
+  {
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryAssignment",
+      required: true,
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    customerEmail: {
+      type: String,
+      required: true,
+    },
+    // Expiry the reminder was sent for; extending the inventory's expiry
+    // starts a fresh set of reminders
+    expirationDate: {
+      type: Date,
+      required: true,
+    },
+    // Reminder window in days before expiry (e.g. 7, 3 or 1)
+    windowDays: {
+      type: Number,
+      required: true,
+    },
+    // Token in the renewal link, used to pre-fill the new order
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    messageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    clickedAt: {
+      type: Date,
+      default: null,
+    },
+    // Order placed through the renewal link
+    renewalOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    convertedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One reminder per assignment, expiry and window
+renewalReminderSchema.index(
+  { assignment: 1, expirationDate: 1, windowDays: 1 },
+  { unique: true }
+);
+
+// Index for efficient queries
+renewalReminderSchema.index({ status: 1, sentAt: -1 });
+renewalReminderSchema.index({ product: 1, sentAt: -1 });
+
+module.exports = mongoose.model("RenewalReminder", renewalReminderSchema);
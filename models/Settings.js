@@ -1,4 +1,55 @@
 const mongoose = require("mongoose");
+const { BASE_CURRENCY, DEFAULT_CURRENCIES } = require("../utils/currency");
+
+// A currency customers can check out in, with its rounding rule
+const supportedCurrencySchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Currency code is required"],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency code must be a 3-letter ISO code"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    locale: {
+      type: String,
+      trim: true,
+      default: "en-US",
+    },
+    decimals: {
+      type: Number,
+      default: 2,
+      min: [0, "Decimals cannot be negative"],
+      max: [4, "Decimals cannot exceed 4"],
+    },
+    // Round converted prices to a multiple of this amount (0 = smallest unit)
+    roundingIncrement: {
+      type: Number,
+      default: 0,
+      min: [0, "Rounding increment cannot be negative"],
+    },
+    roundingMode: {
+      type: String,
+      enum: ["nearest", "up", "down"],
+      default: "nearest",
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
 
 const settingsSchema = new mongoose.Schema(
   {
@@ -64,8 +115,59 @@ const settingsSchema = new mongoose.Schema(
     },
     currency: {
       type: String,
-      enum: ["LKR", "USD"],
-      default: "LKR",
+      uppercase: true,
+      trim: true,
+      default: BASE_CURRENCY,
+    },
+    supportedCurrencies: {
+      type: [supportedCurrencySchema],
+      default: () => DEFAULT_CURRENCIES.map((currency) => ({ ...currency })),
+    },
+    // Admin-pinned LKR -> currency rate, used instead of live rates when enabled
+    manualExchangeRate: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      currency: {
+        type: String,
+        uppercase: true,
+        default: "USD",
+      },
+      rate: {
+        type: Number,
+        min: [0, "Exchange rate cannot be negative"],
+        default: null,
+      },
+      setAt: {
+        type: Date,
+        default: null,
+      },
+      setBy: {
+        type: String,
+        default: "",
+      },
+    },
+    exchangeRateMaxAgeMinutes: {
+      type: Number,
+      default: 180,
+      min: [1, "Maximum rate age must be at least 1 minute"],
+    },
+    // Whether refunded credentials go back into stock for other customers
+    refundReleasesInventory: {
+      type: Boolean,
+      default: false,
+    },
+    // How many broken accounts an order may have replaced under warranty
+    credentialReplacementLimit: {
+      type: Number,
+      default: 2,
+      min: [0, "Replacement limit cannot be negative"],
+    },
+    // Days before an account expires to send renewal reminders
+    renewalReminderDays: {
+      type: [Number],
+      default: [7, 3, 1],
     },
     deliveryMessage: {
       type: String,
@@ -98,4 +200,21 @@ settingsSchema.statics.updateSettings = async function (updates) {
   return settings;
 };
 
+// Enabled checkout currencies. The base currency is always included since
+// product prices are stored in it.
+settingsSchema.statics.getSupportedCurrencies = async function () {
+  const settings = await this.getSettings();
+  const configured = settings.supportedCurrencies?.length
+    ? settings.supportedCurrencies.map((currency) => currency.toObject())
+    : DEFAULT_CURRENCIES;
+
+  const enabled = configured.filter((currency) => currency.enabled !== false);
+  if (!enabled.some((currency) => currency.code === BASE_CURRENCY)) {
+    enabled.unshift(
+      DEFAULT_CURRENCIES.find((currency) => currency.code === BASE_CURRENCY)
+    );
+  }
+  return enabled;
+};
+
 module.exports = mongoose.model("Settings", settingsSchema);
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    customer: {
+      firstName: String,
+      lastName: String,
+      email: {
+        type: String,
+        required: [true, "Customer email is required"],
+        lowercase: true,
+      },
+      phone: String,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    productTitle: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, "Quantity must be at least 1"],
+    },
+    // Price per unit, locked in when the subscription started
+    price: {
+      type: Number,
+      required: true,
+      min: [0, "Price cannot be negative"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      required: true,
+    },
+    // Rate from the base currency at sign-up, for MRR in the base currency
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+    interval: {
+      type: String,
+      enum: ["week", "month", "quarter", "year"],
+      required: [true, "Billing interval is required"],
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["stripe", "bank_deposit"],
+      required: true,
+    },
+    // Saved Stripe card charged off-session on renewal
+    stripe: {
+      customerId: String,
+      paymentMethodId: String,
+      setupIntentId: String,
+    },
+    status: {
+      type: String,
+      enum: ["incomplete", "active", "paused", "past_due", "canceled"],
+      default: "incomplete",
+    },
+    currentPeriodStart: {
+      type: Date,
+    },
+    currentPeriodEnd: {
+      type: Date,
+    },
+    // When the next renewal order is due, null while nothing is scheduled
+    nextBillingAt: {
+      type: Date,
+      default: null,
+    },
+    originOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Renewal order awaiting payment
+    pendingOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    lastPaidOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    renewalOrders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    pausedAt: {
+      type: Date,
+      default: null,
+    },
+    canceledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      maxlength: [500, "Cancel reason cannot exceed 500 characters"],
+    },
+    history: [
+      {
+        action: String,
+        note: String,
+        by: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+subscriptionSchema.index({ "customer.email": 1, status: 1 });
+subscriptionSchema.index({ status: 1, nextBillingAt: 1 });
+subscriptionSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      unique: true,
+      maxlength: [100, "Supplier name cannot exceed 100 characters"],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Contact name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+supplierSchema.index({ active: 1, name: 1 });
+
+module.exports = mongoose.model("Supplier", supplierSchema);
@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+
+const ticketAttachmentSchema = new mongoose.Schema(
+  {
+    filePath: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+    },
+    mimeType: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const ticketMessageSchema = new mongoose.Schema({
+  author: {
+    type: String,
+    enum: ["customer", "admin", "system"],
+    required: true,
+  },
+  authorName: {
+    type: String,
+  },
+  body: {
+    type: String,
+    required: [true, "Message is required"],
+    maxlength: [5000, "Message cannot exceed 5000 characters"],
+  },
+  attachments: [ticketAttachmentSchema],
+  // Internal admin notes are never shown to the customer
+  internal: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const supportTicketSchema = new mongoose.Schema(
+  {
+    ticketNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+    },
+    orderNumber: {
+      type: String,
+      required: true,
+    },
+    customerEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    customerName: {
+      type: String,
+    },
+    // Order line the problem is about
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Order item is required"],
+    },
+    itemTitle: {
+      type: String,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    // Delivered account the problem is about, if known
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryAssignment",
+      default: null,
+    },
+    category: {
+      type: String,
+      enum: ["not_working", "wrong_credentials", "expired_early", "other"],
+      default: "not_working",
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+      maxlength: [200, "Subject cannot exceed 200 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "awaiting_customer", "in_progress", "resolved", "closed"],
+      default: "open",
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+      default: null,
+    },
+    messages: [ticketMessageSchema],
+    sla: {
+      firstResponseDueBy: Date,
+      resolutionDueBy: Date,
+      firstRespondedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: ["replace_credentials", "refund", "none"],
+      },
+      note: String,
+      details: mongoose.Schema.Types.Mixed,
+      resolvedBy: String,
+      resolvedAt: Date,
+    },
+    history: [
+      {
+        status: String,
+        note: String,
+        by: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for efficient queries
+supportTicketSchema.index({ order: 1, createdAt: -1 });
+supportTicketSchema.index({ status: 1, priority: 1 });
+supportTicketSchema.index({ status: 1, "sla.resolutionDueBy": 1 });
+supportTicketSchema.index({ assignedTo: 1, status: 1 });
+
+const OPEN_STATUSES = ["open", "awaiting_customer", "in_progress"];
+
+// Whether the first admin reply is late
+supportTicketSchema.virtual("isFirstResponseOverdue").get(function () {
+  return (
+    OPEN_STATUSES.includes(this.status) &&
+    !this.sla?.firstRespondedAt &&
+    !!this.sla?.firstResponseDueBy &&
+    this.sla.firstResponseDueBy < new Date()
+  );
+});
+
+// Whether the ticket is still open past its resolution deadline
+supportTicketSchema.virtual("isResolutionOverdue").get(function () {
+  return (
+    OPEN_STATUSES.includes(this.status) &&
+    !!this.sla?.resolutionDueBy &&
+    this.sla.resolutionDueBy < new Date()
+  );
+});
+
+supportTicketSchema.set("toJSON", { virtuals: true });
+supportTicketSchema.set("toObject", { virtuals: true });
+
+module.exports = mongoose.model("SupportTicket", supportTicketSchema);
@@ -10,21 +10,62 @@ const InventoryAssignment = require("../models/InventoryAssignment");
 const Settings = require("../models/Settings");
 const DeliveryLog = require("../models/DeliveryLog");
 const UserAccessToken = require("../models/UserAccessToken");
+const PaymentEvent = require("../models/PaymentEvent");
+const Dispute = require("../models/Dispute");
+const InventoryImport = require("../models/InventoryImport");
+const SupportTicket = require("../models/SupportTicket");
+const RenewalReminder = require("../models/RenewalReminder");
+const Subscription = require("../models/Subscription");
+const Supplier = require("../models/Supplier");
+const Job = require("../models/Job");
+const EmailOutbox = require("../models/EmailOutbox");
 
 const AutoDeliveryService = require("../services/autoDeliveryService");
 const NotificationService = require("../services/notificationService");
 const PaymentTimeoutService = require("../services/paymentTimeoutService");
 const CustomerNotificationService = require("../services/customerNotificationService");
+const ExchangeRateService = require("../services/exchangeRateService");
+const CryptoPaymentService = require("../services/cryptoPaymentService");
+const PaymentEventService = require("../services/paymentEventService");
+const DisputeService = require("../services/disputeService");
+const InventoryImportService = require("../services/inventoryImportService");
+const CredentialAuditService = require("../services/credentialAuditService");
+const CredentialReplacementService = require("../services/credentialReplacementService");
+const InventoryReservationService = require("../services/inventoryReservationService");
+const SupportTicketService = require("../services/supportTicketService");
+const RenewalReminderService = require("../services/renewalReminderService");
+const SubscriptionService = require("../services/subscriptionService");
+const SupplierService = require("../services/supplierService");
+const ProductAvailabilityService = require("../services/productAvailabilityService");
+const JobQueueService = require("../services/jobQueueService");
+const RetryPolicyService = require("../services/retryPolicyService");
+const BackorderService = require("../services/backorderService");
+const MailService = require("../services/mailService");
 
 const { protect, authorize } = require("../middlewares/auth");
 const {
   validateProduct,
   validateCategory,
+  validateSupplier,
 } = require("../middlewares/validation");
+const receiptUpload = require("../middlewares/receiptUpload");
+const { maskSecret } = require("../utils/fieldEncryption");
+const { toCsv } = require("../utils/csv");
+const { escapeRegex } = require("../utils/regex");
+const {
+  ALLOCATION_STRATEGIES,
+  resolveStrategy,
+  sortByStrategy,
+} = require("../utils/allocationStrategies");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
 const createDefaultAdmin = require("../utils/createAdmin");
+const {
+  BASE_CURRENCY,
+  getCurrencyConfig,
+  getIsoDecimals,
+} = require("../utils/currency");
 
 // Import sub-routes
 const accessTokenRoutes = require("./accessTokens");
@@ -39,6 +80,18 @@ router.use("/email-verification", emailVerificationRoutes);
 // Configure multer for file uploads
 const upload = multer({ dest: "uploads/receipts/" });
 
+// Dispute evidence is kept outside the public uploads directory and is
+// downloaded through an admin route
+const DISPUTE_EVIDENCE_DIR = "private/disputes/";
+
+// Inventory import files are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
+
 // @desc    Reset admin users (delete all and create default)
 // @route   POST /api/admin/reset-admins
 // @access  Private (Super Admin)
@@ -479,6 +532,10 @@ router.post("/products", protect, validateProduct, async (req, res) => {
     await product.save();
     await product.populate("category", "name");
 
+    // Auto-delivery products take their availability from inventory
+    const refreshed = await ProductAvailabilityService.refresh(product._id);
+    if (refreshed) product.availability = refreshed.availability;
+
     res.status(201).json({
       success: true,
       message: "Product created successfully",
@@ -510,6 +567,10 @@ router.put("/products/:id", protect, validateProduct, async (req, res) => {
       });
     }
 
+    // Auto-delivery products take their availability from inventory
+    const refreshed = await ProductAvailabilityService.refresh(product._id);
+    if (refreshed) product.availability = refreshed.availability;
+
     res.json({
       success: true,
       message: "Product updated successfully",
@@ -524,12 +585,14 @@ router.put("/products/:id", protect, validateProduct, async (req, res) => {
   }
 });
 
-// @desc    Update product auto-delivery setting and priority
+// @desc    Update product auto-delivery setting, priority, allocation strategy
+//          and backorder settings
 // @route   PATCH /api/admin/products/:id
 // @access  Private (Admin)
 router.patch("/products/:id", protect, async (req, res) => {
   try {
-    const { autoDelivery, deliveryPriority } = req.body;
+    const { autoDelivery, deliveryPriority, allocationStrategy, backorder } =
+      req.body;
 
     const updateData = {};
 
@@ -554,6 +617,61 @@ router.patch("/products/:id", protect, async (req, res) => {
       updateData.deliveryPriority = priority;
     }
 
+    if (allocationStrategy !== undefined) {
+      if (!ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+        return res.status(400).json({
+          success: false,
+          message: `allocationStrategy must be one of: ${ALLOCATION_STRATEGIES.join(
+            ", "
+          )}`,
+        });
+      }
+      updateData.allocationStrategy = allocationStrategy;
+    }
+
+    if (backorder !== undefined) {
+      if (typeof backorder !== "object" || backorder === null) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "backorder must be an object of enabled, maxQuantity and estimatedFulfillmentHours",
+        });
+      }
+      if (backorder.enabled !== undefined) {
+        if (typeof backorder.enabled !== "boolean") {
+          return res.status(400).json({
+            success: false,
+            message: "backorder.enabled must be a boolean value",
+          });
+        }
+        updateData["backorder.enabled"] = backorder.enabled;
+      }
+      if (backorder.maxQuantity !== undefined) {
+        const maxQuantity =
+          backorder.maxQuantity === null
+            ? null
+            : parseInt(backorder.maxQuantity);
+        if (maxQuantity !== null && (isNaN(maxQuantity) || maxQuantity < 1)) {
+          return res.status(400).json({
+            success: false,
+            message: "backorder.maxQuantity must be a positive integer or null",
+          });
+        }
+        updateData["backorder.maxQuantity"] = maxQuantity;
+      }
+      if (backorder.estimatedFulfillmentHours !== undefined) {
+        const hours = parseInt(backorder.estimatedFulfillmentHours);
+        if (isNaN(hours) || hours < 1) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "backorder.estimatedFulfillmentHours must be a positive integer",
+          });
+        }
+        updateData["backorder.estimatedFulfillmentHours"] = hours;
+      }
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
@@ -573,11 +691,17 @@ router.patch("/products/:id", protect, async (req, res) => {
       });
     }
 
+    if (autoDelivery !== undefined) {
+      const refreshed = await ProductAvailabilityService.refresh(product._id);
+      if (refreshed) product.availability = refreshed.availability;
+    }
+
     res.json({
       success: true,
-      message: `Auto-delivery ${
-        autoDelivery ? "enabled" : "disabled"
-      } successfully`,
+      message:
+        autoDelivery !== undefined
+          ? `Auto-delivery ${autoDelivery ? "enabled" : "disabled"} successfully`
+          : "Product updated successfully",
       data: product,
     });
   } catch (error) {
@@ -589,6 +713,37 @@ router.patch("/products/:id", protect, async (req, res) => {
   }
 });
 
+// @desc    Report, and unless dry run fix, auto-delivery products whose
+//          availability does not match their free inventory slots
+// @route   POST /api/admin/products/reconcile-availability
+// @access  Private (Admin)
+router.post("/products/reconcile-availability", protect, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+
+    const result = await ProductAvailabilityService.reconcile({ fix: !dryRun });
+
+    let message = "Availability matches inventory for all products";
+    if (result.mismatched > 0) {
+      message = dryRun
+        ? `${result.mismatched} products do not match their inventory`
+        : `Fixed availability of ${result.fixed} products`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error reconciling product availability",
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Delete product
 // @route   DELETE /api/admin/products/:id
 // @access  Private (Admin)
@@ -930,7 +1085,7 @@ router.get("/orders", protect, async (req, res) => {
 
     res.json({
       success: true,
-      data: orders,
+      data: orders.map((order) => CredentialAuditService.maskOrder(order)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -971,7 +1126,7 @@ router.get("/orders/:id", protect, async (req, res) => {
 
     res.json({
       success: true,
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     res.status(500).json({
@@ -1038,6 +1193,17 @@ router.put("/orders/:id/confirm-payment", protect, async (req, res) => {
 
       console.log(`Payment confirmed for order ${order.orderNumber}`);
 
+      if (order.subscription) {
+        try {
+          await SubscriptionService.recordRenewalPayment(order);
+        } catch (subscriptionError) {
+          console.error(
+            "Failed to record subscription renewal:",
+            subscriptionError
+          );
+        }
+      }
+
       // Send payment confirmation email to customer
       try {
         await CustomerNotificationService.sendPaymentConfirmationEmail(order);
@@ -1082,7 +1248,7 @@ router.put("/orders/:id/confirm-payment", protect, async (req, res) => {
       res.json({
         success: true,
         message: "Payment confirmed and receipt verified successfully",
-        data: order,
+        data: CredentialAuditService.maskOrder(order),
       });
     } catch (verificationError) {
       console.error("Receipt verification error:", verificationError);
@@ -1168,7 +1334,7 @@ router.put("/orders/:id/decline-payment", protect, async (req, res) => {
     res.json({
       success: true,
       message: "Payment declined successfully",
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     console.error("Error declining payment:", error);
@@ -1199,89 +1365,45 @@ router.get("/orders/:id/available-inventory", protect, async (req, res) => {
       ...new Set(order.items.map((item) => item.product._id.toString())),
     ];
 
-    // Get available inventory for these products using assignment-based logic
-    const availableInventory = await Inventory.aggregate([
-      {
-        $match: {
-          product: {
-            $in: productIds.map((id) => new mongoose.Types.ObjectId(id)),
-          },
-          status: "available",
-        },
-      },
-      {
-        $lookup: {
-          from: "inventoryassignments",
-          localField: "_id",
-          foreignField: "inventory",
-          as: "assignments",
-        },
-      },
-      {
-        $addFields: {
-          activeAssignments: {
-            $size: {
-              $filter: {
-                input: "$assignments",
-                cond: { $eq: ["$$this.status", "active"] },
-              },
-            },
-          },
-        },
-      },
-      {
-        $match: {
-          $expr: {
-            $lt: ["$activeAssignments", { $ifNull: ["$maxAssignments", 1] }],
-          },
-        },
-      },
-      {
-        $lookup: {
-          from: "products",
-          localField: "product",
-          foreignField: "_id",
-          as: "product",
-        },
-      },
-      {
-        $unwind: "$product",
-      },
-      {
-        $project: {
-          _id: 1,
-          accountCredentials: 1,
-          notes: 1,
-          createdAt: 1,
-          maxAssignments: 1,
-          activeAssignments: 1,
-          "product._id": 1,
-          "product.title": 1,
-          "product.price": 1,
-          "product.images": 1,
-        },
-      },
-    ]);
+    // List each product's free slots, with the filter reserve() claims
+    // from, in the order its strategy would claim them
+    const heldInventoryIds =
+      await InventoryReservationService.getHeldInventoryIds(
+        order.customer.email
+      );
 
-    // Group inventory by product
     const inventoryByProduct = {};
-    availableInventory.forEach((item) => {
-      const productId = item.product._id.toString();
-      if (!inventoryByProduct[productId]) {
-        inventoryByProduct[productId] = {
-          product: item.product,
-          inventory: [],
-        };
-      }
-      inventoryByProduct[productId].inventory.push({
-        _id: item._id,
-        accountCredentials: item.accountCredentials,
-        notes: item.notes,
-        createdAt: item.createdAt,
-        maxAssignments: item.maxAssignments,
-        activeAssignments: item.activeAssignments,
-      });
-    });
+    for (const productId of productIds) {
+      const available = await Inventory.find(
+        InventoryReservationService.availableSlotFilter(productId)
+      )
+        .select(
+          "product accountCredentials notes createdAt expirationDate maxAssignments assignmentCount"
+        )
+        .populate("product", "title price images allocationStrategy");
+      if (available.length === 0) continue;
+
+      const product = available[0].product;
+      const strategy = resolveStrategy(product);
+      inventoryByProduct[productId] = {
+        product,
+        allocationStrategy: strategy,
+        inventory: sortByStrategy(available, strategy, {
+          heldInventoryIds,
+        }).map((item) => ({
+          _id: item._id,
+          accountCredentials: maskSecret(item.accountCredentials),
+          notes: item.notes,
+          createdAt: item.createdAt,
+          expirationDate: item.expirationDate,
+          maxAssignments: item.maxAssignments,
+          assignmentCount: item.assignmentCount,
+          heldByCustomer: heldInventoryIds.some(
+            (inventoryId) => inventoryId.toString() === item._id.toString()
+          ),
+        })),
+      };
+    }
 
     res.json({
       success: true,
@@ -1289,7 +1411,7 @@ router.get("/orders/:id/available-inventory", protect, async (req, res) => {
         order: {
           _id: order._id,
           orderNumber: order.orderNumber,
-          items: order.items,
+          items: CredentialAuditService.maskOrder(order).items,
         },
         inventoryByProduct,
       },
@@ -1303,6 +1425,66 @@ router.get("/orders/:id/available-inventory", protect, async (req, res) => {
   }
 });
 
+// @desc    Reveal the delivered credentials of an order (audited)
+// @route   POST /api/admin/orders/:id/credentials/reveal
+// @access  Private (Admin)
+router.post("/orders/:id/credentials/reveal", protect, async (req, res) => {
+  try {
+    const { reason, itemId } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reveal credentials",
+        errorCode: "REASON_REQUIRED",
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const items = itemId
+      ? order.items.filter((item) => item._id.toString() === itemId)
+      : order.items;
+    if (items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Order item not found",
+      });
+    }
+
+    await CredentialAuditService.record(req, {
+      action: "reveal",
+      order,
+      fields: ["accountCredentials", "credentials"],
+      reason: reason.trim(),
+      details: { itemIds: items.map((item) => item._id) },
+    });
+
+    res.json({
+      success: true,
+      data: items.map((item) => ({
+        _id: item._id,
+        title: item.title,
+        accountCredentials: item.accountCredentials,
+        credentials: item.credentials,
+      })),
+    });
+  } catch (error) {
+    console.error("Error revealing order credentials:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revealing credentials",
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Update order status with inventory assignment
 // @route   PUT /api/admin/orders/:id/status
 // @access  Private (Admin)
@@ -1415,17 +1597,18 @@ const order = await Order.findByIdAndUpdate(req.params.id, updateData, {
     if (status === "delivered") {
       try {
         // Get order with inventory details for notification
-        const orderWithInventory = await Order.findById(order._id)
-          .populate("items.product", "title")
-          .lean();
+        const orderWithInventory = await Order.findById(order._id).populate(
+          "items.product",
+          "title"
+        );
 
         // Get inventory details for delivered items
         const deliveredInventory = [];
         if (inventoryAssignments) {
           for (const assignment of inventoryAssignments) {
-            const inventory = await Inventory.findById(assignment.inventoryId)
-              .populate("product", "title")
-              .lean();
+            const inventory = await Inventory.findById(
+              assignment.inventoryId
+            ).populate("product", "title");
             if (inventory) {
               deliveredInventory.push(inventory);
             }
@@ -1462,7 +1645,7 @@ const order = await Order.findByIdAndUpdate(req.params.id, updateData, {
     res.json({
       success: true,
       message: "Order status updated successfully",
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     res.status(500).json({
@@ -1507,7 +1690,7 @@ router.put("/orders/:id/terminate", protect, async (req, res) => {
     res.json({
       success: true,
       message: "Order terminated successfully",
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     res.status(500).json({
@@ -1680,6 +1863,11 @@ router.get("/inventory", protect, async (req, res) => {
       { $limit: parseInt(limit) },
     ]);
 
+    // Credentials are masked; POST /inventory/:id/reveal shows them
+    inventory = inventory.map((item) =>
+      CredentialAuditService.maskInventory(item)
+    );
+
     // Get total count with the same filtering
     const totalResult = await Inventory.aggregate([
       { $match: query },
@@ -1740,7 +1928,14 @@ router.get("/inventory", protect, async (req, res) => {
 // @access  Private (Admin)
 router.post("/inventory", protect, async (req, res) => {
   try {
-    const { product, accountCredentials, notes, maxAssignments } = req.body;
+    const {
+      product,
+      accountCredentials,
+      notes,
+      maxAssignments,
+      supplier,
+      unitCost,
+    } = req.body;
 
     if (!product || !accountCredentials) {
       return res.status(400).json({
@@ -1759,6 +1954,22 @@ router.post("/inventory", protect, async (req, res) => {
       });
     }
 
+    if (unitCost !== undefined && unitCost !== null && !(unitCost >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unit cost must be a number of at least 0",
+        errorCode: "INVALID_UNIT_COST",
+      });
+    }
+
+    if (supplier && !(await Supplier.exists({ _id: supplier }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+        errorCode: "INVALID_SUPPLIER_ID",
+      });
+    }
+
     // Validate product existence with error handling
     const productExists = await Product.findById(product).catch(() => {
       return res.status(500).json({
@@ -1790,15 +2001,18 @@ router.post("/inventory", protect, async (req, res) => {
       accountCredentials,
       notes,
       maxAssignments: maxAssignments || 1, // Default to 1 if not provided
+      supplier: supplier || null,
+      unitCost: unitCost ?? null,
     });
 
     await inventory.save();
     await inventory.populate("product", "title price");
+    await ProductAvailabilityService.refresh(product);
 
     res.status(201).json({
       success: true,
       message: "Inventory item added successfully",
-      data: inventory,
+      data: CredentialAuditService.maskInventory(inventory),
     });
   } catch (error) {
     res.status(500).json({
@@ -1809,32 +2023,108 @@ router.post("/inventory", protect, async (req, res) => {
   }
 });
 
-// @desc    Get expired inventory items
-// @route   GET /api/admin/inventory/expired
+// @desc    Bulk import inventory items from CSV or JSON
+// @route   POST /api/admin/inventory/import
 // @access  Private (Admin)
-router.get("/inventory/expired", protect, async (req, res) => {
+router.post("/inventory/import", protect, (req, res) => {
+  importUpload.single("file")(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    try {
+      const { product, supplier, unitCost, content, rows } = req.body;
+      const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+
+      if (!product || !mongoose.Types.ObjectId.isValid(product)) {
+        return res.status(400).json({
+          success: false,
+          message: "A valid product ID is required",
+          errorCode: "INVALID_PRODUCT_ID",
+        });
+      }
+
+      if (supplier && !mongoose.Types.ObjectId.isValid(supplier)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid supplier ID format",
+        });
+      }
+
+      let format = req.body.format;
+      if (!format && req.file) {
+        const extension = path.extname(req.file.originalname).toLowerCase();
+        format = extension === ".csv" ? "csv" : "json";
+      }
+
+      const result = await InventoryImportService.createImport({
+        product,
+        supplier,
+        unitCost,
+        format: format || "json",
+        fileName: req.file?.originalname,
+        content: req.file ? req.file.buffer.toString("utf8") : content,
+        rows,
+        dryRun,
+        createdBy: req.user.email,
+      });
+
+      if (!result.success && !result.import) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      let message = "Inventory import completed";
+      if (dryRun) {
+        message = "Dry run complete, no inventory was created";
+      } else if (!result.success) {
+        message = `Inventory import failed: ${result.error}`;
+      }
+
+      const statusCode = dryRun ? 200 : 201;
+      res.status(result.success ? statusCode : result.statusCode).json({
+        success: result.success,
+        message,
+        data: InventoryImportService.buildReport(result.import, "json"),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error importing inventory",
+        error: error.message,
+      });
+    }
+  });
+});
+
+// @desc    Get inventory imports
+// @route   GET /api/admin/inventory/imports
+// @access  Private (Admin)
+router.get("/inventory/imports", protect, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const { page = 1, limit = 20, product, status } = req.query;
 
-    const currentDate = new Date();
-    const expiredInventory = await Inventory.find({
-      expirationDate: { $lt: currentDate },
-      status: { $ne: "expired" },
-    })
-      .populate("product", "title price")
-      .sort({ expirationDate: -1 })
-      .skip(skip)
+    const query = {};
+    if (product) query.product = product;
+    if (status) query.status = status;
+
+    const imports = await InventoryImport.find(query)
+      .select("-rows")
+      .populate("product", "title")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    const total = await Inventory.countDocuments({
-      expirationDate: { $lt: currentDate },
-      status: { $ne: "expired" },
-    });
+    const total = await InventoryImport.countDocuments(query);
 
     res.json({
       success: true,
-      data: expiredInventory,
+      data: imports,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1843,62 +2133,422 @@ router.get("/inventory/expired", protect, async (req, res) => {
       },
     });
   } catch (error) {
-    console.error("Error fetching expired inventory:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching expired inventory",
+      message: "Error fetching inventory imports",
       error: error.message,
     });
   }
 });
 
-// @desc    Update inventory assignment settings
-// @route   PUT /api/admin/inventory/:id/assignment-settings
+// @desc    Run a dry-run import, or resume a failed one
+// @route   POST /api/admin/inventory/imports/:id/run
 // @access  Private (Admin)
-router.put("/inventory/:id/assignment-settings", protect, async (req, res) => {
+router.post("/inventory/imports/:id/run", protect, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { maxAssignments } = req.body;
+    const result = await InventoryImportService.runImport(req.params.id);
 
-    if (!maxAssignments || maxAssignments < 1) {
-      return res.status(400).json({
-        success: false,
-        message: "Maximum assignments must be at least 1",
-      });
-    }
-
-    const inventory = await Inventory.findById(id);
-    if (!inventory) {
-      return res.status(404).json({
+    if (!result.import) {
+      return res.status(result.statusCode || 400).json({
         success: false,
-        message: "Inventory item not found",
+        message: result.error,
       });
     }
 
-    inventory.maxAssignments = maxAssignments;
-    await inventory.save();
-
-    res.json({
-      success: true,
-      message: "Assignment settings updated successfully",
-      data: inventory,
+    res.status(result.success ? 200 : result.statusCode).json({
+      success: result.success,
+      message: result.success
+        ? "Inventory import completed"
+        : `Inventory import not run: ${result.error}`,
+      data: InventoryImportService.buildReport(result.import, "json"),
     });
   } catch (error) {
-    console.error("Error updating assignment settings:", error);
     res.status(500).json({
       success: false,
-      message: "Error updating assignment settings",
+      message: "Error running inventory import",
       error: error.message,
     });
   }
 });
 
-// @desc    Assign inventory item to order
-// @route   POST /api/admin/inventory/:id/assign
+// @desc    Download the report of an inventory import
+// @route   GET /api/admin/inventory/imports/:id/report
 // @access  Private (Admin)
-router.post("/inventory/:id/assign", protect, async (req, res) => {
+router.get("/inventory/imports/:id/report", protect, async (req, res) => {
   try {
-    const { orderId, notes } = req.body;
+    const format = req.query.format === "json" ? "json" : "csv";
+    const importDoc = await InventoryImport.findById(req.params.id);
+
+    if (!importDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    const report = InventoryImportService.buildReport(importDoc, format);
+    res.attachment(`inventory-import-${importDoc.importId}.${format}`);
+
+    if (format === "json") {
+      return res.send(JSON.stringify(report, null, 2));
+    }
+    res.type("text/csv").send(report);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating import report",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Reveal the credentials of an inventory item (audited)
+// @route   POST /api/admin/inventory/:id/reveal
+// @access  Private (Admin)
+router.post("/inventory/:id/reveal", protect, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reveal credentials",
+        errorCode: "REASON_REQUIRED",
+      });
+    }
+
+    const inventory = await Inventory.findById(req.params.id);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: "Inventory item not found",
+      });
+    }
+
+    await CredentialAuditService.record(req, {
+      action: "reveal",
+      inventory,
+      product: inventory.product,
+      fields: [
+        "accountCredentials",
+        "username",
+        "password",
+        ...(inventory.seats.length > 0 ? ["seats"] : []),
+      ],
+      reason: reason.trim(),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        _id: inventory._id,
+        accountCredentials: inventory.accountCredentials,
+        username: inventory.username,
+        password: inventory.password,
+        seats: inventory.seats.map((seat) => ({
+          number: seat.number,
+          profileName: seat.profileName,
+          pin: seat.pin,
+          credentials: seat.credentials,
+          assignment: seat.assignment,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error revealing inventory credentials:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revealing credentials",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Export inventory items with masked credentials, or revealed
+//          with { reveal: true, reason } in a POST body; the reason is kept
+//          out of the URL, which lands in access logs and browser history
+// @route   GET|POST /api/admin/inventory/export
+// @access  Private (Admin)
+const exportInventory = async (req, res) => {
+  try {
+    const params = req.method === "POST" ? req.body : req.query;
+    const { product, status, format = "csv", reason } = params;
+    const reveal =
+      req.method === "POST" && [true, "true"].includes(params.reveal);
+
+    if (req.method === "GET" && req.query.reveal === "true") {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Revealed exports must be requested with POST and a reason in the body",
+        errorCode: "REVEAL_REQUIRES_POST",
+      });
+    }
+
+    if (reveal && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to export revealed credentials",
+        errorCode: "REASON_REQUIRED",
+      });
+    }
+
+    if (product && !mongoose.Types.ObjectId.isValid(product)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID format",
+      });
+    }
+
+    const query = {};
+    if (product) query.product = product;
+    if (status && status !== "all") query.status = status;
+
+    const items = await Inventory.find(query)
+      .populate("product", "title")
+      .sort({ createdAt: 1 });
+
+    if (reveal) {
+      await CredentialAuditService.record(req, {
+        action: "export",
+        product: product || null,
+        fields: ["accountCredentials"],
+        reason: reason.trim(),
+        details: {
+          count: items.length,
+          status: status || "all",
+          inventoryIds: items.map((item) => item._id),
+        },
+      });
+    }
+
+    const rows = items.map((item) => ({
+      id: item._id.toString(),
+      product: item.product?.title || "",
+      accountCredentials: reveal
+        ? item.accountCredentials
+        : maskSecret(item.accountCredentials),
+      status: item.status,
+      assignmentCount: item.assignmentCount,
+      maxAssignments: item.maxAssignments,
+      expirationDate: item.expirationDate
+        ? item.expirationDate.toISOString()
+        : "",
+      notes: item.notes || "",
+      createdAt: item.createdAt.toISOString(),
+    }));
+
+    const fileName = `inventory-export-${Date.now()}`;
+    if (format === "json") {
+      res.attachment(`${fileName}.json`);
+      return res.send(JSON.stringify(rows, null, 2));
+    }
+
+    res.attachment(`${fileName}.csv`);
+    res.type("text/csv").send(toCsv(Object.keys(rows[0] || { id: "" }), rows));
+  } catch (error) {
+    console.error("Error exporting inventory:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting inventory",
+      error: error.message,
+    });
+  }
+};
+
+router.get("/inventory/export", protect, exportInventory);
+router.post("/inventory/export", protect, exportInventory);
+
+// @desc    Get expired inventory items
+// @route   GET /api/admin/inventory/expired
+// @access  Private (Admin)
+router.get("/inventory/expired", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const currentDate = new Date();
+    const expiredInventory = await Inventory.find({
+      expirationDate: { $lt: currentDate },
+      status: { $ne: "expired" },
+    })
+      .populate("product", "title price")
+      .sort({ expirationDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Inventory.countDocuments({
+      expirationDate: { $lt: currentDate },
+      status: { $ne: "expired" },
+    });
+
+    res.json({
+      success: true,
+      data: expiredInventory.map((item) =>
+        CredentialAuditService.maskInventory(item)
+      ),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching expired inventory:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching expired inventory",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Update inventory assignment settings
+// @route   PUT /api/admin/inventory/:id/assignment-settings
+// @access  Private (Admin)
+router.put("/inventory/:id/assignment-settings", protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { maxAssignments } = req.body;
+
+    if (!maxAssignments || maxAssignments < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Maximum assignments must be at least 1",
+      });
+    }
+
+    const inventory = await Inventory.findById(id);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: "Inventory item not found",
+      });
+    }
+
+    if (inventory.seats.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This account has seats; change its seats instead",
+      });
+    }
+
+    inventory.maxAssignments = maxAssignments;
+    await inventory.save();
+    await ProductAvailabilityService.refresh(inventory.product);
+
+    res.json({
+      success: true,
+      message: "Assignment settings updated successfully",
+      data: CredentialAuditService.maskInventory(inventory),
+    });
+  } catch (error) {
+    console.error("Error updating assignment settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating assignment settings",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Define the seats of a shared inventory account
+// @route   PUT /api/admin/inventory/:id/seats
+// @access  Private (Admin)
+router.put("/inventory/:id/seats", protect, async (req, res) => {
+  try {
+    const { seats } = req.body;
+
+    if (!Array.isArray(seats) || seats.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Seats must be an array of at most 100 seats",
+      });
+    }
+
+    const inventory = await Inventory.findById(req.params.id);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: "Inventory item not found",
+      });
+    }
+
+    const existing = new Map(
+      inventory.seats.map((seat) => [seat.number, seat])
+    );
+    const nextSeats = seats.map((seat, index) => {
+      const number = parseInt(seat.number) || index + 1;
+      const current = existing.get(number);
+      return {
+        number,
+        profileName: seat.profileName,
+        // Secrets left out of the request keep their stored value
+        pin: seat.pin !== undefined ? seat.pin : current?.pin,
+        credentials:
+          seat.credentials !== undefined
+            ? seat.credentials
+            : current?.credentials,
+        assignment: current?.assignment || null,
+        assignedAt: current?.assignedAt || null,
+      };
+    });
+
+    const kept = new Set(nextSeats.map((seat) => seat.number));
+    const removedAssigned = inventory.seats.filter(
+      (seat) => seat.assignment && !kept.has(seat.number)
+    );
+    if (removedAssigned.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Seats ${removedAssigned
+          .map((seat) => seat.number)
+          .join(", ")} are assigned and cannot be removed`,
+        errorCode: "SEAT_ASSIGNED",
+      });
+    }
+    if (nextSeats.length > 0 && nextSeats.length < inventory.assignmentCount) {
+      return res.status(409).json({
+        success: false,
+        message: `Account has ${inventory.assignmentCount} assignments, it needs at least that many seats`,
+        errorCode: "TOO_FEW_SEATS",
+      });
+    }
+
+    inventory.seats = nextSeats;
+    await inventory.save();
+    await ProductAvailabilityService.refresh(inventory.product);
+
+    await CredentialAuditService.record(req, {
+      action: "edit",
+      inventory,
+      product: inventory.product,
+      fields: ["seats"],
+      details: { seatCount: nextSeats.length },
+    });
+
+    res.json({
+      success: true,
+      message: "Seats updated successfully",
+      data: CredentialAuditService.maskInventory(inventory),
+    });
+  } catch (error) {
+    console.error("Error updating inventory seats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating inventory seats",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Assign inventory item to order
+// @route   POST /api/admin/inventory/:id/assign
+// @access  Private (Admin)
+router.post("/inventory/:id/assign", protect, async (req, res) => {
+  try {
+    const { orderId, notes } = req.body;
 
     if (!orderId) {
       return res.status(400).json({
@@ -1948,11 +2598,12 @@ router.post("/inventory/:id/assign", protect, async (req, res) => {
       updateFields,
       { new: true, runValidators: true }
     ).populate("product", "title");
+    await ProductAvailabilityService.refresh(inventory.product);
 
     // Create InventoryAssignment record
     const order = await Order.findById(orderId);
     if (order) {
-      await InventoryAssignment.create({
+      const assignment = await InventoryAssignment.create({
         inventory: req.params.id,
         order: orderId,
         orderNumber: order.orderNumber,
@@ -1962,12 +2613,19 @@ router.post("/inventory/:id/assign", protect, async (req, res) => {
         status: "assigned",
         notes: notes || "Manual assignment by admin",
       });
+      assignment.seat = await InventoryReservationService.claimSeat(
+        req.params.id,
+        assignment._id
+      );
+      if (assignment.seat !== null) {
+        await assignment.save();
+      }
     }
 
     res.json({
       success: true,
       message: "Inventory item assigned successfully",
-      data: updatedInventory,
+      data: CredentialAuditService.maskInventory(updatedInventory),
     });
   } catch (error) {
     res.status(500).json({
@@ -2043,6 +2701,7 @@ router.put("/inventory/bulk-expiration", protect, async (req, res) => {
       { _id: { $in: inventoryIds } },
       updateData
     );
+    await ProductAvailabilityService.refreshForInventory(inventoryIds);
 
     res.json({
       success: true,
@@ -2093,11 +2752,12 @@ router.put("/inventory/:id/set-expiration", protect, async (req, res) => {
       },
       { new: true, runValidators: true }
     ).populate("product", "title price");
+    await ProductAvailabilityService.refresh(inventory.product);
 
     res.json({
       success: true,
       message: "Expiration date set successfully",
-      data: updatedInventory,
+      data: CredentialAuditService.maskInventory(updatedInventory),
     });
   } catch (error) {
     console.error("Error setting expiration date:", error);
@@ -2121,6 +2781,9 @@ router.put("/inventory/:id", protect, async (req, res) => {
       expirationDate,
       allowUpdatesAfterExpiry,
       maxAssignments,
+      supplier,
+      unitCost,
+      reason,
     } = req.body;
 
     // First, get the current inventory item to check expiration status
@@ -2163,6 +2826,20 @@ router.put("/inventory/:id", protect, async (req, res) => {
       }
     }
 
+    if (unitCost !== undefined && unitCost !== null && !(unitCost >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unit cost must be a number of at least 0",
+      });
+    }
+
+    if (supplier && !(await Supplier.exists({ _id: supplier }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
     const updateData = {};
     if (accountCredentials) updateData.accountCredentials = accountCredentials;
     if (notes !== undefined) updateData.notes = notes;
@@ -2173,17 +2850,30 @@ router.put("/inventory/:id", protect, async (req, res) => {
       updateData.allowUpdatesAfterExpiry = allowUpdatesAfterExpiry;
     if (maxAssignments !== undefined)
       updateData.maxAssignments = maxAssignments;
+    if (supplier !== undefined) updateData.supplier = supplier || null;
+    if (unitCost !== undefined) updateData.unitCost = unitCost;
+
+    if (updateData.accountCredentials) {
+      await CredentialAuditService.record(req, {
+        action: "edit",
+        inventory: currentInventory,
+        product: currentInventory.product,
+        fields: ["accountCredentials"],
+        reason,
+      });
+    }
 
     const inventory = await Inventory.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
     ).populate("product", "title price");
+    await ProductAvailabilityService.refresh(currentInventory.product);
 
     res.json({
       success: true,
       message: "Inventory item updated successfully",
-      data: inventory,
+      data: CredentialAuditService.maskInventory(inventory),
     });
   } catch (error) {
     console.error("Error updating inventory item:", error);
@@ -2200,7 +2890,7 @@ router.put("/inventory/:id", protect, async (req, res) => {
 // @access  Private (Admin)
 router.delete("/inventory/:id", protect, async (req, res) => {
   try {
-    const inventory = await Inventory.findByIdAndDelete(req.params.id);
+    const inventory = await Inventory.findById(req.params.id);
 
     if (!inventory) {
       return res.status(404).json({
@@ -2209,6 +2899,21 @@ router.delete("/inventory/:id", protect, async (req, res) => {
       });
     }
 
+    await CredentialAuditService.record(req, {
+      action: "delete",
+      inventory,
+      product: inventory.product,
+      fields: ["accountCredentials"],
+      reason: req.body?.reason || req.query.reason,
+      details: {
+        assignmentCount: inventory.assignmentCount,
+        status: inventory.status,
+      },
+    });
+
+    await Inventory.findByIdAndDelete(inventory._id);
+    await ProductAvailabilityService.refresh(inventory.product);
+
     res.json({
       success: true,
       message: "Inventory item deleted successfully",
@@ -2315,7 +3020,8 @@ router.get("/orders/:id/delivery-status", protect, async (req, res) => {
       });
     }
 
-    const deliveryStatus = order.items.map((item) => ({
+    const maskedItems = CredentialAuditService.maskOrder(order).items;
+    const deliveryStatus = order.items.map((item, index) => ({
       productId: item.product._id,
       productTitle: item.product.title,
       autoDelivery: item.product.autoDelivery || item.autoDelivery,
@@ -2324,7 +3030,7 @@ router.get("/orders/:id/delivery-status", protect, async (req, res) => {
         item.deliveryStatus || (item.delivered ? "delivered" : "pending"),
       deliveredAt: item.deliveredAt,
       hasCredentials: !!item.accountCredentials || !!item.credentials,
-      credentials: item.credentials,
+      credentials: maskedItems[index].credentials,
     }));
 
     res.json({
@@ -2345,30 +3051,289 @@ router.get("/orders/:id/delivery-status", protect, async (req, res) => {
   }
 });
 
-// ===== DELIVERY MANAGEMENT =====
+// ===== SUPPLIER MANAGEMENT =====
 
-// @desc    Get delivery statistics
-// @route   GET /api/admin/delivery-stats
+// @desc    Get all suppliers
+// @route   GET /api/admin/suppliers
 // @access  Private (Admin)
-router.get("/delivery-stats", protect, async (req, res) => {
+router.get("/suppliers", protect, async (req, res) => {
   try {
-    const stats = await AutoDeliveryService.getDeliveryStats();
+    const { active, search } = req.query;
+
+    const query = {};
+    if (active !== undefined && active !== "all") {
+      query.active = active === "true";
+    }
+    if (search) {
+      query.name = { $regex: search, $options: "i" };
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
 
     res.json({
       success: true,
-      data: stats,
+      data: suppliers,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching delivery statistics",
+      message: "Error fetching suppliers",
       error: error.message,
     });
   }
 });
 
-// @desc    Manually trigger auto-delivery for specific order
-// @route   POST /api/admin/orders/:id/trigger-delivery
+// @desc    Margin per product and per supplier
+// @route   GET /api/admin/suppliers/margins
+// @access  Private (Admin)
+router.get("/suppliers/margins", protect, async (req, res) => {
+  try {
+    const { startDate, endDate, product, supplier } = req.query;
+
+    for (const id of [product, supplier]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid product or supplier ID",
+        });
+      }
+    }
+
+    const report = await SupplierService.getMarginReport({
+      startDate,
+      endDate,
+      product,
+      supplier,
+    });
+
+    res.json({
+      success: true,
+      data: { ...report, currency: BASE_CURRENCY },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating margin report",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Defect rate per supplier
+// @route   GET /api/admin/suppliers/defects
+// @access  Private (Admin)
+router.get("/suppliers/defects", protect, async (req, res) => {
+  try {
+    const { startDate, endDate, product, supplier } = req.query;
+
+    for (const id of [product, supplier]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid product or supplier ID",
+        });
+      }
+    }
+
+    const report = await SupplierService.getDefectReport({
+      startDate,
+      endDate,
+      product,
+      supplier,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating defect report",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a supplier with its inventory and purchase batches
+// @route   GET /api/admin/suppliers/:id
+// @access  Private (Admin)
+router.get("/suppliers/:id", protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid supplier ID",
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const [inventory, batches] = await Promise.all([
+      SupplierService.getInventoryStats(supplier._id),
+      InventoryImport.find({ supplier: supplier._id })
+        .select("-rows")
+        .populate("product", "title")
+        .sort({ createdAt: -1 })
+        .limit(20),
+    ]);
+
+    res.json({
+      success: true,
+      data: { supplier, inventory, batches },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching supplier",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Create supplier
+// @route   POST /api/admin/suppliers
+// @access  Private (Admin)
+router.post("/suppliers", protect, validateSupplier, async (req, res) => {
+  try {
+    const { name, contactName, email, website, notes, active } = req.body;
+    const supplier = await Supplier.create({
+      name,
+      contactName,
+      email,
+      website,
+      notes,
+      active,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier created successfully",
+      data: supplier,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A supplier with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error creating supplier",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Update supplier
+// @route   PUT /api/admin/suppliers/:id
+// @access  Private (Admin)
+router.put("/suppliers/:id", protect, validateSupplier, async (req, res) => {
+  try {
+    const { name, contactName, email, website, notes, active } = req.body;
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { name, contactName, email, website, notes, active },
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Supplier updated successfully",
+      data: supplier,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A supplier with this name already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error updating supplier",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Delete supplier
+// @route   DELETE /api/admin/suppliers/:id
+// @access  Private (Admin)
+router.delete("/suppliers/:id", protect, async (req, res) => {
+  try {
+    // Sourcing history is kept; suppliers with inventory are deactivated
+    const inventoryCount = await Inventory.countDocuments({
+      supplier: req.params.id,
+    });
+
+    if (inventoryCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete supplier. It has ${inventoryCount} inventory items, deactivate it instead.`,
+      });
+    }
+
+    const supplier = await Supplier.findByIdAndDelete(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Supplier deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting supplier",
+      error: error.message,
+    });
+  }
+});
+
+// ===== DELIVERY MANAGEMENT =====
+
+// @desc    Get delivery statistics
+// @route   GET /api/admin/delivery-stats
+// @access  Private (Admin)
+router.get("/delivery-stats", protect, async (req, res) => {
+  try {
+    const stats = await AutoDeliveryService.getDeliveryStats();
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching delivery statistics",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Manually trigger auto-delivery for specific order
+// @route   POST /api/admin/orders/:id/trigger-delivery
 // @access  Private (Admin)
 router.post("/orders/:id/trigger-delivery", protect, async (req, res) => {
   try {
@@ -2451,7 +3416,7 @@ router.put("/orders/:id/assign-credentials", protect, async (req, res) => {
     res.json({
       success: true,
       message: "Credentials assigned successfully",
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     res.status(500).json({
@@ -2462,6 +3427,103 @@ router.put("/orders/:id/assign-credentials", protect, async (req, res) => {
   }
 });
 
+// @desc    Get the credential assignments of an order
+// @route   GET /api/admin/orders/:id/assignments
+// @access  Private (Admin)
+router.get("/orders/:id/assignments", protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select(
+      "orderNumber credentialReplacements"
+    );
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const [assignments, settings] = await Promise.all([
+      InventoryAssignment.find({ order: order._id })
+        .populate({
+          path: "inventory",
+          select: "product status",
+          populate: { path: "product", select: "title" },
+        })
+        .sort({ assignedAt: -1 }),
+      Settings.getSettings(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assignments,
+        replacements: order.credentialReplacements,
+        replacementsUsed: order.credentialReplacements.length,
+        replacementLimit: settings.credentialReplacementLimit,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching order assignments",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Replace a broken delivered account with a fresh one
+// @route   POST /api/admin/orders/:id/replace-credentials
+// @access  Private (Admin)
+router.post("/orders/:id/replace-credentials", protect, async (req, res) => {
+  try {
+    const { assignmentId, reason, overrideLimit } = req.body;
+
+    if (!assignmentId || !mongoose.Types.ObjectId.isValid(assignmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid assignment ID is required",
+      });
+    }
+
+    const result = await CredentialReplacementService.replaceAssignment(
+      req.params.id,
+      assignmentId,
+      {
+        reason,
+        processedBy: req.user.email,
+        overrideLimit: overrideLimit === true,
+      }
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error,
+        errorCode: result.errorCode,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Credentials replaced and sent to the customer",
+      data: {
+        order: CredentialAuditService.maskOrder(result.order),
+        oldAssignment: result.oldAssignment,
+        newAssignment: result.newAssignment,
+        replacementsUsed: result.replacementsUsed,
+        replacementLimit: result.replacementLimit,
+      },
+    });
+  } catch (error) {
+    console.error("Error replacing credentials:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error replacing credentials",
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Toggle auto-delivery for an order
 // @route   PUT /api/admin/orders/:id/auto-delivery
 // @access  Private (Admin)
@@ -2667,7 +3729,7 @@ router.post("/orders/:id/manual-delivery", protect, async (req, res) => {
     res.json({
       success: true,
       message: "Manual delivery completed successfully",
-      data: order,
+      data: CredentialAuditService.maskOrder(order),
     });
   } catch (error) {
     res.status(500).json({
@@ -2742,38 +3804,270 @@ router.get("/pending-deliveries", protect, async (req, res) => {
   }
 });
 
-// ===== DELIVERY LOGS MANAGEMENT =====
-
-// @desc    Get delivery logs
-// @route   GET /api/admin/delivery-logs
+// @desc    Get the backorder queue: waiting lines in delivery order with
+//          their ages, and a summary per product
+// @route   GET /api/admin/backorders
 // @access  Private (Admin)
-router.get("/delivery-logs", protect, async (req, res) => {
+router.get("/backorders", protect, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 50,
-      eventType,
-      status,
-      orderId,
-      customerEmail,
-      productId,
-      startDate,
-      endDate,
-      isResolved,
-    } = req.query;
-
-    const filters = {};
-    if (eventType) filters.eventType = eventType;
-    if (status) filters.status = status;
-    if (orderId) filters.orderId = orderId;
-    if (customerEmail) filters.customerEmail = customerEmail;
-    if (productId) filters.productId = productId;
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-    if (isResolved !== undefined) filters.isResolved = isResolved === "true";
+    const { product, includeUnpaid } = req.query;
 
-    const options = {
-      page: parseInt(page),
+    if (product && !mongoose.Types.ObjectId.isValid(product)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID",
+      });
+    }
+
+    const queue = await BackorderService.getQueue({
+      product,
+      includeUnpaid: includeUnpaid === "true",
+    });
+
+    res.json({
+      success: true,
+      data: queue,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching backorder queue",
+      error: error.message,
+    });
+  }
+});
+
+// ===== JOB QUEUE MANAGEMENT =====
+
+// @desc    Get background jobs
+// @route   GET /api/admin/jobs
+// @access  Private (Admin)
+router.get("/jobs", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, type, errorCode } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (errorCode) query.errorCode = errorCode;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Job.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching jobs",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get job queue statistics
+// @route   GET /api/admin/jobs/stats
+// @access  Private (Admin)
+router.get("/jobs/stats", protect, async (req, res) => {
+  try {
+    const stats = await JobQueueService.getStats();
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching job queue statistics",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get the delivery retry policies by error code
+// @route   GET /api/admin/jobs/retry-policies
+// @access  Private (Admin)
+router.get("/jobs/retry-policies", protect, async (req, res) => {
+  res.json({
+    success: true,
+    data: RetryPolicyService.getPolicies(),
+  });
+});
+
+// @desc    Put a dead-letter job back on the queue
+// @route   POST /api/admin/jobs/:id/requeue
+// @access  Private (Admin)
+router.post("/jobs/:id/requeue", protect, async (req, res) => {
+  try {
+    const job = await JobQueueService.requeue(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Dead-letter job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Job requeued successfully",
+      data: job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error requeuing job",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Run due jobs now instead of waiting for the worker
+// @route   POST /api/admin/process-job-queue
+// @access  Private (Admin)
+router.post("/process-job-queue", protect, async (req, res) => {
+  try {
+    const result = await JobQueueService.tick();
+
+    res.json({
+      success: true,
+      message: `Processed ${result.processed} jobs`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error processing job queue",
+      error: error.message,
+    });
+  }
+});
+
+// ===== EMAIL OUTBOX MANAGEMENT =====
+
+// @desc    Get outgoing emails, without their bodies
+// @route   GET /api/admin/emails
+// @access  Private (Admin)
+router.get("/emails", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, category, template, to } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (template) query.template = template;
+    if (to) query.to = to.toLowerCase();
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const [emails, total] = await Promise.all([
+      EmailOutbox.find(query)
+        .select("-html")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EmailOutbox.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching emails",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Send a failed or unsent email again
+// @route   POST /api/admin/emails/:id/retry
+// @access  Private (Admin)
+router.post("/emails/:id/retry", protect, async (req, res) => {
+  try {
+    const result = await MailService.retry(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.sent
+        ? "Email sent successfully"
+        : "Email queued for retry",
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error retrying email",
+      error: error.message,
+    });
+  }
+});
+
+// ===== DELIVERY LOGS MANAGEMENT =====
+
+// @desc    Get delivery logs
+// @route   GET /api/admin/delivery-logs
+// @access  Private (Admin)
+router.get("/delivery-logs", protect, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      eventType,
+      status,
+      orderId,
+      customerEmail,
+      productId,
+      startDate,
+      endDate,
+      isResolved,
+    } = req.query;
+
+    const filters = {};
+    if (eventType) filters.eventType = eventType;
+    if (status) filters.status = status;
+    if (orderId) filters.orderId = orderId;
+    if (customerEmail) filters.customerEmail = customerEmail;
+    if (productId) filters.productId = productId;
+    if (startDate) filters.startDate = startDate;
+    if (endDate) filters.endDate = endDate;
+    if (isResolved !== undefined) filters.isResolved = isResolved === "true";
+
+    const options = {
+      page: parseInt(page),
       limit: parseInt(limit),
     };
 
@@ -2993,91 +4287,1117 @@ router.post("/check-notifications", protect, async (req, res) => {
 
 
 
-// @desc    Check inventory levels and send alerts
-// @route   POST /api/admin/check-inventory-levels
+// @desc    Get the credential access audit log
+// @route   GET /api/admin/credential-access-logs
 // @access  Private (Admin)
-router.post("/check-inventory-levels", protect, async (req, res) => {
+router.get("/credential-access-logs", protect, async (req, res) => {
   try {
-    const result = await AutoDeliveryService.checkInventoryLevels();
-    res.json(result);
+    const {
+      page = 1,
+      limit = 50,
+      admin,
+      inventory,
+      order,
+      action,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const result = await CredentialAuditService.getLogs(
+      { admin, inventory, order, action, startDate, endDate },
+      { page, limit }
+    );
+
+    res.json({
+      success: true,
+      data: result.logs,
+      pagination: result.pagination,
+    });
   } catch (error) {
-    console.error("Error checking inventory levels:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to check inventory levels",
+      message: "Error fetching credential access logs",
       error: error.message,
     });
   }
 });
 
-// @desc    Get low stock products
-// @route   GET /api/admin/low-stock-products
+// @desc    Get stored payment webhook events
+// @route   GET /api/admin/payment-events
 // @access  Private (Admin)
-router.get("/low-stock-products", protect, async (req, res) => {
+router.get("/payment-events", protect, async (req, res) => {
   try {
-    const { threshold } = req.query;
-    const lowStockThreshold =
-      parseInt(threshold) || parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+    const { page = 1, limit = 20, status, type, eventId, orderId } = req.query;
 
-    const lowStockProducts = await Inventory.aggregate([
-      {
-        $lookup: {
-          from: "products",
-          localField: "product",
-          foreignField: "_id",
-          as: "productInfo",
-        },
-      },
-      {
-        $unwind: "$productInfo",
-      },
-      {
-        $match: {
-          "productInfo.autoDelivery": true,
-        },
-      },
-      {
-        $group: {
-          _id: "$product",
-          productTitle: { $first: "$productInfo.title" },
-          availableCount: {
-            $sum: {
-              $cond: [{ $eq: ["$status", "available"] }, 1, 0],
-            },
-          },
-          totalCount: { $sum: 1 },
-          reservedCount: {
-            $sum: {
-              $cond: [{ $eq: ["$status", "reserved"] }, 1, 0],
-            },
-          },
-          deliveredCount: {
-            $sum: {
-              $cond: [{ $eq: ["$status", "delivered"] }, 1, 0],
-            },
-          },
-        },
-      },
-      {
-        $match: {
-          availableCount: { $lte: lowStockThreshold },
-        },
-      },
-      {
-        $sort: {
-          availableCount: 1,
-        },
-      },
-    ]);
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (eventId) query.eventId = eventId;
+    if (orderId) query.order = orderId;
+
+    const events = await PaymentEvent.find(query)
+      .select("-payload")
+      .populate("order", "orderNumber paymentStatus total currency")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await PaymentEvent.countDocuments(query);
 
     res.json({
       success: true,
-      threshold: lowStockThreshold,
-      products: lowStockProducts,
-    });
-  } catch (error) {
-    console.error("Error getting low stock products:", error);
-    res.status(500).json({
+      data: events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching payment events",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a stored payment webhook event with its payload
+// @route   GET /api/admin/payment-events/:id
+// @access  Private (Admin)
+router.get("/payment-events/:id", protect, async (req, res) => {
+  try {
+    const paymentEvent = await PaymentEvent.findById(req.params.id).populate(
+      "order",
+      "orderNumber paymentStatus total currency"
+    );
+
+    if (!paymentEvent) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment event not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: paymentEvent,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching payment event",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Replay a stored payment webhook event
+// @route   POST /api/admin/payment-events/:id/replay
+// @access  Private (Admin)
+router.post("/payment-events/:id/replay", protect, async (req, res) => {
+  try {
+    const paymentEvent = await PaymentEvent.findById(req.params.id);
+
+    if (!paymentEvent) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment event not found",
+      });
+    }
+
+    const replayed = await PaymentEventService.processEvent(paymentEvent, {
+      replay: true,
+      replayedBy: req.user.email,
+    });
+
+    if (replayed.status === "processing") {
+      return res.status(409).json({
+        success: false,
+        message: "Payment event is currently being processed",
+      });
+    }
+
+    res.json({
+      success: replayed.status !== "failed",
+      message:
+        replayed.status === "failed"
+          ? "Payment event replay failed"
+          : "Payment event replayed",
+      data: replayed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error replaying payment event",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get payment disputes
+// @route   GET /api/admin/disputes
+// @access  Private (Admin)
+router.get("/disputes", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, source, overdue, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (search) {
+      query.$or = [
+        { orderNumber: { $regex: escapeRegex(search), $options: "i" } },
+        { providerDisputeId: search },
+      ];
+    }
+    if (overdue === "true") {
+      query.status = "needs_response";
+      query.evidenceDueBy = { $lt: new Date() };
+    }
+
+    const disputes = await Dispute.find(query)
+      .select("-evidenceBundle")
+      .populate("order", "orderNumber customer total currency paymentStatus")
+      .sort({ evidenceDueBy: 1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching disputes",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a payment dispute with its evidence
+// @route   GET /api/admin/disputes/:id
+// @access  Private (Admin)
+router.get("/disputes/:id", protect, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id).populate(
+      "order",
+      "orderNumber customer items total currency paymentStatus paymentInfo"
+    );
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...dispute.toJSON(),
+        order: CredentialAuditService.maskOrder(dispute.order),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching dispute",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Open a dispute by hand
+// @route   POST /api/admin/disputes
+// @access  Private (Admin)
+router.post("/disputes", protect, async (req, res) => {
+  try {
+    const { orderId, orderNumber, reason, amount, evidenceDueBy, notes } =
+      req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Dispute reason is required",
+      });
+    }
+
+    const order = orderId
+      ? await Order.findById(orderId)
+      : await Order.findOne({ orderNumber });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (amount !== undefined && (isNaN(amount) || amount < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be a positive number",
+      });
+    }
+
+    const dispute = await DisputeService.createManual(
+      order,
+      {
+        reason,
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        evidenceDueBy,
+        notes,
+      },
+      req.user.email
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Dispute created",
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating dispute",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Update a dispute's status
+// @route   PUT /api/admin/disputes/:id/status
+// @access  Private (Admin)
+router.put("/disputes/:id/status", protect, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const validStatuses = [
+      "needs_response",
+      "under_review",
+      "won",
+      "lost",
+      "closed",
+    ];
+
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid dispute status",
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    await DisputeService.updateStatus(dispute, status, note, req.user.email);
+
+    res.json({
+      success: true,
+      message: "Dispute status updated",
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating dispute status",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Attach evidence (a file or a note) to a dispute
+// @route   POST /api/admin/disputes/:id/evidence
+// @access  Private (Admin)
+router.post(
+  "/disputes/:id/evidence",
+  protect,
+  (req, res, next) => {
+    req.receiptFilePrefix = `dispute-${req.params.id}`;
+    req.receiptUploadDir = DISPUTE_EVIDENCE_DIR;
+    next();
+  },
+  (req, res) => {
+    receiptUpload.single("evidence")(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      try {
+        const { description } = req.body;
+
+        if (!req.file && !description) {
+          return res.status(400).json({
+            success: false,
+            message: "Evidence file or description is required",
+          });
+        }
+
+        const dispute = await Dispute.findById(req.params.id);
+        if (!dispute) {
+          return res.status(404).json({
+            success: false,
+            message: "Dispute not found",
+          });
+        }
+
+        dispute.evidence.push({
+          type: req.file ? "file" : "note",
+          description,
+          filePath: req.file?.path,
+          originalName: req.file?.originalname,
+          mimeType: req.file?.mimetype,
+          uploadedBy: req.user.email,
+        });
+        await dispute.save();
+
+        res.status(201).json({
+          success: true,
+          message: "Evidence added",
+          data: dispute.evidence[dispute.evidence.length - 1],
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          message: "Error adding dispute evidence",
+          error: error.message,
+        });
+      }
+    });
+  }
+);
+
+// @desc    Download a dispute evidence file
+// @route   GET /api/admin/disputes/:id/evidence/:evidenceId/file
+// @access  Private (Admin)
+router.get(
+  "/disputes/:id/evidence/:evidenceId/file",
+  protect,
+  async (req, res) => {
+    try {
+      const dispute = await Dispute.findById(req.params.id).select("evidence");
+      const evidence = dispute?.evidence.id(req.params.evidenceId);
+      if (!evidence?.filePath) {
+        return res.status(404).json({
+          success: false,
+          message: "Evidence file not found",
+        });
+      }
+
+      res.download(path.resolve(evidence.filePath), evidence.originalName);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error downloading evidence file",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Regenerate a dispute's evidence bundle from delivery logs
+// @route   POST /api/admin/disputes/:id/evidence-bundle
+// @access  Private (Admin)
+router.post("/disputes/:id/evidence-bundle", protect, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    await DisputeService.attachEvidenceBundle(dispute);
+    await dispute.save();
+
+    res.json({
+      success: true,
+      message: "Evidence bundle regenerated",
+      data: dispute.evidenceBundle,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating evidence bundle",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    List support tickets, soonest resolution deadline first
+// @route   GET /api/admin/support-tickets
+// @access  Private (Admin)
+router.get("/support-tickets", protect, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      priority,
+      overdue,
+      orderNumber,
+      assignedTo,
+      search,
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+    if (orderNumber) query.orderNumber = orderNumber;
+    if (assignedTo) {
+      query.assignedTo = assignedTo === "unassigned" ? null : assignedTo;
+    }
+    if (search) {
+      query.$or = [
+        { ticketNumber: { $regex: search, $options: "i" } },
+        { orderNumber: { $regex: search, $options: "i" } },
+        { customerEmail: { $regex: search, $options: "i" } },
+        { subject: { $regex: search, $options: "i" } },
+      ];
+    }
+    if (overdue === "true") {
+      const now = new Date();
+      query.status = { $in: ["open", "awaiting_customer", "in_progress"] };
+      query.$and = [
+        {
+          $or: [
+            { "sla.resolutionDueBy": { $lt: now } },
+            {
+              "sla.firstRespondedAt": null,
+              "sla.firstResponseDueBy": { $lt: now },
+            },
+          ],
+        },
+      ];
+    }
+
+    const tickets = await SupportTicket.find(query)
+      .select("-messages -history")
+      .populate("assignedTo", "firstName lastName email")
+      .sort({ "sla.resolutionDueBy": 1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await SupportTicket.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: tickets,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching support tickets",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a support ticket with its thread, order and assignment
+// @route   GET /api/admin/support-tickets/:id
+// @access  Private (Admin)
+router.get("/support-tickets/:id", protect, async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findById(req.params.id)
+      .populate("assignedTo", "firstName lastName email")
+      .populate(
+        "order",
+        "orderNumber customer items total currency paymentStatus orderStatus credentialReplacements"
+      )
+      .populate("assignment");
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+      });
+    }
+
+    const data = ticket.toJSON();
+    data.order = CredentialAuditService.maskOrder(ticket.order);
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching support ticket",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Set a support ticket's status, priority or assignee
+// @route   PUT /api/admin/support-tickets/:id/triage
+// @access  Private (Admin)
+router.put("/support-tickets/:id/triage", protect, async (req, res) => {
+  try {
+    const { status, priority, assignedTo, note } = req.body;
+
+    if (
+      status &&
+      !["open", "awaiting_customer", "in_progress", "closed"].includes(status)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status; use the resolve endpoint to resolve",
+      });
+    }
+    if (priority && !["low", "normal", "high", "urgent"].includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid priority",
+      });
+    }
+    if (assignedTo && !mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid assignee",
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+      });
+    }
+
+    const result = await SupportTicketService.triage(
+      ticket,
+      { status, priority, assignedTo, note },
+      req.user.email
+    );
+
+    res.json({
+      success: true,
+      message: "Support ticket updated",
+      data: result.ticket,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating support ticket",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Reply to a support ticket or add an internal note
+// @route   POST /api/admin/support-tickets/:id/messages
+// @access  Private (Admin)
+router.post(
+  "/support-tickets/:id/messages",
+  protect,
+  (req, res, next) => {
+    req.receiptFilePrefix = `ticket-${req.params.id}`;
+    next();
+  },
+  (req, res) => {
+    receiptUpload.array("attachments", 3)(req, res, async (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      try {
+        const { message, internal, status } = req.body;
+
+        if (!message) {
+          return res.status(400).json({
+            success: false,
+            message: "Message is required",
+          });
+        }
+        if (status && !["awaiting_customer", "in_progress"].includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid status",
+          });
+        }
+
+        const ticket = await SupportTicket.findById(req.params.id);
+        if (!ticket) {
+          return res.status(404).json({
+            success: false,
+            message: "Support ticket not found",
+          });
+        }
+
+        const result = await SupportTicketService.addMessage(
+          ticket,
+          {
+            author: "admin",
+            authorName: req.user.email,
+            body: message,
+            internal: internal === true || internal === "true",
+            status,
+          },
+          SupportTicketService.toAttachments(req.files)
+        );
+
+        if (!result.success) {
+          return res.status(result.statusCode || 400).json({
+            success: false,
+            message: result.error,
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          message: "Reply added",
+          data: result.ticket,
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          message: "Error replying to support ticket",
+          error: error.message,
+        });
+      }
+    });
+  }
+);
+
+// @desc    Resolve a support ticket, replacing or refunding the item
+// @route   POST /api/admin/support-tickets/:id/resolve
+// @access  Private (Admin)
+router.post("/support-tickets/:id/resolve", protect, async (req, res) => {
+  try {
+    const { action = "none", note, quantity, overrideLimit } = req.body;
+
+    if (!["replace_credentials", "refund", "none"].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "Action must be replace_credentials, refund or none",
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+      });
+    }
+
+    const result = await SupportTicketService.resolve(ticket, {
+      action,
+      note,
+      quantity,
+      overrideLimit: overrideLimit === true,
+      processedBy: req.user.email,
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error,
+        errorCode: result.errorCode,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Support ticket resolved",
+      data: result.ticket,
+    });
+  } catch (error) {
+    console.error("Error resolving support ticket:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resolving support ticket",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Check open cryptocurrency payments on-chain
+// @route   POST /api/admin/check-crypto-payments
+// @access  Private (Admin)
+router.post("/check-crypto-payments", protect, async (req, res) => {
+  try {
+    const result = await CryptoPaymentService.checkPendingPayments();
+    res.json(result);
+  } catch (error) {
+    console.error("Error checking crypto payments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check crypto payments",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Send renewal reminders for accounts about to expire
+// @route   POST /api/admin/check-renewal-reminders
+// @access  Private (Admin)
+router.post("/check-renewal-reminders", protect, async (req, res) => {
+  try {
+    const result = await RenewalReminderService.checkExpiringAssignments();
+    res.json({
+      success: true,
+      message: "Renewal reminder check completed",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error checking renewal reminders:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check renewal reminders",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    List sent renewal reminders
+// @route   GET /api/admin/renewal-reminders
+// @access  Private (Admin)
+router.get("/renewal-reminders", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, converted, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (converted === "true") query.renewalOrder = { $ne: null };
+    if (converted === "false") query.renewalOrder = null;
+    if (search) {
+      query.$or = [
+        { orderNumber: { $regex: search, $options: "i" } },
+        { customerEmail: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const reminders = await RenewalReminder.find(query)
+      .select("-token")
+      .populate("product", "title")
+      .populate("renewalOrder", "orderNumber paymentStatus total currency")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await RenewalReminder.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: reminders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching renewal reminders",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Renewal conversion per reminder window
+// @route   GET /api/admin/renewal-reminders/report
+// @access  Private (Admin)
+router.get("/renewal-reminders/report", protect, async (req, res) => {
+  try {
+    const { startDate, endDate, product } = req.query;
+
+    if (product && !mongoose.Types.ObjectId.isValid(product)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID",
+      });
+    }
+
+    const report = await RenewalReminderService.getConversionReport({
+      startDate,
+      endDate,
+      product,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error generating renewal report",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    List subscriptions with MRR figures
+// @route   GET /api/admin/subscriptions
+// @access  Private (Admin)
+router.get("/subscriptions", protect, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      paymentMethod,
+      product,
+      search,
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (paymentMethod) query.paymentMethod = paymentMethod;
+    if (product) query.product = product;
+    if (search) {
+      query.$or = [
+        { subscriptionId: { $regex: search, $options: "i" } },
+        { "customer.email": { $regex: search, $options: "i" } },
+        { productTitle: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const subscriptions = await Subscription.find(query)
+      .select("-history")
+      .populate("pendingOrder", "orderNumber paymentStatus total")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Subscription.countDocuments(query);
+    const mrr = await SubscriptionService.getMrr();
+
+    res.json({
+      success: true,
+      data: subscriptions.map((subscription) => ({
+        ...subscription.toObject(),
+        monthlyAmount:
+          Math.round(SubscriptionService.monthlyAmount(subscription) * 100) /
+          100,
+      })),
+      mrr,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching subscriptions",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a subscription with its renewal orders
+// @route   GET /api/admin/subscriptions/:id
+// @access  Private (Admin)
+router.get("/subscriptions/:id", protect, async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id)
+      .populate("product", "title price active")
+      .populate("originOrder", "orderNumber paymentStatus total currency")
+      .populate(
+        "renewalOrders",
+        "orderNumber paymentStatus status total currency createdAt"
+      );
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching subscription",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Cancel a subscription
+// @route   POST /api/admin/subscriptions/:id/cancel
+// @access  Private (Admin)
+router.post("/subscriptions/:id/cancel", protect, async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    const result = await SubscriptionService.cancel(subscription, {
+      reason: req.body.reason,
+      by: req.user.email,
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Subscription canceled",
+      data: result.subscription,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error canceling subscription",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Bill subscriptions whose renewal is due
+// @route   POST /api/admin/process-subscription-renewals
+// @access  Private (Admin)
+router.post("/process-subscription-renewals", protect, async (req, res) => {
+  try {
+    const result = await SubscriptionService.processDueRenewals();
+    res.json({
+      success: true,
+      message: "Subscription renewals processed",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error processing subscription renewals:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process subscription renewals",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Check inventory levels and send alerts
+// @route   POST /api/admin/check-inventory-levels
+// @access  Private (Admin)
+router.post("/check-inventory-levels", protect, async (req, res) => {
+  try {
+    const result = await AutoDeliveryService.checkInventoryLevels();
+    res.json(result);
+  } catch (error) {
+    console.error("Error checking inventory levels:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check inventory levels",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get low stock products
+// @route   GET /api/admin/low-stock-products
+// @access  Private (Admin)
+router.get("/low-stock-products", protect, async (req, res) => {
+  try {
+    const { threshold } = req.query;
+    const lowStockThreshold =
+      parseInt(threshold) || parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+    const lowStockProducts = await Inventory.aggregate([
+      {
+        $lookup: {
+          from: "products",
+          localField: "product",
+          foreignField: "_id",
+          as: "productInfo",
+        },
+      },
+      {
+        $unwind: "$productInfo",
+      },
+      {
+        $match: {
+          "productInfo.autoDelivery": true,
+        },
+      },
+      {
+        $group: {
+          _id: "$product",
+          productTitle: { $first: "$productInfo.title" },
+          availableCount: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "available"] }, 1, 0],
+            },
+          },
+          totalCount: { $sum: 1 },
+          reservedCount: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "reserved"] }, 1, 0],
+            },
+          },
+          deliveredCount: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "delivered"] }, 1, 0],
+            },
+          },
+        },
+      },
+      {
+        $match: {
+          availableCount: { $lte: lowStockThreshold },
+        },
+      },
+      {
+        $sort: {
+          availableCount: 1,
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      threshold: lowStockThreshold,
+      products: lowStockProducts,
+    });
+  } catch (error) {
+    console.error("Error getting low stock products:", error);
+    res.status(500).json({
       success: false,
       message: "Failed to get low stock products",
       error: error.message,
@@ -3121,6 +5441,13 @@ router.put("/settings", protect, async (req, res) => {
       outlookClientSecret,
       outlookTenantId,
       outlookRedirectUri,
+      manualExchangeRate,
+      exchangeRateMaxAgeMinutes,
+      currency,
+      supportedCurrencies,
+      refundReleasesInventory,
+      credentialReplacementLimit,
+      renewalReminderDays,
     } = req.body;
 
     const updateData = {};
@@ -3138,9 +5465,130 @@ router.put("/settings", protect, async (req, res) => {
       updateData.outlookTenantId = outlookTenantId;
     if (outlookRedirectUri !== undefined)
       updateData.outlookRedirectUri = outlookRedirectUri;
+    if (exchangeRateMaxAgeMinutes !== undefined)
+      updateData.exchangeRateMaxAgeMinutes = exchangeRateMaxAgeMinutes;
+    if (refundReleasesInventory !== undefined)
+      updateData.refundReleasesInventory = refundReleasesInventory;
+
+    if (credentialReplacementLimit !== undefined) {
+      if (
+        !Number.isInteger(credentialReplacementLimit) ||
+        credentialReplacementLimit < 0
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Replacement limit must be a non-negative whole number",
+        });
+      }
+      updateData.credentialReplacementLimit = credentialReplacementLimit;
+    }
+
+    if (renewalReminderDays !== undefined) {
+      if (
+        !Array.isArray(renewalReminderDays) ||
+        renewalReminderDays.some((days) => !Number.isInteger(days) || days < 1)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Renewal reminder days must be a list of whole days",
+        });
+      }
+      updateData.renewalReminderDays = [...new Set(renewalReminderDays)].sort(
+        (a, b) => b - a
+      );
+    }
+
+    // Replace the list of checkout currencies and their rounding rules
+    if (supportedCurrencies !== undefined) {
+      const codes = Array.isArray(supportedCurrencies)
+        ? supportedCurrencies.map((entry) => (entry?.code || "").toUpperCase())
+        : [];
+      if (
+        codes.length === 0 ||
+        codes.some((code) => !/^[A-Z]{3}$/.test(code)) ||
+        new Set(codes).size !== codes.length
+      ) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Supported currencies must be a list of unique 3-letter currency codes",
+        });
+      }
+      if (!codes.includes(BASE_CURRENCY)) {
+        return res.status(400).json({
+          success: false,
+          message: `Supported currencies must include the base currency ${BASE_CURRENCY}`,
+        });
+      }
+      updateData.supportedCurrencies = supportedCurrencies.map((entry) => ({
+        decimals: getIsoDecimals(entry.code),
+        ...getCurrencyConfig(entry.code),
+        ...entry,
+        code: entry.code.toUpperCase(),
+      }));
+    }
+
+    // Both the default currency and a pinned rate must use an enabled currency
+    const enabledCodes = (
+      updateData.supportedCurrencies ||
+      (await Settings.getSupportedCurrencies())
+    )
+      .filter((entry) => entry.enabled !== false)
+      .map((entry) => entry.code);
+
+    if (currency !== undefined) {
+      if (!enabledCodes.includes((currency || "").toUpperCase())) {
+        return res.status(400).json({
+          success: false,
+          message: `Currency must be one of: ${enabledCodes.join(", ")}`,
+        });
+      }
+      updateData.currency = currency.toUpperCase();
+    }
+
+    // Pin or unpin a manual LKR -> currency rate
+    if (manualExchangeRate !== undefined) {
+      const {
+        enabled = false,
+        rate,
+        currency: pinnedCurrency = "USD",
+      } = manualExchangeRate || {};
+      if (enabled && !(parseFloat(rate) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "A positive rate is required to pin a manual exchange rate",
+        });
+      }
+      const pinnedCode = (pinnedCurrency || "").toUpperCase();
+      if (
+        enabled &&
+        (pinnedCode === BASE_CURRENCY || !enabledCodes.includes(pinnedCode))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "A manual exchange rate must target an enabled non-base currency",
+        });
+      }
+      updateData.manualExchangeRate = {
+        enabled: !!enabled,
+        currency: pinnedCode || "USD",
+        rate: enabled ? parseFloat(rate) : null,
+        setAt: new Date(),
+        setBy: req.user.email,
+      };
+    }
 
     const settings = await Settings.updateSettings(updateData);
 
+    // Keep pinned rates in the exchange rate history
+    if (updateData.manualExchangeRate?.enabled) {
+      await ExchangeRateService.recordManualRate(
+        updateData.manualExchangeRate.rate,
+        req.user.email,
+        updateData.manualExchangeRate.currency
+      );
+    }
+
     res.json({
       success: true,
       message: "Settings updated successfully",
@@ -1,122 +1,27 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-
-// Cache for exchange rates
-let exchangeRateCache = {
-  rates: null,
-  lastUpdated: null,
-  ttl: 3600000 // 1 hour in milliseconds
-};
+const ExchangeRateService = require('../services/exchangeRateService');
+const Settings = require('../models/Settings');
+const { BASE_CURRENCY, roundAmount } = require('../utils/currency');
+const { protect } = require('../middlewares/auth');
 
 // @desc    Get current exchange rates
 // @route   GET /api/currency/rates
 // @access  Public
 router.get('/rates', async (req, res) => {
   try {
-    const now = new Date().getTime();
-    
-    // Check if we have cached rates that are still valid
-    if (exchangeRateCache.rates && 
-        exchangeRateCache.lastUpdated && 
-        (now - exchangeRateCache.lastUpdated) < exchangeRateCache.ttl) {
-      return res.json({
-        success: true,
-        data: {
-          ...exchangeRateCache.rates,
-          cached: true,
-          lastUpdated: new Date(exchangeRateCache.lastUpdated)
-        }
-      });
-    }
-
-    // Try multiple exchange rate APIs for better reliability
-    let response;
-    let rates;
-    
-    try {
-      // Try exchangerate-api.com first
-      response = await axios.get(
-        'https://api.exchangerate-api.com/v4/latest/LKR',
-        { timeout: 5000 }
-      );
-      
-      if (response.data && response.data.rates && response.data.rates.USD) {
-        rates = {
-          base: 'LKR',
-          rates: {
-            USD: response.data.rates.USD,
-            LKR: 1
-          },
-          date: response.data.date || new Date().toISOString().split('T')[0]
-        };
-      } else {
-        throw new Error('Invalid response from primary exchange rate API');
-      }
-    } catch (primaryError) {
-      console.log('Primary exchange rate API failed, trying fallback...');
-      
-      try {
-        // Fallback to fixer.io (free tier)
-        response = await axios.get(
-          'https://api.fixer.io/latest?base=USD&symbols=LKR',
-          { timeout: 5000 }
-        );
-        
-        if (response.data && response.data.rates && response.data.rates.LKR) {
-          rates = {
-            base: 'LKR',
-            rates: {
-              USD: 1 / response.data.rates.LKR, // Convert USD->LKR to LKR->USD
-              LKR: 1
-            },
-            date: response.data.date || new Date().toISOString().split('T')[0]
-          };
-        } else {
-          throw new Error('Invalid response from fallback exchange rate API');
-        }
-      } catch (fallbackError) {
-        throw new Error('All exchange rate APIs failed');
-      }
-    }
-
-    // Update cache
-    exchangeRateCache = {
-      rates,
-      lastUpdated: now,
-      ttl: 3600000
-    };
+    const rates = await ExchangeRateService.getRates();
 
     res.json({
       success: true,
-      data: {
-        ...rates,
-        cached: false,
-        lastUpdated: new Date(now)
-      }
+      data: rates
     });
   } catch (error) {
-    console.error('Exchange rate API error:', error.message);
-    
-    // Return fallback rates if API fails
-    const fallbackRates = {
-      base: 'LKR',
-      rates: {
-        USD: 0.003, // Approximate fallback rate
-        LKR: 1
-      },
-      date: new Date().toISOString().split('T')[0],
-      fallback: true
-    };
-
-    res.json({
-      success: true,
-      data: {
-        ...fallbackRates,
-        cached: false,
-        lastUpdated: new Date(),
-        warning: 'Using fallback exchange rates due to API unavailability'
-      }
+    console.error('Exchange rate lookup error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching exchange rates',
+      error: error.message
     });
   }
 });
@@ -135,10 +40,14 @@ router.post('/convert', async (req, res) => {
       });
     }
 
-    if (!['LKR', 'USD'].includes(from) || !['LKR', 'USD'].includes(to)) {
+    const currencies = await Settings.getSupportedCurrencies();
+    const target = currencies.find((currency) => currency.code === to);
+    if (!currencies.some((currency) => currency.code === from) || !target) {
       return res.status(400).json({
         success: false,
-        message: 'Only LKR and USD currencies are supported'
+        message: `Supported currencies are: ${currencies
+          .map((currency) => currency.code)
+          .join(', ')}`
       });
     }
 
@@ -156,28 +65,26 @@ router.post('/convert', async (req, res) => {
       });
     }
 
-    // Get current rates
-    const ratesResponse = await axios.get(
-      `${req.protocol}://${req.get('host')}/api/currency/rates`
-    );
-
-    const rates = ratesResponse.data.data.rates;
-    let convertedAmount;
-    let rate;
-
-    if (from === 'LKR' && to === 'USD') {
-      rate = rates.USD;
-      convertedAmount = amount * rate;
-    } else if (from === 'USD' && to === 'LKR') {
-      rate = 1 / rates.USD;
-      convertedAmount = amount * rate;
+    // Rates are relative to the base currency, so cross through it
+    const { rates } = await ExchangeRateService.getRates();
+    const fromRate = from === BASE_CURRENCY ? 1 : rates[from];
+    const toRate = to === BASE_CURRENCY ? 1 : rates[to];
+
+    if (!fromRate || !toRate) {
+      return res.status(503).json({
+        success: false,
+        message: `No exchange rate available for ${!fromRate ? from : to}`
+      });
     }
 
+    const rate = toRate / fromRate;
+    const convertedAmount = amount * rate;
+
     res.json({
       success: true,
       data: {
         originalAmount: amount,
-        convertedAmount: Math.round(convertedAmount * 100) / 100,
+        convertedAmount: roundAmount(convertedAmount, target),
         from,
         to,
         rate: Math.round(rate * 1000000) / 1000000
@@ -192,29 +99,79 @@ router.post('/convert', async (req, res) => {
   }
 });
 
+// @desc    Get historical exchange rates for a given date
+// @route   GET /api/currency/history?date=YYYY-MM-DD
+// @access  Private (Admin)
+router.get('/history', protect, async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A date in YYYY-MM-DD format is required'
+      });
+    }
+
+    const { effective, snapshots } =
+      await ExchangeRateService.getHistoricalRates(date);
+
+    if (!effective) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rates recorded on or before ${date}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        effective,
+        snapshots
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching historical exchange rates',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get supported currencies
 // @route   GET /api/currency/supported
 // @access  Public
-router.get('/supported', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      currencies: [
-        {
-          code: 'LKR',
-          name: 'Sri Lankan Rupee',
-          symbol: 'Rs.',
-          default: true
-        },
-        {
-          code: 'USD',
-          name: 'US Dollar',
-          symbol: '$',
-          default: false
-        }
-      ]
-    }
-  });
+router.get('/supported', async (req, res) => {
+  try {
+    const [settings, currencies] = await Promise.all([
+      Settings.getSettings(),
+      Settings.getSupportedCurrencies()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        base: BASE_CURRENCY,
+        currencies: currencies.map((currency) => ({
+          code: currency.code,
+          name: currency.name,
+          symbol: currency.symbol,
+          decimals: currency.decimals,
+          roundingIncrement: currency.roundingIncrement,
+          roundingMode: currency.roundingMode,
+          default: currency.code === settings.currency
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching supported currencies',
+      error: error.message
+    });
+  }
 });
 
 // @desc    Get currency API information
@@ -226,7 +183,9 @@ router.get('/', (req, res) => {
     message: 'Currency API',
     endpoints: {
       rates: '/api/currency/rates',
-      supported: '/api/currency/supported'
+      convert: '/api/currency/convert',
+      supported: '/api/currency/supported',
+      history: '/api/currency/history'
     }
   });
 });
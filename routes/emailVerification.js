@@ -2,10 +2,14 @@ const express = require("express");
 const router = express.Router();
 const crypto = require("crypto");
 const Order = require("../models/Order");
-const Settings = require("../models/Settings");
-const OutlookAccount = require("../models/OutlookAccount");
-const outlookService = require("../services/outlookService");
+const MailService = require("../services/mailService");
 const { body, validationResult } = require("express-validator");
+const { generateOrderAccessToken } = require("../middlewares/orderAccess");
+
+const SUPPORT_MAX_ATTEMPTS = 5;
+
+const hashSupportCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
 
 /**
  * @route   POST /api/email-verification/request
@@ -88,7 +92,7 @@ router.post(
 
       // Send verification email
       try {
-        await this.sendVerificationEmail(order, verificationMethod);
+        await router.sendVerificationEmail(order, verificationMethod);
       } catch (emailError) {
         console.error("Error sending verification email:", emailError);
         // Continue even if email sending fails
@@ -399,89 +403,247 @@ router.get("/status/:orderNumber", async (req, res) => {
 });
 
 /**
- * Send verification email using Outlook service
+ * @route   POST /api/email-verification/support/request
+ * @desc    Email a one-time code that opens the order's support tickets
+ * @access  Public
  */
-router.sendVerificationEmail = async function (order, method = "otp") {
-  try {
-    const settings = await Settings.findOne();
-    if (!settings || !settings.outlookEnabled) {
-      throw new Error("Outlook integration is not enabled");
-    }
+router.post(
+  "/support/request",
+  [
+    body("orderNumber")
+      .notEmpty()
+      .withMessage("Order number is required")
+      .trim(),
+    body("email")
+      .isEmail()
+      .withMessage("Valid email is required")
+      .normalizeEmail(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    // Get an active Outlook account for sending emails
-    const senderAccount = await OutlookAccount.findOne({
-      isActive: true,
-      syncStatus: { $ne: "error" },
-    });
+      const { orderNumber, email } = req.body;
 
-    if (!senderAccount) {
-      throw new Error("No active Outlook account available for sending emails");
-    }
+      const order = await Order.findOne({
+        orderNumber: orderNumber,
+        "customer.email": email,
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found or email does not match",
+        });
+      }
+
+      // One code per minute
+      const requestedAt = order.supportVerification?.requestedAt;
+      if (requestedAt && Date.now() - requestedAt.getTime() < 60 * 1000) {
+        return res.status(429).json({
+          success: false,
+          message: "Please wait a minute before requesting another code",
+        });
+      }
 
-    // Check if token is expired and refresh if needed
-    if (senderAccount.isTokenExpired()) {
-      await outlookService.refreshAccountToken(senderAccount);
+      const verificationCode = crypto.randomInt(100000, 999999).toString();
+      const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+
+      order.supportVerification = {
+        codeHash: hashSupportCode(verificationCode),
+        expiresAt: expiresAt,
+        attempts: 0,
+        requestedAt: new Date(),
+      };
+
+      await order.save();
+
+      try {
+        await router.sendVerificationEmail(order, "otp", { verificationCode });
+      } catch (emailError) {
+        console.error("Error sending support verification email:", emailError);
+      }
+
+      res.json({
+        success: true,
+        message: "Verification code sent to your email",
+        data: {
+          orderNumber: order.orderNumber,
+          expiresAt: expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error requesting support verification:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error requesting support verification",
+        error: error.message,
+      });
     }
+  }
+);
 
-    const verification = order.emailVerification;
-    let subject, body;
-
-    if (method === "otp") {
-      subject = `Email Verification Code - Order ${order.orderNumber}`;
-      body = `
-        <h2>Email Verification Required</h2>
-        <p>Dear ${order.customer.firstName || "Customer"},</p>
-        <p>To verify your email for order <strong>${
-          order.orderNumber
-        }</strong>, please use the following verification code:</p>
-        <div style="background-color: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
-          <h1 style="color: #333; font-size: 32px; margin: 0;">${
-            verification.verificationCode
-          }</h1>
-        </div>
-        <p>This code will expire in 15 minutes.</p>
-        <p>If you didn't request this verification, please ignore this email.</p>
-        <br>
-        <p>Best regards,<br>Zelyx Team</p>
-      `;
-    } else {
-      const verificationUrl = `${
-        process.env.CLIENT_URL || "http://localhost:3000"
-      }/email-verification/verify/${verification.verificationToken}`;
-      subject = `Verify Your Email - Order ${order.orderNumber}`;
-      body = `
-        <h2>Email Verification Required</h2>
-        <p>Dear ${order.customer.firstName || "Customer"},</p>
-        <p>To verify your email for order <strong>${
-          order.orderNumber
-        }</strong>, please click the link below:</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${verificationUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
-        </div>
-        <p>Or copy and paste this link in your browser:</p>
-        <p><a href="${verificationUrl}">${verificationUrl}</a></p>
-        <p>This link will expire in 15 minutes.</p>
-        <p>If you didn't request this verification, please ignore this email.</p>
-        <br>
-        <p>Best regards,<br>Zelyx Team</p>
-      `;
+/**
+ * @route   POST /api/email-verification/support/verify
+ * @desc    Exchange the emailed code for an order access token
+ * @access  Public
+ */
+router.post(
+  "/support/verify",
+  [
+    body("orderNumber")
+      .notEmpty()
+      .withMessage("Order number is required")
+      .trim(),
+    body("email")
+      .isEmail()
+      .withMessage("Valid email is required")
+      .normalizeEmail(),
+    body("verificationCode")
+      .notEmpty()
+      .withMessage("Verification code is required")
+      .isLength({ min: 6, max: 6 })
+      .withMessage("Verification code must be 6 digits")
+      .isNumeric()
+      .withMessage("Verification code must be numeric"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { orderNumber, email, verificationCode } = req.body;
+
+      const order = await Order.findOne({
+        orderNumber: orderNumber,
+        "customer.email": email,
+      }).select("+supportVerification.codeHash");
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found or email does not match",
+        });
+      }
+
+      const verification = order.supportVerification;
+      if (!verification || !verification.codeHash) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "No verification request found. Please request verification first.",
+        });
+      }
+
+      if (new Date() > verification.expiresAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Verification code has expired. Please request a new one.",
+        });
+      }
+
+      if (verification.attempts >= SUPPORT_MAX_ATTEMPTS) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Maximum verification attempts exceeded. Please request a new code.",
+        });
+      }
+
+      verification.attempts += 1;
+
+      const matches = crypto.timingSafeEqual(
+        Buffer.from(verification.codeHash, "hex"),
+        Buffer.from(hashSupportCode(verificationCode), "hex")
+      );
+      if (!matches) {
+        await order.save();
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+          data: {
+            attemptsRemaining: SUPPORT_MAX_ATTEMPTS - verification.attempts,
+          },
+        });
+      }
+
+      // Codes are single use
+      verification.codeHash = undefined;
+      verification.verifiedAt = new Date();
+      await order.save();
+
+      res.json({
+        success: true,
+        message: "Email verification successful",
+        data: {
+          orderNumber: order.orderNumber,
+          accessToken: generateOrderAccessToken(order),
+        },
+      });
+    } catch (error) {
+      console.error("Error verifying support code:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error verifying support code",
+        error: error.message,
+      });
     }
+  }
+);
 
-    await outlookService.sendEmail(
-      senderAccount.accessToken,
-      order.customer.email,
-      subject,
-      body,
-      true
-    );
-
-    console.log(
-      `Verification email sent to ${order.customer.email} for order ${order.orderNumber}`
-    );
-  } catch (error) {
-    console.error("Error sending verification email:", error);
-    throw error;
+/**
+ * Send verification email through MailService (the Outlook account unless
+ * another transport is configured); codes expire quickly, so a failed send
+ * is reported to the customer rather than retried
+ */
+router.sendVerificationEmail = async function (
+  order,
+  method = "otp",
+  verification = order.emailVerification
+) {
+  const variables = {
+    customerName: order.customer.firstName || "Customer",
+    orderNumber: order.orderNumber,
+  };
+  if (method === "otp") {
+    variables.verificationCode = verification.verificationCode;
+  } else {
+    variables.verificationUrl = `${
+      process.env.CLIENT_URL || "http://localhost:3000"
+    }/email-verification/verify/${verification.verificationToken}`;
   }
+
+  const result = await MailService.send(
+    {
+      template: method === "otp" ? "verification-code" : "verification-link",
+      to: order.customer.email,
+      category: "verification",
+      order: order._id,
+      variables,
+    },
+    { retry: false }
+  );
+  if (!result.sent) {
+    console.error("Error sending verification email:", result.error);
+    throw new Error(result.error || "Failed to send verification email");
+  }
+
+  console.log(
+    `Verification email sent to ${order.customer.email} for order ${order.orderNumber}`
+  );
 };
 
 module.exports = router;
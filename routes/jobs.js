@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const JobQueueService = require("../services/jobQueueService");
+const { protectCron } = require("../middlewares/cronAuth");
+
+// @desc    Queue due recurring jobs and run queued jobs for a while
+// @route   GET|POST /api/jobs/run
+// @access  Private (Cron secret)
+const runJobs = async (req, res) => {
+  try {
+    const maxJobs = parseInt(req.query.maxJobs) || undefined;
+    const result = await JobQueueService.tick({ maxJobs });
+
+    res.json({
+      success: true,
+      message: `Processed ${result.processed} jobs`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error running job queue:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running job queue",
+      error: error.message,
+    });
+  }
+};
+
+// Vercel Cron only sends GET requests
+router.get("/run", protectCron, runJobs);
+router.post("/run", protectCron, runJobs);
+
+module.exports = router;
@@ -2,9 +2,44 @@ const express = require("express");
 const router = express.Router();
 const Order = require("../models/Order");
 const Product = require("../models/Product");
+const InventoryAssignment = require("../models/InventoryAssignment");
 const Settings = require("../models/Settings");
+const ExchangeRateService = require("../services/exchangeRateService");
+const RenewalReminderService = require("../services/renewalReminderService");
+const JobQueueService = require("../services/jobQueueService");
+const BackorderService = require("../services/backorderService");
+const { roundAmount, formatAmount } = require("../utils/currency");
 const { validateOrder } = require("../middlewares/validation");
 
+// Fields of delivered inventory a customer may see
+const CUSTOMER_INVENTORY_FIELDS =
+  "product accountCredentials expirationDate seats";
+
+/**
+ * An order's active assignments, keyed by inventory ID. Inventory with an
+ * entry but no active assignments was revoked from the order; inventory
+ * without an entry was delivered before assignments were recorded.
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Map} inventory ID -> active assignments
+ */
+async function getActiveAssignmentsByInventory(orderId) {
+  const assignments = await InventoryAssignment.find({ order: orderId }).select(
+    "inventory seat status"
+  );
+
+  const byInventory = new Map();
+  for (const assignment of assignments) {
+    const inventoryId = assignment.inventory.toString();
+    if (!byInventory.has(inventoryId)) {
+      byInventory.set(inventoryId, []);
+    }
+    if (assignment.status === "active") {
+      byInventory.get(inventoryId).push(assignment);
+    }
+  }
+  return byInventory;
+}
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Public
@@ -15,11 +50,35 @@ router.post("/", validateOrder, async (req, res) => {
       customer,
       items,
       currency = "LKR",
-      exchangeRate = 1,
       notes,
       paymentMethod = "credit_card",
+      renewalToken,
     } = req.body;
 
+    const currencyRule = (await Settings.getSupportedCurrencies()).find(
+      (supported) => supported.code === currency
+    );
+    if (!currencyRule) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${currency} is not supported`,
+        errorCode: "UNSUPPORTED_CURRENCY",
+      });
+    }
+
+    // Price with the server-held rate, never one supplied by the client
+    let rateSnapshot;
+    try {
+      rateSnapshot = await ExchangeRateService.getOrderRateSnapshot(currency);
+    } catch (rateError) {
+      return res.status(503).json({
+        success: false,
+        message: rateError.message,
+        errorCode: rateError.code,
+      });
+    }
+    const exchangeRate = rateSnapshot.rate;
+
     // Validate and calculate order totals
     let subtotal = 0;
     const orderItems = [];
@@ -42,73 +101,49 @@ router.post("/", validateOrder, async (req, res) => {
         });
       }
 
-      if (product.availability < item.quantity) {
+      // Auto-delivery products are checked against free inventory below
+      if (!product.autoDelivery && product.availability < item.quantity) {
         return res.status(400).json({
           success: false,
           message: `Insufficient stock for ${product.title}. Available: ${product.availability}, Requested: ${item.quantity}`,
         });
       }
 
-      // For auto-delivery products, check inventory availability using assignment-based system
+      // For auto-delivery products, check free inventory slots; products
+      // taking backorders accept the line and deliver it after a restock
+      let backorder = null;
       if (product.autoDelivery) {
-        const Inventory = require("../models/Inventory");
-
-        // Use the same logic as AutoDeliveryService for accurate availability count
-        const availableInventoryResult = await Inventory.aggregate([
-          {
-            $match: {
-              product: product._id,
-              status: "available",
-            },
-          },
-          {
-            $lookup: {
-              from: "inventoryassignments",
-              localField: "_id",
-              foreignField: "inventory",
-              as: "assignments",
-            },
-          },
-          {
-            $addFields: {
-              activeAssignments: {
-                $size: {
-                  $filter: {
-                    input: "$assignments",
-                    cond: { $eq: ["$$this.status", "active"] },
-                  },
-                },
-              },
-            },
-          },
-          {
-            $match: {
-              $expr: {
-                $lt: ["$activeAssignments", "$maxAssignments"],
-              },
-            },
-          },
-          {
-            $count: "availableCount",
-          },
-        ]);
-
+        const AutoDeliveryService = require("../services/autoDeliveryService");
         const availableInventoryCount =
-          availableInventoryResult[0]?.availableCount || 0;
+          await AutoDeliveryService.getAvailableInventoryCount(product._id);
 
         if (availableInventoryCount < item.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient inventory for auto-delivery product ${product.title}. Available inventory: ${availableInventoryCount}, Requested: ${item.quantity}`,
-          });
+          backorder = await BackorderService.checkBackorder(
+            product,
+            item.quantity
+          );
+          if (!backorder.allowed && product.backorder?.enabled) {
+            return res.status(400).json({
+              success: false,
+              message: backorder.error,
+              errorCode: "BACKORDER_LIMIT_REACHED",
+            });
+          }
+          if (!backorder.allowed) {
+            return res.status(400).json({
+              success: false,
+              message: `Insufficient inventory for auto-delivery product ${product.title}. Available inventory: ${availableInventoryCount}, Requested: ${item.quantity}`,
+            });
+          }
         }
       }
 
-      // Calculate price based on currency
-      let itemPrice = product.price;
-      if (currency === "USD") {
-        itemPrice = product.price * exchangeRate;
-      }
+      // Per-currency override, or the converted and rounded base price
+      const itemPrice = product.getPriceIn(
+        currency,
+        exchangeRate,
+        currencyRule
+      );
 
       const orderItem = {
         product: product._id,
@@ -122,6 +157,11 @@ router.post("/", validateOrder, async (req, res) => {
         accountCredentials: "", // Will be populated during delivery from Inventory
         autoDelivery: product.autoDelivery || false,
       };
+      if (backorder) {
+        orderItem.backordered = true;
+        orderItem.backorderedAt = new Date();
+        orderItem.estimatedFulfillmentAt = backorder.estimatedFulfillmentAt;
+      }
 
       orderItems.push(orderItem);
       subtotal += itemPrice * item.quantity;
@@ -130,9 +170,12 @@ router.post("/", validateOrder, async (req, res) => {
     // Get settings for tax calculation
     const settings = await Settings.getSettings();
 
-    // Calculate tax based on settings
-    const tax = settings.taxEnabled ? (subtotal * settings.taxRate) / 100 : 0;
-    const total = subtotal + tax;
+    // Calculate tax based on settings, rounded with the currency's rule
+    subtotal = roundAmount(subtotal, currencyRule);
+    const tax = settings.taxEnabled
+      ? roundAmount((subtotal * settings.taxRate) / 100, currencyRule)
+      : 0;
+    const total = roundAmount(subtotal + tax, currencyRule);
 
     // Create order (order number will be generated automatically by the model)
     const orderData = {
@@ -143,6 +186,8 @@ router.post("/", validateOrder, async (req, res) => {
       total,
       currency,
       exchangeRate,
+      exchangeRateSource: rateSnapshot.source,
+      exchangeRateAt: rateSnapshot.timestamp,
       notes,
       paymentMethod,
     };
@@ -160,29 +205,44 @@ router.post("/", validateOrder, async (req, res) => {
 
     await order.save();
 
+    // Credit the renewal reminder the customer came from
+    if (renewalToken) {
+      try {
+        await RenewalReminderService.recordConversion(renewalToken, order);
+      } catch (renewalError) {
+        console.error("Failed to record renewal conversion:", renewalError);
+      }
+    }
+
     // Send order initialized email
-    const CustomerNotificationService = require("../services/customerNotificationService");
     try {
-      await CustomerNotificationService.sendOrderInitializedEmail(order);
+      await JobQueueService.dispatch("email.order", {
+        template: "orderInitialized",
+        orderId: order._id,
+      });
     } catch (emailError) {
       console.error("Failed to send order initialized email:", emailError);
       // Continue without failing order creation
     }
 
-    // Update product availability
-    for (const item of items) {
+    // Update product availability; auto-delivery products derive theirs
+    // from inventory when slots are claimed
+    for (const item of orderItems) {
+      if (item.autoDelivery) continue;
       await Product.findByIdAndUpdate(item.product, {
         $inc: { availability: -item.quantity },
       });
     }
 
-    // Import AutoDeliveryService for automatic delivery
-    const AutoDeliveryService = require("../services/autoDeliveryService");
-
-    // Trigger automatic delivery if order is paid (for immediate payments)
+    // Trigger automatic delivery if order is paid (for immediate payments);
+    // the queue retries failures
     if (order.paymentStatus === "paid") {
       try {
-        await AutoDeliveryService.processAutoDelivery(order._id);
+        await JobQueueService.dispatch(
+          "delivery.process",
+          { orderId: order._id },
+          { dedupeKey: `delivery:${order._id}` }
+        );
         console.log(`Auto-delivery triggered for order ${order.orderNumber}`);
       } catch (deliveryError) {
         console.error(
@@ -206,7 +266,9 @@ router.post("/", validateOrder, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Order placed successfully",
+      message: orderItems.some((item) => item.backordered)
+        ? "Order placed successfully; some items are on backorder"
+        : "Order placed successfully",
       data: order,
     });
   } catch (error) {
@@ -220,6 +282,35 @@ router.post("/", validateOrder, async (req, res) => {
   }
 });
 
+// @desc    Get the details to pre-fill a renewal order
+// @route   GET /api/orders/renewal/:token
+// @access  Public
+router.get("/renewal/:token", async (req, res) => {
+  try {
+    const prefill = await RenewalReminderService.getRenewalPrefill(
+      req.params.token
+    );
+
+    if (!prefill) {
+      return res.status(404).json({
+        success: false,
+        message: "Renewal link not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: prefill,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error loading renewal",
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Get order by order number
 // @route   GET /api/orders/:orderNumber
 // @access  Public
@@ -238,6 +329,7 @@ router.get("/:orderNumber", async (req, res) => {
       })
       .populate({
         path: "deliveredInventory",
+        select: CUSTOMER_INVENTORY_FIELDS,
         populate: {
           path: "product",
           select: "title",
@@ -251,9 +343,38 @@ router.get("/:orderNumber", async (req, res) => {
       });
     }
 
+    // Only the seats this order holds; shared accounts carry the profiles
+    // and PINs of other customers
+    const assignments = await getActiveAssignmentsByInventory(order._id);
+    const data = order.toJSON();
+    data.deliveredInventory = order.deliveredInventory
+      .filter((inventory) => {
+        const active = assignments.get(inventory._id.toString());
+        return !active || active.length > 0;
+      })
+      .map((inventory) => {
+        const seatNumbers = (
+          assignments.get(inventory._id.toString()) || []
+        ).map((assignment) => assignment.seat);
+        return {
+          _id: inventory._id,
+          product: inventory.product,
+          accountCredentials: inventory.accountCredentials,
+          expirationDate: inventory.expirationDate,
+          seats: inventory.seats
+            .filter((seat) => seatNumbers.includes(seat.number))
+            .map((seat) => ({
+              number: seat.number,
+              profileName: seat.profileName,
+              pin: seat.pin,
+              credentials: seat.credentials,
+            })),
+        };
+      });
+
     res.json({
       success: true,
-      data: order,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -269,7 +390,7 @@ router.get("/:orderNumber", async (req, res) => {
 // @access  Public
 router.post("/calculate", async (req, res) => {
   try {
-    const { items, currency = "LKR", exchangeRate = 1 } = req.body;
+    const { items, currency = "LKR" } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
@@ -278,6 +399,29 @@ router.post("/calculate", async (req, res) => {
       });
     }
 
+    const currencyRule = (await Settings.getSupportedCurrencies()).find(
+      (supported) => supported.code === currency
+    );
+    if (!currencyRule) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency ${currency} is not supported`,
+        errorCode: "UNSUPPORTED_CURRENCY",
+      });
+    }
+
+    let rateSnapshot;
+    try {
+      rateSnapshot = await ExchangeRateService.getOrderRateSnapshot(currency);
+    } catch (rateError) {
+      return res.status(503).json({
+        success: false,
+        message: rateError.message,
+        errorCode: rateError.code,
+      });
+    }
+    const exchangeRate = rateSnapshot.rate;
+
     let subtotal = 0;
     const calculatedItems = [];
 
@@ -298,25 +442,39 @@ router.post("/calculate", async (req, res) => {
         });
       }
 
+      // Out-of-stock products taking backorders are quoted with an estimate
+      let backorder = null;
       if (product.availability < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.title}`,
-        });
+        backorder = await BackorderService.checkBackorder(
+          product,
+          item.quantity
+        );
+        if (!backorder.allowed) {
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for ${product.title}`,
+          });
+        }
       }
 
-      let itemPrice = product.price;
-      if (currency === "USD") {
-        itemPrice = product.price * exchangeRate;
-      }
+      const itemPrice = product.getPriceIn(
+        currency,
+        exchangeRate,
+        currencyRule
+      );
 
       const calculatedItem = {
         product: product._id,
         title: product.title,
         price: itemPrice,
         quantity: item.quantity,
-        total: itemPrice * item.quantity,
+        total: roundAmount(itemPrice * item.quantity, currencyRule),
       };
+      if (backorder) {
+        calculatedItem.backordered = true;
+        calculatedItem.estimatedFulfillmentAt =
+          backorder.estimatedFulfillmentAt;
+      }
 
       calculatedItems.push(calculatedItem);
       subtotal += itemPrice * item.quantity;
@@ -325,9 +483,12 @@ router.post("/calculate", async (req, res) => {
     // Get settings for tax calculation
     const settings = await Settings.getSettings();
 
-    // Calculate tax based on settings
-    const tax = settings.taxEnabled ? (subtotal * settings.taxRate) / 100 : 0;
-    const total = subtotal + tax;
+    // Calculate tax based on settings, rounded with the currency's rule
+    subtotal = roundAmount(subtotal, currencyRule);
+    const tax = settings.taxEnabled
+      ? roundAmount((subtotal * settings.taxRate) / 100, currencyRule)
+      : 0;
+    const total = roundAmount(subtotal + tax, currencyRule);
 
     res.json({
       success: true,
@@ -336,8 +497,11 @@ router.post("/calculate", async (req, res) => {
         subtotal,
         tax,
         total,
+        formattedTotal: formatAmount(total, currency),
         currency,
         exchangeRate,
+        exchangeRateSource: rateSnapshot.source,
+        exchangeRateAt: rateSnapshot.timestamp,
         deliveryMessage: settings.deliveryMessage,
       },
     });
@@ -449,6 +613,7 @@ router.get("/:orderNumber/current-credentials", async (req, res) => {
     })
       .populate({
         path: "deliveredInventory",
+        select: CUSTOMER_INVENTORY_FIELDS,
         populate: {
           path: "product",
           select: "title",
@@ -470,10 +635,18 @@ router.get("/:orderNumber/current-credentials", async (req, res) => {
     const currentCredentials = [];
 
     if (order.deliveredInventory && order.deliveredInventory.length > 0) {
+      const assignments = await getActiveAssignmentsByInventory(order._id);
+
       // Group inventory items by product
       const inventoryByProduct = {};
 
       for (const inventoryItem of order.deliveredInventory) {
+        // Revoked from this order (refunded or replaced): nothing to show
+        const active = assignments.get(inventoryItem._id.toString());
+        if (active && active.length === 0) {
+          continue;
+        }
+
         const productId = inventoryItem.product._id.toString();
         if (!inventoryByProduct[productId]) {
           inventoryByProduct[productId] = {
@@ -482,7 +655,16 @@ router.get("/:orderNumber/current-credentials", async (req, res) => {
           };
         }
 
-        if (inventoryItem.accountCredentials) {
+        const seats = (active || []).filter(
+          (assignment) => assignment.seat != null
+        );
+        if (seats.length > 0) {
+          for (const assignment of seats) {
+            inventoryByProduct[productId].credentials.push(
+              inventoryItem.getSeatCredentials(assignment.seat)
+            );
+          }
+        } else if (inventoryItem.accountCredentials) {
           inventoryByProduct[productId].credentials.push(
             inventoryItem.accountCredentials
           );
@@ -2,26 +2,17 @@ const express = require("express");
 const router = express.Router();
 const PaymentService = require("../services/PaymentService");
 const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const CryptoPayment = require("../models/CryptoPayment");
+const CryptoPaymentService = require("../services/cryptoPaymentService");
+const PaymentEventService = require("../services/paymentEventService");
+const RefundService = require("../services/refundService");
+const {
+  getChainWatcher,
+  MockChainWatcher,
+} = require("../services/chainWatchers");
 const { protect } = require("../middlewares/auth");
-const multer = require("multer");
-const path = require("path");
-
-// Configure multer for receipt uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/receipts/");
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      req.params.orderNumber +
-        "-" +
-        uniqueSuffix +
-        path.extname(file.originalname)
-    );
-  },
-});
+const upload = require("../middlewares/receiptUpload");
 
 // @desc    Upload appeal receipt after payment decline
 // @route   POST /api/payments/appeal-receipt/:orderNumber
@@ -117,24 +108,6 @@ router.post("/appeal-receipt/:orderNumber", (req, res) => {
   });
 });
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    // Accept images and PDFs
-    if (
-      file.mimetype.startsWith("image/") ||
-      file.mimetype === "application/pdf"
-    ) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files and PDFs are allowed!"), false);
-    }
-  },
-});
-
 // @desc    Upload payment receipt for bank deposit
 // @route   POST /api/payments/upload-receipt/:orderNumber
 // @access  Public
@@ -231,20 +204,32 @@ router.post("/upload-receipt/:orderNumber", (req, res) => {
 // @access  Public
 router.post("/create-intent", async (req, res) => {
   try {
-    const { amount, currency, customerEmail } = req.body;
+    const { orderNumber } = req.body;
 
-    if (!amount) {
+    if (!orderNumber) {
       return res.status(400).json({
         success: false,
-        message: "Amount is required",
+        message: "Order number is required",
       });
     }
 
-    const result = await PaymentService.createPaymentIntent({
-      amount,
-      currency,
-      customerEmail,
-    });
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.paymentStatus === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already paid",
+      });
+    }
+
+    // The amount always comes from the order, never from the client
+    const result = await PaymentService.createPaymentIntent(order);
 
     if (!result.success) {
       return res.status(400).json({
@@ -258,6 +243,8 @@ router.post("/create-intent", async (req, res) => {
       success: true,
       clientSecret: result.clientSecret,
       paymentIntentId: result.paymentIntentId,
+      amount: order.total,
+      currency: order.currency,
     });
   } catch (error) {
     console.error("Error creating payment intent:", error);
@@ -269,34 +256,83 @@ router.post("/create-intent", async (req, res) => {
   }
 });
 
-// @desc    Confirm payment
+// @desc    Confirm Stripe payment for an order
 // @route   POST /api/payments/confirm
 // @access  Public
 router.post("/confirm", async (req, res) => {
   try {
-    const { transactionId, paymentMethod, amount, customerEmail } = req.body;
+    const { orderNumber, paymentIntentId } = req.body;
 
-    if (!transactionId) {
+    if (!orderNumber || !paymentIntentId) {
       return res.status(400).json({
         success: false,
-        message: "Transaction ID is required",
+        message: "Order number and payment intent ID are required",
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.paymentInfo?.paymentIntentId !== paymentIntentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment intent does not belong to this order",
+        errorCode: "PAYMENT_INTENT_MISMATCH",
+      });
+    }
+
+    // Check the intent with Stripe rather than trusting the client
+    const paymentIntent = await PaymentService.retrievePaymentIntent(
+      paymentIntentId
+    );
+    const mismatch = PaymentService.getStripeIntentMismatch(
+      paymentIntent,
+      order,
+      await Settings.getSupportedCurrencies()
+    );
+    if (mismatch) {
+      return res.status(400).json({
+        success: false,
+        message: mismatch,
+        errorCode:
+          paymentIntent.status === "succeeded"
+            ? "PAYMENT_AMOUNT_MISMATCH"
+            : "PAYMENT_NOT_COMPLETED",
+      });
+    }
+
+    const result = await PaymentService.handleSuccessfulPayment(order._id, {
+      transactionId: paymentIntent.id,
+      paymentMethod: "stripe",
+      amount: order.total,
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Failed to process payment",
+        error: result.error,
       });
     }
 
-    // For now, just return success - the actual order creation and payment confirmation
-    // will happen in the checkout flow after payment is successful
     res.json({
       success: true,
-      transactionId,
-      paymentMethod,
-      amount,
-      customerEmail,
+      transactionId: paymentIntent.id,
+      paymentMethod: "stripe",
+      paymentStatus: result.order.paymentStatus,
+      order: result.order,
     });
   } catch (error) {
     console.error("Error confirming payment:", error);
     res.status(500).json({
       success: false,
       message: "Failed to confirm payment",
+      error: error.message,
     });
   }
 });
@@ -342,38 +378,66 @@ router.post("/bank-deposit", async (req, res) => {
   }
 });
 
-// @desc    Process Cryptocurrency payment
+// @desc    Start cryptocurrency payment for an order
 // @route   POST /api/payments/cryptocurrency
 // @access  Public
 router.post("/cryptocurrency", async (req, res) => {
   try {
-    const { orderId, amount, customerEmail, cryptoType, walletAddress } =
-      req.body;
+    const { orderId, cryptoType } = req.body;
 
-    if (!orderId || !amount) {
+    if (!orderId || !cryptoType) {
       return res.status(400).json({
         success: false,
-        message: "Order ID and amount are required",
+        message: "Order ID and cryptocurrency type are required",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
       });
     }
 
-    // Generate transaction ID for cryptocurrency
-    const transactionId = `crypto_${cryptoType || "btc"}_${Date.now()}`;
+    if (order.paymentStatus === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already paid",
+      });
+    }
 
-    // For crypto, payment status is pending until blockchain confirmation
-    const paymentStatus = "pending";
+    let payment;
+    try {
+      payment = await CryptoPaymentService.createPayment(order, cryptoType);
+    } catch (cryptoError) {
+      if (!cryptoError.code) {
+        throw cryptoError;
+      }
+      return res
+        .status(cryptoError.code === "CRYPTO_NOT_CONFIGURED" ? 503 : 400)
+        .json({
+          success: false,
+          message: cryptoError.message,
+          errorCode: cryptoError.code,
+        });
+    }
 
     res.json({
       success: true,
-      transactionId,
-      paymentMethod: "cryptocurrency",
-      paymentStatus,
-      amount,
-      customerEmail,
-      cryptoType: cryptoType || "bitcoin",
-      walletAddress,
-      message:
-        "Cryptocurrency payment initiated. Awaiting blockchain confirmation.",
+      paymentMethod: "crypto",
+      paymentStatus: payment.status,
+      cryptoType: payment.asset,
+      depositAddress: payment.depositAddress,
+      memo: payment.memo,
+      amount: payment.expectedAmount,
+      requiredConfirmations: payment.requiredConfirmations,
+      expiresAt: payment.expiresAt,
+      message: `Send exactly ${payment.expectedAmount} ${payment.asset}${
+        payment.memo ? ` with memo ${payment.memo}` : ""
+      }. Your order is confirmed automatically after ${
+        payment.requiredConfirmations
+      } confirmations.`,
     });
   } catch (error) {
     console.error("Error processing cryptocurrency payment:", error);
@@ -385,12 +449,159 @@ router.post("/cryptocurrency", async (req, res) => {
   }
 });
 
-// @desc    Process PayPal payment
+// @desc    Check cryptocurrency payment status on-chain
+// @route   GET /api/payments/cryptocurrency/:orderId/status
+// @access  Public
+router.get("/cryptocurrency/:orderId/status", async (req, res) => {
+  try {
+    let payment = await CryptoPayment.findOne({
+      order: req.params.orderId,
+    }).sort({ createdAt: -1 });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "No cryptocurrency payment found for this order",
+      });
+    }
+
+    payment = await CryptoPaymentService.checkPayment(payment);
+
+    res.json({
+      success: true,
+      data: {
+        status: payment.status,
+        cryptoType: payment.asset,
+        depositAddress: payment.depositAddress,
+        memo: payment.memo,
+        expectedAmount: payment.expectedAmount,
+        receivedAmount: payment.receivedAmount,
+        pendingAmount: payment.pendingAmount,
+        overpaidAmount: payment.overpaidAmount,
+        requiredConfirmations: payment.requiredConfirmations,
+        transfers: payment.transfers,
+        expiresAt: payment.expiresAt,
+        paidAt: payment.paidAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error checking cryptocurrency payment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check cryptocurrency payment",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Simulate a transfer on the mock chain
+// @route   POST /api/payments/cryptocurrency/mock/transfer
+// @access  Private (Admin)
+router.post("/cryptocurrency/mock/transfer", protect, async (req, res) => {
+  try {
+    const watcher = getChainWatcher();
+    if (!(watcher instanceof MockChainWatcher)) {
+      return res.status(404).json({
+        success: false,
+        message: "Mock chain is not enabled",
+      });
+    }
+
+    const { address, memo, amount, confirmations, txHash } = req.body;
+
+    // Either add confirmations to an existing transfer or send a new one
+    if (txHash) {
+      const transfer = watcher.confirm(txHash, confirmations || 1);
+      return res.json({ success: true, data: transfer });
+    }
+
+    if (!address || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: "Address and amount are required",
+      });
+    }
+
+    const newTxHash = watcher.sendTransfer({
+      address,
+      memo,
+      amount,
+      confirmations: confirmations || 0,
+    });
+
+    res.json({
+      success: true,
+      data: { txHash: newTxHash },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: "Failed to simulate transfer",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Create PayPal order for an existing order
+// @route   POST /api/payments/paypal/create-order
+// @access  Public
+router.post("/paypal/create-order", async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    if (!orderId) {
+      return res.status(400).json({
+        success: false,
+        message: "Order ID is required",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.paymentStatus === "paid") {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already paid",
+      });
+    }
+
+    const result = await PaymentService.createPayPalOrder(order);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Failed to create PayPal order",
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      paypalOrderId: result.paypalOrderId,
+      approveUrl: result.approveUrl,
+    });
+  } catch (error) {
+    console.error("Error creating PayPal order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Capture and verify PayPal payment
 // @route   POST /api/payments/paypal
 // @access  Public
 router.post("/paypal", async (req, res) => {
   try {
-    const { orderId, paypalOrderId, amount } = req.body;
+    const { orderId, paypalOrderId } = req.body;
 
     if (!orderId || !paypalOrderId) {
       return res.status(400).json({
@@ -408,11 +619,21 @@ router.post("/paypal", async (req, res) => {
       });
     }
 
-    // Process PayPal payment
+    if (
+      order.paymentStatus === "paid" &&
+      order.paymentInfo?.paypalOrderId === paypalOrderId
+    ) {
+      return res.json({
+        success: true,
+        message: "PayPal payment already processed",
+        order,
+      });
+    }
+
+    // Capture with PayPal and check amount and currency against the order
     const paypalResult = await PaymentService.processPayPalPayment({
-      orderId,
+      order,
       paypalOrderId,
-      amount,
     });
 
     if (!paypalResult.success) {
@@ -420,6 +641,7 @@ router.post("/paypal", async (req, res) => {
         success: false,
         message: "PayPal payment failed",
         error: paypalResult.error,
+        errorCode: paypalResult.errorCode,
       });
     }
 
@@ -427,7 +649,7 @@ router.post("/paypal", async (req, res) => {
     const result = await PaymentService.handleSuccessfulPayment(orderId, {
       transactionId: paypalResult.transactionId,
       paymentMethod: "paypal",
-      amount,
+      amount: paypalResult.amount,
     });
 
     if (!result.success) {
@@ -453,6 +675,94 @@ router.post("/paypal", async (req, res) => {
   }
 });
 
+// @desc    Handle PayPal webhooks
+// @route   POST /api/payments/webhook/paypal
+// @access  Public
+router.post("/webhook/paypal", async (req, res) => {
+  try {
+    const verification = await PaymentService.verifyPayPalWebhookSignature(
+      req.headers,
+      req.body
+    );
+    if (!verification.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    const event = verification.event;
+    const resource = event.resource || {};
+
+    switch (event.event_type) {
+      case "PAYMENT.CAPTURE.COMPLETED": {
+        const order = await Order.findById(resource.custom_id);
+        if (!order || order.paymentStatus === "paid") {
+          break;
+        }
+
+        const mismatch = PaymentService.getPayPalCaptureMismatch(
+          resource,
+          order,
+          resource.supplementary_data?.related_ids?.order_id,
+          await Settings.getSupportedCurrencies()
+        );
+        if (mismatch) {
+          console.error(
+            `PayPal capture ${resource.id} rejected for order ${order.orderNumber}: ${mismatch}`
+          );
+          break;
+        }
+
+        await PaymentService.handleSuccessfulPayment(order._id, {
+          transactionId: resource.id,
+          paymentMethod: "paypal",
+          amount: parseFloat(resource.amount.value),
+        });
+        break;
+      }
+
+      case "PAYMENT.CAPTURE.DENIED":
+        if (resource.custom_id) {
+          await PaymentService.handleFailedPayment(resource.custom_id, {
+            reason: "PayPal capture denied",
+          });
+        }
+        break;
+
+      case "PAYMENT.CAPTURE.REFUNDED": {
+        // The refund resource links back to the capture it refunds
+        const captureLink = resource.links?.find((link) => link.rel === "up");
+        const captureId = captureLink?.href?.split("/").pop();
+        if (captureId) {
+          await Order.findOneAndUpdate(
+            { "paymentInfo.transactionId": captureId },
+            {
+              paymentStatus: "refunded",
+              "paymentInfo.refundId": resource.id,
+              "paymentInfo.refundedAt": new Date(),
+              "paymentInfo.refundAmount": parseFloat(resource.amount?.value),
+            }
+          );
+        }
+        break;
+      }
+
+      default:
+        console.log(`Unhandled PayPal event type: ${event.event_type}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error("Error handling PayPal webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: "Webhook processing failed",
+      error: error.message,
+    });
+  }
+});
+
 // @desc    Handle Stripe webhooks
 // @route   POST /api/payments/webhook/stripe
 // @access  Public
@@ -462,7 +772,8 @@ router.post(
   async (req, res) => {
     try {
       const signature = req.headers["stripe-signature"];
-      const payload = req.body;
+      // The global JSON parser keeps the raw bytes the signature covers
+      const payload = req.rawBody || req.body;
 
       // Verify webhook signature
       const verification = PaymentService.verifyWebhookSignature(
@@ -476,37 +787,24 @@ router.post(
         });
       }
 
-      const event = verification.event;
-
-      // Handle different event types
-      switch (event.type) {
-        case "payment_intent.succeeded":
-          const paymentIntent = event.data.object;
-          const orderId = paymentIntent.metadata.orderId;
-
-          if (orderId) {
-            await PaymentService.handleSuccessfulPayment(orderId, {
-              transactionId: paymentIntent.id,
-              paymentMethod: "stripe",
-              amount: paymentIntent.amount / 100, // Convert from cents
-            });
-          }
-          break;
+      // Store the event once; Stripe retries are acknowledged without
+      // acting on them again
+      const { paymentEvent, duplicate } =
+        await PaymentEventService.recordStripeEvent(verification.event);
 
-        case "payment_intent.payment_failed":
-          const failedPayment = event.data.object;
-          const failedOrderId = failedPayment.metadata.orderId;
+      if (duplicate && !["received", "failed"].includes(paymentEvent.status)) {
+        return res.json({ received: true, duplicate: true });
+      }
 
-          if (failedOrderId) {
-            await PaymentService.handleFailedPayment(failedOrderId, {
-              reason:
-                failedPayment.last_payment_error?.message || "Payment failed",
-            });
-          }
-          break;
+      const processed = await PaymentEventService.processEvent(paymentEvent);
 
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
+      // A failed event gets a 500 so Stripe delivers it again
+      if (processed.status === "failed") {
+        return res.status(500).json({
+          success: false,
+          message: "Webhook processing failed",
+          error: processed.lastError,
+        });
       }
 
       res.json({ received: true });
@@ -526,7 +824,7 @@ router.post(
 // @access  Private (Admin)
 router.post("/refund", protect, async (req, res) => {
   try {
-    const { orderId, amount, reason } = req.body;
+    const { orderId, amount, reason, items, releaseInventory } = req.body;
 
     if (!orderId) {
       return res.status(400).json({
@@ -535,6 +833,42 @@ router.post("/refund", protect, async (req, res) => {
       });
     }
 
+    // Item-level refund: [{ itemId, quantity }] also revokes credentials
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Items must be a non-empty array of { itemId, quantity }",
+        });
+      }
+
+      const itemRefund = await RefundService.refundItems(orderId, items, {
+        reason,
+        releaseInventory,
+        processedBy: req.user.email,
+      });
+
+      if (!itemRefund.success) {
+        return res.status(itemRefund.statusCode || 400).json({
+          success: false,
+          message: "Failed to process refund",
+          error: itemRefund.error,
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: itemRefund.fullyRefunded
+          ? "Order fully refunded"
+          : "Partial refund processed successfully",
+        refundId: itemRefund.refundId,
+        amount: itemRefund.amount,
+        revokedAssignments: itemRefund.revokedAssignments,
+        releasedSlots: itemRefund.releasedSlots,
+        order: itemRefund.order,
+      });
+    }
+
     // Get order and verify payment info
     const order = await Order.findById(orderId);
     if (!order) {
@@ -558,9 +892,9 @@ router.post("/refund", protect, async (req, res) => {
       });
     }
 
-    // Process refund
-    const refundResult = await PaymentService.processRefund(
-      order.paymentInfo.transactionId,
+    // Process refund with the provider that took the payment
+    const refundResult = await PaymentService.refundOrderPayment(
+      order,
       amount || order.total,
       reason
     );
@@ -0,0 +1,236 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const Subscription = require("../models/Subscription");
+const SubscriptionService = require("../services/subscriptionService");
+const { protectOrder } = require("../middlewares/orderAccess");
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// Subscriptions belong to the verified customer's email
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      subscriptionId: req.params.subscriptionId,
+      "customer.email": req.order.customer.email,
+    });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching subscription",
+      error: error.message,
+    });
+  }
+};
+
+const sendResult = (res, result, message) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 400).json({
+      success: false,
+      message: result.error,
+      errorCode: result.errorCode,
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    data: result.subscription,
+  });
+};
+
+// @desc    Subscribe to an item of a paid order
+// @route   POST /api/subscriptions
+// @access  Private (verified order email)
+router.post(
+  "/",
+  protectOrder,
+  [
+    body("itemId").notEmpty().withMessage("Order item is required"),
+    body("interval")
+      .isIn(["week", "month", "quarter", "year"])
+      .withMessage("Interval must be week, month, quarter or year"),
+    body("paymentMethod")
+      .isIn(["stripe", "bank_deposit"])
+      .withMessage("Payment method must be stripe or bank_deposit"),
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await SubscriptionService.createFromOrder(
+        req.order,
+        req.body
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+          errorCode: result.errorCode,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          result.subscription.status === "incomplete"
+            ? "Confirm your card to activate the subscription"
+            : "Subscription created",
+        data: result.subscription,
+        clientSecret: result.clientSecret,
+      });
+    } catch (error) {
+      console.error("Error creating subscription:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error creating subscription",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    List the customer's subscriptions
+// @route   GET /api/subscriptions
+// @access  Private (verified order email)
+router.get("/", protectOrder, async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({
+      "customer.email": req.order.customer.email,
+    })
+      .select("-history -stripe")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching subscriptions",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Save the card confirmed through the setup intent
+// @route   POST /api/subscriptions/:subscriptionId/payment-method
+// @access  Private (verified order email)
+router.post(
+  "/:subscriptionId/payment-method",
+  protectOrder,
+  loadSubscription,
+  [body("setupIntentId").notEmpty().withMessage("Setup intent is required")],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await SubscriptionService.savePaymentMethod(
+        req.subscription,
+        req.body.setupIntentId
+      );
+      sendResult(res, result, "Card saved for renewals");
+    } catch (error) {
+      console.error("Error saving subscription card:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error saving card",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Pause renewals
+// @route   POST /api/subscriptions/:subscriptionId/pause
+// @access  Private (verified order email)
+router.post(
+  "/:subscriptionId/pause",
+  protectOrder,
+  loadSubscription,
+  async (req, res) => {
+    try {
+      const result = await SubscriptionService.pause(
+        req.subscription,
+        req.order.customer.email
+      );
+      sendResult(res, result, "Subscription paused");
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error pausing subscription",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Resume renewals
+// @route   POST /api/subscriptions/:subscriptionId/resume
+// @access  Private (verified order email)
+router.post(
+  "/:subscriptionId/resume",
+  protectOrder,
+  loadSubscription,
+  async (req, res) => {
+    try {
+      const result = await SubscriptionService.resume(
+        req.subscription,
+        req.order.customer.email
+      );
+      sendResult(res, result, "Subscription resumed");
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error resuming subscription",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    Cancel renewals; access lasts until the period ends
+// @route   POST /api/subscriptions/:subscriptionId/cancel
+// @access  Private (verified order email)
+router.post(
+  "/:subscriptionId/cancel",
+  protectOrder,
+  loadSubscription,
+  async (req, res) => {
+    try {
+      const result = await SubscriptionService.cancel(req.subscription, {
+        reason: req.body.reason,
+        by: req.order.customer.email,
+      });
+      sendResult(res, result, "Subscription canceled");
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error canceling subscription",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
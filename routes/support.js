@@ -0,0 +1,211 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const SupportTicket = require("../models/SupportTicket");
+const SupportTicketService = require("../services/supportTicketService");
+const { protectOrder } = require("../middlewares/orderAccess");
+const receiptUpload = require("../middlewares/receiptUpload");
+
+// Up to three screenshots or PDFs per message, stored with the receipts
+const uploadAttachments = (req, res, next) => {
+  req.receiptFilePrefix = `ticket-${req.order.orderNumber}`;
+  receiptUpload.array("attachments", 3)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+    next();
+  });
+};
+
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// @desc    Open a support ticket for a delivered order item
+// @route   POST /api/support/tickets
+// @access  Private (verified order email)
+router.post(
+  "/tickets",
+  protectOrder,
+  uploadAttachments,
+  [
+    body("itemId").notEmpty().withMessage("Order item is required"),
+    body("assignmentId").optional().isMongoId(),
+    body("category")
+      .optional()
+      .isIn(["not_working", "wrong_credentials", "expired_early", "other"])
+      .withMessage("Invalid category"),
+    body("subject")
+      .trim()
+      .notEmpty()
+      .withMessage("Subject is required")
+      .isLength({ max: 200 })
+      .withMessage("Subject cannot exceed 200 characters"),
+    body("message")
+      .trim()
+      .notEmpty()
+      .withMessage("Message is required")
+      .isLength({ max: 5000 })
+      .withMessage("Message cannot exceed 5000 characters"),
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await SupportTicketService.createTicket(
+        req.order,
+        req.body,
+        SupportTicketService.toAttachments(req.files)
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Support ticket opened",
+        data: SupportTicketService.toCustomerView(result.ticket),
+      });
+    } catch (error) {
+      console.error("Error opening support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error opening support ticket",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @desc    List the order's support tickets
+// @route   GET /api/support/tickets
+// @access  Private (verified order email)
+router.get("/tickets", protectOrder, async (req, res) => {
+  try {
+    const tickets = await SupportTicket.find({ order: req.order._id })
+      .select(
+        "ticketNumber orderNumber itemTitle category subject status createdAt updatedAt resolution.action"
+      )
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: tickets,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching support tickets",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Get a support ticket with its messages
+// @route   GET /api/support/tickets/:ticketNumber
+// @access  Private (verified order email)
+router.get("/tickets/:ticketNumber", protectOrder, async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findOne({
+      ticketNumber: req.params.ticketNumber,
+      order: req.order._id,
+    });
+
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: "Support ticket not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: SupportTicketService.toCustomerView(ticket),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching support ticket",
+      error: error.message,
+    });
+  }
+});
+
+// @desc    Reply to a support ticket
+// @route   POST /api/support/tickets/:ticketNumber/messages
+// @access  Private (verified order email)
+router.post(
+  "/tickets/:ticketNumber/messages",
+  protectOrder,
+  uploadAttachments,
+  [
+    body("message")
+      .trim()
+      .notEmpty()
+      .withMessage("Message is required")
+      .isLength({ max: 5000 })
+      .withMessage("Message cannot exceed 5000 characters"),
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const ticket = await SupportTicket.findOne({
+        ticketNumber: req.params.ticketNumber,
+        order: req.order._id,
+      });
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: "Support ticket not found",
+        });
+      }
+
+      const result = await SupportTicketService.addMessage(
+        ticket,
+        {
+          author: "customer",
+          authorName: req.order.customer.email,
+          body: req.body.message,
+        },
+        SupportTicketService.toAttachments(req.files)
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Reply added",
+        data: SupportTicketService.toCustomerView(result.ticket),
+      });
+    } catch (error) {
+      console.error("Error replying to support ticket:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error replying to support ticket",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -5,6 +5,9 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 require("dotenv").config();
 
+// Fail fast when the field encryption or hash keys are missing
+require("./utils/fieldEncryption").validateConfig();
+
 const app = express();
 
 // Trust proxy for proper IP detection
@@ -53,7 +56,15 @@ app.use("/api/", limiter);
 app.use("/api/orders/:orderNumber", orderStatusLimiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// Keep the raw body for webhook signature verification
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from uploads directory
@@ -75,6 +86,9 @@ app.use(
   require("./routes/customerOutlookAccounts")
 );
 app.use("/api/otp", require("./routes/otp"));
+app.use("/api/support", require("./routes/support"));
+app.use("/api/subscriptions", require("./routes/subscriptions"));
+app.use("/api/jobs", require("./routes/jobs"));
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -1,28 +1,167 @@
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const axios = require("axios");
 const Order = require("../models/Order");
-const AutoDeliveryService = require("./autoDeliveryService");
+const Settings = require("../models/Settings");
+const JobQueueService = require("./jobQueueService");
+const {
+  getDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+} = require("../utils/currency");
+
+// Currencies the PayPal Orders API accepts; only those the shop has
+// configured are offered
+const PAYPAL_CURRENCIES = ["USD", "EUR", "GBP", "AUD", "CAD", "JPY", "SGD"];
+
+const STRIPE_REFUND_REASONS = [
+  "duplicate",
+  "fraudulent",
+  "requested_by_customer",
+];
+
+// OAuth token reused until shortly before it expires
+let paypalToken = {
+  accessToken: null,
+  expiresAt: 0,
+};
+
+const getPayPalBaseUrl = () =>
+  process.env.PAYPAL_API_BASE ||
+  (process.env.PAYPAL_MODE === "live"
+    ? "https://api-m.paypal.com"
+    : "https://api-m.sandbox.paypal.com");
+
+/**
+ * Get an OAuth access token for the PayPal REST API
+ * @returns {String} Access token
+ */
+const getPayPalAccessToken = async () => {
+  if (paypalToken.accessToken && Date.now() < paypalToken.expiresAt) {
+    return paypalToken.accessToken;
+  }
+
+  if (!process.env.PAYPAL_CLIENT_ID || !process.env.PAYPAL_CLIENT_SECRET) {
+    throw new Error("PayPal credentials are not configured");
+  }
+
+  const response = await axios.post(
+    `${getPayPalBaseUrl()}/v1/oauth2/token`,
+    "grant_type=client_credentials",
+    {
+      auth: {
+        username: process.env.PAYPAL_CLIENT_ID,
+        password: process.env.PAYPAL_CLIENT_SECRET,
+      },
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 10000,
+    }
+  );
+
+  paypalToken = {
+    accessToken: response.data.access_token,
+    // Refresh a minute early
+    expiresAt: Date.now() + (response.data.expires_in - 60) * 1000,
+  };
+  return paypalToken.accessToken;
+};
+
+/**
+ * Call the PayPal REST API
+ * @param {String} method - HTTP method
+ * @param {String} path - API path
+ * @param {Object} data - Request body
+ * @param {Object} headers - Extra headers
+ * @returns {Object} Response body
+ */
+const paypalRequest = async (method, path, data, headers = {}) => {
+  const accessToken = await getPayPalAccessToken();
+
+  try {
+    const response = await axios({
+      method,
+      url: `${getPayPalBaseUrl()}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      timeout: 15000,
+    });
+    return response.data;
+  } catch (error) {
+    const details = error.response?.data;
+    const message =
+      details?.details?.[0]?.description || details?.message || error.message;
+    const paypalError = new Error(`PayPal API error: ${message}`);
+    paypalError.status = error.response?.status;
+    paypalError.paypalName = details?.name;
+    throw paypalError;
+  }
+};
+
+// PayPal expects amounts as strings with the currency's decimal places
+const formatPayPalAmount = (amount, currency, currencies) =>
+  Number(amount).toFixed(getDecimals(currency, currencies));
 
 class PaymentService {
   /**
-   * Create a payment intent for Stripe
-   * @param {Object} orderData - Order data including amount, currency, etc.
+   * Create (or reuse) the Stripe payment intent for an order. The amount is
+   * always the order total; the intent ID is saved on the order.
+   * @param {Object} order - Order document
    * @returns {Object} Payment intent client secret
    */
-  static async createPaymentIntent(orderData) {
+  static async createPaymentIntent(order) {
     try {
-      const { amount, currency = "usd", customerEmail } = orderData;
+      const currencies = await Settings.getSupportedCurrencies();
+      const amount = toMinorUnits(order.total, order.currency, currencies);
+      const currency = order.currency.toLowerCase();
+
+      // Reuse an open intent as long as it still matches the order
+      if (order.paymentInfo?.paymentIntentId) {
+        const existing = await stripe.paymentIntents.retrieve(
+          order.paymentInfo.paymentIntentId
+        );
+        const reusable = [
+          "requires_payment_method",
+          "requires_confirmation",
+          "requires_action",
+        ].includes(existing.status);
+
+        if (
+          reusable &&
+          existing.amount === amount &&
+          existing.currency === currency
+        ) {
+          return {
+            success: true,
+            clientSecret: existing.client_secret,
+            paymentIntentId: existing.id,
+          };
+        }
+        if (reusable) {
+          await stripe.paymentIntents.cancel(existing.id);
+        }
+      }
 
       const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency: currency.toLowerCase(),
+        amount,
+        currency,
+        receipt_email: order.customer?.email,
         metadata: {
-          customerEmail: customerEmail || "unknown",
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          customerEmail: order.customer?.email || "unknown",
         },
         automatic_payment_methods: {
           enabled: true,
         },
       });
 
+      await Order.findByIdAndUpdate(order._id, {
+        "paymentInfo.paymentIntentId": paymentIntent.id,
+      });
+
       return {
         success: true,
         clientSecret: paymentIntent.client_secret,
@@ -38,22 +177,360 @@ class PaymentService {
   }
 
   /**
-   * Process PayPal payment (placeholder for PayPal SDK integration)
-   * @param {Object} paymentData - PayPal payment data
+   * Check that a succeeded Stripe payment intent pays for exactly this Order
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} order - Order document
+   * @param {Array} currencies - Configured currencies, for decimal places
+   * @returns {String|null} Mismatch description, or null if it matches
+   */
+  static getStripeIntentMismatch(paymentIntent, order, currencies) {
+    if (paymentIntent.id !== order.paymentInfo?.paymentIntentId) {
+      return "Payment intent is not bound to this order";
+    }
+    if (paymentIntent.status !== "succeeded") {
+      return `Payment intent status is ${paymentIntent.status}`;
+    }
+    if (paymentIntent.currency !== order.currency.toLowerCase()) {
+      return `Paid currency ${paymentIntent.currency.toUpperCase()} does not match order currency ${order.currency}`;
+    }
+
+    const expected = toMinorUnits(order.total, order.currency, currencies);
+    const received = paymentIntent.amount_received ?? paymentIntent.amount;
+    if (received !== expected) {
+      return `Paid amount ${fromMinorUnits(
+        received,
+        order.currency,
+        currencies
+      )} does not match order total ${order.total}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch a payment intent from Stripe
+   * @param {String} paymentIntentId - Payment intent ID
+   * @returns {Object} Payment intent
+   */
+  static async retrievePaymentIntent(paymentIntentId) {
+    return stripe.paymentIntents.retrieve(paymentIntentId);
+  }
+
+  /**
+   * Start saving a card for off-session subscription renewals: creates the
+   * Stripe customer if needed and a setup intent to confirm client-side
+   * @param {Object} subscription - Subscription document
+   * @returns {Object} Setup intent client secret and customer ID
+   */
+  static async createSubscriptionSetupIntent(subscription) {
+    try {
+      let customerId = subscription.stripe?.customerId;
+      if (!customerId) {
+        const customer = await stripe.customers.create({
+          email: subscription.customer.email,
+          name: [subscription.customer.firstName, subscription.customer.lastName]
+            .filter(Boolean)
+            .join(" "),
+          metadata: { subscriptionId: subscription.subscriptionId },
+        });
+        customerId = customer.id;
+      }
+
+      const setupIntent = await stripe.setupIntents.create({
+        customer: customerId,
+        usage: "off_session",
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: { subscriptionId: subscription.subscriptionId },
+      });
+
+      return {
+        success: true,
+        customerId,
+        setupIntentId: setupIntent.id,
+        clientSecret: setupIntent.client_secret,
+      };
+    } catch (error) {
+      console.error("Error creating setup intent:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch a setup intent from Stripe
+   * @param {String} setupIntentId - Setup intent ID
+   * @returns {Object} Setup intent
+   */
+  static async retrieveSetupIntent(setupIntentId) {
+    return stripe.setupIntents.retrieve(setupIntentId);
+  }
+
+  /**
+   * Charge a renewal order to a saved card without the customer present.
+   * The intent ID is saved on the order so webhooks can find it.
+   * @param {Object} order - Renewal order document
+   * @param {Object} savedCard - { customerId, paymentMethodId }
+   * @param {Object} options - { idempotencyKey }: retries with the same key
+   * return the first charge instead of charging again
+   * @returns {Object} { success, paymentIntent, error, requiresAction }
+   */
+  static async chargeSavedPaymentMethod(order, savedCard, options = {}) {
+    try {
+      const currencies = await Settings.getSupportedCurrencies();
+      const paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: toMinorUnits(order.total, order.currency, currencies),
+          currency: order.currency.toLowerCase(),
+          customer: savedCard.customerId,
+          payment_method: savedCard.paymentMethodId,
+          off_session: true,
+          confirm: true,
+          receipt_email: order.customer?.email,
+          metadata: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            customerEmail: order.customer?.email || "unknown",
+          },
+        },
+        { idempotencyKey: options.idempotencyKey }
+      );
+
+      await Order.findByIdAndUpdate(order._id, {
+        "paymentInfo.paymentIntentId": paymentIntent.id,
+      });
+      order.paymentInfo.paymentIntentId = paymentIntent.id;
+
+      return {
+        success: paymentIntent.status === "succeeded",
+        paymentIntent,
+        error:
+          paymentIntent.status === "succeeded"
+            ? undefined
+            : `Payment intent status is ${paymentIntent.status}`,
+      };
+    } catch (error) {
+      // Declines and authentication requests come back as card errors
+      const paymentIntentId = error.raw?.payment_intent?.id;
+      if (paymentIntentId) {
+        await Order.findByIdAndUpdate(order._id, {
+          "paymentInfo.paymentIntentId": paymentIntentId,
+        });
+      }
+      console.error(
+        `Off-session charge failed for order ${order.orderNumber}:`,
+        error.message
+      );
+      return {
+        success: false,
+        error: error.message,
+        requiresAction: error.code === "authentication_required",
+      };
+    }
+  }
+
+  /**
+   * Create a PayPal order for the full amount of an Order
+   * @param {Object} order - Order document
+   * @returns {Object} PayPal order ID and approval link
+   */
+  static async createPayPalOrder(order) {
+    try {
+      const currencies = await Settings.getSupportedCurrencies();
+      if (
+        !PAYPAL_CURRENCIES.includes(order.currency) ||
+        !currencies.some((currency) => currency.code === order.currency)
+      ) {
+        return {
+          success: false,
+          error: `PayPal does not support payments in ${order.currency}`,
+        };
+      }
+
+      const paypalOrder = await paypalRequest(
+        "post",
+        "/v2/checkout/orders",
+        {
+          intent: "CAPTURE",
+          purchase_units: [
+            {
+              reference_id: order.orderNumber,
+              custom_id: order._id.toString(),
+              description: `Order ${order.orderNumber}`,
+              amount: {
+                currency_code: order.currency,
+                value: formatPayPalAmount(
+                  order.total,
+                  order.currency,
+                  currencies
+                ),
+              },
+            },
+          ],
+        },
+        // Retried creates for the same order return the same PayPal order
+        { "PayPal-Request-Id": `create-${order.orderNumber}` }
+      );
+
+      await Order.findByIdAndUpdate(order._id, {
+        "paymentInfo.paypalOrderId": paypalOrder.id,
+      });
+
+      return {
+        success: true,
+        paypalOrderId: paypalOrder.id,
+        status: paypalOrder.status,
+        approveUrl: paypalOrder.links?.find((link) => link.rel === "approve")
+          ?.href,
+      };
+    } catch (error) {
+      console.error("Error creating PayPal order:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Check that a PayPal capture pays for exactly this Order. The PayPal
+   * order must be bound to the Order: created for it by createPayPalOrder,
+   * or carrying its ID as custom_id.
+   * @param {Object} capture - PayPal capture resource, with the custom_id
+   * of its purchase unit
+   * @param {Object} order - Order document
+   * @param {String} paypalOrderId - PayPal order the capture belongs to
+   * @param {Array} currencies - Configured currencies, for decimal places
+   * @returns {String|null} Mismatch description, or null if it matches
+   */
+  static getPayPalCaptureMismatch(capture, order, paypalOrderId, currencies) {
+    if (capture.status !== "COMPLETED") {
+      return `Capture status is ${capture.status}`;
+    }
+
+    const { currency_code: currency, value } = capture.amount || {};
+    if (currency !== order.currency) {
+      return `Captured currency ${currency} does not match order currency ${order.currency}`;
+    }
+    const expected = formatPayPalAmount(
+      order.total,
+      order.currency,
+      currencies
+    );
+    if (value !== expected) {
+      return `Captured amount ${value} does not match order total ${expected}`;
+    }
+    if (capture.custom_id) {
+      if (capture.custom_id !== order._id.toString()) {
+        return "Capture belongs to a different order";
+      }
+    } else if (order.paymentInfo?.paypalOrderId !== paypalOrderId) {
+      return "PayPal order was not created for this order";
+    }
+
+    return null;
+  }
+
+  /**
+   * Capture an approved PayPal order and verify it against the Order
+   * @param {Object} paymentData - { order, paypalOrderId }
    * @returns {Object} Payment result
    */
   static async processPayPalPayment(paymentData) {
     try {
-      // TODO: Implement PayPal SDK integration
-      // This is a placeholder for PayPal payment processing
-      const { orderId, paypalOrderId, amount } = paymentData;
+      const { order, paypalOrderId } = paymentData;
 
-      // Simulate PayPal payment verification
-      // In real implementation, verify with PayPal API
+      if (
+        order.paymentInfo?.paypalOrderId &&
+        order.paymentInfo.paypalOrderId !== paypalOrderId
+      ) {
+        return {
+          success: false,
+          error: "PayPal order does not belong to this order",
+          errorCode: "PAYMENT_VERIFICATION_FAILED",
+        };
+      }
+
+      // A PayPal order this Order did not create must name it as custom_id
+      // before anything is captured
+      if (order.paymentInfo?.paypalOrderId !== paypalOrderId) {
+        const pending = await paypalRequest(
+          "get",
+          `/v2/checkout/orders/${paypalOrderId}`
+        );
+        if (pending.purchase_units?.[0]?.custom_id !== order._id.toString()) {
+          return {
+            success: false,
+            error: "PayPal order does not belong to this order",
+            errorCode: "PAYMENT_VERIFICATION_FAILED",
+          };
+        }
+      }
+
+      let paypalOrder;
+      try {
+        paypalOrder = await paypalRequest(
+          "post",
+          `/v2/checkout/orders/${paypalOrderId}/capture`,
+          {},
+          { "PayPal-Request-Id": `capture-${paypalOrderId}` }
+        );
+      } catch (error) {
+        // Already captured (e.g. by a retried request): read the result
+        if (error.paypalName !== "UNPROCESSABLE_ENTITY") {
+          throw error;
+        }
+        paypalOrder = await paypalRequest(
+          "get",
+          `/v2/checkout/orders/${paypalOrderId}`
+        );
+      }
+
+      const purchaseUnit = paypalOrder.purchase_units?.[0];
+      const capture = purchaseUnit?.payments?.captures?.[0];
+
+      if (!capture) {
+        return {
+          success: false,
+          error: `PayPal order ${paypalOrderId} has no capture (status ${paypalOrder.status})`,
+        };
+      }
+
+      const mismatch = this.getPayPalCaptureMismatch(
+        { ...capture, custom_id: capture.custom_id || purchaseUnit.custom_id },
+        order,
+        paypalOrderId,
+        await Settings.getSupportedCurrencies()
+      );
+      if (mismatch) {
+        return {
+          success: false,
+          error: mismatch,
+          errorCode: "PAYMENT_VERIFICATION_FAILED",
+        };
+      }
+
+      // One capture pays for one order only
+      const usedBy = await Order.exists({
+        _id: { $ne: order._id },
+        "paymentInfo.transactionId": capture.id,
+      });
+      if (usedBy) {
+        return {
+          success: false,
+          error: `Capture ${capture.id} already paid for another order`,
+          errorCode: "PAYMENT_VERIFICATION_FAILED",
+        };
+      }
 
       return {
         success: true,
-        transactionId: paypalOrderId,
+        transactionId: capture.id,
+        paypalOrderId,
+        amount: parseFloat(capture.amount.value),
         status: "completed",
       };
     } catch (error) {
@@ -65,6 +542,42 @@ class PaymentService {
     }
   }
 
+  /**
+   * Verify a PayPal webhook through PayPal's verification API
+   * @param {Object} headers - Request headers
+   * @param {Object} event - Parsed webhook body
+   * @returns {Object} Verification result
+   */
+  static async verifyPayPalWebhookSignature(headers, event) {
+    try {
+      if (!process.env.PAYPAL_WEBHOOK_ID) {
+        throw new Error("PAYPAL_WEBHOOK_ID is not configured");
+      }
+
+      const result = await paypalRequest(
+        "post",
+        "/v1/notifications/verify-webhook-signature",
+        {
+          auth_algo: headers["paypal-auth-algo"],
+          cert_url: headers["paypal-cert-url"],
+          transmission_id: headers["paypal-transmission-id"],
+          transmission_sig: headers["paypal-transmission-sig"],
+          transmission_time: headers["paypal-transmission-time"],
+          webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+          webhook_event: event,
+        }
+      );
+
+      if (result.verification_status !== "SUCCESS") {
+        return { success: false, error: "Invalid PayPal webhook signature" };
+      }
+      return { success: true, event };
+    } catch (error) {
+      console.error("PayPal webhook verification failed:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Handle successful payment and update order
    * @param {String} orderId - Order ID
@@ -75,8 +588,10 @@ class PaymentService {
     try {
       const { transactionId, paymentMethod, amount } = paymentData;
 
-      const order = await Order.findByIdAndUpdate(
-        orderId,
+      // Only the first caller flips the order to paid, so a webhook racing
+      // the confirm endpoint cannot trigger auto-delivery twice
+      const order = await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: { $ne: "paid" } },
         {
           paymentStatus: "paid",
           "paymentInfo.transactionId": transactionId,
@@ -88,17 +603,42 @@ class PaymentService {
       ).populate("items.product", "title autoDelivery");
 
       if (!order) {
-        throw new Error("Order not found");
+        const paidOrder = await Order.findById(orderId);
+        if (!paidOrder) {
+          throw new Error("Order not found");
+        }
+        return {
+          success: true,
+          alreadyPaid: true,
+          order: paidOrder,
+        };
       }
 
-      // Trigger auto-delivery for paid orders
+      // Trigger auto-delivery for paid orders; the queue retries failures
       try {
-        await AutoDeliveryService.processAutoDelivery(order._id);
+        await JobQueueService.dispatch(
+          "delivery.process",
+          { orderId: order._id },
+          { dedupeKey: `delivery:${order._id}` }
+        );
       } catch (deliveryError) {
         console.error("Auto-delivery failed after payment:", deliveryError);
         // Don't fail the payment process if auto-delivery fails
       }
 
+      // A paid renewal starts the subscription's next period
+      if (order.subscription) {
+        try {
+          const SubscriptionService = require("./subscriptionService");
+          await SubscriptionService.recordRenewalPayment(order);
+        } catch (subscriptionError) {
+          console.error(
+            "Failed to record subscription renewal:",
+            subscriptionError
+          );
+        }
+      }
+
       return {
         success: true,
         order,
@@ -163,23 +703,69 @@ class PaymentService {
     }
   }
 
+  /**
+   * Refund a PayPal capture, fully or partially
+   * @param {String} captureId - PayPal capture ID
+   * @param {Number} amount - Refund amount in the order currency
+   * @param {String} currency - Order currency
+   * @param {String} reason - Refund reason
+   * @returns {Object} Refund result
+   */
+  static async refundPayPalCapture(captureId, amount, currency, reason) {
+    try {
+      const currencies = await Settings.getSupportedCurrencies();
+      const refund = await paypalRequest(
+        "post",
+        `/v2/payments/captures/${captureId}/refund`,
+        {
+          amount: {
+            currency_code: currency,
+            value: formatPayPalAmount(amount, currency, currencies),
+          },
+          note_to_payer: reason ? String(reason).substring(0, 255) : undefined,
+        }
+      );
+
+      return {
+        success: true,
+        refundId: refund.id,
+        status: refund.status,
+      };
+    } catch (error) {
+      console.error("Error processing PayPal refund:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Process refund
    * @param {String} transactionId - Original transaction ID
    * @param {Number} amount - Refund amount
    * @param {String} reason - Refund reason
+   * @param {String} currency - Order currency
    * @returns {Object} Refund result
    */
   static async processRefund(
     transactionId,
     amount,
-    reason = "requested_by_customer"
+    reason = "requested_by_customer",
+    currency = "USD"
   ) {
     try {
+      // Stripe only accepts its own reason codes; keep free text as metadata
+      const stripeReason = STRIPE_REFUND_REASONS.includes(reason)
+        ? reason
+        : "requested_by_customer";
+
+      const currencies = await Settings.getSupportedCurrencies();
       const refund = await stripe.refunds.create({
         payment_intent: transactionId,
-        amount: Math.round(amount * 100), // Convert to cents
-        reason,
+        amount: toMinorUnits(amount, currency, currencies),
+        reason: stripeReason,
+        ...(reason && reason !== stripeReason && { metadata: { note: reason } }),
       });
 
       return {
@@ -195,6 +781,31 @@ class PaymentService {
       };
     }
   }
+
+  /**
+   * Refund an order through the provider that took the payment
+   * @param {Object} order - Paid Order document
+   * @param {Number} amount - Refund amount
+   * @param {String} reason - Refund reason
+   * @returns {Object} Refund result
+   */
+  static async refundOrderPayment(order, amount, reason) {
+    if (order.paymentInfo.method === "paypal") {
+      return this.refundPayPalCapture(
+        order.paymentInfo.transactionId,
+        amount,
+        order.currency,
+        reason
+      );
+    }
+
+    return this.processRefund(
+      order.paymentInfo.transactionId,
+      amount,
+      reason,
+      order.currency
+    );
+  }
 }
 
 module.exports = PaymentService;
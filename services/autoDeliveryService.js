@@ -1,69 +1,23 @@
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const Inventory = require("../models/Inventory");
-const InventoryAssignment = require("../models/InventoryAssignment");
 const DeliveryLog = require("../models/DeliveryLog");
+const InventoryReservationService = require("./inventoryReservationService");
 const NotificationService = require("./notificationService");
 const CustomerNotificationService = require("./customerNotificationService");
-const nodemailer = require("nodemailer");
-
-// Email transporter configuration
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.SMTP_HOST || "smtp.gmail.com",
-    port: process.env.SMTP_PORT || 587,
-    secure: false,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-};
+const JobQueueService = require("./jobQueueService");
+const ProductAvailabilityService = require("./productAvailabilityService");
+const BackorderService = require("./backorderService");
+const RetryPolicyService = require("./retryPolicyService");
+const MailService = require("./mailService");
 
 // Auto-delivery service
 class AutoDeliveryService {
   // Helper method to get accurate available inventory count for a product
   static async getAvailableInventoryCount(productId) {
-    const result = await Inventory.aggregate([
-      {
-        $match: {
-          product: productId,
-          status: "available",
-        },
-      },
-      {
-        $lookup: {
-          from: "inventoryassignments",
-          localField: "_id",
-          foreignField: "inventory",
-          as: "assignments",
-        },
-      },
-      {
-        $addFields: {
-          activeAssignments: {
-            $size: {
-              $filter: {
-                input: "$assignments",
-                cond: { $eq: ["$$this.status", "active"] },
-              },
-            },
-          },
-        },
-      },
-      {
-        $match: {
-          $expr: {
-            $lt: ["$activeAssignments", "$maxAssignments"],
-          },
-        },
-      },
-      {
-        $count: "availableCount",
-      },
-    ]);
-
-    return result[0]?.availableCount || 0;
+    return Inventory.countDocuments(
+      InventoryReservationService.availableSlotFilter(productId)
+    );
   }
   static async processAutoDelivery(orderId, isRetry = false, retryCount = 0) {
     const startTime = Date.now();
@@ -71,7 +25,10 @@ class AutoDeliveryService {
       const order = await Order.findById(orderId).populate("items.product");
 
       if (!order) {
-        throw new Error("Order not found");
+        throw RetryPolicyService.createError(
+          "ORDER_NOT_FOUND",
+          "Order not found"
+        );
       }
 
       if (
@@ -147,102 +104,33 @@ class AutoDeliveryService {
             const requiredQuantity = item.quantity;
             const deliveredCredentials = [];
 
-            // Find available inventory for this product using assignment-based system
-            const availableInventory = await Inventory.aggregate([
-              {
-                $match: {
-                  product: product._id,
-                  status: "available",
-                },
-              },
-              {
-                $lookup: {
-                  from: "inventoryassignments",
-                  localField: "_id",
-                  foreignField: "inventory",
-                  as: "assignments",
-                },
-              },
-              {
-                $addFields: {
-                  activeAssignments: {
-                    $size: {
-                      $filter: {
-                        input: "$assignments",
-                        cond: { $eq: ["$$this.status", "active"] },
-                      },
-                    },
-                  },
-                },
-              },
-              {
-                $match: {
-                  $expr: {
-                    $lt: ["$activeAssignments", "$maxAssignments"],
-                  },
-                },
-              },
-              {
-                $lookup: {
-                  from: "products",
-                  localField: "product",
-                  foreignField: "_id",
-                  as: "product",
-                },
-              },
-              {
-                $unwind: "$product",
-              },
-              {
-                $limit: requiredQuantity,
-              },
-            ]);
-
-            if (availableInventory.length >= requiredQuantity) {
-              // Process each inventory item for the required quantity
-              for (let i = 0; i < requiredQuantity; i++) {
-                const inventoryItem = availableInventory[i];
-
-                // Create assignment record
-                await InventoryAssignment.create({
-                  inventory: inventoryItem._id,
-                  order: order._id,
-                  orderNumber: order.orderNumber,
-                  customerEmail: order.customer.email,
-                  customerName: `${order.customer.firstName} ${order.customer.lastName}`,
-                  assignedAt: new Date(),
-                  status: "active",
-                  notes: `Auto-delivered for order ${order.orderNumber} (${
-                    i + 1
-                  }/${requiredQuantity})`,
-                });
+            // Atomically claim slots so concurrent deliveries cannot share the last one
+            const reservation = await InventoryReservationService.reserve({
+              product,
+              quantity: requiredQuantity,
+              order,
+            });
 
-                // Update inventory item with delivery information
-                const inventoryDoc = await Inventory.findById(
-                  inventoryItem._id
+            if (reservation.success) {
+              let committed;
+              try {
+                committed = await InventoryReservationService.commit(
+                  reservation.reservationId,
+                  order,
+                  { orderItem: item._id }
                 );
-                inventoryDoc.deliveredAt = new Date();
-
-                // Increment assignment count
-                const newAssignmentCount =
-                  (inventoryDoc.assignmentCount || 0) + 1;
-                inventoryDoc.assignmentCount = newAssignmentCount;
-                inventoryDoc.usedBy = order._id;
-
-                // Only mark as used and delivered if assignment count reaches max
-                if (newAssignmentCount >= inventoryItem.maxAssignments) {
-                  inventoryDoc.isUsed = true;
-                  inventoryDoc.status = "delivered";
-                }
-                await inventoryDoc.save();
-
-                deliveredCredentials.push(inventoryItem.accountCredentials);
+              } catch (commitError) {
+                await InventoryReservationService.release(
+                  reservation.reservationId,
+                  `Commit failed: ${commitError.message}`
+                );
+                throw commitError;
               }
 
-              // Add delivered inventory items to order's deliveredInventory array
-              const deliveredInventoryIds = availableInventory
-                .slice(0, requiredQuantity)
-                .map((inv) => inv._id);
+              const deliveredInventoryIds = committed.inventoryItems.map(
+                (inv) => inv._id
+              );
+              deliveredCredentials.push(...committed.credentials);
 
               // Add to order's deliveredInventory array if not already present
               for (const inventoryId of deliveredInventoryIds) {
@@ -280,9 +168,8 @@ class AutoDeliveryService {
                 processingTime: Date.now() - startTime,
                 details: {
                   credentialsDelivered: deliveredCredentials.length,
-                  inventoryIds: availableInventory
-                    .slice(0, requiredQuantity)
-                    .map((inv) => inv._id),
+                  inventoryIds: deliveredInventoryIds,
+                  reservationId: reservation.reservationId,
                 },
               });
 
@@ -291,14 +178,53 @@ class AutoDeliveryService {
                 productTitle: product.title,
                 status: "delivered",
                 quantity: requiredQuantity,
-                inventoryIds: availableInventory
-                  .slice(0, requiredQuantity)
-                  .map((inv) => inv._id),
+                inventoryIds: deliveredInventoryIds,
               });
 
               console.log(
                 `Auto-delivered ${requiredQuantity}x ${product.title} for order ${order.orderNumber}`
               );
+            } else if (item.backordered) {
+              // Ordered on backorder: the line stays pending in the queue
+              // until a restock resumes its delivery job
+              const actualAvailableCount =
+                await this.getAvailableInventoryCount(product._id);
+
+              await DeliveryLog.logDeliveryEvent({
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                productId: product._id,
+                productTitle: product.title,
+                eventType: "insufficient_inventory",
+                status: "warning",
+                message: `Backordered: need ${requiredQuantity}, have ${actualAvailableCount}`,
+                customerEmail: order.customer.email,
+                quantity: requiredQuantity,
+                inventoryUsed: 0,
+                processingTime: Date.now() - startTime,
+                errorCode: "BACKORDERED",
+                retryCount: retryCount,
+                details: {
+                  required: requiredQuantity,
+                  available: actualAvailableCount,
+                  estimatedFulfillmentAt: item.estimatedFulfillmentAt,
+                },
+              });
+
+              deliveryResults.push({
+                productId: product._id,
+                productTitle: product.title,
+                status: "backordered",
+                errorCode: "BACKORDERED",
+                priority: product.deliveryPriority,
+                required: requiredQuantity,
+                available: actualAvailableCount,
+                message: `Backordered: need ${requiredQuantity}, have ${actualAvailableCount}`,
+              });
+
+              console.log(
+                `${product.title} for order ${order.orderNumber} is backordered: need ${requiredQuantity}, have ${actualAvailableCount}`
+              );
             } else {
               // Set delivery status to failed due to insufficient inventory
               item.deliveryStatus = "failed";
@@ -325,7 +251,7 @@ class AutoDeliveryService {
                 details: {
                   required: requiredQuantity,
                   available: actualAvailableCount,
-                  foundInQuery: availableInventory.length,
+                  claimed: reservation.claimed,
                 },
               });
 
@@ -347,6 +273,8 @@ class AutoDeliveryService {
                 productId: product._id,
                 productTitle: product.title,
                 status: "insufficient_inventory",
+                errorCode: "INSUFFICIENT_INVENTORY",
+                priority: product.deliveryPriority,
                 required: requiredQuantity,
                 available: actualAvailableCount,
                 message: `Insufficient inventory: need ${requiredQuantity}, have ${actualAvailableCount}`,
@@ -359,6 +287,8 @@ class AutoDeliveryService {
           } catch (error) {
             // Set delivery status to failed due to error
             item.deliveryStatus = "failed";
+            const errorCode =
+              RetryPolicyService.classify(error) || "DELIVERY_ERROR";
 
             // Log delivery error
             await DeliveryLog.logDeliveryEvent({
@@ -373,7 +303,7 @@ class AutoDeliveryService {
               quantity: item.quantity,
               inventoryUsed: 0,
               processingTime: Date.now() - startTime,
-              errorCode: "DELIVERY_ERROR",
+              errorCode,
               retryCount: retryCount,
               details: {
                 error: error.message,
@@ -390,7 +320,7 @@ class AutoDeliveryService {
                 productTitle: product.title,
                 quantity: item.quantity,
                 errorMessage: error.message,
-                errorCode: "DELIVERY_ERROR",
+                errorCode,
                 retryCount,
               });
             }
@@ -399,6 +329,7 @@ class AutoDeliveryService {
               productId: product._id,
               productTitle: product.title,
               status: "error",
+              errorCode,
               error: error.message,
             });
 
@@ -428,6 +359,13 @@ class AutoDeliveryService {
       // Save order with updated delivery status
       await order.save();
 
+      // Tell the customer once that backordered lines are in the queue
+      try {
+        await BackorderService.notifyBackordered(order);
+      } catch (emailError) {
+        console.error("Failed to queue backorder email:", emailError);
+      }
+
       // Check if all items are delivered
       const allDelivered = order.items.every(
         (item) =>
@@ -465,11 +403,19 @@ class AutoDeliveryService {
 
         // Send order completion notification to customer
         try {
-          await CustomerNotificationService.sendOrderStatusUpdateEmail(order, {
-            status: "delivered",
-            message:
-              "Your order has been completed and all items have been delivered successfully.",
-          });
+          await JobQueueService.dispatch(
+            "email.order",
+            {
+              template: "orderStatusUpdate",
+              orderId: order._id,
+              update: {
+                status: "delivered",
+                message:
+                  "Your order has been completed and all items have been delivered successfully.",
+              },
+            },
+            { dedupeKey: `order-delivered-email:${order._id}` }
+          );
         } catch (emailError) {
           console.error("Failed to send order completion email:", emailError);
         }
@@ -502,92 +448,40 @@ class AutoDeliveryService {
     }
   }
 
+  /**
+   * Email the credentials of a delivered order line. A message the mail
+   * transport rejects stays in the email outbox, which retries it.
+   * @returns {Object} MailService send result
+   */
   static async sendDeliveryEmail(order, item, credentials) {
-    try {
-      const transporter = createTransporter();
-
-      // Handle both single credential (legacy) and multiple credentials (new)
-      const credentialsText = Array.isArray(credentials)
-        ? credentials
-            .map(
-              (cred, index) => `
-            <div style="background-color: white; padding: 15px; border-radius: 4px; font-family: monospace; white-space: pre-wrap; margin-bottom: 15px;">
-              <h4 style="margin-top: 0; color: #1976d2;">Account ${
-                index + 1
-              }:</h4>
-              ${cred}
-            </div>
-          `
-            )
-            .join("")
-        : `<div style="background-color: white; padding: 15px; border-radius: 4px; font-family: monospace; white-space: pre-wrap;">${
-            credentials.accountCredentials || credentials
-          }</div>`;
-
-      const quantityText =
-        Array.isArray(credentials) && credentials.length > 1
-          ? `<p><strong>Quantity:</strong> ${credentials.length} accounts</p>`
-          : "";
-
-      const emailContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #1976d2;">Your Digital Product is Ready!</h2>
-          
-          <p>Dear ${order.customer.firstName || "Customer"},</p>
-          
-          <p>Thank you for your purchase! Your digital product has been automatically delivered.</p>
-          
-          <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="margin-top: 0;">Order Details:</h3>
-            <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-            <p><strong>Product:</strong> ${item.title}</p>
-            <p><strong>Service Type:</strong> ${item.serviceType}</p>
-            <p><strong>Duration:</strong> ${item.duration}</p>
-            ${quantityText}
-          </div>
-          
-          <div style="background-color: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #4caf50;">
-            <h3 style="margin-top: 0; color: #2e7d32;">Your Account Credentials:</h3>
-            ${credentialsText}
-          </div>
-          
-          <div style="background-color: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-            <h4 style="margin-top: 0; color: #856404;">Important Notes:</h4>
-            <ul style="margin: 0; padding-left: 20px;">
-              <li>Please save these credentials in a secure location</li>
-              <li>Do not share these credentials with others</li>
-              <li>Contact support if you experience any issues</li>
-              <li>This service is valid for the duration specified above</li>
-              ${
-                Array.isArray(credentials) && credentials.length > 1
-                  ? "<li>You have received multiple accounts as per your order quantity</li>"
-                  : ""
-              }
-            </ul>
-          </div>
-          
-          <div style="background-color: #e3f2fd; padding: 20px; border-radius: 6px; margin: 20px 0;">
-            <h3 style="color: #1976d2; margin: 0 0 15px 0; font-size: 18px;">📍 Tracking Information</h3>
-            <p style="margin: 0;">Track your order status using this link:</p>
-            <a href="${process.env.CLIENT_URL || "http://localhost:3000"}/order-status/${order.orderNumber}" style="background-color: #1976d2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; display: inline-block; margin-top: 10px;">Track Order</a>
-          </div>
-          <p>If you have any questions or need assistance, please don't hesitate to contact our support team.</p>
-          
-          <p>Best regards,<br>Zelyx Team</p>
-          
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-          <p style="font-size: 12px; color: #666;">This is an automated email. Please do not reply to this message.</p>
-        </div>
-      `;
-
-      const mailOptions = {
-        from: process.env.SMTP_FROM || "noreply@zelyx.shop",
-        to: order.customer.email,
-        subject: `Your ${item.title} is Ready - Order ${order.orderNumber}`,
-        html: emailContent,
-      };
+    // Handle both single credential (legacy) and multiple credentials (new)
+    const accounts = Array.isArray(credentials)
+      ? credentials.map((cred, index) => ({
+          number: index + 1,
+          credentials: cred,
+        }))
+      : [{ credentials: credentials.accountCredentials || credentials }];
+
+    const result = await MailService.send({
+      template: "delivery",
+      to: order.customer.email,
+      order: order._id,
+      variables: {
+        customerName: order.customer.firstName || "Customer",
+        orderNumber: order.orderNumber,
+        productTitle: item.title,
+        serviceType: item.serviceType,
+        duration: item.duration,
+        accounts,
+        multipleAccounts: accounts.length > 1,
+        accountCount: accounts.length,
+        orderStatusUrl: `${
+          process.env.CLIENT_URL || "http://localhost:3000"
+        }/order-status/${order.orderNumber}`,
+      },
+    });
 
-      await transporter.sendMail(mailOptions);
+    if (result.sent) {
       console.log(
         `Delivery email sent to ${order.customer.email} for order ${order.orderNumber}`
       );
@@ -605,40 +499,44 @@ class AutoDeliveryService {
         quantity: item.quantity,
         details: {
           emailTo: order.customer.email,
-          subject: mailOptions.subject,
-          credentialsCount: Array.isArray(credentials) ? credentials.length : 1,
-        },
-      });
-    } catch (error) {
-      console.error("Error sending delivery email:", error);
-
-      // Log email sending failure
-      await DeliveryLog.logDeliveryEvent({
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        productId: item.product._id,
-        productTitle: item.product.title,
-        eventType: "email_failed",
-        status: "error",
-        message: `Failed to send delivery email: ${error.message}`,
-        customerEmail: order.customer.email,
-        quantity: item.quantity,
-        errorCode: "EMAIL_SEND_FAILED",
-        details: {
-          error: error.message,
-          emailTo: order.customer.email,
+          messageId: result.messageId,
+          outboxId: result.outboxId,
+          sentAt: new Date(),
+          credentialsCount: accounts.length,
         },
       });
+      return result;
+    }
 
-      // Send admin notification for email failure
-      await NotificationService.sendAdminAlert("EMAIL_SERVICE_DOWN", {
-        error: error.message,
-        failedAttempts: 1,
-        lastAttempt: new Date(),
-      });
+    console.error("Error sending delivery email:", result.error);
+
+    // Log email sending failure; delivery was successful, just email failed
+    await DeliveryLog.logDeliveryEvent({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      productId: item.product._id,
+      productTitle: item.product.title,
+      eventType: "email_failed",
+      status: "error",
+      message: `Failed to send delivery email: ${result.error}`,
+      customerEmail: order.customer.email,
+      quantity: item.quantity,
+      errorCode: "EMAIL_SEND_FAILED",
+      details: {
+        error: result.error,
+        emailTo: order.customer.email,
+        outboxId: result.outboxId,
+        queuedForRetry: result.queued,
+      },
+    });
 
-      // Don't throw error here as delivery was successful, just email failed
-    }
+    // Send admin notification for email failure
+    await NotificationService.sendAdminAlert("EMAIL_SERVICE_DOWN", {
+      error: result.error,
+      failedAttempts: 1,
+      lastAttempt: new Date(),
+    });
+    return result;
   }
 
   static async checkPendingDeliveries() {
@@ -726,95 +624,134 @@ class AutoDeliveryService {
     }
   }
 
-  // Method to start periodic checking for pending deliveries
-  static startPeriodicCheck(intervalMinutes = 5) {
-    console.log(
-      `Starting periodic delivery check every ${intervalMinutes} minutes`
-    );
-
-    // Run immediately
-    this.checkPendingDeliveries().catch((error) => {
-      console.error("Initial delivery check failed:", error);
-    });
-
-    // Set up periodic checking
-    const intervalMs = intervalMinutes * 60 * 1000;
-    return setInterval(() => {
-      // Check for new pending deliveries
-      this.checkPendingDeliveries().catch((error) => {
-        console.error("Periodic delivery check failed:", error);
-      });
+  /**
+   * Queue a delivery job for every paid order with auto-delivery items
+   * still pending. Items whose delivery failed are retried by their own
+   * job's backoff, not picked up again here.
+   * @returns {Object} { success, queued }
+   */
+  static async queuePendingDeliveries() {
+    const orders = await Order.find({
+      paymentStatus: "paid",
+      "items.deliveryStatus": "pending",
+    }).populate("items.product", "autoDelivery deliveryPriority");
+
+    let queued = 0;
+    for (const order of orders) {
+      const pendingItems = order.items.filter(
+        (item) =>
+          item.product?.autoDelivery && item.deliveryStatus === "pending"
+      );
+      if (pendingItems.length === 0) continue;
 
-      // Check for failed deliveries to retry
-      this.retryFailedDeliveries().catch((error) => {
-        console.error("Retry failed deliveries check failed:", error);
-      });
+      await JobQueueService.enqueue(
+        "delivery.process",
+        { orderId: order._id },
+        {
+          dedupeKey: `delivery:${order._id}`,
+          // Highest product priority first (lower number = higher priority)
+          priority: Math.min(
+            ...pendingItems.map((item) => item.product.deliveryPriority || 5)
+          ),
+        }
+      );
+      queued++;
+    }
 
-      // Check inventory levels
-      this.checkInventoryLevels().catch((error) => {
-        console.error("Inventory level check failed:", error);
-      });
+    return { success: true, queued };
+  }
 
-      // Check for pending admin alerts
-      NotificationService.checkAndSendAlerts().catch((error) => {
-        console.error("Check pending alerts failed:", error);
-      });
-    }, intervalMs);
+  // Pending deliveries, retries, inventory checks and alerts now run as
+  // jobs; this starts the in-process queue worker for long-lived servers
+  static startPeriodicCheck() {
+    return JobQueueService.startWorker();
   }
 
+  // Queue a delivery job for orders with recent failed deliveries, by the
+  // retry policy of their errorCode: data errors are left for an admin,
+  // email failures to their own email jobs, and out-of-stock orders wait
+  // for a restock unless slots are free again. Jobs already waiting or
+  // queued are not queued twice.
   static async retryFailedDeliveries() {
     try {
       console.log("Checking for failed deliveries to retry...");
 
-      // Find failed delivery logs that haven't exceeded max retry attempts
-      const failedLogs = await DeliveryLog.find({
-        status: "error",
-        isResolved: false,
-        retryCount: { $lt: 3 }, // Max 3 retry attempts
-        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Only retry within 24 hours
-      }).sort({ createdAt: -1 });
+      const failures = await DeliveryLog.aggregate([
+        {
+          $match: {
+            status: "error",
+            isResolved: false,
+            eventType: { $ne: "email_failed" },
+            createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Only retry within 24 hours
+          },
+        },
+        {
+          $group: {
+            _id: "$orderId",
+            errorCodes: { $addToSet: "$errorCode" },
+            productIds: { $addToSet: "$productId" },
+          },
+        },
+      ]);
 
       const results = [];
+      const skipped = [];
+      for (const failure of failures) {
+        const orderId = failure._id;
+        const errorCodes = failure.errorCodes.filter(Boolean);
+        if (
+          errorCodes.length > 0 &&
+          !errorCodes.some((code) => RetryPolicyService.isRetryable(code))
+        ) {
+          skipped.push({ orderId, errorCodes });
+          continue;
+        }
 
-      for (const log of failedLogs) {
         try {
-          // Calculate retry delay (exponential backoff: 5min, 15min, 45min)
-          const retryDelays = [5, 15, 45]; // minutes
-          const delayMinutes = retryDelays[log.retryCount] || 45;
-          const retryTime = new Date(
-            log.createdAt.getTime() + delayMinutes * 60 * 1000
-          );
-
-          if (new Date() >= retryTime) {
-            console.log(
-              `Retrying delivery for order ${log.orderId}, attempt ${
-                log.retryCount + 1
-              }`
+          const options = { dedupeKey: `delivery:${orderId}` };
+          if (
+            errorCodes.length > 0 &&
+            errorCodes.every((code) => code === "INSUFFICIENT_INVENTORY")
+          ) {
+            const restocked = await Promise.all(
+              failure.productIds.map((productId) =>
+                ProductAvailabilityService.countAvailableSlots(productId)
+              )
             );
-
-            const result = await this.processAutoDelivery(
-              log.orderId,
-              true,
-              log.retryCount
-            );
-            results.push({
-              orderId: log.orderId,
-              retryAttempt: log.retryCount + 1,
-              result,
-            });
+            if (!restocked.some((slots) => slots > 0)) {
+              options.waitFor = failure.productIds.map(
+                (productId) => `restock:${productId}`
+              );
+              options.runAt = new Date(
+                Date.now() +
+                  RetryPolicyService.getDelayMs("INSUFFICIENT_INVENTORY", 1)
+              );
+            }
           }
-        } catch (error) {
-          console.error(
-            `Failed to retry delivery for order ${log.orderId}:`,
-            error
+
+          const job = await JobQueueService.enqueue(
+            "delivery.process",
+            { orderId },
+            options
           );
+          results.push({
+            orderId,
+            errorCodes,
+            jobId: job._id,
+            status: job.status,
+            runAt: job.runAt,
+          });
+        } catch (error) {
+          console.error(`Failed to queue retry for order ${orderId}:`, error);
         }
       }
 
       return {
         success: true,
         retriedCount: results.length,
+        skippedCount: skipped.length,
         results,
+        skipped,
       };
     } catch (error) {
       console.error("Error in retryFailedDeliveries:", error);
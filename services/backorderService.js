@@ -0,0 +1,309 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Job = require("../models/Job");
+const JobQueueService = require("./jobQueueService");
+const CustomerNotificationService = require("./customerNotificationService");
+const ProductAvailabilityService = require("./productAvailabilityService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Orders whose backordered lines still hold a place in the queue
+const OPEN_ORDER_FILTER = {
+  status: { $ne: "cancelled" },
+  paymentStatus: { $in: ["pending", "paid", "confirmed"] },
+};
+
+const PAID_STATUSES = ["paid", "confirmed"];
+
+// A backordered line still waiting for inventory
+const isWaiting = (item) =>
+  item.backordered && item.deliveryStatus !== "delivered" && !item.delivered;
+
+class BackorderService {
+  /**
+   * Units of a product on backorder that are not delivered yet
+   * @param {ObjectId} productId - Product ID
+   * @returns {Number} Units waiting
+   */
+  static async getWaitingQuantity(productId) {
+    const [result] = await Order.aggregate([
+      { $match: { ...OPEN_ORDER_FILTER, "items.backordered": true } },
+      { $unwind: "$items" },
+      {
+        $match: {
+          "items.product": new mongoose.Types.ObjectId(productId),
+          "items.backordered": true,
+          "items.deliveryStatus": { $ne: "delivered" },
+        },
+      },
+      { $group: { _id: null, quantity: { $sum: "$items.quantity" } } },
+    ]);
+    return result ? result.quantity : 0;
+  }
+
+  /**
+   * Whether an out-of-stock auto-delivery product may take an order line
+   * on backorder, and when it is estimated to be fulfilled
+   * @param {Object} product - Product document
+   * @param {Number} quantity - Units ordered
+   * @returns {Object} { allowed, error, estimatedFulfillmentAt }
+   */
+  static async checkBackorder(product, quantity) {
+    const settings = product.backorder || {};
+    if (!product.autoDelivery || !settings.enabled) {
+      return { allowed: false, error: "Product does not accept backorders" };
+    }
+
+    if (settings.maxQuantity) {
+      const waiting = await this.getWaitingQuantity(product._id);
+      if (waiting + quantity > settings.maxQuantity) {
+        return {
+          allowed: false,
+          error: `Backorder limit reached for ${product.title}. Units still available to backorder: ${Math.max(
+            0,
+            settings.maxQuantity - waiting
+          )}`,
+        };
+      }
+    }
+
+    return {
+      allowed: true,
+      estimatedFulfillmentAt: new Date(
+        Date.now() + (settings.estimatedFulfillmentHours || 24) * HOUR_MS
+      ),
+    };
+  }
+
+  /**
+   * Email the customer about the backordered lines of an order that have
+   * not had this update yet, and record that they did
+   * @param {Object} order - Order document
+   * @param {String} status - "backordered" or "delayed"
+   * @returns {Object} Send result; success with skipped when nothing is due
+   */
+  static async sendUpdateEmail(order, status) {
+    const now = new Date();
+    const items = order.items.filter((item) => {
+      if (!isWaiting(item)) return false;
+      if (status === "delayed") {
+        return (
+          !item.backorderDelayNotifiedAt &&
+          item.estimatedFulfillmentAt &&
+          item.estimatedFulfillmentAt < now
+        );
+      }
+      return !item.backorderNotifiedAt;
+    });
+    if (items.length === 0) {
+      return { success: true, skipped: true };
+    }
+
+    const result = await CustomerNotificationService.sendBackorderUpdateEmail(
+      order,
+      {
+        status,
+        items: items.map((item) => ({
+          title: item.title,
+          quantity: item.quantity,
+          estimatedFulfillmentAt: item.estimatedFulfillmentAt,
+        })),
+      }
+    );
+
+    if (result.success) {
+      for (const item of items) {
+        if (status === "delayed") {
+          item.backorderDelayNotifiedAt = now;
+        } else {
+          item.backorderNotifiedAt = now;
+        }
+      }
+      await order.save();
+    }
+    return result;
+  }
+
+  /**
+   * Queue the "on backorder" email for a paid order with lines still
+   * waiting for inventory
+   * @param {Object} order - Order document
+   */
+  static async notifyBackordered(order) {
+    const unnotified = order.items.some(
+      (item) => isWaiting(item) && !item.backorderNotifiedAt
+    );
+    if (!unnotified) {
+      return;
+    }
+    await JobQueueService.dispatch(
+      "email.order",
+      {
+        template: "backorderUpdate",
+        orderId: order._id,
+        status: "backordered",
+      },
+      { dedupeKey: `backorder-email:${order._id}` }
+    );
+  }
+
+  /**
+   * Queue a "delayed" email for paid backorders past their estimated
+   * fulfilment time
+   * @returns {Object} { success, queued }
+   */
+  static async notifyOverdue() {
+    const orders = await Order.find({
+      status: { $ne: "cancelled" },
+      paymentStatus: { $in: PAID_STATUSES },
+      items: {
+        $elemMatch: {
+          backordered: true,
+          deliveryStatus: { $ne: "delivered" },
+          estimatedFulfillmentAt: { $lt: new Date() },
+          backorderDelayNotifiedAt: null,
+        },
+      },
+    }).select("_id");
+
+    for (const order of orders) {
+      await JobQueueService.enqueue(
+        "email.order",
+        { template: "backorderUpdate", orderId: order._id, status: "delayed" },
+        { dedupeKey: `backorder-delay-email:${order._id}` }
+      );
+    }
+    return { success: true, queued: orders.length };
+  }
+
+  /**
+   * The backorder queue: every waiting line in delivery order (product
+   * deliveryPriority, then age), and a summary per product
+   * @param {Object} filters - { product, includeUnpaid }
+   * @returns {Object} { items, products, totals }
+   */
+  static async getQueue(filters = {}) {
+    const query = {
+      ...OPEN_ORDER_FILTER,
+      items: {
+        $elemMatch: {
+          backordered: true,
+          deliveryStatus: { $ne: "delivered" },
+          ...(filters.product && { product: filters.product }),
+        },
+      },
+    };
+    if (!filters.includeUnpaid) {
+      query.paymentStatus = { $in: PAID_STATUSES };
+    }
+
+    const orders = await Order.find(query)
+      .select("orderNumber customer items paymentStatus status createdAt")
+      .populate("items.product", "title deliveryPriority backorder");
+
+    const jobs = await Job.find({
+      type: "delivery.process",
+      "payload.orderId": { $in: orders.map((order) => order._id) },
+      status: { $in: ["queued", "running", "waiting", "dead"] },
+    })
+      .select("payload status runAt waitingFor attempts lastError")
+      .sort({ createdAt: -1 })
+      .lean();
+    const jobByOrder = new Map();
+    for (const job of jobs) {
+      const orderId = job.payload.orderId.toString();
+      if (!jobByOrder.has(orderId)) jobByOrder.set(orderId, job);
+    }
+
+    const now = Date.now();
+    const items = [];
+    for (const order of orders) {
+      for (const item of order.items) {
+        if (!isWaiting(item) || !item.product) continue;
+        if (
+          filters.product &&
+          item.product._id.toString() !== filters.product.toString()
+        ) {
+          continue;
+        }
+
+        const since = item.backorderedAt || order.createdAt;
+        const job = jobByOrder.get(order._id.toString());
+        items.push({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          customerEmail: order.customer.email,
+          paymentStatus: order.paymentStatus,
+          itemId: item._id,
+          product: {
+            _id: item.product._id,
+            title: item.product.title,
+          },
+          priority: item.product.deliveryPriority || 5,
+          quantity: item.quantity,
+          backorderedAt: since,
+          ageHours: Math.round(((now - since) / HOUR_MS) * 10) / 10,
+          estimatedFulfillmentAt: item.estimatedFulfillmentAt,
+          overdue:
+            !!item.estimatedFulfillmentAt &&
+            item.estimatedFulfillmentAt.getTime() < now,
+          customerNotifiedAt: item.backorderNotifiedAt,
+          job: job
+            ? {
+                _id: job._id,
+                status: job.status,
+                runAt: job.runAt,
+                attempts: job.attempts,
+                lastError: job.lastError,
+              }
+            : null,
+        });
+      }
+    }
+
+    items.sort(
+      (a, b) => a.priority - b.priority || a.backorderedAt - b.backorderedAt
+    );
+
+    const products = new Map();
+    items.forEach((item, index) => {
+      item.position = index + 1;
+      const key = item.product._id.toString();
+      if (!products.has(key)) {
+        products.set(key, {
+          product: item.product,
+          priority: item.priority,
+          orders: 0,
+          quantity: 0,
+          overdue: 0,
+          oldestAgeHours: 0,
+        });
+      }
+      const summary = products.get(key);
+      summary.orders++;
+      summary.quantity += item.quantity;
+      if (item.overdue) summary.overdue++;
+      summary.oldestAgeHours = Math.max(summary.oldestAgeHours, item.ageHours);
+    });
+
+    for (const summary of products.values()) {
+      summary.availableSlots =
+        await ProductAvailabilityService.countAvailableSlots(
+          summary.product._id
+        );
+    }
+
+    return {
+      items,
+      products: [...products.values()],
+      totals: {
+        orders: new Set(items.map((item) => item.orderId.toString())).size,
+        items: items.length,
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        overdue: items.filter((item) => item.overdue).length,
+      },
+    };
+  }
+}
+
+module.exports = BackorderService;
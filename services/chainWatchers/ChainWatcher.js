@@ -0,0 +1,38 @@
+/**
+ * Base class for blockchain watchers used by crypto payments.
+ *
+ * A watcher hands out a deposit destination per order (a unique address,
+ * or a shared address plus a unique memo) and reports the transfers that
+ * reached it together with their current confirmation count.
+ */
+class ChainWatcher {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {Object} params - { asset, order }
+   * @returns {Promise<Object>} { address, memo }
+   */
+  async createDeposit({ asset, order }) {
+    throw new Error(`${this.name} watcher does not implement createDeposit`);
+  }
+
+  /**
+   * @param {Object} params - { asset, address, memo }
+   * @returns {Promise<Object[]>} [{ txHash, amount, confirmations }]
+   */
+  async getTransfers({ asset, address, memo }) {
+    throw new Error(`${this.name} watcher does not implement getTransfers`);
+  }
+
+  /**
+   * @param {String} asset - Asset code, e.g. BTC
+   * @returns {Promise<Number>} Price of one unit in USD
+   */
+  async getUsdPrice(asset) {
+    throw new Error(`${this.name} watcher does not implement getUsdPrice`);
+  }
+}
+
+module.exports = ChainWatcher;
@@ -0,0 +1,86 @@
+const ChainWatcher = require("./ChainWatcher");
+const { generateSecureId } = require("../../utils/idGenerator");
+
+const DEFAULT_USD_PRICES = {
+  BTC: 60000,
+  ETH: 3000,
+  LTC: 80,
+  USDT: 1,
+};
+
+// In-memory chain for development and tests. Transfers are injected with
+// sendTransfer() and gain confirmations through confirm().
+class MockChainWatcher extends ChainWatcher {
+  constructor() {
+    super("mock");
+    this.transfers = [];
+    this.prices = process.env.MOCK_CRYPTO_PRICES
+      ? JSON.parse(process.env.MOCK_CRYPTO_PRICES)
+      : { ...DEFAULT_USD_PRICES };
+  }
+
+  async createDeposit({ asset }) {
+    return {
+      address: `mock${asset.toLowerCase()}_${generateSecureId("", 24)}`,
+      memo: null,
+    };
+  }
+
+  async getTransfers({ address, memo }) {
+    return this.transfers
+      .filter(
+        (transfer) =>
+          transfer.address === address && (!memo || transfer.memo === memo)
+      )
+      .map(({ txHash, amount, confirmations }) => ({
+        txHash,
+        amount,
+        confirmations,
+      }));
+  }
+
+  async getUsdPrice(asset) {
+    const price = this.prices[asset];
+    if (!price) {
+      throw new Error(`No mock price for ${asset}`);
+    }
+    return price;
+  }
+
+  /**
+   * Simulate an incoming transfer
+   * @param {Object} params - { address, memo, amount, confirmations }
+   * @returns {String} Transaction hash
+   */
+  sendTransfer({ address, memo = null, amount, confirmations = 0 }) {
+    const txHash = generateSecureId("mocktx_", 32).toLowerCase();
+    this.transfers.push({
+      txHash,
+      address,
+      memo,
+      amount: Number(amount),
+      confirmations,
+    });
+    return txHash;
+  }
+
+  /**
+   * Add confirmations to a simulated transfer
+   * @param {String} txHash - Transaction hash
+   * @param {Number} count - Confirmations to add
+   */
+  confirm(txHash, count = 1) {
+    const transfer = this.transfers.find((entry) => entry.txHash === txHash);
+    if (!transfer) {
+      throw new Error(`Unknown mock transaction ${txHash}`);
+    }
+    transfer.confirmations += count;
+    return transfer;
+  }
+
+  reset() {
+    this.transfers = [];
+  }
+}
+
+module.exports = MockChainWatcher;
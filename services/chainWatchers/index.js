@@ -0,0 +1,36 @@
+const ChainWatcher = require("./ChainWatcher");
+const MockChainWatcher = require("./MockChainWatcher");
+
+const watcherFactories = {
+  mock: () => new MockChainWatcher(),
+};
+
+// Watchers keep state (the mock chain does), so reuse one per name
+const watchers = {};
+
+/**
+ * Chain watcher selected by CRYPTO_CHAIN_WATCHER, or null when crypto
+ * payments are not configured.
+ * @returns {ChainWatcher|null}
+ */
+const getChainWatcher = () => {
+  const name = (process.env.CRYPTO_CHAIN_WATCHER || "").trim();
+  if (!name) {
+    return null;
+  }
+
+  if (!watchers[name]) {
+    const factory = watcherFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown chain watcher: ${name}`);
+    }
+    watchers[name] = factory();
+  }
+  return watchers[name];
+};
+
+module.exports = {
+  ChainWatcher,
+  MockChainWatcher,
+  getChainWatcher,
+};
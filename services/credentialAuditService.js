@@ -0,0 +1,147 @@
+const CredentialAccessLog = require("../models/CredentialAccessLog");
+const { maskSecret } = require("../utils/fieldEncryption");
+
+// Secret fields of Inventory and of order items
+const INVENTORY_SECRET_FIELDS = ["accountCredentials", "username", "password"];
+const ORDER_ITEM_SECRET_FIELDS = ["accountCredentials", "credentials"];
+const SEAT_SECRET_FIELDS = ["pin", "credentials"];
+
+class CredentialAuditService {
+  /**
+   * Record an admin reading or changing credentials. Throws if the entry
+   * cannot be stored, so callers do not reveal anything unaudited.
+   * @param {Object} req - Express request (admin, IP and user agent)
+   * @param {Object} data - { action, inventory, order, product, fields, reason, details }
+   * @returns {Object} CredentialAccessLog document
+   */
+  static async record(req, data) {
+    return CredentialAccessLog.create({
+      action: data.action,
+      admin: req.user._id,
+      adminEmail: req.user.email,
+      inventory: data.inventory?._id || data.inventory || null,
+      order: data.order?._id || data.order || null,
+      orderNumber: data.order?.orderNumber || data.orderNumber,
+      product: data.product?._id || data.product || null,
+      fields: data.fields || [],
+      reason: data.reason,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      details: data.details || {},
+    });
+  }
+
+  /**
+   * Serialize an inventory item with its credentials masked
+   * @param {Object} inventory - Inventory document or plain object
+   * @returns {Object} Masked plain object
+   */
+  static maskInventory(inventory) {
+    if (!inventory) return inventory;
+
+    const { credentialsHash, ...masked } =
+      typeof inventory.toJSON === "function" ? inventory.toJSON() : inventory;
+    for (const field of INVENTORY_SECRET_FIELDS) {
+      if (masked[field]) {
+        masked[field] = maskSecret(masked[field]);
+      }
+    }
+    if (Array.isArray(masked.seats)) {
+      masked.seats = masked.seats.map((seat) => {
+        const maskedSeat = { ...seat };
+        for (const field of SEAT_SECRET_FIELDS) {
+          if (maskedSeat[field]) {
+            maskedSeat[field] = maskSecret(maskedSeat[field]);
+          }
+        }
+        return maskedSeat;
+      });
+    }
+    return masked;
+  }
+
+  /**
+   * Serialize an order with the credentials of its items (and of any
+   * populated delivered inventory) masked
+   * @param {Object} order - Order document or plain object
+   * @returns {Object} Masked plain object
+   */
+  static maskOrder(order) {
+    if (!order) return order;
+
+    const masked =
+      typeof order.toJSON === "function" ? order.toJSON() : { ...order };
+    masked.items = (masked.items || []).map((item) => {
+      const maskedItem = { ...item };
+      for (const field of ORDER_ITEM_SECRET_FIELDS) {
+        if (maskedItem[field]) {
+          maskedItem[field] = maskSecret(maskedItem[field]);
+        }
+      }
+      return maskedItem;
+    });
+    if (Array.isArray(masked.deliveredInventory)) {
+      masked.deliveredInventory = masked.deliveredInventory.map((inventory) =>
+        inventory && inventory.accountCredentials !== undefined
+          ? this.maskInventory(inventory)
+          : inventory
+      );
+    }
+    return masked;
+  }
+
+  /**
+   * Query the access log
+   * @param {Object} filters - { admin, inventory, order, action, startDate, endDate }
+   * @param {Object} options - { page, limit }
+   * @returns {Object} Logs and pagination
+   */
+  static async getLogs(filters = {}, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 50;
+
+    const query = {};
+    if (filters.admin) {
+      if (filters.admin.includes("@")) {
+        query.adminEmail = filters.admin.toLowerCase();
+      } else {
+        query.admin = filters.admin;
+      }
+    }
+    if (filters.inventory) query.inventory = filters.inventory;
+    if (filters.order) {
+      if (/^[0-9a-fA-F]{24}$/.test(filters.order)) {
+        query.order = filters.order;
+      } else {
+        query.orderNumber = filters.order;
+      }
+    }
+    if (filters.action) query.action = filters.action;
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+    }
+
+    const [logs, total] = await Promise.all([
+      CredentialAccessLog.find(query)
+        .populate("product", "title")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CredentialAccessLog.countDocuments(query),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = CredentialAuditService;
@@ -0,0 +1,312 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const DeliveryLog = require("../models/DeliveryLog");
+const InventoryReservationService = require("./inventoryReservationService");
+const CustomerNotificationService = require("./customerNotificationService");
+
+// Separator AutoDeliveryService uses between accounts of one order line
+const CREDENTIALS_SEPARATOR = "\n\n--- Next Account ---\n\n";
+
+class CredentialReplacementService {
+  /**
+   * Replace a delivered account that stopped working: revoke its
+   * assignment, allocate a fresh slot for the same product and email the
+   * customer the new credentials.
+   * @param {String} orderId - Order ID
+   * @param {String} assignmentId - Active InventoryAssignment to replace
+   * @param {Object} options - { reason, processedBy, overrideLimit }
+   * @returns {Object} Replacement result
+   */
+  static async replaceAssignment(orderId, assignmentId, options = {}) {
+    const order = await Order.findById(orderId).populate("items.product");
+    if (!order) {
+      return { success: false, statusCode: 404, error: "Order not found" };
+    }
+
+    const assignment = await InventoryAssignment.findOne({
+      _id: assignmentId,
+      order: order._id,
+    }).populate("inventory");
+    if (!assignment) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: "Assignment not found for this order",
+      };
+    }
+    if (assignment.status !== "active") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Assignment is ${assignment.status}, only active assignments can be replaced`,
+      };
+    }
+
+    const settings = await Settings.getSettings();
+    const limit = settings.credentialReplacementLimit;
+    const limitReached = (used) => ({
+      success: false,
+      statusCode: 409,
+      errorCode: "REPLACEMENT_LIMIT_REACHED",
+      error: `Order has used ${used} of ${limit} warranty replacements`,
+    });
+    const alreadyUsed = order.credentialReplacements.length;
+    if (alreadyUsed >= limit && !options.overrideLimit) {
+      return limitReached(alreadyUsed);
+    }
+
+    const oldInventory = assignment.inventory;
+    const productId = oldInventory?.product?.toString();
+    const item =
+      (assignment.orderItem && order.items.id(assignment.orderItem)) ||
+      order.items.find(
+        (orderItem) =>
+          (orderItem.product?._id || orderItem.product)?.toString() ===
+          productId
+      );
+    if (!item) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Order item for this assignment not found",
+      };
+    }
+
+    const reason = options.reason || "Account not working";
+
+    // Take a warranty replacement before anything else. The entry is only
+    // pushed while the array is below the limit, so concurrent requests
+    // cannot exceed it; it is pulled again if the replacement fails.
+    const entryId = new mongoose.Types.ObjectId();
+    const claimFilter = { _id: order._id };
+    if (!options.overrideLimit) {
+      claimFilter.$expr = {
+        $lt: [{ $size: { $ifNull: ["$credentialReplacements", []] } }, limit],
+      };
+    }
+    const claimed = await Order.findOneAndUpdate(
+      claimFilter,
+      {
+        $push: {
+          credentialReplacements: {
+            _id: entryId,
+            item: item._id,
+            title: item.title,
+            oldAssignment: assignment._id,
+            oldInventory: oldInventory?._id,
+            reason,
+            processedBy: options.processedBy,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return limitReached(limit);
+    }
+    const used = claimed.credentialReplacements.findIndex((entry) =>
+      entry._id.equals(entryId)
+    );
+    const overrodeLimit = used >= limit;
+    if (overrodeLimit) {
+      await Order.updateOne(
+        { _id: order._id, "credentialReplacements._id": entryId },
+        { "credentialReplacements.$.overrodeLimit": true }
+      );
+    }
+
+    // Claim the new slot first so the old account is only revoked once a
+    // replacement is certain; never hand out the broken account again
+    const reservation = await InventoryReservationService.reserve({
+      product: item.product,
+      quantity: 1,
+      order,
+      exclude: oldInventory ? [oldInventory._id] : [],
+    });
+    if (!reservation.success) {
+      await this.releaseWarrantyClaim(order._id, entryId);
+      return {
+        success: false,
+        statusCode: 409,
+        errorCode: "NO_REPLACEMENT_INVENTORY",
+        error: "No inventory available for a replacement",
+      };
+    }
+
+    const revoked = await InventoryAssignment.findOneAndUpdate(
+      { _id: assignment._id, status: "active" },
+      {
+        status: "revoked",
+        revokedAt: new Date(),
+        revokedReason: `Replaced: ${reason}`,
+      },
+      { new: true }
+    );
+    if (!revoked) {
+      await InventoryReservationService.release(
+        reservation.reservationId,
+        "Assignment changed during replacement"
+      );
+      await this.releaseWarrantyClaim(order._id, entryId);
+      return {
+        success: false,
+        statusCode: 409,
+        error: "Assignment was changed while replacing it",
+      };
+    }
+
+    let committed;
+    try {
+      committed = await InventoryReservationService.commit(
+        reservation.reservationId,
+        order,
+        {
+          orderItem: item._id,
+          notes: `Replacement for assignment ${assignment._id} (${reason})`,
+        }
+      );
+    } catch (commitError) {
+      // Put the old assignment back rather than leave the customer with none
+      await InventoryAssignment.findByIdAndUpdate(assignment._id, {
+        status: "active",
+        revokedAt: null,
+        revokedReason: null,
+      });
+      await InventoryReservationService.release(
+        reservation.reservationId,
+        `Commit failed: ${commitError.message}`
+      );
+      await this.releaseWarrantyClaim(order._id, entryId);
+      throw commitError;
+    }
+
+    const newInventory = committed.inventoryItems[0];
+    const newAssignment = committed.assignments[0];
+
+    // The broken seat is no longer this customer's
+    await InventoryReservationService.freeSeat(revoked);
+
+    // Quarantine the broken account so it is not handed out again
+    if (oldInventory) {
+      await Inventory.updateOne(
+        { _id: oldInventory._id },
+        {
+          status: "defective",
+          defectiveAt: new Date(),
+          defectiveReason: reason,
+        }
+      );
+      await InventoryReservationService.refreshAvailability(
+        oldInventory.product
+      );
+    }
+
+    // Swap the credentials on the order line
+    const oldCredentials = oldInventory?.getSeatCredentials(assignment.seat);
+    const newCredentials = committed.credentials[0];
+    const accounts = (item.accountCredentials || item.credentials || "")
+      .split(CREDENTIALS_SEPARATOR)
+      .filter(Boolean);
+    const index = accounts.indexOf(oldCredentials);
+    if (index >= 0) {
+      accounts[index] = newCredentials;
+    } else {
+      accounts.push(newCredentials);
+    }
+    item.accountCredentials = accounts.join(CREDENTIALS_SEPARATOR);
+    item.credentials = item.accountCredentials;
+
+    // Current credentials are read from deliveredInventory
+    const stillAssigned =
+      oldInventory &&
+      (await InventoryAssignment.exists({
+        order: order._id,
+        inventory: oldInventory._id,
+        status: "active",
+      }));
+    if (oldInventory && !stillAssigned) {
+      order.deliveredInventory = order.deliveredInventory.filter(
+        (inventoryId) => inventoryId.toString() !== oldInventory._id.toString()
+      );
+    }
+    if (
+      !order.deliveredInventory.some(
+        (inventoryId) => inventoryId.toString() === newInventory._id.toString()
+      )
+    ) {
+      order.deliveredInventory.push(newInventory._id);
+    }
+
+    await order.save();
+    await Order.updateOne(
+      { _id: order._id, "credentialReplacements._id": entryId },
+      {
+        "credentialReplacements.$.newAssignment": newAssignment._id,
+        "credentialReplacements.$.newInventory": newInventory._id,
+        "credentialReplacements.$.replacedAt": new Date(),
+      }
+    );
+
+    await DeliveryLog.logDeliveryEvent({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      productId: item.product._id || item.product,
+      productTitle: item.title,
+      eventType: "credentials_replaced",
+      status: "info",
+      message: `Replaced a broken ${item.title} account (${
+        used + 1
+      }/${limit} warranty replacements)`,
+      details: {
+        reason,
+        processedBy: options.processedBy,
+        oldAssignment: assignment._id,
+        newAssignment: newAssignment._id,
+        oldInventory: oldInventory?._id,
+        newInventory: newInventory._id,
+        overrodeLimit,
+      },
+      customerEmail: order.customer.email,
+    });
+
+    try {
+      await CustomerNotificationService.sendCredentialReplacementEmail(order, {
+        title: item.title,
+        credentials: newCredentials,
+        reason,
+      });
+    } catch (emailError) {
+      console.error("Failed to send replacement email:", emailError);
+    }
+
+    console.log(
+      `Replaced assignment ${assignment._id} on order ${order.orderNumber} with inventory ${newInventory._id}`
+    );
+
+    return {
+      success: true,
+      order: await Order.findById(order._id),
+      oldAssignment: revoked,
+      newAssignment,
+      replacementsUsed: used + 1,
+      replacementLimit: limit,
+    };
+  }
+
+  /**
+   * Give back a warranty replacement whose replacement did not go through
+   * @param {ObjectId} orderId - Order ID
+   * @param {ObjectId} entryId - credentialReplacements entry ID
+   */
+  static async releaseWarrantyClaim(orderId, entryId) {
+    await Order.updateOne(
+      { _id: orderId },
+      { $pull: { credentialReplacements: { _id: entryId } } }
+    );
+  }
+}
+
+module.exports = CredentialReplacementService;
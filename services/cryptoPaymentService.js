@@ -0,0 +1,326 @@
+const CryptoPayment = require("../models/CryptoPayment");
+const Order = require("../models/Order");
+const PaymentService = require("./PaymentService");
+const ExchangeRateService = require("./exchangeRateService");
+const { getChainWatcher } = require("./chainWatchers");
+const { BASE_CURRENCY, roundAmount } = require("../utils/currency");
+
+// Assets we accept, with the confirmations needed before funds count
+const CRYPTO_ASSETS = {
+  BTC: { name: "Bitcoin", decimals: 8, confirmations: 2 },
+  ETH: { name: "Ethereum", decimals: 8, confirmations: 12 },
+  LTC: { name: "Litecoin", decimals: 8, confirmations: 6 },
+  USDT: { name: "Tether", decimals: 6, confirmations: 20 },
+};
+
+// Statuses that still need the chain to be checked
+const OPEN_STATUSES = ["awaiting_payment", "confirming", "underpaid"];
+
+const getPaymentWindowMs = () =>
+  (parseInt(process.env.CRYPTO_PAYMENT_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Relative shortfall/excess (in percent) still treated as an exact payment
+const getTolerance = () =>
+  (parseFloat(process.env.CRYPTO_PAYMENT_TOLERANCE_PERCENT) || 0.5) / 100;
+
+class CryptoPaymentService {
+  /**
+   * Asset settings, with confirmations overridable through
+   * CRYPTO_CONFIRMATIONS_<ASSET>
+   * @param {String} asset - Asset code
+   * @returns {Object|null} Asset config
+   */
+  static getAssetConfig(asset) {
+    const code = (asset || "").toUpperCase();
+    const config = CRYPTO_ASSETS[code];
+    if (!config) {
+      return null;
+    }
+
+    const override = parseInt(process.env[`CRYPTO_CONFIRMATIONS_${code}`]);
+    return {
+      code,
+      ...config,
+      confirmations: isNaN(override) ? config.confirmations : override,
+    };
+  }
+
+  static getWatcher() {
+    const watcher = getChainWatcher();
+    if (!watcher) {
+      const error = new Error("Cryptocurrency payments are not configured");
+      error.code = "CRYPTO_NOT_CONFIGURED";
+      throw error;
+    }
+    return watcher;
+  }
+
+  /**
+   * Price of one unit of an asset in the order currency
+   * @param {ChainWatcher} watcher - Price source
+   * @param {String} asset - Asset code
+   * @param {String} currency - Fiat currency
+   * @returns {Number} Price
+   */
+  static async getAssetPrice(watcher, asset, currency) {
+    const usdPrice = await watcher.getUsdPrice(asset);
+    if (currency === "USD") {
+      return usdPrice;
+    }
+
+    // Rates are relative to the base currency
+    const { rates } = await ExchangeRateService.getRates();
+    const usdRate = rates.USD;
+    const currencyRate = currency === BASE_CURRENCY ? 1 : rates[currency];
+    if (!usdRate || !currencyRate) {
+      throw new Error(`No exchange rate available to price ${asset} in ${currency}`);
+    }
+    return (usdPrice / usdRate) * currencyRate;
+  }
+
+  /**
+   * Create (or reuse) the deposit instructions for an order
+   * @param {Object} order - Order document
+   * @param {String} asset - Asset code
+   * @returns {Object} CryptoPayment document
+   */
+  static async createPayment(order, asset) {
+    const assetConfig = this.getAssetConfig(asset);
+    if (!assetConfig) {
+      const error = new Error(
+        `Unsupported cryptocurrency. Supported: ${Object.keys(
+          CRYPTO_ASSETS
+        ).join(", ")}`
+      );
+      error.code = "UNSUPPORTED_CRYPTO_ASSET";
+      throw error;
+    }
+
+    // Hand out the same instructions while a payment is still open
+    const existing = await CryptoPayment.findOne({
+      order: order._id,
+      asset: assetConfig.code,
+      status: { $in: OPEN_STATUSES },
+      expiresAt: { $gt: new Date() },
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const watcher = this.getWatcher();
+    const assetPrice = await this.getAssetPrice(
+      watcher,
+      assetConfig.code,
+      order.currency
+    );
+    const expectedAmount = roundAmount(order.total / assetPrice, {
+      decimals: assetConfig.decimals,
+      roundingMode: "up",
+    });
+
+    const deposit = await watcher.createDeposit({
+      asset: assetConfig.code,
+      order,
+    });
+
+    const payment = await CryptoPayment.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      asset: assetConfig.code,
+      watcher: watcher.name,
+      depositAddress: deposit.address,
+      memo: deposit.memo || null,
+      expectedAmount,
+      requiredConfirmations: assetConfig.confirmations,
+      quote: {
+        fiatAmount: order.total,
+        fiatCurrency: order.currency,
+        assetPrice,
+      },
+      expiresAt: new Date(Date.now() + getPaymentWindowMs()),
+    });
+
+    await Order.findByIdAndUpdate(order._id, { paymentMethod: "crypto" });
+
+    console.log(
+      `Crypto payment created for order ${order.orderNumber}: ${expectedAmount} ${assetConfig.code} to ${deposit.address}`
+    );
+
+    return payment;
+  }
+
+  /**
+   * Read the transfers for a payment from the chain and update its status.
+   * Marks the order paid (which triggers auto-delivery) once enough funds
+   * have the required confirmations.
+   * @param {Object} payment - CryptoPayment document
+   * @returns {Object} Updated CryptoPayment document
+   */
+  static async checkPayment(payment) {
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      return payment;
+    }
+
+    const watcher = this.getWatcher();
+    const transfers = await watcher.getTransfers({
+      asset: payment.asset,
+      address: payment.depositAddress,
+      memo: payment.memo,
+    });
+
+    const now = new Date();
+    const known = new Map(
+      payment.transfers.map((transfer) => [transfer.txHash, transfer])
+    );
+
+    payment.transfers = transfers.map((transfer) => {
+      const previous = known.get(transfer.txHash);
+      const confirmed = transfer.confirmations >= payment.requiredConfirmations;
+      return {
+        txHash: transfer.txHash,
+        amount: transfer.amount,
+        confirmations: transfer.confirmations,
+        detectedAt: previous?.detectedAt || now,
+        confirmedAt: confirmed ? previous?.confirmedAt || now : null,
+      };
+    });
+
+    const decimals = this.getAssetConfig(payment.asset)?.decimals ?? 8;
+    const sum = (entries) =>
+      roundAmount(
+        entries.reduce((total, transfer) => total + transfer.amount, 0),
+        { decimals }
+      );
+    const confirmedTransfers = payment.transfers.filter(
+      (transfer) => transfer.confirmedAt
+    );
+
+    payment.receivedAmount = sum(confirmedTransfers);
+    payment.pendingAmount = sum(
+      payment.transfers.filter((transfer) => !transfer.confirmedAt)
+    );
+    payment.lastCheckedAt = now;
+
+    const tolerance = getTolerance();
+    const minimum = payment.expectedAmount * (1 - tolerance);
+    const maximum = payment.expectedAmount * (1 + tolerance);
+
+    if (payment.receivedAmount >= minimum) {
+      const status = payment.receivedAmount > maximum ? "overpaid" : "paid";
+      const overpaidAmount = Math.max(
+        0,
+        roundAmount(payment.receivedAmount - payment.expectedAmount, {
+          decimals,
+        })
+      );
+
+      // Conditional update so concurrent checks mark the order paid only once
+      const settled = await CryptoPayment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: OPEN_STATUSES } },
+        {
+          status,
+          overpaidAmount,
+          paidAt: now,
+          transfers: payment.transfers,
+          receivedAmount: payment.receivedAmount,
+          pendingAmount: payment.pendingAmount,
+          lastCheckedAt: now,
+        },
+        { new: true }
+      );
+      if (!settled) {
+        return CryptoPayment.findById(payment._id);
+      }
+
+      const result = await PaymentService.handleSuccessfulPayment(
+        payment.order,
+        {
+          transactionId: confirmedTransfers
+            .map((transfer) => transfer.txHash)
+            .join(","),
+          paymentMethod: "crypto",
+          amount: payment.quote.fiatAmount,
+        }
+      );
+
+      if (!result.success) {
+        // Reopen so the next check retries marking the order paid
+        settled.status = "confirming";
+        settled.paidAt = null;
+        await settled.save();
+        throw new Error(
+          `Failed to mark order ${payment.orderNumber} paid: ${result.error}`
+        );
+      }
+
+      console.log(
+        `Crypto payment for order ${payment.orderNumber} ${status}: received ${payment.receivedAmount} ${payment.asset}`
+      );
+      return settled;
+    }
+
+    if (payment.receivedAmount + payment.pendingAmount >= minimum) {
+      payment.status = "confirming";
+    } else if (payment.transfers.length > 0) {
+      // Partial funds stay open for a top-up and are never expired away
+      payment.status = "underpaid";
+    } else if (payment.expiresAt <= now) {
+      payment.status = "expired";
+    } else {
+      payment.status = "awaiting_payment";
+    }
+
+    // Never overwrite a payment another check has already settled
+    const updated = await CryptoPayment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: OPEN_STATUSES } },
+      {
+        status: payment.status,
+        transfers: payment.transfers,
+        receivedAmount: payment.receivedAmount,
+        pendingAmount: payment.pendingAmount,
+        lastCheckedAt: now,
+      },
+      { new: true }
+    );
+    return updated || CryptoPayment.findById(payment._id);
+  }
+
+  /**
+   * Check every open crypto payment against the chain. Run every minute
+   * by the crypto.check-payments job.
+   * @returns {Object} Sweep result
+   */
+  static async checkPendingPayments() {
+    try {
+      const payments = await CryptoPayment.find({
+        status: { $in: OPEN_STATUSES },
+      });
+
+      let paidCount = 0;
+      for (const payment of payments) {
+        try {
+          const checked = await this.checkPayment(payment);
+          if (["paid", "overpaid"].includes(checked.status)) {
+            paidCount++;
+          }
+        } catch (error) {
+          console.error(
+            `Error checking crypto payment for order ${payment.orderNumber}:`,
+            error.message
+          );
+        }
+      }
+
+      return {
+        success: true,
+        checkedCount: payments.length,
+        paidCount,
+      };
+    } catch (error) {
+      console.error("Error checking crypto payments:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = CryptoPaymentService;
@@ -0,0 +1,194 @@
+const Dispute = require("../models/Dispute");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const DeliveryLog = require("../models/DeliveryLog");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const { fromMinorUnits } = require("../utils/currency");
+
+// Stripe dispute statuses mapped onto ours
+const STRIPE_STATUS_MAP = {
+  warning_needs_response: "needs_response",
+  needs_response: "needs_response",
+  warning_under_review: "under_review",
+  under_review: "under_review",
+  won: "won",
+  lost: "lost",
+  warning_closed: "closed",
+};
+
+const RESOLVED_STATUSES = ["won", "lost", "closed"];
+
+class DisputeService {
+  /**
+   * Create or update a dispute from a Stripe dispute object
+   * @param {Object} stripeDispute - Stripe dispute (charge.dispute.*)
+   * @param {Object} order - Order document
+   * @returns {Object} Dispute document
+   */
+  static async upsertFromStripe(stripeDispute, order) {
+    const status = STRIPE_STATUS_MAP[stripeDispute.status] || "needs_response";
+    const currency = stripeDispute.currency.toUpperCase();
+
+    let dispute = await Dispute.findOne({
+      providerDisputeId: stripeDispute.id,
+    });
+
+    if (!dispute) {
+      dispute = new Dispute({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        source: "stripe",
+        providerDisputeId: stripeDispute.id,
+        reason: stripeDispute.reason || "unknown",
+        amount: fromMinorUnits(
+          stripeDispute.amount,
+          currency,
+          await Settings.getSupportedCurrencies()
+        ),
+        currency,
+        status,
+        evidenceDueBy: stripeDispute.evidence_details?.due_by
+          ? new Date(stripeDispute.evidence_details.due_by * 1000)
+          : null,
+        history: [{ status, note: "Opened by Stripe", by: "stripe" }],
+      });
+      await this.attachEvidenceBundle(dispute);
+    } else if (dispute.status !== status) {
+      dispute.status = status;
+      dispute.history.push({ status, note: "Updated by Stripe", by: "stripe" });
+    }
+
+    if (RESOLVED_STATUSES.includes(status) && !dispute.resolvedAt) {
+      dispute.resolvedAt = new Date();
+    }
+
+    await dispute.save();
+    await this.syncOrder(dispute);
+    return dispute;
+  }
+
+  /**
+   * Open a dispute by hand (e.g. a bank chargeback notice)
+   * @param {Object} order - Order document
+   * @param {Object} data - { reason, amount, evidenceDueBy, notes }
+   * @param {String} createdBy - Admin email
+   * @returns {Object} Dispute document
+   */
+  static async createManual(order, data, createdBy) {
+    const dispute = new Dispute({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      source: "manual",
+      reason: data.reason,
+      amount: data.amount !== undefined ? data.amount : order.total,
+      currency: order.currency,
+      evidenceDueBy: data.evidenceDueBy ? new Date(data.evidenceDueBy) : null,
+      notes: data.notes,
+      createdBy,
+      history: [
+        { status: "needs_response", note: "Opened manually", by: createdBy },
+      ],
+    });
+    await this.attachEvidenceBundle(dispute);
+    await dispute.save();
+    await this.syncOrder(dispute);
+    return dispute;
+  }
+
+  /**
+   * Move a dispute to a new status
+   * @param {Object} dispute - Dispute document
+   * @param {String} status - New status
+   * @param {String} note - Why
+   * @param {String} by - Admin email
+   * @returns {Object} Dispute document
+   */
+  static async updateStatus(dispute, status, note, by) {
+    dispute.status = status;
+    dispute.history.push({ status, note, by });
+    dispute.resolvedAt = RESOLVED_STATUSES.includes(status) ? new Date() : null;
+    await dispute.save();
+    await this.syncOrder(dispute);
+    return dispute;
+  }
+
+  /**
+   * Collect what we can prove about the order: the delivery timeline from
+   * DeliveryLog, the delivery emails we sent and the credential assignments
+   * @param {Object} dispute - Dispute document (not saved)
+   * @returns {Object} The dispute with evidenceBundle set
+   */
+  static async attachEvidenceBundle(dispute) {
+    const order = await Order.findById(dispute.order);
+    const [logs, assignments] = await Promise.all([
+      DeliveryLog.find({ orderId: dispute.order }).sort({ createdAt: 1 }),
+      InventoryAssignment.find({ order: dispute.order }).sort({
+        assignedAt: 1,
+      }),
+    ]);
+
+    dispute.evidenceBundle = {
+      generatedAt: new Date(),
+      order: order && {
+        orderNumber: order.orderNumber,
+        createdAt: order.createdAt,
+        customer: {
+          name: `${order.customer.firstName || ""} ${
+            order.customer.lastName || ""
+          }`.trim(),
+          email: order.customer.email,
+          phone: order.customer.phone,
+        },
+        total: order.total,
+        currency: order.currency,
+        paymentMethod: order.paymentMethod,
+        paidAt: order.paymentInfo?.paidAt,
+        transactionId: order.paymentInfo?.transactionId,
+        items: order.items.map((item) => ({
+          title: item.title,
+          quantity: item.quantity,
+          price: item.price,
+          deliveryStatus: item.deliveryStatus,
+          deliveredAt: item.deliveredAt,
+        })),
+      },
+      deliveryTimeline: logs.map((log) => ({
+        at: log.createdAt,
+        eventType: log.eventType,
+        status: log.status,
+        message: log.message,
+        productTitle: log.productTitle,
+      })),
+      emailProof: logs
+        .filter((log) => log.eventType === "email_sent")
+        .map((log) => ({
+          sentAt: log.details?.sentAt || log.createdAt,
+          to: log.details?.emailTo || log.customerEmail,
+          subject: log.details?.subject,
+          messageId: log.details?.messageId,
+          productTitle: log.productTitle,
+        })),
+      assignments: assignments.map((assignment) => ({
+        assignedAt: assignment.assignedAt,
+        customerEmail: assignment.customerEmail,
+        status: assignment.status,
+        revokedAt: assignment.revokedAt,
+      })),
+    };
+
+    return dispute;
+  }
+
+  // Mirror the latest dispute on the order's payment info
+  static async syncOrder(dispute) {
+    await Order.findByIdAndUpdate(dispute.order, {
+      "paymentInfo.disputeId":
+        dispute.providerDisputeId || dispute._id.toString(),
+      "paymentInfo.disputeReason": dispute.reason,
+      "paymentInfo.disputeStatus": dispute.status,
+      "paymentInfo.disputedAt": dispute.createdAt || new Date(),
+    });
+  }
+}
+
+module.exports = DisputeService;
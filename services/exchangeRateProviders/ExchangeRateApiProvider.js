@@ -0,0 +1,28 @@
+const axios = require("axios");
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+
+// exchangerate-api.com, returns every rate for the requested base
+class ExchangeRateApiProvider extends ExchangeRateProvider {
+  constructor() {
+    super("exchangerate-api");
+  }
+
+  async fetchRates(base, symbols) {
+    const response = await axios.get(
+      `https://api.exchangerate-api.com/v4/latest/${base}`,
+      { timeout: 5000 }
+    );
+
+    if (!response.data || !response.data.rates) {
+      throw new Error("Invalid response from exchangerate-api.com");
+    }
+
+    return {
+      base,
+      rates: ExchangeRateProvider.pickRates(response.data.rates, base, symbols),
+      date: response.data.date || ExchangeRateProvider.today(),
+    };
+  }
+}
+
+module.exports = ExchangeRateApiProvider;
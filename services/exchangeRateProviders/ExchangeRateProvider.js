@@ -0,0 +1,38 @@
+/**
+ * Base class for exchange rate providers.
+ *
+ * A provider returns rates relative to `base`, or null when it has nothing
+ * to offer (the next provider in the chain is tried). Throwing is treated
+ * the same way but is logged as a failure.
+ */
+class ExchangeRateProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {String} base - Base currency code (prices are stored in LKR)
+   * @param {String[]} symbols - Currency codes wanted in the result
+   * @returns {Promise<Object|null>} { base, rates: { CODE: rate }, date }
+   */
+  async fetchRates(base, symbols) {
+    throw new Error(`${this.name} provider does not implement fetchRates`);
+  }
+
+  // Keep only the requested currencies and always include the base at 1
+  static pickRates(allRates, base, symbols) {
+    const rates = { [base]: 1 };
+    for (const code of symbols) {
+      if (code !== base && allRates[code]) {
+        rates[code] = allRates[code];
+      }
+    }
+    return rates;
+  }
+
+  static today() {
+    return new Date().toISOString().split("T")[0];
+  }
+}
+
+module.exports = ExchangeRateProvider;
@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+
+const DEFAULT_STUB_FILE = path.join(__dirname, "stubRates.json");
+
+// Reads rates from a JSON file so pricing works without network access
+class FileStubProvider extends ExchangeRateProvider {
+  constructor(filePath) {
+    super("file");
+    this.filePath =
+      filePath || process.env.EXCHANGE_RATE_STUB_FILE || DEFAULT_STUB_FILE;
+  }
+
+  async fetchRates(base, symbols) {
+    const content = await fs.promises.readFile(this.filePath, "utf8");
+    const stub = JSON.parse(content);
+
+    if (stub.base !== base || !stub.rates) {
+      throw new Error(
+        `Stub rate file ${this.filePath} does not contain ${base} rates`
+      );
+    }
+
+    return {
+      base,
+      rates: ExchangeRateProvider.pickRates(stub.rates, base, symbols),
+      date: stub.date || ExchangeRateProvider.today(),
+    };
+  }
+}
+
+module.exports = FileStubProvider;
@@ -0,0 +1,38 @@
+const axios = require("axios");
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+
+// fixer.io free tier, quoted against USD and inverted to our base
+class FixerProvider extends ExchangeRateProvider {
+  constructor() {
+    super("fixer");
+  }
+
+  async fetchRates(base, symbols) {
+    const wanted = [...new Set([base, ...symbols])].filter(
+      (code) => code !== "USD"
+    );
+    const response = await axios.get(
+      `https://api.fixer.io/latest?base=USD&symbols=${wanted.join(",")}`,
+      { timeout: 5000 }
+    );
+
+    const usdRates = response.data && response.data.rates;
+    if (!usdRates || !usdRates[base]) {
+      throw new Error("Invalid response from fixer.io");
+    }
+
+    // Convert USD->X quotes into base->X
+    const baseRates = { USD: 1 / usdRates[base] };
+    for (const [code, rate] of Object.entries(usdRates)) {
+      baseRates[code] = rate / usdRates[base];
+    }
+
+    return {
+      base,
+      rates: ExchangeRateProvider.pickRates(baseRates, base, symbols),
+      date: response.data.date || ExchangeRateProvider.today(),
+    };
+  }
+}
+
+module.exports = FixerProvider;
@@ -0,0 +1,30 @@
+const Settings = require("../../models/Settings");
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+
+// Rates pinned by an admin through Settings.manualExchangeRate
+class ManualOverrideProvider extends ExchangeRateProvider {
+  constructor() {
+    super("manual");
+  }
+
+  async fetchRates(base) {
+    const settings = await Settings.getSettings();
+    const manual = settings.manualExchangeRate;
+
+    if (!manual || !manual.enabled || !(manual.rate > 0)) {
+      return null;
+    }
+
+    return {
+      base,
+      rates: {
+        [base]: 1,
+        [manual.currency || "USD"]: manual.rate,
+      },
+      date: (manual.setAt || new Date()).toISOString().split("T")[0],
+      fetchedAt: manual.setAt || new Date(),
+    };
+  }
+}
+
+module.exports = ManualOverrideProvider;
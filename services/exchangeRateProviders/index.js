@@ -0,0 +1,43 @@
+const ExchangeRateProvider = require("./ExchangeRateProvider");
+const ExchangeRateApiProvider = require("./ExchangeRateApiProvider");
+const FixerProvider = require("./FixerProvider");
+const ManualOverrideProvider = require("./ManualOverrideProvider");
+const FileStubProvider = require("./FileStubProvider");
+
+const providerFactories = {
+  "exchangerate-api": () => new ExchangeRateApiProvider(),
+  fixer: () => new FixerProvider(),
+  manual: () => new ManualOverrideProvider(),
+  file: () => new FileStubProvider(),
+};
+
+const DEFAULT_PROVIDER_CHAIN = "exchangerate-api,fixer";
+
+/**
+ * Build the ordered provider chain from EXCHANGE_RATE_PROVIDERS,
+ * e.g. "exchangerate-api,fixer" in production or "file" offline.
+ * @returns {ExchangeRateProvider[]}
+ */
+const getProviderChain = () => {
+  const names = (process.env.EXCHANGE_RATE_PROVIDERS || DEFAULT_PROVIDER_CHAIN)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return names.map((name) => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown exchange rate provider: ${name}`);
+    }
+    return factory();
+  });
+};
+
+module.exports = {
+  ExchangeRateProvider,
+  ExchangeRateApiProvider,
+  FixerProvider,
+  ManualOverrideProvider,
+  FileStubProvider,
+  getProviderChain,
+};
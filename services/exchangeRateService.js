@@ -0,0 +1,271 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const Settings = require("../models/Settings");
+const {
+  ManualOverrideProvider,
+  getProviderChain,
+} = require("./exchangeRateProviders");
+
+const { BASE_CURRENCY } = require("../utils/currency");
+
+// In-process cache in front of the persisted ExchangeRate history
+let exchangeRateCache = {
+  rates: null,
+  source: null,
+  lastUpdated: null,
+  ttl: 3600000, // 1 hour in milliseconds
+};
+
+// Approximate rates used only for display when no provider has answered yet
+const FALLBACK_RATES = {
+  USD: 0.003,
+  EUR: 0.003,
+  GBP: 0.0025,
+  INR: 0.27,
+  LKR: 1,
+};
+
+const manualProvider = new ManualOverrideProvider();
+
+class ExchangeRateService {
+  /**
+   * Currency codes rates are needed for (every enabled currency but the base)
+   * @returns {String[]} Currency codes
+   */
+  static async getRateSymbols() {
+    const currencies = await Settings.getSupportedCurrencies();
+    return currencies
+      .map((currency) => currency.code)
+      .filter((code) => code !== BASE_CURRENCY);
+  }
+
+  // Whether a rate set has an entry for every wanted currency
+  static coversSymbols(rates, symbols) {
+    return symbols.every((code) => rates && rates[code]);
+  }
+
+  /**
+   * Ask each configured provider in turn until one returns rates
+   * @param {String[]} symbols - Currency codes wanted
+   * @returns {Object} { rates, source }
+   */
+  static async fetchLatestRates(symbols) {
+    const providers = getProviderChain();
+
+    for (const provider of providers) {
+      try {
+        const result = await provider.fetchRates(BASE_CURRENCY, symbols);
+        if (result) {
+          return { rates: result, source: provider.name };
+        }
+      } catch (error) {
+        console.log(
+          `Exchange rate provider ${provider.name} failed: ${error.message}`
+        );
+      }
+    }
+
+    throw new Error("All exchange rate APIs failed");
+  }
+
+  // Load a persisted snapshot into the in-process cache
+  static cacheSnapshot(snapshot) {
+    exchangeRateCache = {
+      rates: {
+        base: snapshot.base,
+        rates: Object.fromEntries(snapshot.rates),
+        date: snapshot.date,
+      },
+      source: snapshot.source,
+      lastUpdated: new Date(snapshot.fetchedAt).getTime(),
+      ttl: 3600000,
+    };
+  }
+
+  static fromCache(extra = {}) {
+    return {
+      ...exchangeRateCache.rates,
+      source: exchangeRateCache.source,
+      cached: true,
+      lastUpdated: new Date(exchangeRateCache.lastUpdated),
+      ...extra,
+    };
+  }
+
+  /**
+   * Get current rates with any admin-pinned rate applied on top
+   * @returns {Object} Rate snapshot
+   */
+  static async getRates() {
+    const live = await this.getLiveRates();
+
+    const manual = await manualProvider.fetchRates(BASE_CURRENCY);
+    if (!manual) {
+      return live;
+    }
+
+    const manualCurrencies = Object.keys(manual.rates).filter(
+      (code) => code !== BASE_CURRENCY
+    );
+    return {
+      ...live,
+      rates: { ...live.rates, ...manual.rates },
+      manualCurrencies,
+      manualSetAt: manual.fetchedAt,
+    };
+  }
+
+  /**
+   * Get provider rates, preferring the in-process cache, then the persisted
+   * history, then a fresh provider fetch. A cached snapshot missing one of
+   * the supported currencies counts as a miss. If every provider fails the
+   * last known rates are returned, and only if nothing was ever fetched the
+   * fallback rates.
+   * @returns {Object} Rate snapshot
+   */
+  static async getLiveRates() {
+    const symbols = await this.getRateSymbols();
+    const now = Date.now();
+
+    // Check if we have cached rates that are still valid
+    if (
+      exchangeRateCache.rates &&
+      exchangeRateCache.lastUpdated &&
+      now - exchangeRateCache.lastUpdated < exchangeRateCache.ttl &&
+      this.coversSymbols(exchangeRateCache.rates.rates, symbols)
+    ) {
+      return this.fromCache();
+    }
+
+    // Survive restarts and serverless cold starts through the history
+    const persisted = await ExchangeRate.getLatest(
+      BASE_CURRENCY,
+      exchangeRateCache.ttl
+    );
+    if (
+      persisted &&
+      this.coversSymbols(Object.fromEntries(persisted.rates), symbols)
+    ) {
+      this.cacheSnapshot(persisted);
+      return this.fromCache();
+    }
+
+    try {
+      const { rates, source } = await this.fetchLatestRates(symbols);
+
+      const snapshot = await ExchangeRate.create({
+        base: rates.base,
+        rates: rates.rates,
+        source,
+        date: rates.date,
+        fetchedAt: new Date(now),
+      });
+      this.cacheSnapshot(snapshot);
+
+      return this.fromCache({ cached: false });
+    } catch (error) {
+      console.error("Exchange rate API error:", error.message);
+
+      const lastKnown = await ExchangeRate.getLatest(BASE_CURRENCY);
+      if (lastKnown) {
+        this.cacheSnapshot(lastKnown);
+        // Let the next request retry the providers instead of the stale cache
+        exchangeRateCache.lastUpdated = now - exchangeRateCache.ttl;
+        return {
+          ...this.fromCache(),
+          lastUpdated: new Date(lastKnown.fetchedAt),
+          stale: true,
+          warning: "Using last known exchange rates due to API unavailability",
+        };
+      }
+
+      return {
+        base: BASE_CURRENCY,
+        rates: { ...FALLBACK_RATES },
+        date: new Date().toISOString().split("T")[0],
+        source: "fallback",
+        fallback: true,
+        cached: false,
+        lastUpdated: new Date(),
+        warning: "Using fallback exchange rates due to API unavailability",
+      };
+    }
+  }
+
+  /**
+   * Record an admin-pinned rate in the history
+   * @param {Number} rate - LKR -> currency rate
+   * @param {String} setBy - Admin email
+   * @param {String} currency - Pinned currency
+   */
+  static async recordManualRate(rate, setBy, currency = "USD") {
+    return ExchangeRate.create({
+      base: BASE_CURRENCY,
+      rates: { [BASE_CURRENCY]: 1, [currency]: rate },
+      source: "manual",
+      date: new Date().toISOString().split("T")[0],
+      fetchedAt: new Date(),
+      setBy,
+    });
+  }
+
+  /**
+   * Historical rates for a given day
+   * @param {String} date - YYYY-MM-DD
+   */
+  static async getHistoricalRates(date) {
+    return ExchangeRate.getForDate(date, BASE_CURRENCY);
+  }
+
+  /**
+   * Rate snapshot used to price an order. Prices are stored in LKR, so
+   * the rate converts LKR into the order currency.
+   * @param {String} currency - Order currency
+   * @returns {Object} { rate, source, timestamp }
+   * @throws {Error} If no trustworthy rate is available
+   */
+  static async getOrderRateSnapshot(currency) {
+    if (currency === BASE_CURRENCY) {
+      return { rate: 1, source: "base", timestamp: new Date() };
+    }
+
+    const snapshot = await this.getRates();
+    const rate = snapshot.rates?.[currency];
+
+    // Admin-pinned rates are deliberate and never go stale
+    if (rate && snapshot.manualCurrencies?.includes(currency)) {
+      return {
+        rate,
+        source: "manual",
+        timestamp: new Date(snapshot.manualSetAt),
+      };
+    }
+
+    if (!rate || snapshot.fallback) {
+      const error = new Error(
+        `No exchange rate available for ${currency}. Please try again later.`
+      );
+      error.code = "EXCHANGE_RATE_UNAVAILABLE";
+      throw error;
+    }
+
+    const settings = await Settings.getSettings();
+    const maxAgeMs = (settings.exchangeRateMaxAgeMinutes || 180) * 60 * 1000;
+    const age = Date.now() - new Date(snapshot.lastUpdated).getTime();
+
+    if (age > maxAgeMs) {
+      const error = new Error(
+        `Exchange rate for ${currency} is out of date. Please try again later.`
+      );
+      error.code = "EXCHANGE_RATE_STALE";
+      throw error;
+    }
+
+    return {
+      rate,
+      source: snapshot.source,
+      timestamp: new Date(snapshot.lastUpdated),
+    };
+  }
+}
+
+module.exports = ExchangeRateService;
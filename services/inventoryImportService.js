@@ -0,0 +1,462 @@
+const Inventory = require("../models/Inventory");
+const InventoryImport = require("../models/InventoryImport");
+const Product = require("../models/Product");
+const Supplier = require("../models/Supplier");
+const ProductAvailabilityService = require("./productAvailabilityService");
+const { generateReferenceId } = require("../utils/idGenerator");
+const { hashValue, maskSecret } = require("../utils/fieldEncryption");
+const { parseCsv, toCsv } = require("../utils/csv");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows are imported in chunks; progress is saved after each chunk
+const IMPORT_CHUNK_SIZE = 50;
+
+// A running import not saved for this long is treated as interrupted
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+
+// Accepted column names (lowercased, without spaces/underscores)
+const COLUMN_ALIASES = {
+  accountcredentials: "accountCredentials",
+  credentials: "accountCredentials",
+  maxassignments: "maxAssignments",
+  unitcost: "unitCost",
+  cost: "unitCost",
+  expirationdate: "expirationDate",
+  expiresat: "expirationDate",
+  notes: "notes",
+};
+
+// Map the columns of an uploaded row onto Inventory fields
+function normalizeRow(raw) {
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const field = COLUMN_ALIASES[key.toLowerCase().replace(/[\s_-]/g, "")];
+    if (field) {
+      row[field] = typeof value === "string" ? value.trim() : value;
+    }
+  }
+  return row;
+}
+
+class InventoryImportService {
+  /**
+   * Turn uploaded CSV text, a JSON string or an array into row objects
+   * @param {Object} input - { format, content, rows }
+   * @returns {Object} { success, rows } or { success: false, error }
+   */
+  static parseInput({ format, content, rows }) {
+    try {
+      let parsed;
+      if (Array.isArray(rows)) {
+        parsed = rows;
+      } else if (format === "csv") {
+        parsed = parseCsv(String(content || ""));
+      } else if (format === "json") {
+        parsed = JSON.parse(String(content || "[]"));
+      } else {
+        return { success: false, error: "Format must be csv or json" };
+      }
+
+      if (!Array.isArray(parsed)) {
+        return { success: false, error: "JSON import must be an array" };
+      }
+      if (parsed.length === 0) {
+        return { success: false, error: "Import contains no rows" };
+      }
+      if (parsed.length > MAX_IMPORT_ROWS) {
+        return {
+          success: false,
+          error: `Import cannot exceed ${MAX_IMPORT_ROWS} rows`,
+        };
+      }
+
+      return { success: true, rows: parsed.map(normalizeRow) };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Could not parse ${format}: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Count the free assignment slots of a product
+   * @param {ObjectId} productId - Product ID
+   * @returns {Number} Free slots
+   */
+  static async countAvailableSlots(productId) {
+    return ProductAvailabilityService.countAvailableSlots(productId);
+  }
+
+  /**
+   * Validate rows and flag duplicates within the file and against existing
+   * inventory
+   * @param {Array} rows - Normalized rows
+   * @returns {Array} Import rows with status and issues
+   */
+  static async validateRows(rows) {
+    const now = new Date();
+    const checked = rows.map((input, index) => {
+      const issues = [];
+      const credentials =
+        input.accountCredentials != null
+          ? String(input.accountCredentials)
+          : "";
+
+      if (!credentials) {
+        issues.push("Account credentials are required");
+      } else if (credentials.length > 1000) {
+        issues.push("Account credentials cannot exceed 1000 characters");
+      }
+
+      let maxAssignments = 1;
+      if (input.maxAssignments !== undefined && input.maxAssignments !== "") {
+        maxAssignments = Number(input.maxAssignments);
+        if (
+          !Number.isInteger(maxAssignments) ||
+          maxAssignments < 1 ||
+          maxAssignments > 100
+        ) {
+          issues.push("Max assignments must be between 1 and 100");
+        }
+      }
+
+      let unitCost = null;
+      if (
+        input.unitCost !== undefined &&
+        input.unitCost !== null &&
+        input.unitCost !== ""
+      ) {
+        unitCost = Number(input.unitCost);
+        if (!Number.isFinite(unitCost) || unitCost < 0) {
+          issues.push("Unit cost must be a number of at least 0");
+          unitCost = null;
+        }
+      }
+
+      let expirationDate = null;
+      if (input.expirationDate) {
+        expirationDate = new Date(input.expirationDate);
+        if (isNaN(expirationDate.getTime())) {
+          issues.push("Expiration date is not a valid date");
+          expirationDate = null;
+        } else if (expirationDate <= now) {
+          issues.push("Expiration date is in the past");
+        }
+      }
+
+      const notes = input.notes ? String(input.notes) : undefined;
+      if (notes && notes.length > 500) {
+        issues.push("Notes cannot exceed 500 characters");
+      }
+
+      return {
+        row: index + 1,
+        accountCredentials: credentials,
+        maxAssignments: Number.isFinite(maxAssignments) ? maxAssignments : 1,
+        unitCost,
+        expirationDate,
+        notes,
+        status: issues.length > 0 ? "invalid" : "valid",
+        issues,
+      };
+    });
+
+    // Duplicates within the file: the first occurrence wins
+    const firstSeen = new Map();
+    for (const row of checked) {
+      if (row.status !== "valid") continue;
+      if (firstSeen.has(row.accountCredentials)) {
+        row.status = "duplicate";
+        row.issues.push(
+          `Duplicate of row ${firstSeen.get(row.accountCredentials)}`
+        );
+      } else {
+        firstSeen.set(row.accountCredentials, row.row);
+      }
+    }
+
+    // Duplicates against existing inventory (any product). Credentials are
+    // encrypted, so they are matched by their keyed hash.
+    const hashes = new Map(
+      [...firstSeen.keys()].map((credentials) => [
+        credentials,
+        hashValue(credentials),
+      ])
+    );
+    const existing = await Inventory.find({
+      credentialsHash: { $in: [...hashes.values()] },
+    }).select("credentialsHash product");
+    const existingByHash = new Map(
+      existing.map((item) => [item.credentialsHash, item])
+    );
+    for (const row of checked) {
+      const match =
+        row.status === "valid" &&
+        existingByHash.get(hashes.get(row.accountCredentials));
+      if (match) {
+        row.status = "duplicate";
+        row.issues.push(`Already in inventory (item ${match._id})`);
+      }
+    }
+
+    return checked;
+  }
+
+  /**
+   * Validate an upload and record it as an import. A dry run stops there;
+   * otherwise the rows are imported straight away.
+   * @param {Object} params - { product, supplier, unitCost, format, fileName, content, rows, dryRun, createdBy }
+   * @returns {Object} Import result
+   */
+  static async createImport(params) {
+    const product = await Product.findById(params.product);
+    if (!product) {
+      return { success: false, statusCode: 404, error: "Product not found" };
+    }
+
+    let supplier = null;
+    if (params.supplier) {
+      supplier = await Supplier.findById(params.supplier);
+      if (!supplier) {
+        return { success: false, statusCode: 404, error: "Supplier not found" };
+      }
+    }
+
+    let unitCost = null;
+    if (
+      params.unitCost !== undefined &&
+      params.unitCost !== null &&
+      params.unitCost !== ""
+    ) {
+      unitCost = Number(params.unitCost);
+      if (!Number.isFinite(unitCost) || unitCost < 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: "Unit cost must be a number of at least 0",
+        };
+      }
+    }
+
+    const parsed = this.parseInput(params);
+    if (!parsed.success) {
+      return { success: false, statusCode: 400, error: parsed.error };
+    }
+
+    const rows = await this.validateRows(parsed.rows);
+    const before = await this.countAvailableSlots(product._id);
+
+    const importDoc = new InventoryImport({
+      importId: generateReferenceId("IMP", 10),
+      product: product._id,
+      supplier: supplier ? supplier._id : null,
+      unitCost,
+      format: params.format || "json",
+      fileName: params.fileName,
+      status: params.dryRun ? "dry_run" : "pending",
+      rows,
+      availability: {
+        before,
+        after: before + this.sumValidSlots(rows),
+      },
+      createdBy: params.createdBy,
+    });
+    importDoc.updateSummary();
+    await importDoc.save();
+
+    if (params.dryRun) {
+      return { success: true, import: importDoc };
+    }
+
+    return this.runImport(importDoc._id);
+  }
+
+  static sumValidSlots(rows) {
+    return rows
+      .filter((row) => row.status === "valid")
+      .reduce((sum, row) => sum + row.maxAssignments, 0);
+  }
+
+  /**
+   * Import the valid rows of an import, starting at its cursor. Runs a
+   * dry-run import for real, and resumes failed or interrupted imports.
+   * @param {ObjectId} id - InventoryImport ID
+   * @returns {Object} Import result
+   */
+  static async runImport(id) {
+    const importDoc = await InventoryImport.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: { $in: ["dry_run", "pending", "failed"] } },
+          {
+            status: "running",
+            updatedAt: { $lt: new Date(Date.now() - STALE_IMPORT_MS) },
+          },
+        ],
+      },
+      { status: "running", startedAt: new Date(), lastError: null },
+      { new: false }
+    );
+
+    if (!importDoc) {
+      const current = await InventoryImport.findById(id);
+      if (!current) {
+        return { success: false, statusCode: 404, error: "Import not found" };
+      }
+      return {
+        success: false,
+        statusCode: 409,
+        error: `Import is ${current.status}`,
+        import: current,
+      };
+    }
+
+    // Inventory may have changed since a dry run was validated
+    if (importDoc.status === "dry_run") {
+      importDoc.rows = await this.validateRows(importDoc.rows);
+      importDoc.availability.before = await this.countAvailableSlots(
+        importDoc.product
+      );
+    }
+    importDoc.status = "running";
+
+    try {
+      while (importDoc.nextRow < importDoc.rows.length) {
+        const chunk = importDoc.rows.slice(
+          importDoc.nextRow,
+          importDoc.nextRow + IMPORT_CHUNK_SIZE
+        );
+        await this.importChunk(importDoc, chunk);
+
+        importDoc.nextRow += chunk.length;
+        importDoc.updateSummary();
+        importDoc.markModified("rows");
+        await importDoc.save();
+      }
+
+      importDoc.status = "completed";
+      importDoc.completedAt = new Date();
+      importDoc.availability.after = await this.countAvailableSlots(
+        importDoc.product
+      );
+      await importDoc.save();
+      await ProductAvailabilityService.refresh(importDoc.product);
+
+      console.log(
+        `Inventory import ${importDoc.importId}: ${importDoc.summary.created} created, ${importDoc.summary.duplicates} duplicates, ${importDoc.summary.invalid} invalid`
+      );
+      return { success: true, import: importDoc };
+    } catch (error) {
+      console.error(`Inventory import ${importDoc.importId} failed:`, error);
+      importDoc.status = "failed";
+      importDoc.lastError = error.message;
+      await importDoc.save();
+      return {
+        success: false,
+        statusCode: 500,
+        error: error.message,
+        import: importDoc,
+      };
+    }
+  }
+
+  // Create the inventory items of a chunk, skipping rows a previous
+  // interrupted run already created
+  static async importChunk(importDoc, chunk) {
+    const alreadyCreated = await Inventory.find({
+      importBatch: importDoc._id,
+      importRow: { $in: chunk.map((row) => row.row) },
+    }).select("importRow");
+    const createdByRow = new Map(
+      alreadyCreated.map((item) => [item.importRow, item._id])
+    );
+
+    for (const row of chunk) {
+      if (createdByRow.has(row.row)) {
+        row.status = "created";
+        row.inventory = createdByRow.get(row.row);
+        continue;
+      }
+      if (row.status !== "valid" && row.status !== "failed") {
+        continue;
+      }
+
+      try {
+        const inventory = await Inventory.create({
+          product: importDoc.product,
+          accountCredentials: row.accountCredentials,
+          maxAssignments: row.maxAssignments,
+          expirationDate: row.expirationDate,
+          notes: row.notes,
+          // A row's own cost overrides the batch cost
+          supplier: importDoc.supplier,
+          unitCost: row.unitCost ?? importDoc.unitCost,
+          importBatch: importDoc._id,
+          importRow: row.row,
+        });
+        row.status = "created";
+        row.inventory = inventory._id;
+        row.issues = [];
+      } catch (error) {
+        if (error.name !== "ValidationError") {
+          throw error;
+        }
+        row.status = "failed";
+        row.issues = [error.message];
+      }
+    }
+  }
+
+  /**
+   * Build the downloadable report of an import
+   * @param {Object} importDoc - InventoryImport document
+   * @param {String} format - csv or json
+   * @returns {String|Object} Report
+   */
+  static buildReport(importDoc, format = "csv") {
+    const rows = importDoc.rows.map((row) => ({
+      row: row.row,
+      credentials: maskSecret(row.accountCredentials) || "",
+      maxAssignments: row.maxAssignments,
+      unitCost: row.unitCost ?? importDoc.unitCost ?? "",
+      expirationDate: row.expirationDate
+        ? row.expirationDate.toISOString()
+        : "",
+      status: row.status,
+      issues: row.issues.join("; "),
+      inventoryId: row.inventory ? row.inventory.toString() : "",
+    }));
+
+    if (format === "json") {
+      return {
+        importId: importDoc.importId,
+        product: importDoc.product,
+        supplier: importDoc.supplier,
+        unitCost: importDoc.unitCost,
+        status: importDoc.status,
+        summary: importDoc.summary,
+        availability: importDoc.availability,
+        rows,
+      };
+    }
+
+    return toCsv(
+      [
+        "row",
+        "credentials",
+        "maxAssignments",
+        "unitCost",
+        "expirationDate",
+        "status",
+        "issues",
+        "inventoryId",
+      ],
+      rows
+    );
+  }
+}
+
+module.exports = InventoryImportService;
@@ -0,0 +1,486 @@
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const InventoryReservation = require("../models/InventoryReservation");
+const { generateReferenceId } = require("../utils/idGenerator");
+const {
+  resolveStrategy,
+  getAllocationPasses,
+} = require("../utils/allocationStrategies");
+
+// How long a claimed slot is held before the sweeper gives it back
+const getReservationTtlMs = () =>
+  (parseInt(process.env.INVENTORY_RESERVATION_TTL_MINUTES) || 10) * 60 * 1000;
+
+class InventoryReservationService {
+  /**
+   * Query matching inventory items that still have a free assignment slot.
+   * assignmentCount is the authoritative slot counter: it is incremented
+   * atomically when a slot is claimed and decremented when it is released.
+   * @param {ObjectId} productId - Product to match
+   * @returns {Object} Mongo filter
+   */
+  static availableSlotFilter(productId) {
+    return {
+      product: productId,
+      status: "available",
+      $expr: {
+        $lt: [
+          { $ifNull: ["$assignmentCount", 0] },
+          { $ifNull: ["$maxAssignments", 1] },
+        ],
+      },
+      $or: [{ expirationDate: null }, { expirationDate: { $gt: new Date() } }],
+    };
+  }
+
+  /**
+   * Claim passes for a product's allocation strategy
+   * @param {Object|String} productOrStrategy - Product document or strategy
+   * @param {Object} order - Order being allocated (for the customer)
+   * @returns {Array} [{ filter, sort }]
+   */
+  static async getAllocationPasses(productOrStrategy, order) {
+    const strategy = resolveStrategy(productOrStrategy);
+    const context = {};
+    if (strategy === "spread_across_accounts" && order?.customer?.email) {
+      context.heldInventoryIds = await this.getHeldInventoryIds(
+        order.customer.email
+      );
+    }
+    return getAllocationPasses(strategy, context);
+  }
+
+  /**
+   * Inventory items a customer already holds an active slot on
+   * @param {String} customerEmail - Customer email
+   * @returns {Array} Inventory IDs
+   */
+  static async getHeldInventoryIds(customerEmail) {
+    return InventoryAssignment.distinct("inventory", {
+      customerEmail,
+      status: "active",
+    });
+  }
+
+  /**
+   * Atomically claim one slot on each of `quantity` distinct inventory items.
+   * Either every slot is claimed or none are (partial claims are rolled back).
+   * Slots are picked by the product's allocation strategy.
+   * @param {Object} params - { product, quantity, order, ttlMs, exclude, strategy }
+   *   exclude: inventory IDs that must not be claimed
+   *   strategy: overrides the product's allocationStrategy
+   * @returns {Object} Reservation result
+   */
+  static async reserve({
+    product,
+    quantity,
+    order,
+    ttlMs,
+    exclude = [],
+    strategy,
+  }) {
+    const productId = product._id || product;
+    const reservationId = generateReferenceId("RSV", 12);
+    const expiresAt = new Date(Date.now() + (ttlMs || getReservationTtlMs()));
+    const claimedIds = [];
+    const reservations = [];
+    const passes = await this.getAllocationPasses(
+      strategy || product,
+      order
+    );
+
+    try {
+      for (let i = 0; i < quantity; i++) {
+        let inventoryDoc = null;
+        for (const pass of passes) {
+          inventoryDoc = await Inventory.findOneAndUpdate(
+            {
+              ...this.availableSlotFilter(productId),
+              _id: { $nin: [...exclude, ...claimedIds] },
+              $and: [pass.filter],
+            },
+            { $inc: { assignmentCount: 1 } },
+            { new: true, sort: pass.sort }
+          );
+          if (inventoryDoc) break;
+        }
+
+        if (!inventoryDoc) {
+          break;
+        }
+
+        claimedIds.push(inventoryDoc._id);
+
+        const reservation = await InventoryReservation.create({
+          reservationId,
+          inventory: inventoryDoc._id,
+          product: productId,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          status: "held",
+          expiresAt,
+        });
+        reservations.push(reservation);
+      }
+    } catch (error) {
+      await this.rollbackClaims(claimedIds, reservations, error.message);
+      throw error;
+    }
+
+    if (claimedIds.length < quantity) {
+      await this.rollbackClaims(
+        claimedIds,
+        reservations,
+        "Insufficient inventory to complete reservation"
+      );
+
+      return {
+        success: false,
+        required: quantity,
+        claimed: claimedIds.length,
+        message: `Insufficient inventory: need ${quantity}, claimed ${claimedIds.length}`,
+      };
+    }
+
+    await this.refreshAvailability(productId);
+
+    return {
+      success: true,
+      reservationId,
+      expiresAt,
+      reservations,
+    };
+  }
+
+  /**
+   * Turn held reservations into active InventoryAssignment records.
+   * Fails if any reservation expired or was released in the meantime.
+   * @param {String} reservationId - Reservation batch ID
+   * @param {Object} order - Order the slots are assigned to
+   * @param {Object} options - { notes, orderItem }
+   * @returns {Object} Committed inventory items, assignments and the
+   *   credentials to deliver for each (seat-specific on shared accounts)
+   */
+  static async commit(reservationId, order, options = {}) {
+    const reservations = await InventoryReservation.find({
+      reservationId,
+    }).sort({ createdAt: 1 });
+
+    if (reservations.length === 0) {
+      throw new Error(`Reservation ${reservationId} not found`);
+    }
+
+    const now = new Date();
+
+    // Lock every reservation before creating any assignment
+    const locked = [];
+    for (const reservation of reservations) {
+      const lockedReservation = await InventoryReservation.findOneAndUpdate(
+        { _id: reservation._id, status: "held", expiresAt: { $gt: now } },
+        { status: "committed", committedAt: now },
+        { new: true }
+      );
+      if (lockedReservation) {
+        locked.push(lockedReservation);
+      }
+    }
+
+    if (locked.length !== reservations.length) {
+      const reason = "Reservation expired before commit";
+      for (const reservation of locked) {
+        await InventoryReservation.findByIdAndUpdate(reservation._id, {
+          status: "released",
+          releasedAt: new Date(),
+          releaseReason: reason,
+        });
+        await this.freeSlot(reservation.inventory);
+      }
+      await this.release(reservationId, reason);
+      throw new Error(`Reservation ${reservationId} is no longer held`);
+    }
+
+    const inventoryItems = [];
+    const assignments = [];
+    const credentials = [];
+    const customerName = `${order.customer.firstName || ""} ${
+      order.customer.lastName || ""
+    }`.trim();
+
+    try {
+      for (let i = 0; i < reservations.length; i++) {
+        const reservation = reservations[i];
+
+        const assignment = await InventoryAssignment.create({
+          inventory: reservation.inventory,
+          order: order._id,
+          orderNumber: order.orderNumber,
+          orderItem: options.orderItem || null,
+          customerEmail: order.customer.email,
+          customerName: customerName || order.customer.email,
+          assignedAt: now,
+          status: "active",
+          notes:
+            options.notes ||
+            `Auto-delivered for order ${order.orderNumber} (${i + 1}/${
+              reservations.length
+            })`,
+        });
+
+        assignments.push(assignment);
+
+        const seat = await this.claimSeat(
+          reservation.inventory,
+          assignment._id
+        );
+        if (seat !== null) {
+          assignment.seat = seat;
+          await assignment.save();
+        }
+
+        const inventoryDoc = await Inventory.findByIdAndUpdate(
+          reservation.inventory,
+          { deliveredAt: now, usedBy: order._id },
+          { new: true }
+        );
+
+        // Only mark as used and delivered once every slot is taken; a
+        // defective account stays quarantined
+        if (
+          inventoryDoc.status !== "defective" &&
+          inventoryDoc.assignmentCount >= inventoryDoc.maxAssignments
+        ) {
+          inventoryDoc.isUsed = true;
+          inventoryDoc.status = "delivered";
+          await inventoryDoc.save();
+        }
+
+        inventoryItems.push(inventoryDoc);
+        credentials.push(inventoryDoc.getSeatCredentials(assignment.seat));
+      }
+    } catch (error) {
+      await this.rollbackCommit(locked, assignments, error.message);
+      throw error;
+    }
+
+    return { inventoryItems, assignments, credentials };
+  }
+
+  /**
+   * Give an assignment the first free seat of a shared account
+   * @param {ObjectId} inventoryId - Inventory item
+   * @param {ObjectId} assignmentId - Assignment taking the seat
+   * @returns {Number|null} Seat number, or null if the item has no seats
+   */
+  static async claimSeat(inventoryId, assignmentId) {
+    const inventoryDoc = await Inventory.findOneAndUpdate(
+      { _id: inventoryId, seats: { $elemMatch: { assignment: null } } },
+      {
+        $set: {
+          "seats.$.assignment": assignmentId,
+          "seats.$.assignedAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!inventoryDoc) {
+      const hasSeats = await Inventory.exists({
+        _id: inventoryId,
+        "seats.0": { $exists: true },
+      });
+      if (hasSeats) {
+        console.error(
+          `No free seat on inventory ${inventoryId} for assignment ${assignmentId}`
+        );
+      }
+      return null;
+    }
+
+    const seat = inventoryDoc.seats.find(
+      (candidate) => candidate.assignment?.toString() === assignmentId.toString()
+    );
+    return seat ? seat.number : null;
+  }
+
+  /**
+   * Free the seat held by an assignment, leaving other seats untouched
+   * @param {Object} assignment - InventoryAssignment document
+   * @returns {Boolean} Whether a seat was freed
+   */
+  static async freeSeat(assignment) {
+    const inventoryId = assignment.inventory?._id || assignment.inventory;
+    const result = await Inventory.updateOne(
+      { _id: inventoryId, "seats.assignment": assignment._id },
+      {
+        $set: {
+          "seats.$.assignment": null,
+          "seats.$.assignedAt": null,
+        },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Release every held slot in a reservation. Safe to call more than once.
+   * @param {String} reservationId - Reservation batch ID
+   * @param {String} reason - Why the slots are released
+   * @returns {Number} Number of slots released
+   */
+  static async release(reservationId, reason = "Released", status = "released") {
+    const reservations = await InventoryReservation.find({
+      reservationId,
+      status: "held",
+    });
+
+    let releasedCount = 0;
+    for (const reservation of reservations) {
+      if (await this.releaseOne(reservation._id, reason, status)) {
+        releasedCount++;
+      }
+    }
+
+    return releasedCount;
+  }
+
+  /**
+   * Give back the slots of held reservations whose hold has timed out
+   * @returns {Object} Sweep result
+   */
+  static async releaseExpiredReservations() {
+    try {
+      const expired = await InventoryReservation.find({
+        status: "held",
+        expiresAt: { $lte: new Date() },
+      }).select("_id");
+
+      let releasedCount = 0;
+      for (const reservation of expired) {
+        if (
+          await this.releaseOne(
+            reservation._id,
+            "Reservation timed out",
+            "expired"
+          )
+        ) {
+          releasedCount++;
+        }
+      }
+
+      if (releasedCount > 0) {
+        console.log(`Released ${releasedCount} expired inventory reservations`);
+      }
+
+      return { success: true, releasedCount };
+    } catch (error) {
+      console.error("Error releasing expired reservations:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Flip a single reservation out of "held" and free its inventory slot.
+  // The conditional status update makes sure a slot is only freed once.
+  static async releaseOne(reservationObjectId, reason, status = "released") {
+    const reservation = await InventoryReservation.findOneAndUpdate(
+      { _id: reservationObjectId, status: "held" },
+      { status, releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+
+    if (!reservation) {
+      return false;
+    }
+
+    await this.freeSlot(reservation.inventory);
+    return true;
+  }
+
+  /**
+   * Decrement the slot counter of an inventory item and reopen it if it
+   * was closed because all slots were taken
+   * @param {ObjectId} inventoryId - Inventory item
+   */
+  static async freeSlot(inventoryId) {
+    const inventoryDoc = await Inventory.findOneAndUpdate(
+      { _id: inventoryId, assignmentCount: { $gt: 0 } },
+      { $inc: { assignmentCount: -1 } },
+      { new: true }
+    );
+
+    if (
+      inventoryDoc &&
+      inventoryDoc.status === "delivered" &&
+      inventoryDoc.assignmentCount < inventoryDoc.maxAssignments
+    ) {
+      inventoryDoc.status = "available";
+      inventoryDoc.isUsed = false;
+      await inventoryDoc.save();
+    }
+
+    if (inventoryDoc) {
+      await this.refreshAvailability(inventoryDoc.product);
+    }
+
+    return inventoryDoc;
+  }
+
+  // Keep the cached availability of auto-delivery products in step with
+  // their slots. Required lazily: the availability service depends on this one.
+  static async refreshAvailability(productId) {
+    const ProductAvailabilityService = require("./productAvailabilityService");
+    await ProductAvailabilityService.refresh(productId);
+  }
+
+  /**
+   * Undo a commit that failed part way: drop the assignments it created,
+   * free their seats and give back the slots of every reservation
+   * @param {Array} reservations - Reservations the commit locked
+   * @param {Array} assignments - Assignments created so far
+   * @param {String} reason - Why the commit failed
+   */
+  static async rollbackCommit(reservations, assignments, reason) {
+    for (const assignment of assignments) {
+      try {
+        await this.freeSeat(assignment);
+        await InventoryAssignment.deleteOne({ _id: assignment._id });
+      } catch (error) {
+        console.error(
+          `Failed to roll back assignment ${assignment._id}:`,
+          error
+        );
+      }
+    }
+
+    for (const reservation of reservations) {
+      const released = await InventoryReservation.findOneAndUpdate(
+        { _id: reservation._id, status: "committed" },
+        {
+          status: "released",
+          releasedAt: new Date(),
+          releaseReason: `Commit failed: ${reason}`,
+        }
+      );
+      if (released) {
+        await this.freeSlot(reservation.inventory);
+      }
+    }
+  }
+
+  static async rollbackClaims(claimedIds, reservations, reason) {
+    const reservedInventoryIds = new Set(
+      reservations.map((reservation) => reservation.inventory.toString())
+    );
+
+    for (const reservation of reservations) {
+      await this.releaseOne(reservation._id, reason);
+    }
+
+    // Slots claimed without a reservation record (creation failed)
+    for (const inventoryId of claimedIds) {
+      if (!reservedInventoryIds.has(inventoryId.toString())) {
+        await this.freeSlot(inventoryId);
+      }
+    }
+  }
+}
+
+module.exports = InventoryReservationService;
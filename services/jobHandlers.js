@@ -0,0 +1,212 @@
+/**
+ * Job types run by JobQueueService, and the recurring jobs that replace
+ * the in-process timers of the delivery, payment timeout and notification
+ * services. Loaded by JobQueueService on first use.
+ */
+const JobQueueService = require("./jobQueueService");
+const Order = require("../models/Order");
+const AutoDeliveryService = require("./autoDeliveryService");
+const BackorderService = require("./backorderService");
+const CryptoPaymentService = require("./cryptoPaymentService");
+const CustomerNotificationService = require("./customerNotificationService");
+const InventoryReservationService = require("./inventoryReservationService");
+const MailService = require("./mailService");
+const NotificationService = require("./notificationService");
+const PaymentTimeoutService = require("./paymentTimeoutService");
+const ProductAvailabilityService = require("./productAvailabilityService");
+const RenewalReminderService = require("./renewalReminderService");
+const RetryPolicyService = require("./retryPolicyService");
+const SubscriptionService = require("./subscriptionService");
+
+// Separator AutoDeliveryService uses between accounts of one order line
+const CREDENTIALS_SEPARATOR = "\n\n--- Next Account ---\n\n";
+
+// Customer emails about an order that can be queued, by template name
+const ORDER_EMAILS = {
+  orderInitialized: (order) =>
+    CustomerNotificationService.sendOrderInitializedEmail(order),
+  paymentConfirmation: (order) =>
+    CustomerNotificationService.sendPaymentConfirmationEmail(order),
+  orderStatusUpdate: (order, payload) =>
+    CustomerNotificationService.sendOrderStatusUpdateEmail(
+      order,
+      payload.update
+    ),
+  backorderUpdate: (order, payload) =>
+    BackorderService.sendUpdateEmail(order, payload.status),
+};
+
+// Deliver the auto-delivery items of a paid order. Items that could not
+// be delivered fail the job with the errorCode that picks its retry
+// policy: out-of-stock and backordered items wait for a restock of their
+// products, queued by the products' deliveryPriority; other errors back
+// off on a timer.
+JobQueueService.register(
+  "delivery.process",
+  async ({ orderId }, job) => {
+    const result = await AutoDeliveryService.processAutoDelivery(
+      orderId,
+      job.attempts > 1,
+      job.attempts - 1
+    );
+
+    const failed = (result.deliveryResults || []).filter((item) =>
+      ["insufficient_inventory", "backordered", "error"].includes(item.status)
+    );
+    if (failed.length > 0) {
+      const message = failed
+        .map((item) => `${item.productTitle}: ${item.message || item.error}`)
+        .join("; ");
+      const errors = failed.filter((item) => item.status === "error");
+
+      if (errors.length === 0) {
+        throw RetryPolicyService.createError(
+          failed.every((item) => item.status === "backordered")
+            ? "BACKORDERED"
+            : "INSUFFICIENT_INVENTORY",
+          message,
+          {
+            waitFor: failed.map((item) => `restock:${item.productId}`),
+            priority: Math.min(...failed.map((item) => item.priority || 5)),
+          }
+        );
+      }
+      // One retryable error is enough to retry the whole order
+      const errorCode = errors.every((item) => item.errorCode === "DATA_ERROR")
+        ? "DATA_ERROR"
+        : "DELIVERY_ERROR";
+      throw RetryPolicyService.createError(errorCode, message);
+    }
+
+    return {
+      success: result.success,
+      message: result.message,
+      orderNumber: result.orderNumber,
+      delivered: (result.deliveryResults || []).filter(
+        (item) => item.status === "delivered"
+      ).length,
+    };
+  },
+  { maxAttempts: 5 }
+);
+
+// Resend the credentials email of a delivered order line; the credentials
+// are read from the order, never stored on the job. New failures are
+// retried by the email outbox, this only drains jobs queued before it.
+JobQueueService.register("delivery.email", async ({ orderId, itemId }) => {
+  const order = await Order.findById(orderId).populate("items.product");
+  const item = order?.items.id(itemId);
+  if (!item) {
+    throw RetryPolicyService.createError(
+      "ORDER_NOT_FOUND",
+      `Order item ${itemId} of order ${orderId} not found`
+    );
+  }
+
+  const credentials = (item.accountCredentials || item.credentials || "")
+    .split(CREDENTIALS_SEPARATOR)
+    .filter(Boolean);
+  const result = await AutoDeliveryService.sendDeliveryEmail(
+    order,
+    item,
+    credentials
+  );
+  if (!result.success) {
+    throw RetryPolicyService.createError("EMAIL_SEND_FAILED", result.error);
+  }
+  return { orderNumber: order.orderNumber, outboxId: result.outboxId };
+});
+
+// Send a message from the email outbox; failures back off under the
+// EMAIL_SEND_FAILED policy until the message is marked failed
+JobQueueService.register("mail.send", ({ outboxId }, job) =>
+  MailService.deliver(outboxId, job)
+);
+
+JobQueueService.register("email.order", async (payload) => {
+  const send = ORDER_EMAILS[payload.template];
+  if (!send) {
+    throw RetryPolicyService.createError(
+      "DATA_ERROR",
+      `Unknown order email template: ${payload.template}`
+    );
+  }
+
+  const order = await Order.findById(payload.orderId);
+  if (!order) {
+    throw RetryPolicyService.createError(
+      "ORDER_NOT_FOUND",
+      `Order ${payload.orderId} not found`
+    );
+  }
+
+  const result = await send(order, payload);
+  if (!result.success && result.error !== "No customer email") {
+    throw RetryPolicyService.createError("EMAIL_SEND_FAILED", result.error);
+  }
+  return { orderNumber: order.orderNumber, messageId: result.messageId };
+});
+
+JobQueueService.register("payment.expire-order", async ({ orderId }) =>
+  PaymentTimeoutService.expireOrder(orderId)
+);
+
+// Sweeps, run on a schedule
+JobQueueService.register("delivery.check-pending", () =>
+  AutoDeliveryService.queuePendingDeliveries()
+);
+JobQueueService.register("payment.check-timeouts", () =>
+  PaymentTimeoutService.queueExpiredOrders()
+);
+JobQueueService.register("delivery.retry-failed", async () => {
+  const result = await AutoDeliveryService.retryFailedDeliveries();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+});
+JobQueueService.register("inventory.check-levels", () =>
+  AutoDeliveryService.checkInventoryLevels()
+);
+JobQueueService.register("inventory.release-reservations", async () => {
+  const result = await InventoryReservationService.releaseExpiredReservations();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+});
+JobQueueService.register("inventory.refresh-availability", () =>
+  ProductAvailabilityService.refreshExpired()
+);
+JobQueueService.register("alerts.check", async () => {
+  await NotificationService.checkAndSendAlerts();
+  return { checked: true };
+});
+JobQueueService.register("renewal.check-reminders", () =>
+  RenewalReminderService.checkExpiringAssignments()
+);
+JobQueueService.register("subscription.process-renewals", () =>
+  SubscriptionService.processDueRenewals()
+);
+JobQueueService.register("backorder.check-overdue", () =>
+  BackorderService.notifyOverdue()
+);
+JobQueueService.register("crypto.check-payments", async () => {
+  const result = await CryptoPaymentService.checkPendingPayments();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+});
+
+JobQueueService.schedule("crypto.check-payments", 1);
+JobQueueService.schedule("delivery.check-pending", 5);
+JobQueueService.schedule("inventory.release-reservations", 5);
+JobQueueService.schedule("inventory.check-levels", 5);
+JobQueueService.schedule("alerts.check", 5);
+JobQueueService.schedule("payment.check-timeouts", 10);
+JobQueueService.schedule("delivery.retry-failed", 15);
+JobQueueService.schedule("inventory.refresh-availability", 10);
+JobQueueService.schedule("renewal.check-reminders", 60);
+JobQueueService.schedule("subscription.process-renewals", 60);
+JobQueueService.schedule("backorder.check-overdue", 60);
@@ -0,0 +1,459 @@
+const crypto = require("crypto");
+const os = require("os");
+const Job = require("../models/Job");
+const NotificationService = require("./notificationService");
+const RetryPolicyService = require("./retryPolicyService");
+
+// How long a claimed job is leased to its worker before another worker
+// may take it over
+const getLeaseMs = () =>
+  (parseInt(process.env.JOB_LEASE_SECONDS) || 300) * 1000;
+
+// A cron-triggered run stops claiming jobs after this long, to stay within
+// serverless function time limits
+const DEFAULT_TIME_BUDGET_MS = 25 * 1000;
+
+// type -> { handler, maxAttempts }
+const handlers = new Map();
+
+// Recurring jobs: [{ type, intervalMs, payload }]
+const schedules = [];
+
+let handlersLoaded = false;
+let workerId = null;
+let workerInterval = null;
+
+class JobQueueService {
+  /**
+   * Register the function that runs jobs of a type. It receives the
+   * payload and the job, and throws to have the job retried.
+   * @param {String} type - Job type, e.g. "delivery.process"
+   * @param {Function} handler - async (payload, job) => result
+   * @param {Object} options - { maxAttempts }
+   */
+  static register(type, handler, options = {}) {
+    handlers.set(type, { handler, maxAttempts: options.maxAttempts });
+  }
+
+  /**
+   * Queue a job of a type once per interval
+   * @param {String} type - Registered job type
+   * @param {Number} intervalMinutes - Interval
+   * @param {Object} payload - Payload of each run
+   */
+  static schedule(type, intervalMinutes, payload = {}) {
+    schedules.push({ type, intervalMs: intervalMinutes * 60 * 1000, payload });
+  }
+
+  // Handlers pull in most services, so they are registered on first use
+  static loadHandlers() {
+    if (!handlersLoaded) {
+      handlersLoaded = true;
+      require("./jobHandlers");
+    }
+  }
+
+  static getWorkerId() {
+    if (!workerId) {
+      workerId = `${os.hostname()}-${process.pid}-${crypto
+        .randomBytes(4)
+        .toString("hex")}`;
+    }
+    return workerId;
+  }
+
+  /**
+   * Add a job to the queue. With a dedupeKey, a job already queued or
+   * running under that key is returned instead of adding another. With
+   * waitFor, the job waits for one of those events (see resume), or until
+   * runAt at the latest.
+   * @param {String} type - Registered job type
+   * @param {Object} payload - Job input; store IDs, never secrets
+   * @param {Object} options - { runAt, priority, maxAttempts, dedupeKey,
+   * waitFor }
+   * @returns {Object} Job document
+   */
+  static async enqueue(type, payload = {}, options = {}) {
+    this.loadHandlers();
+    const registered = handlers.get(type);
+    if (!registered) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    try {
+      return await Job.create({
+        type,
+        payload,
+        priority: options.priority ?? 5,
+        runAt: options.runAt || new Date(),
+        maxAttempts: options.maxAttempts || registered.maxAttempts || 5,
+        dedupeKey: options.dedupeKey,
+        status: options.waitFor?.length ? "waiting" : "queued",
+        waitingFor: options.waitFor || [],
+      });
+    } catch (error) {
+      if (error.code !== 11000 || !options.dedupeKey) {
+        throw error;
+      }
+      const existing = await Job.findOne({ dedupeKey: options.dedupeKey });
+      if (!existing) {
+        // Finished between the insert and the lookup; queue it again
+        return this.enqueue(type, payload, options);
+      }
+      return existing;
+    }
+  }
+
+  /**
+   * Queue a job and run it straight away in this process, so callers
+   * keep their latency while failures still get retried from the queue
+   * @param {String} type - Registered job type
+   * @param {Object} payload - Job input
+   * @param {Object} options - enqueue options
+   * @returns {Object} { job, ran, success, result, error }
+   */
+  static async dispatch(type, payload = {}, options = {}) {
+    const queued = await this.enqueue(type, payload, options);
+    const job = await this.claim({ _id: queued._id });
+    if (!job) {
+      // Already running elsewhere, or waiting for a later runAt
+      return { job: queued, ran: false };
+    }
+    return { job, ran: true, ...(await this.run(job)) };
+  }
+
+  /**
+   * Lease a due job to this worker
+   * @param {Object} filter - Extra filter, e.g. { _id } or { type }
+   * @returns {Object|null} Claimed job
+   */
+  static async claim(filter = {}) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { status: "queued", runAt: { $lte: now } },
+          // A worker that died mid-job lets its lease run out
+          { status: "running", lockedUntil: { $lt: now } },
+          // Waiting jobs also get a last-resort timer
+          { status: "waiting", runAt: { $lte: now } },
+        ],
+      },
+      {
+        status: "running",
+        lockedBy: this.getWorkerId(),
+        lockedUntil: new Date(now.getTime() + getLeaseMs()),
+        startedAt: now,
+        waitingFor: [],
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { priority: 1, runAt: 1 } }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome. Never throws. A failure is
+   * retried, parked until an event, or dead-lettered according to the
+   * RetryPolicyService policy of its errorCode.
+   * @param {Object} job - Job leased to this worker
+   * @returns {Object} { success, result, error, dead }
+   */
+  static async run(job) {
+    this.loadHandlers();
+    const registered = handlers.get(job.type);
+    const lease = { _id: job._id, status: "running", lockedBy: job.lockedBy };
+
+    try {
+      if (!registered) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      const result = await registered.handler(job.payload || {}, job);
+
+      await Job.updateOne(lease, {
+        status: "completed",
+        completedAt: new Date(),
+        result,
+        lockedBy: null,
+        lockedUntil: null,
+        $unset: { dedupeKey: 1 },
+      });
+      return { success: true, result };
+    } catch (error) {
+      const decision = RetryPolicyService.decide(error, job);
+      const dead = !registered || decision.dead;
+      const failed = {
+        lastError: error.message,
+        errorCode: decision.errorCode,
+        lockedBy: null,
+        lockedUntil: null,
+        $push: {
+          failures: {
+            attempt: job.attempts,
+            error: error.message,
+            errorCode: decision.errorCode,
+            workerId: job.lockedBy,
+            failedAt: new Date(),
+          },
+        },
+      };
+      if (decision.errorCode) {
+        failed.$inc = { [`errorCounts.${decision.errorCode}`]: 1 };
+      }
+      if (error.priority) {
+        failed.priority = error.priority;
+      }
+      const label = decision.errorCode ? ` [${decision.errorCode}]` : "";
+
+      if (dead) {
+        await Job.updateOne(lease, {
+          ...failed,
+          status: "dead",
+          deadAt: new Date(),
+          $unset: { dedupeKey: 1 },
+        });
+        console.error(
+          `Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts${label}:`,
+          error.message
+        );
+
+        await NotificationService.sendAdminAlert("JOB_DEAD", {
+          jobId: job._id,
+          type: job.type,
+          attempts: job.attempts,
+          errorCode: decision.errorCode,
+          lastError: error.message,
+          payload: job.payload,
+        });
+      } else if (decision.waitFor) {
+        await Job.updateOne(lease, {
+          ...failed,
+          status: "waiting",
+          waitingFor: decision.waitFor,
+          runAt: decision.runAt,
+        });
+        console.log(
+          `Job ${job._id} (${job.type}) waiting for ${decision.waitFor.join(
+            ", "
+          )}${label}:`,
+          error.message
+        );
+      } else {
+        await Job.updateOne(lease, {
+          ...failed,
+          status: "queued",
+          runAt: decision.runAt,
+        });
+        console.error(
+          `Job ${job._id} (${job.type}) failed${label}, attempt ${
+            decision.attempts
+          }, retrying at ${decision.runAt.toISOString()}:`,
+          error.message
+        );
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        errorCode: decision.errorCode,
+        dead,
+        waiting: !dead && !!decision.waitFor,
+      };
+    }
+  }
+
+  /**
+   * Queue the recurring jobs whose interval has passed since they were
+   * last queued
+   * @returns {Array} Types queued
+   */
+  static async enqueueScheduled() {
+    this.loadHandlers();
+    const now = Date.now();
+    const queued = [];
+
+    for (const { type, intervalMs, payload } of schedules) {
+      const recent = await Job.exists({
+        type,
+        createdAt: { $gt: new Date(now - intervalMs) },
+      });
+      if (recent) continue;
+
+      await this.enqueue(type, payload, { dedupeKey: `schedule:${type}` });
+      queued.push(type);
+    }
+
+    return queued;
+  }
+
+  /**
+   * Claim and run due jobs until the queue is empty, maxJobs have run or
+   * the time budget is spent
+   * @param {Object} options - { maxJobs, timeBudgetMs, filter }
+   * @returns {Object} { processed, completed, failed, waiting, dead }
+   */
+  static async work(options = {}) {
+    const maxJobs = options.maxJobs || 50;
+    const deadline =
+      Date.now() + (options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS);
+    const results = {
+      processed: 0,
+      completed: 0,
+      failed: 0,
+      waiting: 0,
+      dead: 0,
+    };
+
+    while (results.processed < maxJobs && Date.now() < deadline) {
+      const job = await this.claim(options.filter);
+      if (!job) break;
+
+      const outcome = await this.run(job);
+      results.processed++;
+      if (outcome.success) {
+        results.completed++;
+      } else if (outcome.dead) {
+        results.dead++;
+      } else if (outcome.waiting) {
+        results.waiting++;
+      } else {
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * One scheduler and worker pass: what the cron trigger and the
+   * in-process worker both run
+   * @param {Object} options - work options
+   * @returns {Object} { scheduled, processed, completed, failed, waiting,
+   * dead }
+   */
+  static async tick(options = {}) {
+    const scheduled = await this.enqueueScheduled();
+    const results = await this.work(options);
+    return { scheduled, ...results };
+  }
+
+  /**
+   * Wake the jobs waiting for an event and run them straight away
+   * @param {String} event - Event key, e.g. "restock:<productId>"
+   * @returns {Object} { resumed, processed, completed, failed, waiting,
+   * dead }
+   */
+  static async resume(event) {
+    const jobIds = await Job.find({
+      status: "waiting",
+      waitingFor: event,
+    }).distinct("_id");
+    if (jobIds.length === 0) {
+      return { resumed: 0 };
+    }
+
+    // Due from when they were queued, so the oldest run first within a
+    // priority
+    await Job.updateMany({ _id: { $in: jobIds }, status: "waiting" }, [
+      { $set: { status: "queued", runAt: "$createdAt", waitingFor: [] } },
+    ]);
+    console.log(`Resuming ${jobIds.length} jobs waiting for ${event}`);
+
+    const results = await this.work({
+      maxJobs: jobIds.length,
+      filter: { _id: { $in: jobIds } },
+    });
+    return { resumed: jobIds.length, ...results };
+  }
+
+  /**
+   * Put a dead job back on the queue with a fresh set of attempts
+   * @param {String} jobId - Job ID
+   * @returns {Object|null} Requeued job
+   */
+  static async requeue(jobId) {
+    const job = await Job.findOne({ _id: jobId, status: "dead" });
+    if (!job) {
+      return null;
+    }
+
+    job.status = "queued";
+    job.runAt = new Date();
+    job.attempts = 0;
+    job.errorCounts = {};
+    job.deadAt = null;
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Job counts per status, and per type for unfinished jobs
+   * @returns {Object} { byStatus, byType, oldestDueAt }
+   */
+  static async getStats() {
+    const [byStatus, byType, oldestDue] = await Promise.all([
+      Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Job.aggregate([
+        {
+          $match: { status: { $in: ["queued", "running", "waiting", "dead"] } },
+        },
+        {
+          $group: {
+            _id: { type: "$type", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      Job.findOne({ status: "queued", runAt: { $lte: new Date() } })
+        .sort({ runAt: 1 })
+        .select("runAt"),
+    ]);
+
+    const types = {};
+    for (const row of byType) {
+      types[row._id.type] = types[row._id.type] || {};
+      types[row._id.type][row._id.status] = row.count;
+    }
+
+    return {
+      byStatus: byStatus.reduce((acc, row) => {
+        acc[row._id] = row.count;
+        return acc;
+      }, {}),
+      byType: types,
+      oldestDueAt: oldestDue ? oldestDue.runAt : null,
+    };
+  }
+
+  /**
+   * Run the queue inside a long-lived server. Serverless deployments call
+   * the cron trigger endpoint instead.
+   * @param {Number} intervalSeconds - Seconds between passes
+   * @returns {Object} Interval handle
+   */
+  static startWorker(intervalSeconds = 30) {
+    if (workerInterval) {
+      return workerInterval;
+    }
+    console.log(`Starting job queue worker every ${intervalSeconds} seconds`);
+
+    let running = false;
+    const pass = () => {
+      if (running) return;
+      running = true;
+      this.tick()
+        .catch((error) => {
+          console.error("Job queue pass failed:", error);
+        })
+        .finally(() => {
+          running = false;
+        });
+    };
+
+    pass();
+    workerInterval = setInterval(pass, intervalSeconds * 1000);
+    return workerInterval;
+  }
+}
+
+module.exports = JobQueueService;
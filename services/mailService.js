@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const EmailOutbox = require("../models/EmailOutbox");
+const RetryPolicyService = require("./retryPolicyService");
+const { getTransport } = require("./mailTransports");
+
+const TEMPLATES_DIR = path.join(__dirname, "mailTemplates");
+
+// First line of every template: <!-- subject: ... -->
+const SUBJECT_PATTERN = /^\s*<!--\s*subject:\s*(.*?)\s*-->\s*\n?/;
+
+// {{#name}}...{{/name}} renders for a truthy value, once per element of an
+// array; {{^name}}...{{/name}} renders when the value is falsy or empty
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+// {{{name}}} inserts the value as is, {{name}} escapes it
+const VARIABLE_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Transport per message category when neither MAIL_TRANSPORT_<CATEGORY>
+// nor MAIL_TRANSPORT is set. Verification codes have always gone out
+// through the connected Outlook account.
+const CATEGORY_TRANSPORTS = {
+  verification: "graph",
+};
+
+const templates = new Map();
+
+const getDefaultFrom = () =>
+  process.env.MAIL_FROM ||
+  process.env.SMTP_FROM ||
+  process.env.EMAIL_FROM ||
+  "noreply@zelyx.shop";
+
+const lookup = (contexts, name) => {
+  if (name === ".") {
+    return contexts[0];
+  }
+  const [head, ...rest] = name.split(".");
+  const scope = contexts.find(
+    (context) => context && typeof context === "object" && head in context
+  );
+  if (!scope) {
+    return undefined;
+  }
+  return rest.reduce((value, key) => value?.[key], scope[head]);
+};
+
+class MailService {
+  /**
+   * Escape a value for insertion into HTML
+   * @param {*} value - Value
+   * @returns {String} Escaped text
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Read a template from services/mailTemplates; templates are cached
+   * @param {String} name - Template name, without .html
+   * @returns {Object} { subject, body }
+   */
+  static loadTemplate(name) {
+    if (!templates.has(name)) {
+      if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid mail template name: ${name}`);
+      }
+      const source = fs.readFileSync(
+        path.join(TEMPLATES_DIR, `${name}.html`),
+        "utf8"
+      );
+      const match = source.match(SUBJECT_PATTERN);
+      if (!match) {
+        throw new Error(`Mail template ${name} has no subject line`);
+      }
+      templates.set(name, {
+        subject: match[1],
+        body: source.slice(match[0].length),
+      });
+    }
+    return templates.get(name);
+  }
+
+  /**
+   * Replace the sections and variables of a template string
+   * @param {String} text - Template text
+   * @param {Array} contexts - Variables, innermost first
+   * @returns {String} Rendered text
+   */
+  static renderString(text, contexts) {
+    const expanded = text.replace(
+      SECTION_PATTERN,
+      (match, type, name, block) => {
+        const value = lookup(contexts, name);
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+
+        if (type === "^") {
+          return empty ? this.renderString(block, contexts) : "";
+        }
+        if (empty) {
+          return "";
+        }
+        if (Array.isArray(value)) {
+          return value
+            .map((element) => this.renderString(block, [element, ...contexts]))
+            .join("");
+        }
+        return this.renderString(
+          block,
+          typeof value === "object" ? [value, ...contexts] : contexts
+        );
+      }
+    );
+
+    return expanded.replace(VARIABLE_PATTERN, (match, raw, escaped) => {
+      const value = lookup(contexts, raw || escaped);
+      if (value === undefined || value === null) {
+        return "";
+      }
+      return raw ? String(value) : this.escapeHtml(value);
+    });
+  }
+
+  /**
+   * Render a template with variables
+   * @param {String} name - Template name
+   * @param {Object} variables - Template variables
+   * @returns {Object} { subject, html }
+   */
+  static render(name, variables = {}) {
+    const template = this.loadTemplate(name);
+    return {
+      // The subject is plain text, so it is rendered unescaped
+      subject: this.renderString(
+        template.subject.replace(/\{\{\s*([\w.]+)\s*\}\}/g, "{{{$1}}}"),
+        [variables]
+      ),
+      html: this.renderString(template.body, [variables]),
+    };
+  }
+
+  /**
+   * Transport of a message category: MAIL_TRANSPORT_<CATEGORY>, then
+   * MAIL_TRANSPORT, then the category's default, then SMTP
+   * @param {String} category - customer, admin or verification
+   * @returns {String} Transport name
+   */
+  static getTransportName(category) {
+    return (
+      process.env[`MAIL_TRANSPORT_${category.toUpperCase()}`] ||
+      process.env.MAIL_TRANSPORT ||
+      CATEGORY_TRANSPORTS[category] ||
+      "smtp"
+    );
+  }
+
+  /**
+   * Render a message into the outbox and try to send it straight away.
+   * A message the transport rejects stays in the outbox and is retried by
+   * the job queue under the EMAIL_SEND_FAILED retry policy.
+   * @param {Object} message - { template, variables, to, category, from,
+   * order }
+   * @param {Object} options - { retry }: false sends once and gives up,
+   * for messages that are useless later (verification codes)
+   * @returns {Object} { success, sent, queued, messageId, outboxId, error }
+   * where success means the message was accepted for delivery
+   */
+  static async send(message, options = {}) {
+    const category = message.category || "customer";
+
+    try {
+      const rendered = this.render(message.template, message.variables);
+      const outbox = await EmailOutbox.create({
+        transport: this.getTransportName(category),
+        category,
+        template: message.template,
+        from: message.from || getDefaultFrom(),
+        to: message.to,
+        subject: rendered.subject,
+        html: rendered.html,
+        order: message.order,
+      });
+
+      if (options.retry === false) {
+        try {
+          const result = await this.deliver(outbox._id);
+          return {
+            success: true,
+            sent: true,
+            queued: false,
+            messageId: result.messageId,
+            outboxId: outbox._id,
+          };
+        } catch (error) {
+          return {
+            success: false,
+            sent: false,
+            queued: false,
+            outboxId: outbox._id,
+            error: error.message,
+          };
+        }
+      }
+
+      // Lazy: the job queue alerts admins through NotificationService,
+      // which sends through this module
+      const JobQueueService = require("./jobQueueService");
+      const dispatched = await JobQueueService.dispatch(
+        "mail.send",
+        { outboxId: outbox._id, category },
+        { dedupeKey: `mail:${outbox._id}` }
+      );
+      const sent = dispatched.ran && dispatched.success;
+
+      return {
+        success: true,
+        sent,
+        queued: !sent,
+        messageId: sent ? dispatched.result.messageId : undefined,
+        outboxId: outbox._id,
+        error: sent ? undefined : dispatched.error,
+      };
+    } catch (error) {
+      console.error(`Error queueing ${message.template} email:`, error);
+      return {
+        success: false,
+        sent: false,
+        queued: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send an outbox message through its transport. Run by the mail.send
+   * job; a message that was already sent is not sent again.
+   * @param {ObjectId} outboxId - EmailOutbox ID
+   * @param {Object} job - The mail.send job, or none for a single attempt
+   * @returns {Object} { messageId }
+   */
+  static async deliver(outboxId, job) {
+    const outbox = await EmailOutbox.findById(outboxId);
+    if (!outbox) {
+      throw RetryPolicyService.createError(
+        "DATA_ERROR",
+        `Outbox message ${outboxId} not found`
+      );
+    }
+    if (outbox.status === "sent") {
+      return { messageId: outbox.messageId };
+    }
+
+    outbox.attempts += 1;
+    try {
+      const result = await getTransport(outbox.transport).send({
+        from: outbox.from,
+        to: outbox.to,
+        subject: outbox.subject,
+        html: outbox.html,
+      });
+
+      outbox.status = "sent";
+      outbox.messageId = result.messageId;
+      outbox.sentAt = new Date();
+      outbox.lastError = undefined;
+      await outbox.save();
+
+      console.log(
+        `Email ${outbox.template} sent to ${outbox.to} via ${outbox.transport}`
+      );
+      return { messageId: result.messageId };
+    } catch (error) {
+      const mailError = RetryPolicyService.createError(
+        "EMAIL_SEND_FAILED",
+        error.message
+      );
+
+      outbox.lastError = error.message;
+      if (!job || RetryPolicyService.decide(mailError, job).dead) {
+        outbox.status = "failed";
+        outbox.failedAt = new Date();
+      }
+      await outbox.save();
+
+      console.error(
+        `Error sending ${outbox.template} email to ${outbox.to} via ${outbox.transport}:`,
+        error.message
+      );
+      throw mailError;
+    }
+  }
+
+  /**
+   * Send a failed or stuck outbox message again
+   * @param {ObjectId} outboxId - EmailOutbox ID
+   * @returns {Object} Result with { sent, error } of the new attempt
+   */
+  static async retry(outboxId) {
+    const outbox = await EmailOutbox.findById(outboxId).select(
+      "status category"
+    );
+    if (!outbox) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: "Email not found",
+        errorCode: "EMAIL_NOT_FOUND",
+      };
+    }
+    if (outbox.status === "sent") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Email has already been sent",
+        errorCode: "EMAIL_ALREADY_SENT",
+      };
+    }
+
+    await EmailOutbox.updateOne(
+      { _id: outbox._id },
+      { status: "queued", failedAt: null }
+    );
+
+    const JobQueueService = require("./jobQueueService");
+    const dispatched = await JobQueueService.dispatch(
+      "mail.send",
+      { outboxId: outbox._id, category: outbox.category },
+      { dedupeKey: `mail:${outbox._id}` }
+    );
+
+    return {
+      success: true,
+      sent: dispatched.ran && dispatched.success,
+      error: dispatched.error,
+    };
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MailTransport = require("./MailTransport");
+
+const DEFAULT_SINK_FILE = path.join(os.tmpdir(), "zelyx-mail.jsonl");
+
+// Appends each message as a JSON line instead of sending it, for tests and
+// local development
+class FileTransport extends MailTransport {
+  constructor(filePath) {
+    super("file");
+    this.filePath =
+      filePath || process.env.MAIL_SINK_FILE || DEFAULT_SINK_FILE;
+  }
+
+  async send(message) {
+    const messageId = `file-${crypto.randomBytes(8).toString("hex")}`;
+    const entry = {
+      messageId,
+      sentAt: new Date().toISOString(),
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+    };
+
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    return { messageId };
+  }
+
+  /**
+   * Messages written so far, oldest first
+   * @returns {Promise<Array>} Entries
+   */
+  async readAll() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, "utf8");
+      return content
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,48 @@
+const OutlookAccount = require("../../models/OutlookAccount");
+const Settings = require("../../models/Settings");
+const outlookService = require("../outlookService");
+const MailTransport = require("./MailTransport");
+
+// Sends through Microsoft Graph from a connected Outlook account; the
+// account is MAIL_GRAPH_ACCOUNT when set, otherwise any healthy one
+class GraphTransport extends MailTransport {
+  constructor() {
+    super("graph");
+  }
+
+  async getSenderAccount() {
+    const settings = await Settings.findOne();
+    if (!settings || !settings.outlookEnabled) {
+      throw new Error("Outlook integration is not enabled");
+    }
+
+    const query = { isActive: true, syncStatus: { $ne: "error" } };
+    if (process.env.MAIL_GRAPH_ACCOUNT) {
+      query.email = process.env.MAIL_GRAPH_ACCOUNT.toLowerCase();
+    }
+    const account = await OutlookAccount.findOne(query);
+    if (!account) {
+      throw new Error("No active Outlook account available for sending emails");
+    }
+
+    // Check if token is expired and refresh if needed
+    if (account.isTokenExpired()) {
+      await outlookService.refreshAccountToken(account);
+    }
+    return account;
+  }
+
+  async send(message) {
+    const account = await this.getSenderAccount();
+    const result = await outlookService.sendEmail(
+      account.accessToken,
+      message.to,
+      message.subject,
+      message.html,
+      true
+    );
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = GraphTransport;
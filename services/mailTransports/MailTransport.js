@@ -0,0 +1,21 @@
+/**
+ * Base class for mail transports.
+ *
+ * A transport sends one rendered message and resolves with the provider's
+ * message ID, or throws so the outbox retries the message.
+ */
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,38 @@
+const nodemailer = require("nodemailer");
+const MailTransport = require("./MailTransport");
+
+// Sends through the SMTP server configured by SMTP_HOST, SMTP_PORT,
+// SMTP_USER and SMTP_PASS
+class SmtpTransport extends MailTransport {
+  constructor() {
+    super("smtp");
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "smtp.gmail.com",
+        port: process.env.SMTP_PORT || 587,
+        secure: process.env.SMTP_PORT == 465,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const result = await this.getTransporter().sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+    });
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
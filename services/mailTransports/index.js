@@ -0,0 +1,39 @@
+const MailTransport = require("./MailTransport");
+const SmtpTransport = require("./SmtpTransport");
+const GraphTransport = require("./GraphTransport");
+const FileTransport = require("./FileTransport");
+
+const transportFactories = {
+  smtp: () => new SmtpTransport(),
+  graph: () => new GraphTransport(),
+  file: () => new FileTransport(),
+};
+
+// SMTP keeps a connection pool, so reuse one transport per name
+const transports = {};
+
+/**
+ * Mail transport by name: "smtp", "graph" (Microsoft Graph through a
+ * connected Outlook account) or "file" (a JSON lines sink).
+ * @param {String} name - Transport name
+ * @returns {MailTransport}
+ */
+const getTransport = (name) => {
+  if (!transports[name]) {
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transports[name] = factory();
+  }
+  return transports[name];
+};
+
+module.exports = {
+  MailTransport,
+  SmtpTransport,
+  GraphTransport,
+  FileTransport,
+  getTransport,
+  TRANSPORT_NAMES: Object.keys(transportFactories),
+};
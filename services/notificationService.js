@@ -1,17 +1,14 @@
-const nodemailer = require("nodemailer");
 const DeliveryLog = require("../models/DeliveryLog");
-
-// Create transporter for admin notifications
-const createAdminTransporter = () => {
-  return nodemailer.createTransporter({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_PORT == 465,
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
+const MailService = require("./mailService");
+
+// Admin alert templates in services/mailTemplates, by alert type
+const ALERT_TEMPLATES = {
+  DELIVERY_FAILURE: "admin-delivery-failure",
+  INVENTORY_LOW: "admin-low-inventory",
+  MULTIPLE_FAILURES: "admin-multiple-failures",
+  EMAIL_SERVICE_DOWN: "admin-email-service-down",
+  RETRY_EXHAUSTED: "admin-retry-exhausted",
+  JOB_DEAD: "admin-job-dead",
 };
 
 class NotificationService {
@@ -23,186 +20,63 @@ class NotificationService {
         return;
       }
 
-      const transporter = createAdminTransporter();
-      let subject, content;
+      const template = ALERT_TEMPLATES[type];
+      if (!template) {
+        console.log(`Unknown notification type: ${type}`);
+        return;
+      }
 
-      switch (type) {
-        case "DELIVERY_FAILURE":
-          subject = `🚨 Delivery Failure Alert - Order ${data.orderNumber}`;
-          content = this.generateDeliveryFailureEmail(data);
-          break;
-        case "INVENTORY_LOW":
-          subject = `⚠️ Low Inventory Alert - ${data.productTitle}`;
-          content = this.generateLowInventoryEmail(data);
-          break;
-        case "MULTIPLE_FAILURES":
-          subject = `🔥 Critical: Multiple Delivery Failures Detected`;
-          content = this.generateMultipleFailuresEmail(data);
-          break;
-        case "EMAIL_SERVICE_DOWN":
-          subject = `💥 Email Service Failure Alert`;
-          content = this.generateEmailServiceDownEmail(data);
-          break;
-        case "RETRY_EXHAUSTED":
-          subject = `❌ Delivery Retry Exhausted - Order ${data.orderNumber}`;
-          content = this.generateRetryExhaustedEmail(data);
-          break;
-        default:
-          console.log(`Unknown notification type: ${type}`);
-          return;
+      // An alert about an admin alert that could not be sent would go out
+      // through the same broken transport, and fail the same way
+      if (
+        type === "JOB_DEAD" &&
+        data.type === "mail.send" &&
+        data.payload?.category === "admin"
+      ) {
+        console.error(`Admin alert ${data.payload.outboxId} could not be sent`);
+        return;
       }
 
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      const result = await MailService.send({
+        template,
         to: adminEmail,
-        subject,
-        html: content,
-      };
-
-      await transporter.sendMail(mailOptions);
-      console.log(`Admin notification sent: ${type}`);
+        category: "admin",
+        variables: this.getAlertVariables(type, data),
+      });
+      if (result.success) {
+        console.log(`Admin notification sent: ${type}`);
+      }
     } catch (error) {
       console.error("Failed to send admin notification:", error);
     }
   }
 
-  static generateDeliveryFailureEmail(data) {
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #d32f2f;">🚨 Delivery Failure Alert</h2>
-        
-        <div style="background-color: #ffebee; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-          <h3 style="margin-top: 0; color: #d32f2f;">Order Details:</h3>
-          <p><strong>Order Number:</strong> ${data.orderNumber}</p>
-          <p><strong>Customer Email:</strong> ${data.customerEmail}</p>
-          <p><strong>Product:</strong> ${data.productTitle}</p>
-          <p><strong>Quantity:</strong> ${data.quantity}</p>
-          <p><strong>Error:</strong> ${data.errorMessage}</p>
-          <p><strong>Error Code:</strong> ${data.errorCode}</p>
-          <p><strong>Retry Count:</strong> ${data.retryCount || 0}</p>
-        </div>
-        
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 4px;">
-          <h3 style="margin-top: 0; color: #f57c00;">Recommended Actions:</h3>
-          <ul>
-            <li>Check inventory levels for this product</li>
-            <li>Verify email service configuration</li>
-            <li>Review delivery logs for patterns</li>
-            <li>Consider manual delivery if urgent</li>
-          </ul>
-        </div>
-        
-        <p style="margin-top: 20px; color: #666;">
-          <small>This is an automated alert from the Zelyx Auto-Delivery System.</small>
-        </p>
-      </div>
-    `;
-  }
-
-  static generateLowInventoryEmail(data) {
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #f57c00;">⚠️ Low Inventory Alert</h2>
-        
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-          <h3 style="margin-top: 0; color: #f57c00;">Product Details:</h3>
-          <p><strong>Product:</strong> ${data.productTitle}</p>
-          <p><strong>Current Stock:</strong> ${data.currentStock} items</p>
-          <p><strong>Threshold:</strong> ${data.threshold} items</p>
-          <p><strong>Pending Orders:</strong> ${data.pendingOrders || 0}</p>
-        </div>
-        
-        <div style="background-color: #ffebee; padding: 15px; border-radius: 4px;">
-          <h3 style="margin-top: 0; color: #d32f2f;">Action Required:</h3>
-          <p>Please add more inventory items to prevent delivery failures.</p>
-        </div>
-        
-        <p style="margin-top: 20px; color: #666;">
-          <small>This is an automated alert from the Zelyx Auto-Delivery System.</small>
-        </p>
-      </div>
-    `;
-  }
-
-  static generateMultipleFailuresEmail(data) {
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #d32f2f;">🔥 Critical: Multiple Delivery Failures</h2>
-        
-        <div style="background-color: #ffebee; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-          <h3 style="margin-top: 0; color: #d32f2f;">Alert Summary:</h3>
-          <p><strong>Failed Deliveries:</strong> ${data.failureCount} in the last ${data.timeframe}</p>
-          <p><strong>Affected Orders:</strong> ${data.affectedOrders}</p>
-          <p><strong>Most Common Error:</strong> ${data.commonError}</p>
-        </div>
-        
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 4px;">
-          <h3 style="margin-top: 0; color: #f57c00;">Immediate Actions Required:</h3>
-          <ul>
-            <li>Check system health and email service</li>
-            <li>Review inventory levels across all products</li>
-            <li>Investigate common failure patterns</li>
-            <li>Consider temporarily disabling auto-delivery if needed</li>
-          </ul>
-        </div>
-        
-        <p style="margin-top: 20px; color: #666;">
-          <small>This is a critical automated alert from the Zelyx Auto-Delivery System.</small>
-        </p>
-      </div>
-    `;
-  }
-
-  static generateEmailServiceDownEmail(data) {
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #d32f2f;">💥 Email Service Failure</h2>
-        
-        <div style="background-color: #ffebee; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-          <h3 style="margin-top: 0; color: #d32f2f;">Service Status:</h3>
-          <p><strong>Error:</strong> ${data.error}</p>
-          <p><strong>Failed Attempts:</strong> ${data.failedAttempts}</p>
-          <p><strong>Last Attempt:</strong> ${new Date(
-            data.lastAttempt
-          ).toLocaleString()}</p>
-        </div>
-        
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 4px;">
-          <h3 style="margin-top: 0; color: #f57c00;">Action Required:</h3>
-          <p>Email delivery service is down. Please check SMTP configuration and service status.</p>
-        </div>
-        
-        <p style="margin-top: 20px; color: #666;">
-          <small>This is an automated alert from the Zelyx Auto-Delivery System.</small>
-        </p>
-      </div>
-    `;
-  }
-
-  static generateRetryExhaustedEmail(data) {
-    return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #d32f2f;">❌ Delivery Retry Exhausted</h2>
-        
-        <div style="background-color: #ffebee; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-          <h3 style="margin-top: 0; color: #d32f2f;">Order Details:</h3>
-          <p><strong>Order Number:</strong> ${data.orderNumber}</p>
-          <p><strong>Customer Email:</strong> ${data.customerEmail}</p>
-          <p><strong>Product:</strong> ${data.productTitle}</p>
-          <p><strong>Total Retry Attempts:</strong> ${data.retryCount}</p>
-          <p><strong>Last Error:</strong> ${data.lastError}</p>
-        </div>
-        
-        <div style="background-color: #fff3e0; padding: 15px; border-radius: 4px;">
-          <h3 style="margin-top: 0; color: #f57c00;">Manual Intervention Required:</h3>
-          <p>All automatic retry attempts have been exhausted. Manual delivery may be required.</p>
-        </div>
-        
-        <p style="margin-top: 20px; color: #666;">
-          <small>This is an automated alert from the Zelyx Auto-Delivery System.</small>
-        </p>
-      </div>
-    `;
+  /**
+   * Template variables of an admin alert
+   * @param {String} type - Alert type
+   * @param {Object} data - Alert data
+   * @returns {Object} Variables
+   */
+  static getAlertVariables(type, data) {
+    switch (type) {
+      case "DELIVERY_FAILURE":
+        return { ...data, retryCount: data.retryCount || 0 };
+      case "INVENTORY_LOW":
+        return { ...data, pendingOrders: data.pendingOrders || 0 };
+      case "EMAIL_SERVICE_DOWN":
+        return {
+          ...data,
+          lastAttempt: new Date(data.lastAttempt).toLocaleString(),
+        };
+      case "JOB_DEAD":
+        return {
+          ...data,
+          errorCode: data.errorCode || "N/A",
+          payload: JSON.stringify(data.payload || {}),
+        };
+      default:
+        return data;
+    }
   }
 
   // Check for critical conditions and send alerts
@@ -0,0 +1,274 @@
+const PaymentEvent = require("../models/PaymentEvent");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const PaymentService = require("./PaymentService");
+const DisputeService = require("./disputeService");
+const { fromMinorUnits } = require("../utils/currency");
+
+// Statuses an event can be (re)processed from
+const PROCESSABLE_STATUSES = ["received", "failed"];
+
+// Processing that has not finished after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+class PaymentEventService {
+  /**
+   * Store a verified Stripe event once per event ID
+   * @param {Object} event - Stripe event
+   * @returns {Object} { paymentEvent, duplicate }
+   */
+  static async recordStripeEvent(event) {
+    try {
+      const paymentEvent = await PaymentEvent.create({
+        provider: "stripe",
+        eventId: event.id,
+        type: event.type,
+        payload: event,
+      });
+      return { paymentEvent, duplicate: false };
+    } catch (error) {
+      // Duplicate key: Stripe delivered this event before
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const paymentEvent = await PaymentEvent.findOneAndUpdate(
+        { provider: "stripe", eventId: event.id },
+        { $inc: { duplicateCount: 1 } },
+        { new: true }
+      );
+      return { paymentEvent, duplicate: true };
+    }
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome. Only one
+   * caller can process an event at a time; events that were already
+   * processed are skipped unless `replay` is set.
+   * @param {Object} paymentEvent - PaymentEvent document
+   * @param {Object} options - { replay, replayedBy }
+   * @returns {Object} Updated PaymentEvent document
+   */
+  static async processEvent(paymentEvent, options = {}) {
+    const fromStatuses = options.replay
+      ? [...PROCESSABLE_STATUSES, "processed", "ignored", "rejected"]
+      : PROCESSABLE_STATUSES;
+
+    const update = { status: "processing", $inc: { attempts: 1 } };
+    if (options.replay) {
+      update.replayedBy = options.replayedBy || null;
+      update.replayedAt = new Date();
+    }
+
+    const query = { _id: paymentEvent._id, status: { $in: fromStatuses } };
+    if (options.replay) {
+      // A replay may also take over an event whose processing never finished
+      query.$or = [
+        { status: { $in: fromStatuses } },
+        {
+          status: "processing",
+          updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+        },
+      ];
+      delete query.status;
+    }
+
+    const locked = await PaymentEvent.findOneAndUpdate(
+      query,
+      update,
+      { new: true }
+    );
+    if (!locked) {
+      return PaymentEvent.findById(paymentEvent._id);
+    }
+
+    try {
+      const result = await this.handleStripeEvent(
+        locked.type,
+        locked.payload.data.object
+      );
+
+      locked.status = result.rejected
+        ? "rejected"
+        : result.ignored
+        ? "ignored"
+        : "processed";
+      locked.outcome = result.outcome;
+      locked.order = result.order || locked.order;
+      locked.lastError = null;
+      locked.processedAt = new Date();
+      await locked.save();
+    } catch (error) {
+      console.error(
+        `Error processing Stripe event ${locked.eventId} (${locked.type}):`,
+        error
+      );
+      locked.status = "failed";
+      locked.lastError = error.message;
+      await locked.save();
+    }
+
+    return locked;
+  }
+
+  // Order a Stripe payment intent was created for
+  static async findOrderForIntent(paymentIntent) {
+    return Order.findOne({ "paymentInfo.paymentIntentId": paymentIntent.id });
+  }
+
+  // Order a Stripe charge belongs to
+  static async findOrderForCharge(paymentIntentId) {
+    if (!paymentIntentId) {
+      return null;
+    }
+    return Order.findOne({
+      $or: [
+        { "paymentInfo.paymentIntentId": paymentIntentId },
+        { "paymentInfo.transactionId": paymentIntentId },
+      ],
+    });
+  }
+
+  /**
+   * Apply a Stripe event to its order
+   * @param {String} type - Stripe event type
+   * @param {Object} object - event.data.object
+   * @returns {Object} { outcome, order, ignored, rejected }; throwing marks
+   * the event failed
+   */
+  static async handleStripeEvent(type, object) {
+    switch (type) {
+      case "payment_intent.succeeded":
+        return this.handlePaymentIntentSucceeded(object);
+      case "payment_intent.payment_failed":
+        return this.handlePaymentIntentFailed(object);
+      case "payment_intent.canceled":
+        return this.handlePaymentIntentCanceled(object);
+      case "charge.refunded":
+        return this.handleChargeRefunded(object);
+      case "charge.dispute.created":
+      case "charge.dispute.updated":
+      case "charge.dispute.closed":
+        return this.handleDispute(object);
+      default:
+        return { ignored: true, outcome: `Unhandled event type: ${type}` };
+    }
+  }
+
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const order = await this.findOrderForIntent(paymentIntent);
+    if (!order) {
+      return { ignored: true, outcome: "No order linked to payment intent" };
+    }
+
+    // Retried events must not mark the order paid or deliver twice
+    if (order.paymentStatus === "paid") {
+      return { order: order._id, outcome: "Order already paid" };
+    }
+
+    const mismatch = PaymentService.getStripeIntentMismatch(
+      paymentIntent,
+      order,
+      await Settings.getSupportedCurrencies()
+    );
+    if (mismatch) {
+      console.error(
+        `Stripe payment ${paymentIntent.id} rejected for order ${order.orderNumber}: ${mismatch}`
+      );
+      return { rejected: true, order: order._id, outcome: mismatch };
+    }
+
+    const result = await PaymentService.handleSuccessfulPayment(order._id, {
+      transactionId: paymentIntent.id,
+      paymentMethod: "stripe",
+      amount: order.total,
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      order: order._id,
+      outcome: result.alreadyPaid ? "Order already paid" : "Order marked paid",
+    };
+  }
+
+  static async handlePaymentIntentFailed(paymentIntent) {
+    const order = await this.findOrderForIntent(paymentIntent);
+    if (!order) {
+      return { ignored: true, outcome: "No order linked to payment intent" };
+    }
+    if (order.paymentStatus === "paid") {
+      return { order: order._id, outcome: "Order already paid, not failed" };
+    }
+
+    await PaymentService.handleFailedPayment(order._id, {
+      reason: paymentIntent.last_payment_error?.message || "Payment failed",
+    });
+    return { order: order._id, outcome: "Order marked failed" };
+  }
+
+  static async handlePaymentIntentCanceled(paymentIntent) {
+    const order = await this.findOrderForIntent(paymentIntent);
+    if (!order) {
+      return { ignored: true, outcome: "No order linked to payment intent" };
+    }
+    if (order.paymentStatus === "paid") {
+      return { order: order._id, outcome: "Order already paid, not canceled" };
+    }
+
+    await PaymentService.handleFailedPayment(order._id, {
+      reason: `Payment canceled${
+        paymentIntent.cancellation_reason
+          ? `: ${paymentIntent.cancellation_reason}`
+          : ""
+      }`,
+    });
+    return { order: order._id, outcome: "Order marked failed (canceled)" };
+  }
+
+  static async handleChargeRefunded(charge) {
+    const order = await this.findOrderForCharge(charge.payment_intent);
+    if (!order) {
+      return { ignored: true, outcome: "No order linked to charge" };
+    }
+
+    const refundAmount = fromMinorUnits(
+      charge.amount_refunded,
+      charge.currency.toUpperCase(),
+      await Settings.getSupportedCurrencies()
+    );
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+
+    await Order.findByIdAndUpdate(order._id, {
+      ...(fullyRefunded && { paymentStatus: "refunded" }),
+      "paymentInfo.refundId": charge.refunds?.data?.[0]?.id || null,
+      "paymentInfo.refundedAt": new Date(),
+      "paymentInfo.refundAmount": refundAmount,
+    });
+
+    return {
+      order: order._id,
+      outcome: `${fullyRefunded ? "Full" : "Partial"} refund of ${refundAmount} recorded`,
+    };
+  }
+
+  // charge.dispute.created / updated / closed
+  static async handleDispute(stripeDispute) {
+    const order = await this.findOrderForCharge(stripeDispute.payment_intent);
+    if (!order) {
+      return { ignored: true, outcome: "No order linked to disputed charge" };
+    }
+
+    const dispute = await DisputeService.upsertFromStripe(stripeDispute, order);
+
+    console.log(
+      `Stripe dispute ${stripeDispute.id} for order ${order.orderNumber} is ${dispute.status}`
+    );
+    return {
+      order: order._id,
+      outcome: `Dispute ${stripeDispute.id} recorded as ${dispute.status}`,
+    };
+  }
+}
+
+module.exports = PaymentEventService;
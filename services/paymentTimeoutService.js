@@ -1,5 +1,5 @@
 const Order = require("../models/Order");
-const cron = require("node-cron");
+const JobQueueService = require("./jobQueueService");
 
 class PaymentTimeoutService {
   static async checkExpiredOrders() {
@@ -35,6 +35,29 @@ class PaymentTimeoutService {
     }
   }
 
+  /**
+   * Queue an expiry job for every pending order past its payment timeout
+   * @returns {Object} { success, queued }
+   */
+  static async queueExpiredOrders() {
+    const expiredOrders = await Order.find({
+      "paymentTimeout.expiresAt": { $lt: new Date() },
+      "paymentTimeout.isExpired": false,
+      paymentStatus: "pending",
+      status: { $ne: "cancelled" },
+    }).select("_id");
+
+    for (const order of expiredOrders) {
+      await JobQueueService.enqueue(
+        "payment.expire-order",
+        { orderId: order._id },
+        { dedupeKey: `expire-order:${order._id}` }
+      );
+    }
+
+    return { success: true, queued: expiredOrders.length };
+  }
+
   static async expireOrder(orderId) {
     try {
       const order = await Order.findById(orderId);
@@ -43,6 +66,19 @@ class PaymentTimeoutService {
         throw new Error("Order not found");
       }
 
+      // Paid or already expired since it was picked up
+      if (
+        order.paymentStatus !== "pending" ||
+        order.paymentTimeout.isExpired ||
+        order.status === "cancelled"
+      ) {
+        return {
+          success: true,
+          skipped: true,
+          orderNumber: order.orderNumber,
+        };
+      }
+
       // Mark order as expired and cancelled
       order.paymentTimeout.isExpired = true;
       order.status = "cancelled";
@@ -108,24 +144,10 @@ class PaymentTimeoutService {
     }
   }
 
-  static startPeriodicCheck(intervalMinutes = 10) {
-    console.log(
-      `Starting payment timeout check every ${intervalMinutes} minutes`
-    );
-
-    // Run immediately
-    this.checkExpiredOrders().catch((error) => {
-      console.error("Initial timeout check failed:", error);
-    });
-
-    // Set up periodic checking using cron (every 10 minutes)
-    cron.schedule("*/10 * * * *", () => {
-      this.checkExpiredOrders().catch((error) => {
-        console.error("Periodic timeout check failed:", error);
-      });
-    });
-
-    console.log("Payment timeout service started");
+  // Timeouts now run as jobs; this starts the in-process queue worker for
+  // long-lived servers
+  static startPeriodicCheck() {
+    return JobQueueService.startWorker();
   }
 }
 
@@ -0,0 +1,162 @@
+const Inventory = require("../models/Inventory");
+const Product = require("../models/Product");
+const InventoryReservationService = require("./inventoryReservationService");
+const JobQueueService = require("./jobQueueService");
+
+// Each expiry sweep looks back this far, so a late or skipped run still
+// catches items that expired in between
+const EXPIRY_LOOKBACK_MS = 60 * 60 * 1000;
+
+class ProductAvailabilityService {
+  /**
+   * Count the free assignment slots of a product
+   * @param {ObjectId} productId - Product ID
+   * @returns {Number} Free slots
+   */
+  static async countAvailableSlots(productId) {
+    const [result] = await Inventory.aggregate([
+      { $match: InventoryReservationService.availableSlotFilter(productId) },
+      {
+        $group: {
+          _id: null,
+          slots: {
+            $sum: {
+              $subtract: [
+                { $ifNull: ["$maxAssignments", 1] },
+                { $ifNull: ["$assignmentCount", 0] },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    return result ? result.slots : 0;
+  }
+
+  /**
+   * Recompute the cached availability of an auto-delivery product from its
+   * free inventory slots. Manually stocked products are left alone. When
+   * slots were added, deliveries waiting for a restock resume at once.
+   * Never throws, so inventory changes do not fail on a stale cache.
+   * @param {ObjectId} productId - Product ID
+   * @returns {Object|null} { previous, availability, resumed }, or null if
+   * skipped
+   */
+  static async refresh(productId) {
+    try {
+      const product = await Product.findById(productId).select(
+        "autoDelivery availability"
+      );
+      if (!product || !product.autoDelivery) {
+        return null;
+      }
+
+      const availability = await this.countAvailableSlots(product._id);
+      await Product.updateOne(
+        { _id: product._id },
+        { availability, availabilitySyncedAt: new Date() }
+      );
+
+      let resumed = null;
+      if (availability > product.availability) {
+        resumed = await this.resumeWaitingDeliveries(product._id);
+      }
+      return { previous: product.availability, availability, resumed };
+    } catch (error) {
+      console.error(`Failed to refresh availability of ${productId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Resume the delivery jobs parked for lack of inventory of a product
+   * @param {ObjectId} productId - Product ID
+   * @returns {Object} JobQueueService.resume result
+   */
+  static async resumeWaitingDeliveries(productId) {
+    return JobQueueService.resume(`restock:${productId}`);
+  }
+
+  /**
+   * Refresh every product the given inventory items belong to
+   * @param {Array} inventoryIds - Inventory IDs
+   */
+  static async refreshForInventory(inventoryIds) {
+    const productIds = await Inventory.distinct("product", {
+      _id: { $in: inventoryIds },
+    });
+    for (const productId of productIds) {
+      await this.refresh(productId);
+    }
+  }
+
+  /**
+   * Refresh products whose inventory expired recently; expired items stop
+   * counting as free slots without any write to them
+   * @returns {Object} { refreshed }
+   */
+  static async refreshExpired() {
+    const now = new Date();
+    const productIds = await Inventory.distinct("product", {
+      expirationDate: {
+        $gt: new Date(now.getTime() - EXPIRY_LOOKBACK_MS),
+        $lte: now,
+      },
+    });
+    for (const productId of productIds) {
+      await this.refresh(productId);
+    }
+    return { refreshed: productIds.length };
+  }
+
+  /**
+   * Compare the cached availability of every auto-delivery product with
+   * its free inventory slots, and optionally correct the mismatches
+   * @param {Object} options - { fix }
+   * @returns {Object} { checked, mismatched, fixed, mismatches }
+   */
+  static async reconcile(options = {}) {
+    const products = await Product.find({ autoDelivery: true })
+      .select("title availability")
+      .sort({ title: 1 });
+
+    const mismatches = [];
+    for (const product of products) {
+      const actual = await this.countAvailableSlots(product._id);
+      if (actual === product.availability) {
+        continue;
+      }
+
+      mismatches.push({
+        product: product._id,
+        title: product.title,
+        cached: product.availability,
+        actual,
+        difference: actual - product.availability,
+      });
+      if (options.fix) {
+        await Product.updateOne(
+          { _id: product._id },
+          { availability: actual, availabilitySyncedAt: new Date() }
+        );
+      }
+    }
+
+    if (mismatches.length > 0) {
+      console.log(
+        `Availability reconcile: ${mismatches.length} of ${
+          products.length
+        } auto-delivery products mismatched${options.fix ? ", fixed" : ""}`
+      );
+    }
+
+    return {
+      checked: products.length,
+      mismatched: mismatches.length,
+      fixed: options.fix ? mismatches.length : 0,
+      mismatches,
+    };
+  }
+}
+
+module.exports = ProductAvailabilityService;
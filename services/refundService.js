@@ -0,0 +1,463 @@
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const DeliveryLog = require("../models/DeliveryLog");
+const PaymentService = require("./PaymentService");
+const InventoryReservationService = require("./inventoryReservationService");
+const CustomerNotificationService = require("./customerNotificationService");
+const { generateReferenceId } = require("../utils/idGenerator");
+const {
+  getCurrencyConfig,
+  getIsoDecimals,
+  roundAmount,
+} = require("../utils/currency");
+
+// Payment methods refunded through the provider API; the rest are settled
+// by hand (bank transfer back, crypto payout) and only recorded here
+const PROVIDER_REFUND_METHODS = ["stripe", "paypal"];
+
+// Accounts on an order line are joined with this separator
+const CREDENTIALS_SEPARATOR = "\n\n--- Next Account ---\n\n";
+
+class RefundService {
+  /**
+   * Refund individual order lines: return the money, revoke the delivered
+   * credentials of those lines and notify the customer.
+   * @param {String} orderId - Order ID
+   * @param {Array} items - [{ itemId, quantity }]
+   * @param {Object} options - { reason, releaseInventory, processedBy }
+   * @returns {Object} Refund result
+   */
+  static async refundItems(orderId, items, options = {}) {
+    const order = await Order.findById(orderId).populate(
+      "items.product",
+      "title"
+    );
+    if (!order) {
+      return { success: false, statusCode: 404, error: "Order not found" };
+    }
+
+    if (!["paid", "confirmed"].includes(order.paymentStatus)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Order is not paid, cannot process refund",
+      };
+    }
+
+    // Work out what each requested line refunds
+    const refundLines = [];
+    for (const requested of items) {
+      const item = order.items.id(requested.itemId);
+      if (!item) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Order item ${requested.itemId} not found`,
+        };
+      }
+
+      const remaining = item.quantity - (item.refundedQuantity || 0);
+      const quantity = parseInt(requested.quantity) || remaining;
+      if (quantity < 1 || quantity > remaining) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: `Can refund at most ${remaining} of ${item.title}`,
+        };
+      }
+
+      refundLines.push({ item, quantity });
+    }
+
+    // Lines carry their share of tax
+    const currencies = await Settings.getSupportedCurrencies();
+    const currencyRule = getCurrencyConfig(order.currency, currencies) || {
+      decimals: getIsoDecimals(order.currency),
+    };
+    const taxFactor = order.subtotal > 0 ? order.total / order.subtotal : 1;
+    for (const line of refundLines) {
+      line.amount = roundAmount(
+        line.item.price * line.quantity * taxFactor,
+        currencyRule
+      );
+    }
+
+    // Claim the quantities and their amounts before returning money; the
+    // conditional update stops concurrent refunds of a line from refunding
+    // more than was bought, and $inc keeps concurrent refunds of other lines
+    // from losing each other's amounts
+    const claimed = [];
+    let claimedAmount = 0;
+    let latest = order;
+    for (const line of refundLines) {
+      const updated = await Order.findOneAndUpdate(
+        {
+          _id: order._id,
+          items: {
+            $elemMatch: {
+              _id: line.item._id,
+              refundedQuantity: {
+                $not: { $gt: line.item.quantity - line.quantity },
+              },
+            },
+          },
+        },
+        {
+          $inc: {
+            "items.$.refundedQuantity": line.quantity,
+            "items.$.refundedAmount": line.amount,
+            "paymentInfo.refundAmount": line.amount,
+          },
+        },
+        { new: true }
+      );
+      if (!updated) {
+        await this.releaseRefundClaims(order._id, claimed, claimedAmount);
+        return {
+          success: false,
+          statusCode: 409,
+          error: `${line.item.title} was refunded by another request, try again`,
+        };
+      }
+      claimed.push(line);
+      claimedAmount += line.amount;
+      latest = updated;
+      line.refundedQuantity = updated.items.id(line.item._id).refundedQuantity;
+    }
+
+    // Never refund more than was paid, counting every refund claimed so far;
+    // tax rounded per line can otherwise exceed the total on the last one
+    let amount = roundAmount(claimedAmount, currencyRule);
+    const excess = roundAmount(
+      latest.paymentInfo.refundAmount - order.total,
+      currencyRule
+    );
+    if (excess > 0) {
+      if (excess >= amount) {
+        await this.releaseRefundClaims(order._id, claimed, claimedAmount);
+        return {
+          success: false,
+          statusCode: 400,
+          error: "The order has already been refunded in full",
+        };
+      }
+      amount = roundAmount(amount - excess, currencyRule);
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { "paymentInfo.refundAmount": -excess } }
+      );
+      claimedAmount -= excess;
+    }
+
+    // Return the money first; nothing is revoked if the provider refuses
+    let refundId;
+    if (
+      PROVIDER_REFUND_METHODS.includes(order.paymentInfo?.method) &&
+      order.paymentInfo.transactionId
+    ) {
+      const refundResult = await PaymentService.refundOrderPayment(
+        order,
+        amount,
+        options.reason
+      );
+      if (!refundResult.success) {
+        await this.releaseRefundClaims(order._id, claimed, claimedAmount);
+        return {
+          success: false,
+          statusCode: 400,
+          error: refundResult.error,
+        };
+      }
+      refundId = refundResult.refundId;
+    } else {
+      refundId = generateReferenceId("RFD", 10);
+    }
+
+    const settings = await Settings.getSettings();
+    const releaseInventory =
+      options.releaseInventory !== undefined
+        ? !!options.releaseInventory
+        : settings.refundReleasesInventory;
+
+    let revokedAssignments = 0;
+    let releasedSlots = 0;
+    const deliveredBefore = order.deliveredInventory.map(String);
+
+    for (const line of refundLines) {
+      const revoked = await this.revokeItemAssignments(order, line, {
+        reason: options.reason,
+        releaseInventory,
+      });
+      revokedAssignments += revoked.revokedCount;
+      releasedSlots += revoked.releasedCount;
+
+      await DeliveryLog.logDeliveryEvent({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        productId: line.item.product?._id || line.item.product,
+        productTitle: line.item.title,
+        eventType: "refund_issued",
+        status: "info",
+        message: `Refunded ${line.quantity} x ${line.item.title} (${line.amount} ${order.currency})`,
+        details: {
+          refundId,
+          itemId: line.item._id,
+          amount: line.amount,
+          reason: options.reason,
+          processedBy: options.processedBy,
+          revokedAssignments: revoked.assignmentIds,
+          releasedSlots: revoked.releasedCount,
+        },
+        customerEmail: order.customer.email,
+        quantity: line.quantity,
+      });
+    }
+
+    const fullyRefunded = latest.items.every(
+      (item) => (item.refundedQuantity || 0) >= item.quantity
+    );
+
+    // Record the refund with one update that only touches the refunded
+    // lines, so concurrent refunds of the order do not overwrite each other.
+    // paymentInfo.refundAmount was counted up by the claims.
+    const update = {
+      $set: {
+        "paymentInfo.refundId": refundId,
+        "paymentInfo.refundedAt": new Date(),
+        ...(fullyRefunded && { paymentStatus: "refunded" }),
+      },
+      $unset: {},
+      $push: {
+        "paymentInfo.refunds": {
+          refundId,
+          amount,
+          reason: options.reason,
+          items: refundLines.map((line) => ({
+            item: line.item._id,
+            title: line.item.title,
+            quantity: line.quantity,
+            amount: line.amount,
+          })),
+          revokedAssignments,
+          releasedSlots,
+          processedBy: options.processedBy,
+        },
+      },
+    };
+    const arrayFilters = [];
+    refundLines.forEach((line, index) => {
+      arrayFilters.push({ [`line${index}._id`]: line.item._id });
+      for (const field of ["accountCredentials", "credentials"]) {
+        if (!line.item.isModified(field)) {
+          continue;
+        }
+        // The stored (encrypted) value
+        const value = line.item.get(field, null, { getters: false });
+        const path = `items.$[line${index}].${field}`;
+        if (value === undefined) {
+          update.$unset[path] = "";
+        } else {
+          update.$set[path] = value;
+        }
+      }
+    });
+    const stillDelivered = order.deliveredInventory.map(String);
+    const undelivered = deliveredBefore.filter(
+      (inventoryId) => !stillDelivered.includes(inventoryId)
+    );
+    if (undelivered.length > 0) {
+      update.$pull = { deliveredInventory: { $in: undelivered } };
+    }
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+    await Order.updateOne({ _id: order._id }, update, { arrayFilters });
+
+    try {
+      await CustomerNotificationService.sendRefundNotificationEmail(order, {
+        refundId,
+        amount,
+        reason: options.reason,
+        items: refundLines.map((line) => ({
+          title: line.item.title,
+          quantity: line.quantity,
+          amount: line.amount,
+        })),
+      });
+    } catch (emailError) {
+      console.error("Failed to send refund notification email:", emailError);
+    }
+
+    console.log(
+      `Refund ${refundId} of ${amount} ${order.currency} processed for order ${order.orderNumber}`
+    );
+
+    return {
+      success: true,
+      refundId,
+      amount,
+      revokedAssignments,
+      releasedSlots,
+      fullyRefunded,
+      order: await Order.findById(order._id),
+    };
+  }
+
+  /**
+   * Give back quantities and amounts claimed by a refund that did not go
+   * through
+   * @param {ObjectId} orderId - Order ID
+   * @param {Array} lines - Claimed [{ item, quantity, amount }]
+   * @param {Number} amount - Amount added to paymentInfo.refundAmount
+   */
+  static async releaseRefundClaims(orderId, lines, amount) {
+    if (amount) {
+      await Order.updateOne(
+        { _id: orderId },
+        { $inc: { "paymentInfo.refundAmount": -amount } }
+      );
+    }
+    for (const line of lines) {
+      await Order.updateOne(
+        { _id: orderId, "items._id": line.item._id },
+        {
+          $inc: {
+            "items.$.refundedQuantity": -line.quantity,
+            "items.$.refundedAmount": -line.amount,
+          },
+        }
+      );
+    }
+  }
+
+  /**
+   * Revoke the active assignments delivered for an order line and take
+   * their credentials off the order. Changes to the order document are
+   * written by the caller.
+   * @param {Object} order - Order document
+   * @param {Object} line - { item, quantity, refundedQuantity }
+   * @param {Object} options - { reason, releaseInventory }
+   * @returns {Object} Revoke result
+   */
+  static async revokeItemAssignments(order, line, options = {}) {
+    const productId = (line.item.product?._id || line.item.product).toString();
+
+    const active = await InventoryAssignment.find({
+      order: order._id,
+      status: "active",
+    })
+      .populate("inventory", "product accountCredentials seats")
+      .sort({ assignedAt: -1 });
+
+    // Prefer assignments linked to the line, then any for the same product
+    const candidates = active
+      .filter(
+        (assignment) =>
+          assignment.orderItem?.toString() === line.item._id.toString() ||
+          (!assignment.orderItem &&
+            assignment.inventory?.product?.toString() === productId)
+      )
+      .sort((a, b) => (b.orderItem ? 1 : 0) - (a.orderItem ? 1 : 0))
+      .slice(0, line.quantity);
+
+    const assignmentIds = [];
+    const revokedCredentials = [];
+    const revokedInventoryIds = new Set();
+    let releasedCount = 0;
+
+    for (const assignment of candidates) {
+      const revoked = await InventoryAssignment.findOneAndUpdate(
+        { _id: assignment._id, status: "active" },
+        {
+          status: "revoked",
+          revokedAt: new Date(),
+          revokedReason: options.reason || "Refunded",
+        },
+        { new: true }
+      );
+      if (!revoked) {
+        continue;
+      }
+      assignmentIds.push(revoked._id);
+      if (assignment.inventory) {
+        revokedCredentials.push(
+          assignment.inventory.getSeatCredentials(assignment.seat)
+        );
+        revokedInventoryIds.add(assignment.inventory._id.toString());
+      }
+      await InventoryReservationService.freeSeat(revoked);
+
+      if (options.releaseInventory) {
+        await InventoryReservationService.freeSlot(assignment.inventory._id);
+        releasedCount++;
+      }
+    }
+
+    // Take the revoked accounts off the line; a fully refunded line keeps
+    // no credentials at all
+    if ((line.refundedQuantity || 0) >= line.item.quantity) {
+      line.item.accountCredentials = undefined;
+      line.item.credentials = undefined;
+    } else if (revokedCredentials.length > 0) {
+      const accounts = (
+        line.item.accountCredentials ||
+        line.item.credentials ||
+        ""
+      )
+        .split(CREDENTIALS_SEPARATOR)
+        .filter(Boolean);
+      for (const credentials of revokedCredentials) {
+        const index = accounts.indexOf(credentials);
+        if (index >= 0) {
+          accounts.splice(index, 1);
+        }
+      }
+      line.item.accountCredentials = accounts.join(CREDENTIALS_SEPARATOR);
+      line.item.credentials = line.item.accountCredentials;
+    }
+
+    // Current credentials are read from deliveredInventory
+    for (const inventoryId of revokedInventoryIds) {
+      const stillAssigned = await InventoryAssignment.exists({
+        order: order._id,
+        inventory: inventoryId,
+        status: "active",
+      });
+      if (!stillAssigned) {
+        order.deliveredInventory = order.deliveredInventory.filter(
+          (deliveredId) => deliveredId.toString() !== inventoryId
+        );
+      }
+    }
+
+    if (assignmentIds.length > 0) {
+      await DeliveryLog.logDeliveryEvent({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        productId,
+        productTitle: line.item.title,
+        eventType: "credentials_revoked",
+        status: "warning",
+        message: `Revoked ${assignmentIds.length} credential(s) for ${line.item.title}${
+          releasedCount > 0 ? `, ${releasedCount} slot(s) returned to stock` : ""
+        }`,
+        details: {
+          assignmentIds,
+          reason: options.reason,
+          releasedSlots: releasedCount,
+        },
+        customerEmail: order.customer.email,
+        quantity: assignmentIds.length,
+      });
+    }
+
+    return {
+      revokedCount: assignmentIds.length,
+      releasedCount,
+      assignmentIds,
+    };
+  }
+}
+
+module.exports = RefundService;
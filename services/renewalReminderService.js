@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const RenewalReminder = require("../models/RenewalReminder");
+const Settings = require("../models/Settings");
+const CustomerNotificationService = require("./customerNotificationService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RenewalReminderService {
+  /**
+   * Reminder windows in days, largest first
+   * @returns {Array<Number>} Windows
+   */
+  static async getWindows() {
+    const settings = await Settings.getSettings();
+    const windows = (settings.renewalReminderDays || [])
+      .filter((days) => days > 0)
+      .sort((a, b) => b - a);
+    return [...new Set(windows)];
+  }
+
+  /**
+   * The tightest window an expiry falls into, e.g. 3 for an account
+   * expiring in 2.5 days with windows [7, 3, 1]
+   * @param {Array<Number>} windows - Windows in days
+   * @param {Number} daysLeft - Days until expiry
+   * @returns {Number|null} Window in days
+   */
+  static getWindow(windows, daysLeft) {
+    const matching = windows.filter((days) => daysLeft <= days);
+    return matching.length ? Math.min(...matching) : null;
+  }
+
+  /**
+   * Email customers whose delivered accounts expire within a reminder
+   * window. Each assignment gets at most one reminder per window and
+   * expiry date, and none once it has been renewed.
+   * @returns {Object} { checked, sent, failed, skipped }
+   */
+  static async checkExpiringAssignments() {
+    const windows = await this.getWindows();
+    const results = { checked: 0, sent: 0, failed: 0, skipped: 0 };
+    if (windows.length === 0) {
+      return results;
+    }
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + windows[0] * DAY_MS);
+
+    const expiring = await Inventory.find({
+      expirationDate: { $gt: now, $lte: horizon },
+    })
+      .select("product expirationDate")
+      .populate("product", "title slug active");
+    if (expiring.length === 0) {
+      return results;
+    }
+
+    const inventoryById = new Map(
+      expiring.map((inventory) => [inventory._id.toString(), inventory])
+    );
+    const assignments = await InventoryAssignment.find({
+      inventory: { $in: expiring.map((inventory) => inventory._id) },
+      status: "active",
+    });
+
+    for (const assignment of assignments) {
+      results.checked++;
+
+      const inventory = inventoryById.get(assignment.inventory.toString());
+      if (!inventory.product) {
+        results.skipped++;
+        continue;
+      }
+
+      const daysLeft = (inventory.expirationDate - now) / DAY_MS;
+      const windowDays = this.getWindow(windows, daysLeft);
+
+      const renewed = await RenewalReminder.exists({
+        assignment: assignment._id,
+        expirationDate: inventory.expirationDate,
+        renewalOrder: { $ne: null },
+      });
+      if (renewed) {
+        results.skipped++;
+        continue;
+      }
+
+      // The unique index on assignment, expiry and window makes the
+      // reminder the claim: a concurrent run fails here instead of sending
+      let reminder;
+      try {
+        reminder = await RenewalReminder.create({
+          assignment: assignment._id,
+          inventory: inventory._id,
+          order: assignment.order,
+          orderNumber: assignment.orderNumber,
+          product: inventory.product._id,
+          customerEmail: assignment.customerEmail,
+          expirationDate: inventory.expirationDate,
+          windowDays,
+          token: crypto.randomBytes(24).toString("hex"),
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // Already handled for this window; retry it only if sending failed
+        reminder = await RenewalReminder.findOneAndUpdate(
+          {
+            assignment: assignment._id,
+            expirationDate: inventory.expirationDate,
+            windowDays,
+            status: "failed",
+          },
+          { status: "pending" },
+          { new: true }
+        );
+        if (!reminder) {
+          results.skipped++;
+          continue;
+        }
+      }
+
+      const emailResult =
+        await CustomerNotificationService.sendRenewalReminderEmail({
+          customerEmail: assignment.customerEmail,
+          customerName: assignment.customerName,
+          orderNumber: assignment.orderNumber,
+          productTitle: inventory.product.title,
+          expirationDate: inventory.expirationDate,
+          daysLeft: Math.max(1, Math.ceil(daysLeft)),
+          renewalUrl: this.getRenewalUrl(reminder.token),
+        });
+
+      if (emailResult.success) {
+        reminder.status = "sent";
+        reminder.sentAt = new Date();
+        reminder.messageId = emailResult.messageId;
+        results.sent++;
+      } else {
+        reminder.status = "failed";
+        reminder.error = emailResult.error;
+        results.failed++;
+      }
+      await reminder.save();
+    }
+
+    console.log(
+      `Renewal reminders: ${results.sent} sent, ${results.failed} failed, ${results.skipped} skipped of ${results.checked} expiring assignments`
+    );
+
+    return results;
+  }
+
+  /**
+   * Storefront link that pre-fills a renewal order
+   * @param {String} token - Reminder token
+   * @returns {String} URL
+   */
+  static getRenewalUrl(token) {
+    return `${process.env.CLIENT_URL || "http://localhost:3000"}/renew/${token}`;
+  }
+
+  /**
+   * Order details to pre-fill the checkout from a renewal link
+   * @param {String} token - Reminder token
+   * @returns {Object|null} { product, quantity, currency, customer, expirationDate }
+   */
+  static async getRenewalPrefill(token) {
+    const reminder = await RenewalReminder.findOne({ token })
+      .populate("product", "title slug images price active availability")
+      .populate("order", "customer currency");
+    if (!reminder || !reminder.product || !reminder.order) {
+      return null;
+    }
+
+    if (!reminder.clickedAt) {
+      reminder.clickedAt = new Date();
+      await reminder.save();
+    }
+
+    const { firstName, lastName, email, phone } = reminder.order.customer;
+    return {
+      product: reminder.product,
+      quantity: 1,
+      currency: reminder.order.currency,
+      customer: { firstName, lastName, email, phone },
+      expirationDate: reminder.expirationDate,
+      renewed: !!reminder.renewalOrder,
+    };
+  }
+
+  /**
+   * Link an order placed from a renewal link to its reminder. Only the
+   * first order for a reminder counts, and only if it contains the product.
+   * @param {String} token - Reminder token
+   * @param {Object} order - New order document
+   * @returns {Object|null} Updated reminder
+   */
+  static async recordConversion(token, order) {
+    const productIds = order.items.map((item) =>
+      (item.product?._id || item.product).toString()
+    );
+
+    const reminder = await RenewalReminder.findOne({ token });
+    if (!reminder || !productIds.includes(reminder.product.toString())) {
+      return null;
+    }
+
+    const converted = await RenewalReminder.findOneAndUpdate(
+      { _id: reminder._id, renewalOrder: null },
+      { renewalOrder: order._id, convertedAt: new Date() },
+      { new: true }
+    );
+    if (converted) {
+      order.renewalReminder = converted._id;
+      await order.save();
+    }
+    return converted;
+  }
+
+  /**
+   * Conversion of reminders sent in a period, per reminder window
+   * @param {Object} filters - { startDate, endDate, product }
+   * @returns {Object} { windows, totals }
+   */
+  static async getConversionReport(filters = {}) {
+    const match = { status: "sent" };
+    if (filters.startDate || filters.endDate) {
+      match.sentAt = {};
+      if (filters.startDate) match.sentAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) match.sentAt.$lte = new Date(filters.endDate);
+    }
+    if (filters.product) {
+      match.product = new mongoose.Types.ObjectId(filters.product);
+    }
+
+    const windows = await RenewalReminder.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: "orders",
+          localField: "renewalOrder",
+          foreignField: "_id",
+          as: "renewal",
+        },
+      },
+      {
+        $group: {
+          _id: "$windowDays",
+          sent: { $sum: 1 },
+          clicked: { $sum: { $cond: [{ $ne: ["$clickedAt", null] }, 1, 0] } },
+          converted: {
+            $sum: { $cond: [{ $ne: ["$renewalOrder", null] }, 1, 0] },
+          },
+          paid: {
+            $sum: {
+              $cond: [
+                {
+                  $in: [
+                    { $arrayElemAt: ["$renewal.paymentStatus", 0] },
+                    ["paid", "confirmed"],
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { _id: -1 } },
+    ]);
+
+    const rate = (count, sent) =>
+      sent ? Math.round((count / sent) * 10000) / 100 : 0;
+
+    const totals = { sent: 0, clicked: 0, converted: 0, paid: 0 };
+    const rows = windows.map((row) => {
+      totals.sent += row.sent;
+      totals.clicked += row.clicked;
+      totals.converted += row.converted;
+      totals.paid += row.paid;
+      return {
+        windowDays: row._id,
+        sent: row.sent,
+        clicked: row.clicked,
+        converted: row.converted,
+        paid: row.paid,
+        conversionRate: rate(row.converted, row.sent),
+      };
+    });
+    totals.conversionRate = rate(totals.converted, totals.sent);
+
+    return { windows: rows, totals };
+  }
+}
+
+module.exports = RenewalReminderService;
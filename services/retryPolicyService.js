@@ -0,0 +1,172 @@
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How failed jobs are retried, by the errorCode of the failure. Classified
+// failures use the attempts of their own class (null for no limit);
+// anything else falls back to DEFAULT_POLICY and the job's maxAttempts.
+const RETRY_POLICIES = {
+  // No free slots: waiting on a timer is pointless, so the job waits for
+  // the product to be restocked. The long timer only catches restocks that
+  // happened outside the app.
+  INSUFFICIENT_INVENTORY: {
+    waitFor: "restock",
+    maxAttempts: 10,
+    maxWaitMs: 24 * HOUR_MS,
+  },
+  // Lines the customer ordered on backorder wait for a restock for as
+  // long as it takes; the timer only rechecks missed restocks
+  BACKORDERED: {
+    waitFor: "restock",
+    maxAttempts: null,
+    maxWaitMs: 6 * HOUR_MS,
+  },
+  // SMTP outages and rate limits usually clear within minutes
+  EMAIL_SEND_FAILED: {
+    baseDelayMs: 2 * MINUTE_MS,
+    factor: 2,
+    maxDelayMs: 2 * HOUR_MS,
+    maxAttempts: 8,
+  },
+  // Unexpected failure while allocating or saving a delivery
+  DELIVERY_ERROR: {
+    baseDelayMs: MINUTE_MS,
+    factor: 3,
+    maxDelayMs: HOUR_MS,
+    maxAttempts: 5,
+  },
+  // Bad or missing data fails the same way every time; dead-letter it
+  // straight away so an admin can look
+  DATA_ERROR: {
+    maxAttempts: 1,
+  },
+  ORDER_NOT_FOUND: {
+    maxAttempts: 1,
+  },
+};
+
+// Retry delays grow 1, 3, 9, 27... minutes, capped at 6 hours
+const DEFAULT_POLICY = {
+  baseDelayMs: MINUTE_MS,
+  factor: 3,
+  maxDelayMs: 6 * HOUR_MS,
+};
+
+class RetryPolicyService {
+  /**
+   * Create an error tagged with an errorCode, for job handlers to throw
+   * @param {String} errorCode - Key of RETRY_POLICIES
+   * @param {String} message - Error message
+   * @param {Object} options - { waitFor, priority }: keys of the events a
+   * waiting job resumes on, e.g. ["restock:<productId>"], and the priority
+   * to requeue the job with
+   * @returns {Error} Error
+   */
+  static createError(errorCode, message, options = {}) {
+    const error = new Error(message);
+    error.errorCode = errorCode;
+    if (options.waitFor) {
+      error.waitFor = options.waitFor;
+    }
+    if (options.priority) {
+      error.priority = options.priority;
+    }
+    return error;
+  }
+
+  /**
+   * Error code of a failure: its own errorCode, DATA_ERROR for Mongoose
+   * validation and cast errors, otherwise null
+   * @param {Error} error - Failure
+   * @returns {String|null} Error code
+   */
+  static classify(error) {
+    if (error.errorCode) {
+      return error.errorCode;
+    }
+    if (["ValidationError", "CastError"].includes(error.name)) {
+      return "DATA_ERROR";
+    }
+    return null;
+  }
+
+  /**
+   * Retry policy of an error code
+   * @param {String|null} errorCode - Error code
+   * @returns {Object|null} Policy, or null for unclassified failures
+   */
+  static getPolicy(errorCode) {
+    return (errorCode && RETRY_POLICIES[errorCode]) || null;
+  }
+
+  /**
+   * Whether failures of an error code are worth retrying at all
+   * @param {String|null} errorCode - Error code
+   * @returns {Boolean} Retryable
+   */
+  static isRetryable(errorCode) {
+    const policy = this.getPolicy(errorCode);
+    return !policy || policy.maxAttempts === null || policy.maxAttempts > 1;
+  }
+
+  /**
+   * Every policy, for display
+   * @returns {Object} { policies, default }
+   */
+  static getPolicies() {
+    return { policies: RETRY_POLICIES, default: DEFAULT_POLICY };
+  }
+
+  /**
+   * Delay before the next attempt after a failure
+   * @param {String|null} errorCode - Error code of the failure
+   * @param {Number} attempts - Failed attempts of this class so far
+   * @returns {Number} Delay in ms
+   */
+  static getDelayMs(errorCode, attempts) {
+    const policy = this.getPolicy(errorCode) || DEFAULT_POLICY;
+    if (policy.waitFor) {
+      return policy.maxWaitMs;
+    }
+
+    const curve = policy.baseDelayMs ? policy : DEFAULT_POLICY;
+    return Math.min(
+      curve.baseDelayMs * Math.pow(curve.factor, Math.max(0, attempts - 1)),
+      curve.maxDelayMs
+    );
+  }
+
+  /**
+   * What to do with a job that just failed
+   * @param {Error} error - Failure thrown by the handler
+   * @param {Object} job - Job, with attempts already counting this run
+   * @returns {Object} { errorCode, attempts, dead, runAt, waitFor }
+   */
+  static decide(error, job) {
+    const errorCode = this.classify(error);
+    const policy = this.getPolicy(errorCode);
+
+    if (!policy) {
+      return {
+        errorCode,
+        attempts: job.attempts,
+        dead: job.attempts >= job.maxAttempts,
+        runAt: new Date(Date.now() + this.getDelayMs(null, job.attempts)),
+        waitFor: null,
+      };
+    }
+
+    const attempts = (job.errorCounts?.get(errorCode) || 0) + 1;
+    const waitFor =
+      policy.waitFor && error.waitFor?.length ? error.waitFor : null;
+
+    return {
+      errorCode,
+      attempts,
+      dead: policy.maxAttempts !== null && attempts >= policy.maxAttempts,
+      runAt: new Date(Date.now() + this.getDelayMs(errorCode, attempts)),
+      waitFor,
+    };
+  }
+}
+
+module.exports = RetryPolicyService;
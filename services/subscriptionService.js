@@ -0,0 +1,679 @@
+const Subscription = require("../models/Subscription");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Settings = require("../models/Settings");
+const PaymentService = require("./PaymentService");
+const JobQueueService = require("./jobQueueService");
+const { generateReferenceId } = require("../utils/idGenerator");
+const { roundAmount } = require("../utils/currency");
+
+// Months per billing interval, for MRR
+const INTERVAL_MONTHS = {
+  week: 12 / 52,
+  month: 1,
+  quarter: 3,
+  year: 12,
+};
+
+const MAX_RENEWAL_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 24 * 60 * 60 * 1000; // retry declined cards daily
+const INVOICE_DUE_MS = 3 * 24 * 60 * 60 * 1000; // bank deposit invoices
+const CLAIM_MS = 15 * 60 * 1000;
+
+const BILLABLE_STATUSES = ["active", "past_due"];
+
+class SubscriptionService {
+  /**
+   * Add one billing interval to a date
+   * @param {Date} date - Start date
+   * @param {String} interval - week, month, quarter or year
+   * @returns {Date} End date
+   */
+  static addInterval(date, interval) {
+    const end = new Date(date);
+    if (interval === "week") {
+      end.setDate(end.getDate() + 7);
+    } else {
+      // Clamp to the month's last day so Jan 31 + 1 month is Feb 28/29
+      const day = end.getDate();
+      end.setDate(1);
+      end.setMonth(end.getMonth() + INTERVAL_MONTHS[interval]);
+      const lastDay = new Date(
+        end.getFullYear(),
+        end.getMonth() + 1,
+        0
+      ).getDate();
+      end.setDate(Math.min(day, lastDay));
+    }
+    return end;
+  }
+
+  /**
+   * Recurring revenue of a subscription per month, in its currency
+   * @param {Object} subscription - Subscription document
+   * @returns {Number} Monthly amount
+   */
+  static monthlyAmount(subscription) {
+    return (
+      (subscription.price * subscription.quantity) /
+      INTERVAL_MONTHS[subscription.interval]
+    );
+  }
+
+  static addHistory(subscription, action, note, by = "system") {
+    subscription.history.push({ action, note, by });
+  }
+
+  /**
+   * Subscribe to a product the customer bought in a paid order. The paid
+   * order covers the first period. Card subscriptions stay incomplete until
+   * the card is saved through the returned setup intent.
+   * @param {Object} order - Paid order document
+   * @param {Object} data - { itemId, interval, paymentMethod }
+   * @returns {Object} Result with the subscription (and clientSecret for cards)
+   */
+  static async createFromOrder(order, data) {
+    if (!["paid", "confirmed"].includes(order.paymentStatus)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Only paid orders can be turned into a subscription",
+      };
+    }
+
+    const item = order.items.id(data.itemId);
+    if (!item) {
+      return { success: false, statusCode: 404, error: "Order item not found" };
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product || !product.active) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "This product is no longer available",
+      };
+    }
+
+    const existing = await Subscription.findOne({
+      "customer.email": order.customer.email,
+      product: product._id,
+      status: { $ne: "canceled" },
+    });
+    if (existing) {
+      return {
+        success: false,
+        statusCode: 409,
+        errorCode: "SUBSCRIPTION_EXISTS",
+        error: `You already have subscription ${existing.subscriptionId} for ${product.title}`,
+      };
+    }
+
+    const periodStart = order.paymentInfo?.paidAt || order.createdAt;
+    const periodEnd = this.addInterval(periodStart, data.interval);
+
+    const subscription = new Subscription({
+      subscriptionId: generateReferenceId("SUB", 10),
+      customer: {
+        firstName: order.customer.firstName,
+        lastName: order.customer.lastName,
+        email: order.customer.email,
+        phone: order.customer.phone,
+      },
+      product: product._id,
+      productTitle: product.title,
+      quantity: item.quantity,
+      price: item.price,
+      currency: order.currency,
+      exchangeRate: order.exchangeRate || 1,
+      interval: data.interval,
+      paymentMethod: data.paymentMethod,
+      status: data.paymentMethod === "stripe" ? "incomplete" : "active",
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      nextBillingAt: data.paymentMethod === "stripe" ? null : periodEnd,
+      originOrder: order._id,
+      lastPaidOrder: order._id,
+    });
+    this.addHistory(
+      subscription,
+      "created",
+      `Subscribed from order ${order.orderNumber}`,
+      order.customer.email
+    );
+
+    let clientSecret;
+    if (data.paymentMethod === "stripe") {
+      const setup = await PaymentService.createSubscriptionSetupIntent(
+        subscription
+      );
+      if (!setup.success) {
+        return {
+          success: false,
+          statusCode: 502,
+          error: `Could not start saving the card: ${setup.error}`,
+        };
+      }
+      subscription.stripe = {
+        customerId: setup.customerId,
+        setupIntentId: setup.setupIntentId,
+      };
+      clientSecret = setup.clientSecret;
+    }
+
+    await subscription.save();
+
+    console.log(
+      `Subscription ${subscription.subscriptionId} created for ${subscription.customer.email} (${product.title}, ${data.interval})`
+    );
+
+    return { success: true, subscription, clientSecret };
+  }
+
+  /**
+   * Save the card from a confirmed setup intent and schedule renewals
+   * @param {Object} subscription - Subscription document
+   * @param {String} setupIntentId - Confirmed setup intent ID
+   * @returns {Object} Result with the subscription
+   */
+  static async savePaymentMethod(subscription, setupIntentId) {
+    if (subscription.paymentMethod !== "stripe") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "This subscription is paid by bank deposit",
+      };
+    }
+    if (subscription.status === "canceled") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Subscription is canceled",
+      };
+    }
+
+    const setupIntent = await PaymentService.retrieveSetupIntent(setupIntentId);
+    if (
+      setupIntent.customer !== subscription.stripe?.customerId ||
+      setupIntent.metadata?.subscriptionId !== subscription.subscriptionId
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Setup intent does not belong to this subscription",
+      };
+    }
+    if (setupIntent.status !== "succeeded" || !setupIntent.payment_method) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Card setup is ${setupIntent.status}`,
+      };
+    }
+
+    subscription.stripe.paymentMethodId = setupIntent.payment_method;
+    subscription.stripe.setupIntentId = setupIntent.id;
+
+    if (subscription.status === "incomplete") {
+      subscription.status = "active";
+      subscription.nextBillingAt = subscription.currentPeriodEnd;
+    } else if (subscription.status === "past_due") {
+      // Try the new card straight away
+      subscription.failedAttempts = 0;
+      subscription.nextBillingAt = new Date();
+    }
+    this.addHistory(
+      subscription,
+      "payment_method_saved",
+      "Card saved for renewals",
+      subscription.customer.email
+    );
+    await subscription.save();
+
+    return { success: true, subscription };
+  }
+
+  /**
+   * Stop renewals until resumed
+   * @param {Object} subscription - Subscription document
+   * @param {String} by - Who paused it
+   * @returns {Object} Result with the subscription
+   */
+  static async pause(subscription, by) {
+    if (!BILLABLE_STATUSES.includes(subscription.status)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `A ${subscription.status} subscription cannot be paused`,
+      };
+    }
+
+    subscription.status = "paused";
+    subscription.pausedAt = new Date();
+    subscription.nextBillingAt = null;
+    this.addHistory(subscription, "paused", "Renewals paused", by);
+    await subscription.save();
+
+    return { success: true, subscription };
+  }
+
+  /**
+   * Resume a paused or past-due subscription. The next renewal is due at
+   * the end of the current period, or straight away if it has passed.
+   * @param {Object} subscription - Subscription document
+   * @param {String} by - Who resumed it
+   * @returns {Object} Result with the subscription
+   */
+  static async resume(subscription, by) {
+    if (!["paused", "past_due"].includes(subscription.status)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `A ${subscription.status} subscription cannot be resumed`,
+      };
+    }
+    if (
+      subscription.paymentMethod === "stripe" &&
+      !subscription.stripe?.paymentMethodId
+    ) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Save a card before resuming",
+      };
+    }
+
+    const now = new Date();
+    subscription.status = "active";
+    subscription.pausedAt = null;
+    subscription.failedAttempts = 0;
+    subscription.nextBillingAt =
+      subscription.currentPeriodEnd > now ? subscription.currentPeriodEnd : now;
+    this.addHistory(subscription, "resumed", "Renewals resumed", by);
+    await subscription.save();
+
+    return { success: true, subscription };
+  }
+
+  /**
+   * Cancel renewals. Access continues until the current period ends.
+   * @param {Object} subscription - Subscription document
+   * @param {Object} options - { reason, by }
+   * @returns {Object} Result with the subscription
+   */
+  static async cancel(subscription, options = {}) {
+    if (subscription.status === "canceled") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Subscription is already canceled",
+      };
+    }
+
+    subscription.status = "canceled";
+    subscription.canceledAt = new Date();
+    subscription.cancelReason = options.reason;
+    subscription.nextBillingAt = null;
+    this.addHistory(
+      subscription,
+      "canceled",
+      options.reason || "Subscription canceled",
+      options.by
+    );
+    await subscription.save();
+
+    return { success: true, subscription };
+  }
+
+  /**
+   * Bill every subscription whose renewal is due
+   * @returns {Object} { processed, renewed, invoiced, failed, skipped }
+   */
+  static async processDueRenewals() {
+    const due = await Subscription.find({
+      status: { $in: BILLABLE_STATUSES },
+      nextBillingAt: { $lte: new Date() },
+    }).select("_id");
+
+    const results = {
+      processed: 0,
+      renewed: 0,
+      invoiced: 0,
+      failed: 0,
+      skipped: 0,
+    };
+    for (const { _id } of due) {
+      results.processed++;
+      try {
+        const result = await this.renew(_id);
+        results[result.outcome] = (results[result.outcome] || 0) + 1;
+      } catch (error) {
+        results.failed++;
+        console.error(`Renewal of subscription ${_id} failed:`, error);
+      }
+    }
+
+    console.log(
+      `Subscription renewals: ${results.renewed} charged, ${results.invoiced} invoiced, ${results.failed} failed, ${results.skipped} skipped`
+    );
+    return results;
+  }
+
+  /**
+   * Create and collect the renewal order of one due subscription
+   * @param {String} id - Subscription _id
+   * @returns {Object} { outcome: renewed | invoiced | failed | skipped, order }
+   */
+  static async renew(id) {
+    // Push the due date forward while billing, so overlapping runs skip it
+    const now = new Date();
+    const subscription = await Subscription.findOneAndUpdate(
+      {
+        _id: id,
+        status: { $in: BILLABLE_STATUSES },
+        nextBillingAt: { $lte: now },
+      },
+      { nextBillingAt: new Date(now.getTime() + CLAIM_MS) },
+      { new: true }
+    );
+    if (!subscription) {
+      return { outcome: "skipped" };
+    }
+
+    let order = subscription.pendingOrder
+      ? await Order.findById(subscription.pendingOrder)
+      : null;
+
+    if (order && ["paid", "confirmed"].includes(order.paymentStatus)) {
+      await this.recordRenewalPayment(order);
+      return { outcome: "skipped", order };
+    }
+
+    if (order && subscription.paymentMethod === "bank_deposit") {
+      // The invoice is past its due date
+      return this.markPastDue(
+        subscription,
+        `Invoice ${order.orderNumber} was not paid`,
+        { retry: false }
+      );
+    }
+
+    if (!order) {
+      const created = await this.createRenewalOrder(subscription);
+      if (!created.success) {
+        return this.markPastDue(subscription, created.error, { retry: false });
+      }
+      order = created.order;
+      subscription.pendingOrder = order._id;
+      subscription.renewalOrders.push(order._id);
+    }
+
+    if (subscription.paymentMethod === "bank_deposit") {
+      subscription.nextBillingAt = order.paymentTimeout.expiresAt;
+      this.addHistory(
+        subscription,
+        "invoiced",
+        `Renewal invoice ${order.orderNumber} sent`
+      );
+      await subscription.save();
+
+      try {
+        await JobQueueService.dispatch("email.order", {
+          template: "orderInitialized",
+          orderId: order._id,
+        });
+      } catch (emailError) {
+        console.error("Failed to send renewal invoice email:", emailError);
+      }
+      return { outcome: "invoiced", order };
+    }
+
+    await subscription.save();
+
+    // A charge that went through on an earlier run is recorded, not repeated
+    let paymentIntent = order.paymentInfo?.paymentIntentId
+      ? await PaymentService.retrievePaymentIntent(
+          order.paymentInfo.paymentIntentId
+        )
+      : null;
+    if (paymentIntent?.status === "processing") {
+      // The payment webhook settles it
+      return { outcome: "skipped", order };
+    }
+
+    if (paymentIntent?.status !== "succeeded") {
+      // One charge per attempt, however often this attempt is re-run
+      const charge = await PaymentService.chargeSavedPaymentMethod(
+        order,
+        {
+          customerId: subscription.stripe.customerId,
+          paymentMethodId: subscription.stripe.paymentMethodId,
+        },
+        {
+          idempotencyKey: `renewal:${order._id}:${subscription.failedAttempts}`,
+        }
+      );
+      if (!charge.success) {
+        await PaymentService.handleFailedPayment(order._id, {
+          reason: charge.error,
+        });
+        return this.markPastDue(
+          subscription,
+          `Renewal charge for ${order.orderNumber} failed: ${charge.error}`,
+          { retry: !charge.requiresAction }
+        );
+      }
+      paymentIntent = charge.paymentIntent;
+    }
+
+    // Marks the order paid, runs auto-delivery and advances the period
+    const result = await PaymentService.handleSuccessfulPayment(order._id, {
+      transactionId: paymentIntent.id,
+      paymentMethod: "stripe",
+      amount: order.total,
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { outcome: "renewed", order };
+  }
+
+  /**
+   * Flag a renewal as unpaid. Card charges are retried daily up to
+   * MAX_RENEWAL_ATTEMPTS times.
+   * @param {Object} subscription - Subscription document
+   * @param {String} error - What went wrong
+   * @param {Object} options - { retry }
+   * @returns {Object} { outcome: "failed" }
+   */
+  static async markPastDue(subscription, error, options = {}) {
+    subscription.status = "past_due";
+    subscription.failedAttempts += 1;
+    subscription.lastError = error;
+    subscription.nextBillingAt =
+      options.retry && subscription.failedAttempts < MAX_RENEWAL_ATTEMPTS
+        ? new Date(Date.now() + RETRY_DELAY_MS)
+        : null;
+    this.addHistory(subscription, "past_due", error);
+    await subscription.save();
+
+    console.error(
+      `Subscription ${subscription.subscriptionId} is past due: ${error}`
+    );
+    return { outcome: "failed" };
+  }
+
+  /**
+   * Create the order for a subscription's next period at the locked price
+   * @param {Object} subscription - Subscription document
+   * @returns {Object} Result with the order
+   */
+  static async createRenewalOrder(subscription) {
+    const product = await Product.findById(subscription.product).populate(
+      "category",
+      "name"
+    );
+    if (!product || !product.active) {
+      return { success: false, error: "Product is no longer available" };
+    }
+
+    const currencyRule =
+      (await Settings.getSupportedCurrencies()).find(
+        (supported) => supported.code === subscription.currency
+      ) || {};
+    const settings = await Settings.getSettings();
+
+    const subtotal = roundAmount(
+      subscription.price * subscription.quantity,
+      currencyRule
+    );
+    const tax = settings.taxEnabled
+      ? roundAmount((subtotal * settings.taxRate) / 100, currencyRule)
+      : 0;
+
+    const isBankDeposit = subscription.paymentMethod === "bank_deposit";
+    const order = new Order({
+      customer: subscription.customer,
+      items: [
+        {
+          product: product._id,
+          title: product.title,
+          price: subscription.price,
+          quantity: subscription.quantity,
+          image: product.images[0] || "",
+          serviceType: product.category?.name || "Service",
+          duration: "Instant",
+          features: product.features,
+          accountCredentials: "",
+          autoDelivery: product.autoDelivery || false,
+        },
+      ],
+      subtotal,
+      tax,
+      total: roundAmount(subtotal + tax, currencyRule),
+      currency: subscription.currency,
+      exchangeRate: subscription.exchangeRate,
+      exchangeRateSource: "subscription",
+      exchangeRateAt: subscription.createdAt,
+      notes: `Renewal of subscription ${subscription.subscriptionId}`,
+      paymentMethod: isBankDeposit ? "bank_deposit" : "credit_card",
+      subscription: subscription._id,
+      ...(isBankDeposit && {
+        paymentTimeout: {
+          expiresAt: new Date(Date.now() + INVOICE_DUE_MS),
+          isExpired: false,
+          notificationSent: false,
+        },
+      }),
+    });
+    await order.save();
+
+    if (!product.autoDelivery) {
+      await Product.findByIdAndUpdate(product._id, {
+        $inc: { availability: -subscription.quantity },
+      });
+    }
+
+    console.log(
+      `Renewal order ${order.orderNumber} created for subscription ${subscription.subscriptionId}`
+    );
+
+    return { success: true, order };
+  }
+
+  /**
+   * Start the next period once a renewal order is paid. Safe to call more
+   * than once for the same order.
+   * @param {Object} order - Paid order document
+   * @returns {Object|null} Updated subscription
+   */
+  static async recordRenewalPayment(order) {
+    if (!order.subscription) return null;
+
+    const subscription = await Subscription.findById(order.subscription);
+    if (
+      !subscription ||
+      subscription.lastPaidOrder?.toString() === order._id.toString()
+    ) {
+      return null;
+    }
+
+    // A late payment starts the new period now rather than back-dating it
+    const now = new Date();
+    const periodStart =
+      subscription.currentPeriodEnd > now ? subscription.currentPeriodEnd : now;
+    const periodEnd = this.addInterval(periodStart, subscription.interval);
+    const status =
+      subscription.status === "past_due" ? "active" : subscription.status;
+
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, lastPaidOrder: subscription.lastPaidOrder },
+      {
+        $set: {
+          status,
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          nextBillingAt: status === "active" ? periodEnd : null,
+          lastPaidOrder: order._id,
+          pendingOrder: null,
+          failedAttempts: 0,
+          lastError: null,
+        },
+        $push: {
+          history: {
+            action: "renewed",
+            note: `Order ${order.orderNumber} paid, period ends ${periodEnd.toISOString()}`,
+            by: "system",
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      console.log(
+        `Subscription ${updated.subscriptionId} renewed by order ${order.orderNumber}`
+      );
+    }
+    return updated;
+  }
+
+  /**
+   * Monthly recurring revenue of active and past-due subscriptions, per
+   * currency and converted to the base currency at sign-up rates
+   * @returns {Object} { byCurrency, base, counts }
+   */
+  static async getMrr() {
+    const subscriptions = await Subscription.find({
+      status: { $in: BILLABLE_STATUSES },
+    }).select("price quantity interval currency exchangeRate");
+
+    const byCurrency = {};
+    let base = 0;
+    for (const subscription of subscriptions) {
+      const monthly = this.monthlyAmount(subscription);
+      byCurrency[subscription.currency] =
+        (byCurrency[subscription.currency] || 0) + monthly;
+      base += monthly / (subscription.exchangeRate || 1);
+    }
+    for (const currency of Object.keys(byCurrency)) {
+      byCurrency[currency] = Math.round(byCurrency[currency] * 100) / 100;
+    }
+
+    const counts = await Subscription.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    return {
+      byCurrency,
+      base: Math.round(base * 100) / 100,
+      counts: counts.reduce((acc, row) => {
+        acc[row._id] = row.count;
+        return acc;
+      }, {}),
+    };
+  }
+}
+
+module.exports = SubscriptionService;
@@ -0,0 +1,295 @@
+const mongoose = require("mongoose");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const Order = require("../models/Order");
+const Supplier = require("../models/Supplier");
+
+const PAID_STATUSES = ["paid", "confirmed"];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+const rate = (count, total) =>
+  total ? Math.round((count / total) * 10000) / 100 : 0;
+
+class SupplierService {
+  /**
+   * Assignment filter for a report period, optionally narrowed to the
+   * inventory of a product or supplier
+   * @param {Object} filters - { startDate, endDate, product, supplier }
+   * @returns {Object} Mongo filter on InventoryAssignment
+   */
+  static async assignmentFilter(filters = {}) {
+    const match = {};
+    if (filters.startDate || filters.endDate) {
+      match.assignedAt = {};
+      if (filters.startDate) match.assignedAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) match.assignedAt.$lte = new Date(filters.endDate);
+    }
+    if (filters.product || filters.supplier) {
+      const inventoryQuery = {};
+      if (filters.product) inventoryQuery.product = filters.product;
+      if (filters.supplier) inventoryQuery.supplier = filters.supplier;
+      const inventoryIds = await Inventory.find(inventoryQuery).distinct("_id");
+      match.inventory = { $in: inventoryIds };
+    }
+    return match;
+  }
+
+  /**
+   * Margin of delivered slots per product and per supplier, in the base
+   * currency. A slot costs its item's unitCost split over maxAssignments.
+   * Its revenue is its share of the order line net of refunds, counted
+   * only on paid orders; warranty replacements add cost but no revenue.
+   * @param {Object} filters - { startDate, endDate, product, supplier }
+   * @returns {Object} { byProduct, bySupplier, totals }
+   */
+  static async getMarginReport(filters = {}) {
+    const assignments = await InventoryAssignment.find(
+      await this.assignmentFilter(filters)
+    )
+      .select("inventory order orderItem")
+      .lean();
+
+    const [inventories, orders] = await Promise.all([
+      Inventory.find({
+        _id: { $in: assignments.map((assignment) => assignment.inventory) },
+      })
+        .select("product supplier unitCost maxAssignments")
+        .populate("product", "title")
+        .populate("supplier", "name")
+        .lean(),
+      Order.find({
+        _id: { $in: assignments.map((assignment) => assignment.order) },
+      })
+        .select(
+          "items._id items.product items.price items.quantity items.refundedAmount exchangeRate paymentStatus credentialReplacements.newAssignment"
+        )
+        .lean(),
+    ]);
+    const inventoryById = new Map(
+      inventories.map((inventory) => [inventory._id.toString(), inventory])
+    );
+    const orderById = new Map(
+      orders.map((order) => [order._id.toString(), order])
+    );
+
+    const byProduct = new Map();
+    const bySupplier = new Map();
+    const totals = {
+      assignments: 0,
+      uncostedAssignments: 0,
+      revenue: 0,
+      cost: 0,
+    };
+    const add = (group, revenue, cost) => {
+      group.assignments++;
+      group.revenue += revenue;
+      if (cost === null) {
+        group.uncostedAssignments++;
+      } else {
+        group.cost += cost;
+      }
+    };
+    const groupFor = (groups, key, label) => {
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...label,
+          assignments: 0,
+          uncostedAssignments: 0,
+          revenue: 0,
+          cost: 0,
+        });
+      }
+      return groups.get(key);
+    };
+
+    for (const assignment of assignments) {
+      const inventory = inventoryById.get(assignment.inventory.toString());
+      if (!inventory || !inventory.product) {
+        continue;
+      }
+
+      const cost =
+        inventory.unitCost != null
+          ? inventory.unitCost / (inventory.maxAssignments || 1)
+          : null;
+      const revenue = this.getSlotRevenue(
+        assignment,
+        assignment.order && orderById.get(assignment.order.toString()),
+        inventory.product._id
+      );
+
+      add(
+        groupFor(byProduct, inventory.product._id.toString(), {
+          product: inventory.product,
+        }),
+        revenue,
+        cost
+      );
+      add(
+        groupFor(
+          bySupplier,
+          inventory.supplier ? inventory.supplier._id.toString() : "none",
+          { supplier: inventory.supplier || null }
+        ),
+        revenue,
+        cost
+      );
+      add(totals, revenue, cost);
+    }
+
+    const finish = (group) => ({
+      ...group,
+      revenue: round(group.revenue),
+      cost: round(group.cost),
+      margin: round(group.revenue - group.cost),
+      marginPercent: rate(group.revenue - group.cost, group.revenue),
+    });
+    const sortByMargin = (a, b) => b.margin - a.margin;
+
+    return {
+      byProduct: [...byProduct.values()].map(finish).sort(sortByMargin),
+      bySupplier: [...bySupplier.values()].map(finish).sort(sortByMargin),
+      totals: finish(totals),
+    };
+  }
+
+  /**
+   * Base-currency revenue of one delivered slot
+   * @param {Object} assignment - InventoryAssignment (lean)
+   * @param {Object} order - Order (lean) or undefined
+   * @param {ObjectId} productId - Product of the slot
+   * @returns {Number} Revenue
+   */
+  static getSlotRevenue(assignment, order, productId) {
+    if (!order || !PAID_STATUSES.includes(order.paymentStatus)) {
+      return 0;
+    }
+    const isReplacement = (order.credentialReplacements || []).some(
+      (replacement) =>
+        replacement.newAssignment?.toString() === assignment._id.toString()
+    );
+    if (isReplacement) {
+      return 0;
+    }
+
+    const item =
+      (assignment.orderItem &&
+        order.items.find(
+          (orderItem) =>
+            orderItem._id.toString() === assignment.orderItem.toString()
+        )) ||
+      order.items.find(
+        (orderItem) => orderItem.product?.toString() === productId.toString()
+      );
+    if (!item || !item.quantity) {
+      return 0;
+    }
+
+    const net = item.price * item.quantity - (item.refundedAmount || 0);
+    return Math.max(0, net) / item.quantity / (order.exchangeRate || 1);
+  }
+
+  /**
+   * Defect rate per supplier: the share of delivered slots whose
+   * assignment was revoked, split into warranty replacements and other
+   * revocations such as refunds
+   * @param {Object} filters - { startDate, endDate, product, supplier }
+   * @returns {Array} Per-supplier rows, worst first
+   */
+  static async getDefectReport(filters = {}) {
+    const match = await this.assignmentFilter(filters);
+
+    const rows = await InventoryAssignment.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: "inventories",
+          localField: "inventory",
+          foreignField: "_id",
+          as: "inventory",
+          pipeline: [{ $project: { supplier: 1 } }],
+        },
+      },
+      {
+        $group: {
+          _id: { $arrayElemAt: ["$inventory.supplier", 0] },
+          delivered: { $sum: 1 },
+          revoked: {
+            $sum: { $cond: [{ $eq: ["$status", "revoked"] }, 1, 0] },
+          },
+          replaced: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "revoked"] },
+                    {
+                      $regexMatch: {
+                        input: { $ifNull: ["$revokedReason", ""] },
+                        regex: "^Replaced:",
+                      },
+                    },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    const suppliers = await Supplier.find({
+      _id: { $in: rows.map((row) => row._id).filter(Boolean) },
+    })
+      .select("name active")
+      .lean();
+    const supplierById = new Map(
+      suppliers.map((supplier) => [supplier._id.toString(), supplier])
+    );
+
+    return rows
+      .map((row) => ({
+        supplier: row._id ? supplierById.get(row._id.toString()) || null : null,
+        delivered: row.delivered,
+        replaced: row.replaced,
+        revoked: row.revoked,
+        otherRevoked: row.revoked - row.replaced,
+        replacementRate: rate(row.replaced, row.delivered),
+        defectRate: rate(row.revoked, row.delivered),
+      }))
+      .sort((a, b) => b.defectRate - a.defectRate);
+  }
+
+  /**
+   * Inventory bought from a supplier, per status
+   * @param {ObjectId} supplierId - Supplier ID
+   * @returns {Object} { items, slots, cost, byStatus }
+   */
+  static async getInventoryStats(supplierId) {
+    const stats = await Inventory.aggregate([
+      { $match: { supplier: new mongoose.Types.ObjectId(supplierId) } },
+      {
+        $group: {
+          _id: "$status",
+          items: { $sum: 1 },
+          slots: { $sum: { $ifNull: ["$maxAssignments", 1] } },
+          cost: { $sum: { $ifNull: ["$unitCost", 0] } },
+        },
+      },
+    ]);
+
+    const result = { items: 0, slots: 0, cost: 0, byStatus: {} };
+    for (const stat of stats) {
+      result.items += stat.items;
+      result.slots += stat.slots;
+      result.cost += stat.cost;
+      result.byStatus[stat._id] = stat.items;
+    }
+    result.cost = round(result.cost);
+    return result;
+  }
+}
+
+module.exports = SupplierService;
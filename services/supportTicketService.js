@@ -0,0 +1,323 @@
+const SupportTicket = require("../models/SupportTicket");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const CredentialReplacementService = require("./credentialReplacementService");
+const RefundService = require("./refundService");
+const { generateReferenceId } = require("../utils/idGenerator");
+
+// Hours until the first admin reply and until resolution, per priority
+const SLA_HOURS = {
+  urgent: { firstResponse: 1, resolution: 8 },
+  high: { firstResponse: 4, resolution: 24 },
+  normal: { firstResponse: 12, resolution: 48 },
+  low: { firstResponse: 24, resolution: 96 },
+};
+
+const CLOSED_STATUSES = ["resolved", "closed"];
+
+class SupportTicketService {
+  /**
+   * SLA deadlines for a ticket opened at the given time
+   * @param {String} priority - Ticket priority
+   * @param {Date} openedAt - When the ticket was opened
+   * @returns {Object} { firstResponseDueBy, resolutionDueBy }
+   */
+  static computeSla(priority, openedAt = new Date()) {
+    const hours = SLA_HOURS[priority] || SLA_HOURS.normal;
+    const start = new Date(openedAt).getTime();
+    return {
+      firstResponseDueBy: new Date(start + hours.firstResponse * 3600000),
+      resolutionDueBy: new Date(start + hours.resolution * 3600000),
+    };
+  }
+
+  /**
+   * Map uploaded multer files to ticket attachments
+   * @param {Array} files - req.files
+   * @returns {Array} Attachments
+   */
+  static toAttachments(files = []) {
+    return files.map((file) => ({
+      filePath: file.path.replace(/\\/g, "/"),
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+    }));
+  }
+
+  /**
+   * Open a ticket for a delivered order line
+   * @param {Object} order - Order document the customer verified
+   * @param {Object} data - { itemId, assignmentId, category, subject, message }
+   * @param {Array} attachments - Uploaded attachments
+   * @returns {Object} Result with the ticket
+   */
+  static async createTicket(order, data, attachments = []) {
+    const item = order.items.id(data.itemId);
+    if (!item) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: "Order item not found",
+      };
+    }
+
+    let assignment = null;
+    if (data.assignmentId) {
+      assignment = await InventoryAssignment.findOne({
+        _id: data.assignmentId,
+        order: order._id,
+      });
+      if (!assignment) {
+        return {
+          success: false,
+          statusCode: 404,
+          error: "Delivered account not found for this order",
+        };
+      }
+      if (
+        assignment.orderItem &&
+        assignment.orderItem.toString() !== item._id.toString()
+      ) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: "Delivered account does not belong to this order item",
+        };
+      }
+    }
+
+    const ticket = await SupportTicket.create({
+      ticketNumber: generateReferenceId("TKT", 8),
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customerEmail: order.customer.email,
+      customerName: [order.customer.firstName, order.customer.lastName]
+        .filter(Boolean)
+        .join(" "),
+      orderItem: item._id,
+      itemTitle: item.title,
+      product: item.product?._id || item.product,
+      assignment: assignment?._id || null,
+      category: data.category,
+      subject: data.subject,
+      messages: [
+        {
+          author: "customer",
+          authorName: order.customer.email,
+          body: data.message,
+          attachments,
+        },
+      ],
+      sla: this.computeSla("normal"),
+      history: [{ status: "open", note: "Ticket opened", by: "customer" }],
+    });
+
+    console.log(
+      `Support ticket ${ticket.ticketNumber} opened for order ${order.orderNumber}`
+    );
+
+    return { success: true, ticket };
+  }
+
+  /**
+   * Add a message to a ticket's thread
+   * @param {Object} ticket - SupportTicket document
+   * @param {Object} data - { author, authorName, body, internal, status }
+   * @param {Array} attachments - Uploaded attachments
+   * @returns {Object} Result with the ticket
+   */
+  static async addMessage(ticket, data, attachments = []) {
+    if (ticket.status === "closed") {
+      return {
+        success: false,
+        statusCode: 400,
+        error: "Ticket is closed",
+      };
+    }
+
+    ticket.messages.push({
+      author: data.author,
+      authorName: data.authorName,
+      body: data.body,
+      internal: data.author === "admin" && !!data.internal,
+      attachments,
+    });
+
+    let nextStatus = ticket.status;
+    if (data.author === "customer") {
+      // A customer reply puts the ticket back in the queue
+      if (["awaiting_customer", "resolved"].includes(ticket.status)) {
+        nextStatus = "open";
+      }
+    } else if (data.author === "admin" && !data.internal) {
+      if (!ticket.sla.firstRespondedAt) {
+        ticket.sla.firstRespondedAt = new Date();
+      }
+      nextStatus =
+        data.status || (ticket.status === "open" ? "in_progress" : nextStatus);
+    }
+
+    if (nextStatus !== ticket.status) {
+      ticket.status = nextStatus;
+      ticket.history.push({
+        status: nextStatus,
+        note: `Reply from ${data.author}`,
+        by: data.authorName || data.author,
+      });
+    }
+
+    await ticket.save();
+    return { success: true, ticket };
+  }
+
+  /**
+   * Update status, priority or assignee. Changing the priority recomputes
+   * the SLA deadlines from when the ticket was opened.
+   * @param {Object} ticket - SupportTicket document
+   * @param {Object} changes - { status, priority, assignedTo, note }
+   * @param {String} by - Admin email
+   * @returns {Object} Result with the ticket
+   */
+  static async triage(ticket, changes, by) {
+    if (changes.priority && changes.priority !== ticket.priority) {
+      ticket.priority = changes.priority;
+      const sla = this.computeSla(changes.priority, ticket.createdAt);
+      ticket.sla.firstResponseDueBy = sla.firstResponseDueBy;
+      ticket.sla.resolutionDueBy = sla.resolutionDueBy;
+    }
+    if (changes.assignedTo !== undefined) {
+      ticket.assignedTo = changes.assignedTo || null;
+    }
+    if (changes.status && changes.status !== ticket.status) {
+      ticket.status = changes.status;
+    }
+
+    ticket.history.push({
+      status: ticket.status,
+      note:
+        changes.note ||
+        `Triaged (priority ${ticket.priority}${
+          changes.assignedTo !== undefined ? ", reassigned" : ""
+        })`,
+      by,
+    });
+
+    await ticket.save();
+    return { success: true, ticket };
+  }
+
+  /**
+   * Resolve a ticket, optionally replacing the broken account or refunding
+   * the order line
+   * @param {Object} ticket - SupportTicket document
+   * @param {Object} options - { action, note, quantity, overrideLimit, processedBy }
+   * @returns {Object} Result with the ticket and the action's outcome
+   */
+  static async resolve(ticket, options = {}) {
+    if (CLOSED_STATUSES.includes(ticket.status)) {
+      return {
+        success: false,
+        statusCode: 400,
+        error: `Ticket is already ${ticket.status}`,
+      };
+    }
+
+    const action = options.action || "none";
+    const reason = options.note || `Support ticket ${ticket.ticketNumber}`;
+    let outcome = null;
+    let details = {};
+
+    if (action === "replace_credentials") {
+      const assignment =
+        ticket.assignment ||
+        (
+          await InventoryAssignment.findOne({
+            order: ticket.order,
+            orderItem: ticket.orderItem,
+            status: "active",
+          })
+        )?._id;
+      if (!assignment) {
+        return {
+          success: false,
+          statusCode: 400,
+          error: "No active delivered account to replace on this order item",
+        };
+      }
+
+      outcome = await CredentialReplacementService.replaceAssignment(
+        ticket.order,
+        assignment,
+        {
+          reason: `Ticket ${ticket.ticketNumber}: ${reason}`,
+          processedBy: options.processedBy,
+          overrideLimit: options.overrideLimit,
+        }
+      );
+      if (!outcome.success) return outcome;
+
+      details = {
+        oldAssignment: outcome.oldAssignment._id,
+        newAssignment: outcome.newAssignment._id,
+        replacementsUsed: outcome.replacementsUsed,
+        replacementLimit: outcome.replacementLimit,
+      };
+    } else if (action === "refund") {
+      outcome = await RefundService.refundItems(
+        ticket.order,
+        [{ itemId: ticket.orderItem, quantity: options.quantity }],
+        {
+          reason: `Ticket ${ticket.ticketNumber}: ${reason}`,
+          processedBy: options.processedBy,
+        }
+      );
+      if (!outcome.success) return outcome;
+
+      details = {
+        refundId: outcome.refundId,
+        amount: outcome.amount,
+        revokedAssignments: outcome.revokedAssignments,
+      };
+    }
+
+    ticket.status = "resolved";
+    ticket.resolution = {
+      action,
+      note: options.note,
+      details,
+      resolvedBy: options.processedBy,
+      resolvedAt: new Date(),
+    };
+    ticket.messages.push({
+      author: "system",
+      body:
+        action === "replace_credentials"
+          ? "Your account was replaced; the new credentials were emailed to you."
+          : action === "refund"
+          ? `A refund of ${outcome.amount} ${outcome.order.currency} was issued.`
+          : options.note || "This ticket was resolved.",
+    });
+    ticket.history.push({
+      status: "resolved",
+      note: `Resolved (${action})`,
+      by: options.processedBy,
+    });
+    await ticket.save();
+
+    return { success: true, ticket, outcome };
+  }
+
+  /**
+   * Ticket as shown to the customer, without internal notes
+   * @param {Object} ticket - SupportTicket document
+   * @returns {Object} Plain object
+   */
+  static toCustomerView(ticket) {
+    const view = ticket.toJSON();
+    view.messages = (view.messages || []).filter((message) => !message.internal);
+    delete view.assignedTo;
+    delete view.history;
+    return view;
+  }
+}
+
+module.exports = SupportTicketService;
@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./helpers/db");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const InventoryReservation = require("../models/InventoryReservation");
+const InventoryReservationService = require("../services/inventoryReservationService");
+const {
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+  resolveStrategy,
+  getAllocationPasses,
+  sortByStrategy,
+} = require("../utils/allocationStrategies");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.now();
+
+// Items named by what each strategy should make of them
+const makeItems = () => {
+  const item = (name, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    assignmentCount: 0,
+    ...fields,
+  });
+  return [
+    item("newest", { createdAt: new Date(now - 1 * DAY) }),
+    item("oldest-busy", {
+      createdAt: new Date(now - 5 * DAY),
+      assignmentCount: 2,
+    }),
+    item("expires-later", {
+      createdAt: new Date(now - 3 * DAY),
+      expirationDate: new Date(now + 20 * DAY),
+      assignmentCount: 1,
+    }),
+    item("expires-soon", {
+      createdAt: new Date(now - 2 * DAY),
+      expirationDate: new Date(now + 2 * DAY),
+      assignmentCount: 1,
+    }),
+    item("held-empty", { createdAt: new Date(now - 4 * DAY) }),
+  ];
+};
+
+const names = (items) => items.map((item) => item.name);
+
+describe("resolveStrategy", () => {
+  it("accepts a strategy name or a product", () => {
+    assert.equal(resolveStrategy("least_assigned"), "least_assigned");
+    assert.equal(
+      resolveStrategy({ allocationStrategy: "soonest_expiring" }),
+      "soonest_expiring"
+    );
+  });
+
+  it("falls back to FIFO for unknown or missing strategies", () => {
+    assert.equal(DEFAULT_ALLOCATION_STRATEGY, "fifo");
+    assert.equal(resolveStrategy("random"), "fifo");
+    assert.equal(resolveStrategy({}), "fifo");
+    assert.equal(resolveStrategy(null), "fifo");
+  });
+});
+
+describe("sortByStrategy", () => {
+  it("fifo takes the oldest inventory first", () => {
+    assert.deepEqual(names(sortByStrategy(makeItems(), "fifo")), [
+      "oldest-busy",
+      "held-empty",
+      "expires-later",
+      "expires-soon",
+      "newest",
+    ]);
+  });
+
+  it("soonest_expiring takes dated items by expiry, then undated by age", () => {
+    assert.deepEqual(names(sortByStrategy(makeItems(), "soonest_expiring")), [
+      "expires-soon",
+      "expires-later",
+      "oldest-busy",
+      "held-empty",
+      "newest",
+    ]);
+  });
+
+  it("least_assigned fills the emptiest accounts first", () => {
+    assert.deepEqual(names(sortByStrategy(makeItems(), "least_assigned")), [
+      "held-empty",
+      "newest",
+      "expires-later",
+      "expires-soon",
+      "oldest-busy",
+    ]);
+  });
+
+  it("least_assigned prefers counted active assignments when present", () => {
+    const items = makeItems().map((item) => ({
+      ...item,
+      activeAssignments: item.name === "held-empty" ? 3 : 0,
+    }));
+    assert.equal(
+      names(sortByStrategy(items, "least_assigned")).at(-1),
+      "held-empty"
+    );
+  });
+
+  it("spread_across_accounts puts accounts the customer holds last", () => {
+    const items = makeItems();
+    const held = items.find((item) => item.name === "held-empty");
+
+    assert.deepEqual(
+      names(
+        sortByStrategy(items, "spread_across_accounts", {
+          heldInventoryIds: [held._id.toString()],
+        })
+      ),
+      ["newest", "expires-later", "expires-soon", "oldest-busy", "held-empty"]
+    );
+  });
+
+  it("does not reorder the array it is given", () => {
+    const items = makeItems();
+    const before = names(items);
+    sortByStrategy(items, "least_assigned");
+    assert.deepEqual(names(items), before);
+  });
+});
+
+describe("getAllocationPasses", () => {
+  it("returns at least one pass with a sort for every strategy", () => {
+    for (const strategy of ALLOCATION_STRATEGIES) {
+      const passes = getAllocationPasses(strategy);
+      assert.ok(passes.length > 0, strategy);
+      for (const pass of passes) {
+        assert.ok(pass.filter && pass.sort, strategy);
+      }
+    }
+  });
+
+  it("soonest_expiring claims dated items before undated ones", () => {
+    const [dated, undated] = getAllocationPasses("soonest_expiring");
+    assert.deepEqual(dated.filter, { expirationDate: { $ne: null } });
+    assert.deepEqual(undated.filter, { expirationDate: null });
+  });
+
+  it("spread_across_accounts skips held accounts on its first pass", () => {
+    const held = [new mongoose.Types.ObjectId()];
+    const [first, second] = getAllocationPasses("spread_across_accounts", {
+      heldInventoryIds: held,
+    });
+    assert.deepEqual(first.filter, { _id: { $nin: held } });
+    assert.deepEqual(second.filter, {});
+  });
+});
+
+describe("allocation passes and sortByStrategy agree", async () => {
+  const unavailable = await db.connect();
+  const productId = new mongoose.Types.ObjectId();
+
+  before(async () => {
+    if (!unavailable) {
+      await Promise.all([
+        Inventory.init(),
+        InventoryAssignment.init(),
+        InventoryReservation.init(),
+      ]);
+    }
+  });
+  beforeEach(async () => {
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  for (const strategy of ALLOCATION_STRATEGIES) {
+    it(
+      `${strategy} reserves the item the picker lists first`,
+      { skip: unavailable },
+      async () => {
+        const items = makeItems();
+        await Inventory.collection.insertMany(
+          items.map(({ name, ...item }) => ({
+            ...item,
+            product: productId,
+            accountCredentials: `${name}@example.com:secret`,
+            maxAssignments: 3,
+            status: "available",
+            expirationDate: item.expirationDate || null,
+          }))
+        );
+        // The customer holds no accounts yet
+        const expected = sortByStrategy(items, strategy)[0];
+        const result = await InventoryReservationService.reserve({
+          product: productId,
+          quantity: 1,
+          order: {
+            _id: new mongoose.Types.ObjectId(),
+            orderNumber: "ZLX-STRATEGY",
+            customer: { email: "customer@example.com" },
+          },
+          strategy,
+        });
+
+        assert.equal(result.success, true);
+        assert.equal(
+          result.reservations[0].inventory.toString(),
+          expected._id.toString()
+        );
+      }
+    );
+  }
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const db = require("./helpers/db");
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const InventoryReservation = require("../models/InventoryReservation");
+const InventoryReservationService = require("../services/inventoryReservationService");
+const CustomerNotificationService = require("../services/customerNotificationService");
+const CredentialReplacementService = require("../services/credentialReplacementService");
+
+const productId = new mongoose.Types.ObjectId();
+
+// A paid order with `quantity` accounts delivered, and `spare` accounts
+// left in stock for replacements
+async function createDeliveredOrder(quantity, spare) {
+  await Inventory.create(
+    Array.from({ length: quantity + spare }, (_, index) => ({
+      product: productId,
+      accountCredentials: `account-${index}@example.com:secret`,
+      maxAssignments: 1,
+    }))
+  );
+
+  const order = await Order.create({
+    customer: { email: "customer@example.com", phone: "+94770000000" },
+    items: [
+      {
+        product: productId,
+        title: "Streaming Premium",
+        price: 10,
+        quantity,
+        serviceType: "streaming",
+        duration: "1 month",
+      },
+    ],
+    subtotal: 10 * quantity,
+    total: 10 * quantity,
+    paymentStatus: "paid",
+  });
+
+  const reservation = await InventoryReservationService.reserve({
+    product: productId,
+    quantity,
+    order,
+  });
+  const committed = await InventoryReservationService.commit(
+    reservation.reservationId,
+    order,
+    { orderItem: order.items[0]._id }
+  );
+  return { order, assignments: committed.assignments };
+}
+
+describe("CredentialReplacementService.replaceAssignment", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) {
+      await Promise.all([
+        Order.init(),
+        Inventory.init(),
+        InventoryAssignment.init(),
+        InventoryReservation.init(),
+      ]);
+    }
+  });
+  beforeEach(async (t) => {
+    t.mock.method(
+      CustomerNotificationService,
+      "sendCredentialReplacementEmail",
+      async () => ({ success: true })
+    );
+    if (!unavailable) {
+      await db.clear();
+      await Settings.updateSettings({ credentialReplacementLimit: 1 });
+    }
+  });
+  after(db.disconnect);
+
+  it(
+    "quarantines the broken account",
+    { skip: unavailable },
+    async () => {
+      const { order, assignments } = await createDeliveredOrder(1, 1);
+      const broken = assignments[0].inventory;
+
+      const result = await CredentialReplacementService.replaceAssignment(
+        order._id,
+        assignments[0]._id,
+        { reason: "Password changed" }
+      );
+
+      assert.equal(result.success, true);
+      assert.notEqual(
+        result.newAssignment.inventory.toString(),
+        broken.toString()
+      );
+      const quarantined = await Inventory.findById(broken);
+      assert.equal(quarantined.status, "defective");
+      assert.equal(quarantined.defectiveReason, "Password changed");
+
+      const [entry] = result.order.credentialReplacements;
+      assert.equal(
+        entry.newAssignment.toString(),
+        result.newAssignment._id.toString()
+      );
+    }
+  );
+
+  it(
+    "never exceeds the warranty limit under concurrent requests",
+    { skip: unavailable },
+    async () => {
+      const { order, assignments } = await createDeliveredOrder(3, 3);
+
+      const results = await Promise.all(
+        assignments.map((assignment) =>
+          CredentialReplacementService.replaceAssignment(
+            order._id,
+            assignment._id
+          )
+        )
+      );
+
+      assert.equal(results.filter((result) => result.success).length, 1);
+      const refused = results.filter((result) => !result.success);
+      for (const result of refused) {
+        assert.equal(result.errorCode, "REPLACEMENT_LIMIT_REACHED");
+      }
+
+      const replaced = await Order.findById(order._id);
+      assert.equal(replaced.credentialReplacements.length, 1);
+      assert.equal(
+        await InventoryAssignment.countDocuments({ status: "revoked" }),
+        1
+      );
+    }
+  );
+
+  it(
+    "gives the warranty replacement back when no stock is left",
+    { skip: unavailable },
+    async () => {
+      const { order, assignments } = await createDeliveredOrder(1, 0);
+
+      const result = await CredentialReplacementService.replaceAssignment(
+        order._id,
+        assignments[0]._id
+      );
+
+      assert.equal(result.errorCode, "NO_REPLACEMENT_INVENTORY");
+      const unchanged = await Order.findById(order._id);
+      assert.equal(unchanged.credentialReplacements.length, 0);
+    }
+  );
+});
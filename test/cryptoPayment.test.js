@@ -0,0 +1,199 @@
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.CRYPTO_CHAIN_WATCHER = "mock";
+
+const db = require("./helpers/db");
+const Job = require("../models/Job");
+const CryptoPayment = require("../models/CryptoPayment");
+const CryptoPaymentService = require("../services/cryptoPaymentService");
+const JobQueueService = require("../services/jobQueueService");
+const PaymentService = require("../services/PaymentService");
+const { getChainWatcher } = require("../services/chainWatchers");
+
+const chain = getChainWatcher();
+
+const makeOrder = (index = 1) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: `ZLX-CRYPTO-${index}`,
+  total: 300,
+  currency: "USD",
+});
+
+describe("crypto.check-payments job", () => {
+  it("is scheduled every minute", async (t) => {
+    t.mock.method(Job, "exists", async () => null);
+    const enqueue = t.mock.method(JobQueueService, "enqueue", async () => ({}));
+
+    const queued = await JobQueueService.enqueueScheduled();
+
+    assert.ok(queued.includes("crypto.check-payments"));
+    const call = enqueue.mock.calls.find(
+      ({ arguments: [type] }) => type === "crypto.check-payments"
+    );
+    assert.equal(call.arguments[2].dedupeKey, "schedule:crypto.check-payments");
+  });
+});
+
+describe("CryptoPaymentService with the mock chain", async () => {
+  const unavailable = await db.connect();
+
+  beforeEach(async (t) => {
+    chain.reset();
+    t.mock.method(PaymentService, "handleSuccessfulPayment", async () => ({
+      success: true,
+    }));
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  it(
+    "quotes the order total in the asset at the mock price",
+    { skip: unavailable },
+    async () => {
+      const payment = await CryptoPaymentService.createPayment(
+        makeOrder(),
+        "ETH"
+      );
+
+      assert.equal(payment.expectedAmount, 0.1);
+      assert.equal(payment.status, "awaiting_payment");
+      assert.equal(payment.requiredConfirmations, 12);
+    }
+  );
+
+  it(
+    "waits for confirmations before marking the order paid",
+    { skip: unavailable },
+    async () => {
+      const order = makeOrder();
+      const payment = await CryptoPaymentService.createPayment(order, "BTC");
+      const txHash = chain.sendTransfer({
+        address: payment.depositAddress,
+        amount: payment.expectedAmount,
+        confirmations: 1,
+      });
+
+      let checked = await CryptoPaymentService.checkPayment(payment);
+      assert.equal(checked.status, "confirming");
+      assert.equal(checked.pendingAmount, payment.expectedAmount);
+      assert.equal(
+        PaymentService.handleSuccessfulPayment.mock.callCount(),
+        0
+      );
+
+      chain.confirm(txHash);
+      checked = await CryptoPaymentService.checkPayment(checked);
+      assert.equal(checked.status, "paid");
+      assert.equal(checked.receivedAmount, payment.expectedAmount);
+
+      const [call] = PaymentService.handleSuccessfulPayment.mock.calls;
+      assert.equal(call.arguments[0].toString(), order._id.toString());
+      assert.equal(call.arguments[1].transactionId, txHash);
+      assert.equal(call.arguments[1].amount, 300);
+    }
+  );
+
+  it(
+    "keeps an underpaid payment open past its expiry",
+    { skip: unavailable },
+    async () => {
+      const payment = await CryptoPaymentService.createPayment(
+        makeOrder(),
+        "LTC"
+      );
+      chain.sendTransfer({
+        address: payment.depositAddress,
+        amount: payment.expectedAmount / 2,
+        confirmations: 6,
+      });
+      payment.expiresAt = new Date(Date.now() - 1000);
+
+      const checked = await CryptoPaymentService.checkPayment(payment);
+
+      assert.equal(checked.status, "underpaid");
+    }
+  );
+
+  it(
+    "expires an unpaid payment once its window has passed",
+    { skip: unavailable },
+    async () => {
+      const payment = await CryptoPaymentService.createPayment(
+        makeOrder(),
+        "LTC"
+      );
+      payment.expiresAt = new Date(Date.now() - 1000);
+
+      const checked = await CryptoPaymentService.checkPayment(payment);
+
+      assert.equal(checked.status, "expired");
+    }
+  );
+
+  it(
+    "marks the order paid once under concurrent checks",
+    { skip: unavailable },
+    async () => {
+      const payment = await CryptoPaymentService.createPayment(
+        makeOrder(),
+        "USDT"
+      );
+      chain.sendTransfer({
+        address: payment.depositAddress,
+        amount: payment.expectedAmount,
+        confirmations: 20,
+      });
+
+      await Promise.all(
+        Array.from({ length: 5 }, async () =>
+          CryptoPaymentService.checkPayment(
+            await CryptoPayment.findById(payment._id)
+          )
+        )
+      );
+
+      assert.equal(
+        PaymentService.handleSuccessfulPayment.mock.callCount(),
+        1
+      );
+    }
+  );
+
+  it(
+    "settles open payments when the job runs",
+    { skip: unavailable },
+    async () => {
+      const paid = await CryptoPaymentService.createPayment(
+        makeOrder(1),
+        "BTC"
+      );
+      const waiting = await CryptoPaymentService.createPayment(
+        makeOrder(2),
+        "BTC"
+      );
+      chain.sendTransfer({
+        address: paid.depositAddress,
+        amount: paid.expectedAmount,
+        confirmations: 2,
+      });
+
+      const dispatched = await JobQueueService.dispatch(
+        "crypto.check-payments",
+        {},
+        { dedupeKey: "schedule:crypto.check-payments" }
+      );
+
+      assert.equal(dispatched.success, true);
+      assert.equal(dispatched.result.checkedCount, 2);
+      assert.equal(dispatched.result.paidCount, 1);
+      assert.equal((await CryptoPayment.findById(paid._id)).status, "paid");
+      assert.equal(
+        (await CryptoPayment.findById(waiting._id)).status,
+        "awaiting_payment"
+      );
+    }
+  );
+});
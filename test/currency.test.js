@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount,
+} = require("../utils/currency");
+
+// Currencies as an admin might configure them in Settings
+const configured = [
+  { code: "LKR", decimals: 2 },
+  { code: "JPY", decimals: 0, locale: "ja-JP" },
+  { code: "KWD", decimals: 3 },
+];
+
+describe("currency minor units", () => {
+  it("uses the decimals of configured currencies", () => {
+    assert.equal(toMinorUnits(1500, "JPY", configured), 1500);
+    assert.equal(fromMinorUnits(1500, "JPY", configured), 1500);
+    assert.equal(toMinorUnits(1.234, "KWD", configured), 1234);
+    assert.equal(fromMinorUnits(1234, "KWD", configured), 1.234);
+  });
+
+  it("falls back to ISO 4217 for currencies not configured", () => {
+    assert.equal(getDecimals("JPY"), 0);
+    assert.equal(getDecimals("krw"), 0);
+    assert.equal(getDecimals("BHD"), 3);
+    assert.equal(getDecimals("AUD"), 2);
+    assert.equal(toMinorUnits(1500, "JPY"), 1500);
+    assert.equal(toMinorUnits(25.5, "AUD"), 2550);
+  });
+
+  it("prefers the configured decimals over ISO 4217", () => {
+    const custom = [{ code: "ISK", decimals: 2 }];
+    assert.equal(getDecimals("ISK"), 0);
+    assert.equal(toMinorUnits(10, "ISK", custom), 1000);
+  });
+
+  it("formats zero-decimal currencies without fractions", () => {
+    assert.doesNotMatch(formatAmount(1500, "JPY", configured), /\.\d/);
+  });
+});
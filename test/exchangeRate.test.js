@@ -0,0 +1,205 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("./helpers/db");
+const ExchangeRate = require("../models/ExchangeRate");
+const Settings = require("../models/Settings");
+const ExchangeRateService = require("../services/exchangeRateService");
+const {
+  ExchangeRateApiProvider,
+  FileStubProvider,
+} = require("../services/exchangeRateProviders");
+
+const DAY = 24 * 60 * 60 * 1000;
+const SYMBOLS = ["USD", "EUR"];
+
+// The bundled stubRates.json
+const STUB_RATES = { LKR: 1, USD: 0.0033, EUR: 0.0031 };
+
+const ENV_SETTINGS = ["EXCHANGE_RATE_PROVIDERS", "EXCHANGE_RATE_STUB_FILE"];
+
+// Every provider in these tests works offline; the live API never answers
+function useProviders(t, providers) {
+  const saved = Object.fromEntries(
+    ENV_SETTINGS.map((name) => [name, process.env[name]])
+  );
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  process.env.EXCHANGE_RATE_PROVIDERS = providers;
+  delete process.env.EXCHANGE_RATE_STUB_FILE;
+
+  return t.mock.method(
+    ExchangeRateApiProvider.prototype,
+    "fetchRates",
+    async () => {
+      throw new Error("Network unavailable");
+    }
+  );
+}
+
+function writeStubFile(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rates-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rates.json");
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+// Drop the in-process cache so the next read goes to the history
+const expireCache = () =>
+  ExchangeRateService.cacheSnapshot({
+    base: "LKR",
+    rates: [],
+    source: null,
+    fetchedAt: 0,
+  });
+
+describe("ExchangeRateService.fetchLatestRates", () => {
+  it("falls back to the next provider when one throws", async (t) => {
+    const live = useProviders(t, "exchangerate-api,file");
+
+    const { rates, source } = await ExchangeRateService.fetchLatestRates(
+      SYMBOLS
+    );
+
+    assert.equal(live.mock.callCount(), 1);
+    assert.equal(source, "file");
+    assert.deepEqual(rates.rates, STUB_RATES);
+  });
+
+  it("stops at the first provider that answers", async (t) => {
+    const live = useProviders(t, "exchangerate-api,file");
+    live.mock.mockImplementation(async (base) => ({
+      base,
+      rates: { LKR: 1, USD: 0.004, EUR: 0.0035 },
+      date: "2025-02-01",
+    }));
+    const stub = t.mock.method(FileStubProvider.prototype, "fetchRates");
+
+    const { rates, source } = await ExchangeRateService.fetchLatestRates(
+      SYMBOLS
+    );
+
+    assert.equal(source, "exchangerate-api");
+    assert.equal(rates.rates.USD, 0.004);
+    assert.equal(stub.mock.callCount(), 0);
+  });
+
+  it("fails when no provider has rates for the base currency", async (t) => {
+    useProviders(t, "exchangerate-api,file");
+    process.env.EXCHANGE_RATE_STUB_FILE = writeStubFile(t, {
+      base: "USD",
+      rates: { USD: 1 },
+    });
+
+    await assert.rejects(
+      ExchangeRateService.fetchLatestRates(SYMBOLS),
+      /All exchange rate APIs failed/
+    );
+  });
+});
+
+describe("ExchangeRateService rates", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) await ExchangeRate.init();
+  });
+  beforeEach(async () => {
+    expireCache();
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  it(
+    "persists fetched rates and reads them back after a restart",
+    { skip: unavailable },
+    async (t) => {
+      useProviders(t, "file");
+      const stub = t.mock.method(FileStubProvider.prototype, "fetchRates");
+
+      const fetched = await ExchangeRateService.getRates();
+      assert.equal(fetched.source, "file");
+      assert.equal(fetched.cached, false);
+
+      const [saved] = await ExchangeRate.find();
+      assert.equal(saved.source, "file");
+      assert.equal(saved.rates.get("USD"), STUB_RATES.USD);
+
+      // A cold start reads the history instead of the providers
+      expireCache();
+      const restored = await ExchangeRateService.getRates();
+      assert.equal(restored.cached, true);
+      assert.equal(restored.rates.USD, STUB_RATES.USD);
+      assert.equal(stub.mock.callCount(), 1);
+
+      const today = new Date().toISOString().split("T")[0];
+      const { snapshots } = await ExchangeRateService.getHistoricalRates(today);
+      assert.deepEqual(
+        snapshots.map((snapshot) => snapshot._id.toString()),
+        [saved._id.toString()]
+      );
+    }
+  );
+
+  it(
+    "serves the last known rates when every provider fails",
+    { skip: unavailable },
+    async (t) => {
+      useProviders(t, "exchangerate-api");
+      await ExchangeRate.create({
+        base: "LKR",
+        rates: { LKR: 1, USD: 0.0032, EUR: 0.003 },
+        source: "file",
+        date: "2025-01-01",
+        fetchedAt: new Date(Date.now() - 2 * DAY),
+      });
+
+      const rates = await ExchangeRateService.getRates();
+
+      assert.equal(rates.stale, true);
+      assert.equal(rates.rates.USD, 0.0032);
+      await assert.rejects(
+        ExchangeRateService.getOrderRateSnapshot("USD"),
+        { code: "EXCHANGE_RATE_STALE" }
+      );
+    }
+  );
+
+  it(
+    "applies an admin-pinned rate over the provider rates",
+    { skip: unavailable },
+    async (t) => {
+      useProviders(t, "file");
+      const setAt = new Date(Date.now() - 30 * DAY);
+      await Settings.updateSettings({
+        manualExchangeRate: {
+          enabled: true,
+          currency: "USD",
+          rate: 0.005,
+          setAt,
+        },
+      });
+
+      const rates = await ExchangeRateService.getRates();
+      assert.equal(rates.rates.USD, 0.005);
+      assert.equal(rates.rates.EUR, STUB_RATES.EUR);
+      assert.deepEqual(rates.manualCurrencies, ["USD"]);
+
+      // Pinned rates never go stale
+      const snapshot = await ExchangeRateService.getOrderRateSnapshot("USD");
+      assert.equal(snapshot.source, "manual");
+      assert.equal(snapshot.rate, 0.005);
+      assert.equal(snapshot.timestamp.getTime(), setAt.getTime());
+
+      const eur = await ExchangeRateService.getOrderRateSnapshot("EUR");
+      assert.equal(eur.source, "file");
+    }
+  );
+});
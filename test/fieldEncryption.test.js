@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const db = require("./helpers/db");
+const Inventory = require("../models/Inventory");
+const {
+  encrypt,
+  decrypt,
+  hashValue,
+  validateConfig,
+} = require("../utils/fieldEncryption");
+
+const KEY_SETTINGS = [
+  "FIELD_ENCRYPTION_KEYS",
+  "FIELD_ENCRYPTION_KEY_VERSION",
+  "FIELD_HASH_KEY",
+  "ENCRYPTION_KEY",
+];
+
+const newKey = () => crypto.randomBytes(32).toString("base64");
+
+describe("fieldEncryption keys", () => {
+  let saved;
+  beforeEach(() => {
+    saved = Object.fromEntries(
+      KEY_SETTINGS.map((name) => [name, process.env[name]])
+    );
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("refuses to encrypt without any key", () => {
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    delete process.env.ENCRYPTION_KEY;
+
+    assert.throws(() => encrypt("secret"), /set FIELD_ENCRYPTION_KEYS/);
+    assert.throws(() => validateConfig(), /set FIELD_ENCRYPTION_KEYS/);
+  });
+
+  it("derives a key from ENCRYPTION_KEY", () => {
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    process.env.ENCRYPTION_KEY = "older-single-key";
+
+    assert.equal(decrypt(encrypt("secret")), "secret");
+  });
+
+  it("requires FIELD_HASH_KEY to hash", () => {
+    delete process.env.FIELD_HASH_KEY;
+
+    assert.throws(() => hashValue("secret"), /set FIELD_HASH_KEY/);
+    assert.throws(() => validateConfig(), /set FIELD_HASH_KEY/);
+  });
+
+  it("rejects a malformed key", () => {
+    process.env.FIELD_HASH_KEY = "too-short";
+
+    assert.throws(() => validateConfig(), /must be 32 bytes/);
+  });
+
+  it("keeps hashes stable across encryption key rotation", () => {
+    const oldKey = newKey();
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${oldKey}`;
+    const stored = encrypt("secret");
+    const hash = hashValue(stored);
+
+    process.env.FIELD_ENCRYPTION_KEYS = `1:${oldKey},2:${newKey()}`;
+
+    assert.equal(hashValue(encrypt("secret")), hash);
+    assert.equal(hashValue(stored), hash);
+    assert.equal(hashValue("secret"), hash);
+  });
+});
+
+describe("Inventory credentialsHash", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) await Inventory.init();
+  });
+  beforeEach(async () => {
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  const productId = new mongoose.Types.ObjectId();
+
+  for (const method of ["findOneAndUpdate", "updateOne", "updateMany"]) {
+    it(
+      `is updated with the credentials by ${method}`,
+      { skip: unavailable },
+      async () => {
+        const item = await Inventory.create({
+          product: productId,
+          accountCredentials: "old@example.com:secret",
+        });
+
+        await Inventory[method](
+          { _id: item._id },
+          { $set: { accountCredentials: "new@example.com:secret" } }
+        );
+
+        const updated = await Inventory.findById(item._id);
+        assert.equal(
+          updated.credentialsHash,
+          hashValue("new@example.com:secret")
+        );
+      }
+    );
+  }
+});
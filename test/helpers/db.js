@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// Field encryption needs keys before any model writes
+process.env.FIELD_ENCRYPTION_KEYS =
+  process.env.FIELD_ENCRYPTION_KEYS ||
+  `1:${crypto.randomBytes(32).toString("base64")}`;
+process.env.FIELD_HASH_KEY =
+  process.env.FIELD_HASH_KEY || crypto.randomBytes(32).toString("base64");
+
+let server = null;
+
+/**
+ * Connect mongoose to MONGODB_TEST_URI, or to an in-memory MongoDB
+ * started by mongodb-memory-server
+ * @returns {String|null} Why no database is available, or null once
+ * connected; pass it to a test's skip option
+ */
+async function connect() {
+  try {
+    let uri = process.env.MONGODB_TEST_URI;
+    if (!uri) {
+      const { MongoMemoryServer } = require("mongodb-memory-server");
+      server = await MongoMemoryServer.create();
+      uri = server.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `test-${Date.now()}` });
+    return null;
+  } catch (error) {
+    return `MongoDB unavailable: ${error.message.split("\n")[0]}`;
+  }
+}
+
+async function disconnect() {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+}
+
+async function clear() {
+  const collections = await mongoose.connection.db.collections();
+  for (const collection of collections) {
+    await collection.deleteMany({});
+  }
+}
+
+module.exports = { connect, disconnect, clear };
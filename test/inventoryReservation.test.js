@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const db = require("./helpers/db");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const InventoryReservation = require("../models/InventoryReservation");
+const InventoryReservationService = require("../services/inventoryReservationService");
+
+const productId = new mongoose.Types.ObjectId();
+
+const makeOrder = (index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: `ZLX-TEST-${index}`,
+  customer: { email: `customer${index}@example.com`, firstName: "Test" },
+});
+
+const createInventory = (count, maxAssignments) =>
+  Inventory.create(
+    Array.from({ length: count }, (_, index) => ({
+      product: productId,
+      accountCredentials: `account-${index}@example.com:secret`,
+      maxAssignments,
+    }))
+  );
+
+describe("InventoryReservationService concurrency", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) {
+      await Promise.all([
+        Inventory.init(),
+        InventoryAssignment.init(),
+        InventoryReservation.init(),
+      ]);
+    }
+  });
+  beforeEach(async () => {
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  it(
+    "never claims more slots than an item has under parallel reserves",
+    { skip: unavailable },
+    async () => {
+      await createInventory(5, 2);
+
+      const results = await Promise.all(
+        Array.from({ length: 25 }, (_, index) =>
+          InventoryReservationService.reserve({
+            product: productId,
+            quantity: 1,
+            order: makeOrder(index),
+          })
+        )
+      );
+
+      assert.equal(results.filter((result) => result.success).length, 10);
+
+      const items = await Inventory.find({ product: productId });
+      for (const item of items) {
+        assert.equal(item.assignmentCount, 2);
+        const held = await InventoryReservation.countDocuments({
+          inventory: item._id,
+          status: "held",
+        });
+        assert.equal(held, 2);
+      }
+    }
+  );
+
+  it(
+    "rolls back every slot of a multi-quantity reserve that falls short",
+    { skip: unavailable },
+    async () => {
+      await createInventory(3, 1);
+
+      const results = await Promise.all(
+        Array.from({ length: 4 }, (_, index) =>
+          InventoryReservationService.reserve({
+            product: productId,
+            quantity: 2,
+            order: makeOrder(index),
+          })
+        )
+      );
+
+      const succeeded = results.filter((result) => result.success);
+      assert.ok(succeeded.length <= 1);
+
+      const claimed = await Inventory.aggregate([
+        { $match: { product: productId } },
+        { $group: { _id: null, slots: { $sum: "$assignmentCount" } } },
+      ]);
+      assert.equal(claimed[0].slots, succeeded.length * 2);
+      assert.equal(
+        await InventoryReservation.countDocuments({ status: "held" }),
+        succeeded.length * 2
+      );
+    }
+  );
+
+  it(
+    "never assigns an item beyond its slots under parallel reserve and commit",
+    { skip: unavailable },
+    async () => {
+      await createInventory(4, 3);
+
+      const outcomes = await Promise.all(
+        Array.from({ length: 20 }, async (_, index) => {
+          const order = makeOrder(index);
+          const reservation = await InventoryReservationService.reserve({
+            product: productId,
+            quantity: 1,
+            order,
+          });
+          if (!reservation.success) {
+            return false;
+          }
+          await InventoryReservationService.commit(
+            reservation.reservationId,
+            order
+          );
+          return true;
+        })
+      );
+
+      assert.equal(outcomes.filter(Boolean).length, 12);
+
+      const items = await Inventory.find({ product: productId });
+      for (const item of items) {
+        const active = await InventoryAssignment.countDocuments({
+          inventory: item._id,
+          status: "active",
+        });
+        assert.equal(active, 3);
+        assert.equal(item.assignmentCount, 3);
+        assert.equal(item.status, "delivered");
+      }
+    }
+  );
+
+  it(
+    "rolls back the assignments of a commit that fails part way",
+    { skip: unavailable },
+    async (t) => {
+      await createInventory(2, 1);
+      const order = makeOrder(1);
+      const reservation = await InventoryReservationService.reserve({
+        product: productId,
+        quantity: 2,
+        order,
+      });
+      assert.equal(reservation.success, true);
+
+      // Fail after the first assignment has been created
+      const findByIdAndUpdate = Inventory.findByIdAndUpdate;
+      let calls = 0;
+      t.mock.method(Inventory, "findByIdAndUpdate", function (...args) {
+        calls++;
+        if (calls === 2) {
+          throw new Error("Simulated write failure");
+        }
+        return findByIdAndUpdate.apply(this, args);
+      });
+
+      await assert.rejects(
+        InventoryReservationService.commit(reservation.reservationId, order),
+        /Simulated write failure/
+      );
+      t.mock.restoreAll();
+
+      assert.equal(await InventoryAssignment.countDocuments(), 0);
+      const items = await Inventory.find({ product: productId });
+      for (const item of items) {
+        assert.equal(item.assignmentCount, 0);
+        assert.equal(item.status, "available");
+      }
+      assert.equal(
+        await InventoryReservation.countDocuments({ status: "released" }),
+        2
+      );
+    }
+  );
+});
@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Every message goes to a file sink; set before the transport is created
+const sinkDir = fs.mkdtempSync(path.join(os.tmpdir(), "mail-"));
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_SINK_FILE = path.join(sinkDir, "mail.jsonl");
+
+const db = require("./helpers/db");
+const Job = require("../models/Job");
+const EmailOutbox = require("../models/EmailOutbox");
+const MailService = require("../services/mailService");
+const { FileTransport, getTransport } = require("../services/mailTransports");
+
+const sink = getTransport("file");
+
+const verificationMessage = (fields = {}) => ({
+  template: "verification-code",
+  to: "customer@example.com",
+  variables: {
+    customerName: "Nimal <Perera>",
+    orderNumber: "ZLX-MAIL",
+    verificationCode: "482913",
+  },
+  ...fields,
+});
+
+const failSending = (t) =>
+  t.mock.method(FileTransport.prototype, "send", async () => {
+    throw new Error("Mailbox unavailable");
+  });
+
+describe("MailService.render", () => {
+  it("fills in and escapes template variables", () => {
+    const { subject, html } = MailService.render(
+      "verification-code",
+      verificationMessage().variables
+    );
+
+    assert.equal(subject, "Email Verification Code - Order ZLX-MAIL");
+    assert.match(html, /Dear Nimal &lt;Perera&gt;,/);
+    assert.match(html, /<strong>ZLX-MAIL<\/strong>/);
+    assert.match(html, />482913</);
+    assert.doesNotMatch(html, /\{\{/);
+  });
+
+  it("renders sections for lists and missing values", () => {
+    const html = MailService.renderString(
+      "{{#items}}<li>{{title}}</li>{{/items}}{{^notes}}No notes{{/notes}}",
+      [{ items: [{ title: "A" }, { title: "B & C" }] }]
+    );
+
+    assert.equal(html, "<li>A</li><li>B &amp; C</li>No notes");
+  });
+});
+
+describe("MailService outbox", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) await Promise.all([EmailOutbox.init(), Job.init()]);
+  });
+  beforeEach(async () => {
+    await fs.promises.writeFile(sink.filePath, "");
+    if (!unavailable) await db.clear();
+  });
+  after(async () => {
+    await db.disconnect();
+    fs.rmSync(sinkDir, { recursive: true, force: true });
+  });
+
+  it(
+    "sends the rendered message and marks the outbox row sent",
+    { skip: unavailable },
+    async () => {
+      const result = await MailService.send(verificationMessage());
+
+      assert.equal(result.success, true);
+      assert.equal(result.sent, true);
+
+      const [written] = await sink.readAll();
+      assert.equal(written.to, "customer@example.com");
+      assert.match(written.html, />482913</);
+
+      const outbox = await EmailOutbox.findById(result.outboxId);
+      assert.equal(outbox.status, "sent");
+      assert.equal(outbox.transport, "file");
+      assert.equal(outbox.messageId, written.messageId);
+      assert.equal(result.messageId, written.messageId);
+    }
+  );
+
+  it(
+    "keeps a message the transport rejects queued for retry",
+    { skip: unavailable },
+    async (t) => {
+      failSending(t);
+
+      const result = await MailService.send(verificationMessage());
+
+      assert.equal(result.success, true);
+      assert.equal(result.sent, false);
+      assert.equal(result.queued, true);
+
+      const outbox = await EmailOutbox.findById(result.outboxId);
+      assert.equal(outbox.status, "queued");
+      assert.equal(outbox.lastError, "Mailbox unavailable");
+
+      const job = await Job.findOne({ type: "mail.send" });
+      assert.equal(job.status, "queued");
+      assert.equal(job.errorCode, "EMAIL_SEND_FAILED");
+      assert.ok(job.runAt > new Date());
+    }
+  );
+
+  it(
+    "marks a single-attempt message failed when the transport rejects it",
+    { skip: unavailable },
+    async (t) => {
+      failSending(t);
+
+      const result = await MailService.send(verificationMessage(), {
+        retry: false,
+      });
+
+      assert.equal(result.success, false);
+      const outbox = await EmailOutbox.findById(result.outboxId);
+      assert.equal(outbox.status, "failed");
+      assert.ok(outbox.failedAt);
+    }
+  );
+
+  it(
+    "retries a failed message once and never resends a sent one",
+    { skip: unavailable },
+    async (t) => {
+      const failing = failSending(t);
+      const { outboxId } = await MailService.send(verificationMessage(), {
+        retry: false,
+      });
+      failing.mock.restore();
+
+      const retried = await MailService.retry(outboxId);
+      assert.equal(retried.success, true);
+      assert.equal(retried.sent, true);
+
+      const again = await MailService.retry(outboxId);
+      assert.equal(again.success, false);
+      assert.equal(again.errorCode, "EMAIL_ALREADY_SENT");
+
+      // A mail.send job that runs late finds the message already sent
+      await MailService.deliver(outboxId);
+
+      assert.equal((await sink.readAll()).length, 1);
+      const outbox = await EmailOutbox.findById(outboxId);
+      assert.equal(outbox.status, "sent");
+      assert.equal(outbox.attempts, 2);
+    }
+  );
+});
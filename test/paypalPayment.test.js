@@ -0,0 +1,404 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const mongoose = require("mongoose");
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const Order = require("../models/Order");
+const Settings = require("../models/Settings");
+const PaymentService = require("../services/PaymentService");
+
+// Local stand-in for the PayPal Orders and Payments APIs: keeps PayPal
+// orders and refundable captures in memory and records every call with its
+// body
+const paypalOrders = new Map();
+const captures = new Map();
+const calls = [];
+const bodies = [];
+
+const toResource = (paypalOrder) => ({
+  id: paypalOrder.id,
+  status: paypalOrder.captured ? "COMPLETED" : "APPROVED",
+  purchase_units: [
+    {
+      custom_id: paypalOrder.customId,
+      payments: paypalOrder.captured
+        ? {
+            captures: [
+              {
+                id: `CAP-${paypalOrder.id}`,
+                status: "COMPLETED",
+                amount: paypalOrder.amount,
+              },
+            ],
+          }
+        : undefined,
+    },
+  ],
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  calls.push(`${req.method} ${req.url}`);
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    if (req.url === "/v1/oauth2/token") {
+      return send(res, 200, { access_token: "test-token", expires_in: 3600 });
+    }
+    const body = raw ? JSON.parse(raw) : {};
+    bodies.push(body);
+
+    if (req.method === "POST" && req.url === "/v2/checkout/orders") {
+      const id = `PP-NEW-${paypalOrders.size + 1}`;
+      const [unit] = body.purchase_units;
+      addPayPalOrder(id, { customId: unit.custom_id, amount: unit.amount });
+      return send(res, 201, {
+        id,
+        status: "CREATED",
+        links: [{ rel: "approve", href: `https://paypal.test/approve/${id}` }],
+      });
+    }
+
+    const refundMatch = req.url.match(
+      /^\/v2\/payments\/captures\/([^/]+)\/refund$/
+    );
+    if (refundMatch) {
+      return refundCapture(res, refundMatch[1], body.amount);
+    }
+
+    const match = req.url.match(
+      /^\/v2\/checkout\/orders\/([^/]+)(\/capture)?$/
+    );
+    const paypalOrder = match && paypalOrders.get(match[1]);
+    if (!paypalOrder) {
+      return send(res, 404, { name: "RESOURCE_NOT_FOUND" });
+    }
+
+    if (match[2]) {
+      if (paypalOrder.captured) {
+        return send(res, 422, {
+          name: "UNPROCESSABLE_ENTITY",
+          details: [
+            {
+              issue: "ORDER_ALREADY_CAPTURED",
+              description: "Order already captured.",
+            },
+          ],
+        });
+      }
+      paypalOrder.captured = true;
+    }
+    send(res, 200, toResource(paypalOrder));
+  });
+});
+
+// Refunds what is left of a capture unless asked for more
+function refundCapture(res, captureId, amount) {
+  const capture = captures.get(captureId);
+  if (!capture) {
+    return send(res, 404, {
+      name: "RESOURCE_NOT_FOUND",
+      details: [{ description: "Specified resource ID does not exist." }],
+    });
+  }
+
+  const remaining = Number(capture.value) - capture.refunded;
+  if (Number(amount.value) > remaining) {
+    return send(res, 422, {
+      name: "UNPROCESSABLE_ENTITY",
+      details: [
+        {
+          issue: "REFUND_AMOUNT_EXCEEDED",
+          description: "The refund amount exceeds the captured amount.",
+        },
+      ],
+    });
+  }
+
+  capture.refunded += Number(amount.value);
+  send(res, 201, {
+    id: `RF-${captureId}-${capture.refunded}`,
+    status: "COMPLETED",
+  });
+}
+
+const addPayPalOrder = (id, fields) =>
+  paypalOrders.set(id, {
+    id,
+    amount: { currency_code: "USD", value: "25.00" },
+    captured: false,
+    ...fields,
+  });
+
+// The shop's configured currencies
+const currencies = [
+  { code: "LKR", decimals: 2 },
+  { code: "USD", decimals: 2 },
+  { code: "JPY", decimals: 0 },
+];
+
+const makeOrder = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: "ZLX-PAYPAL",
+  currency: "USD",
+  total: 25,
+  paymentInfo: {},
+  ...fields,
+});
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.PAYPAL_API_BASE = `http://127.0.0.1:${server.address().port}`;
+  process.env.PAYPAL_CLIENT_ID = "client";
+  process.env.PAYPAL_CLIENT_SECRET = "secret";
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach((t) => {
+  paypalOrders.clear();
+  captures.clear();
+  calls.length = 0;
+  bodies.length = 0;
+  t.mock.method(Order, "exists", async () => null);
+  t.mock.method(Order, "findByIdAndUpdate", async () => null);
+  t.mock.method(Settings, "getSupportedCurrencies", async () => currencies);
+});
+
+describe("PaymentService.createPayPalOrder", () => {
+  it("sends zero-decimal amounts without fractions", async () => {
+    const order = makeOrder({ currency: "JPY", total: 1500 });
+
+    const result = await PaymentService.createPayPalOrder(order);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(bodies[0].purchase_units[0].amount, {
+      currency_code: "JPY",
+      value: "1500",
+    });
+  });
+
+  it("refuses PayPal currencies the shop has not configured", async () => {
+    const order = makeOrder({ currency: "AUD" });
+
+    const result = await PaymentService.createPayPalOrder(order);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /does not support payments in AUD/);
+    assert.equal(calls.length, 0);
+  });
+});
+
+describe("PaymentService.processPayPalPayment", () => {
+
+  it("captures a PayPal order created for the order", async () => {
+    const order = makeOrder({ paymentInfo: { paypalOrderId: "PP-1" } });
+    addPayPalOrder("PP-1", { customId: order._id.toString() });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-1",
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.transactionId, "CAP-PP-1");
+    assert.equal(result.amount, 25);
+  });
+
+  it("accepts a PayPal order that names the order as custom_id", async () => {
+    const order = makeOrder();
+    addPayPalOrder("PP-2", { customId: order._id.toString() });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-2",
+    });
+
+    assert.equal(result.success, true);
+  });
+
+  it("reads back an order that was already captured", async () => {
+    const order = makeOrder({ paymentInfo: { paypalOrderId: "PP-3" } });
+    addPayPalOrder("PP-3", {
+      customId: order._id.toString(),
+      captured: true,
+    });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-3",
+    });
+
+    assert.equal(result.success, true);
+    assert.ok(calls.includes("GET /v2/checkout/orders/PP-3"));
+  });
+
+  it("rejects a captured PayPal order without custom_id that was created for another order", async () => {
+    const order = makeOrder();
+    addPayPalOrder("PP-4", { captured: true });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-4",
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, "PAYMENT_VERIFICATION_FAILED");
+    assert.ok(!calls.some((call) => call.endsWith("/capture")));
+  });
+
+  it("rejects a PayPal order bound to a different order", async () => {
+    const order = makeOrder();
+    addPayPalOrder("PP-5", {
+      customId: new mongoose.Types.ObjectId().toString(),
+    });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-5",
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(paypalOrders.get("PP-5").captured, false);
+  });
+
+  it("rejects a PayPal order other than the one created for the order", async () => {
+    const order = makeOrder({ paymentInfo: { paypalOrderId: "PP-6" } });
+    addPayPalOrder("PP-7", { customId: order._id.toString() });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-7",
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(calls.length, 0);
+  });
+
+  it("rejects a capture for a different amount", async () => {
+    const order = makeOrder({ paymentInfo: { paypalOrderId: "PP-8" } });
+    addPayPalOrder("PP-8", {
+      customId: order._id.toString(),
+      amount: { currency_code: "USD", value: "1.00" },
+    });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-8",
+    });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /does not match order total/);
+  });
+
+  it("matches zero-decimal captures without fractions", async () => {
+    const order = makeOrder({
+      currency: "JPY",
+      total: 1500,
+      paymentInfo: { paypalOrderId: "PP-10" },
+    });
+    addPayPalOrder("PP-10", {
+      customId: order._id.toString(),
+      amount: { currency_code: "JPY", value: "1500" },
+    });
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-10",
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.amount, 1500);
+  });
+
+  it("rejects a capture already recorded on another order", async (t) => {
+    const order = makeOrder({ paymentInfo: { paypalOrderId: "PP-9" } });
+    addPayPalOrder("PP-9", { customId: order._id.toString() });
+    t.mock.method(Order, "exists", async () => ({
+      _id: new mongoose.Types.ObjectId(),
+    }));
+
+    const result = await PaymentService.processPayPalPayment({
+      order,
+      paypalOrderId: "PP-9",
+    });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /already paid for another order/);
+  });
+});
+
+describe("PaymentService.refundOrderPayment through PayPal", () => {
+  const paidOrder = (fields = {}) =>
+    makeOrder({
+      paymentInfo: { method: "paypal", transactionId: "CAP-1" },
+      ...fields,
+    });
+
+  it("refunds the full capture", async () => {
+    captures.set("CAP-1", { value: "25.00", refunded: 0 });
+
+    const result = await PaymentService.refundOrderPayment(
+      paidOrder(),
+      25,
+      "Customer request"
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.status, "COMPLETED");
+    assert.ok(calls.includes("POST /v2/payments/captures/CAP-1/refund"));
+    assert.deepEqual(bodies[0], {
+      amount: { currency_code: "USD", value: "25.00" },
+      note_to_payer: "Customer request",
+    });
+    assert.equal(captures.get("CAP-1").refunded, 25);
+  });
+
+  it("refunds part of a capture", async () => {
+    captures.set("CAP-1", { value: "25.00", refunded: 0 });
+
+    const first = await PaymentService.refundOrderPayment(paidOrder(), 10.5);
+    const second = await PaymentService.refundOrderPayment(paidOrder(), 4);
+
+    assert.equal(first.success, true);
+    assert.equal(second.success, true);
+    assert.notEqual(first.refundId, second.refundId);
+    assert.equal(bodies[0].amount.value, "10.50");
+    assert.equal(bodies[1].amount.value, "4.00");
+    assert.equal(captures.get("CAP-1").refunded, 14.5);
+  });
+
+  it("reports a refund PayPal refuses", async () => {
+    captures.set("CAP-1", { value: "25.00", refunded: 20 });
+
+    const result = await PaymentService.refundOrderPayment(paidOrder(), 10);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /refund amount exceeds the captured amount/);
+    assert.equal(captures.get("CAP-1").refunded, 20);
+  });
+
+  it("reports an unknown capture", async () => {
+    const result = await PaymentService.refundOrderPayment(paidOrder(), 5);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /PayPal API error/);
+  });
+
+  it("formats refunds in the order currency's decimals", async () => {
+    captures.set("CAP-1", { value: "1500", refunded: 0 });
+
+    const result = await PaymentService.refundOrderPayment(
+      paidOrder({ currency: "JPY", total: 1500 }),
+      499.6
+    );
+
+    assert.equal(result.success, true);
+    assert.deepEqual(bodies[0].amount, { currency_code: "JPY", value: "500" });
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const db = require("./helpers/db");
+const Order = require("../models/Order");
+const Inventory = require("../models/Inventory");
+const InventoryAssignment = require("../models/InventoryAssignment");
+const InventoryReservation = require("../models/InventoryReservation");
+const InventoryReservationService = require("../services/inventoryReservationService");
+const CustomerNotificationService = require("../services/customerNotificationService");
+const RefundService = require("../services/refundService");
+
+const CREDENTIALS_SEPARATOR = "\n\n--- Next Account ---\n\n";
+
+const productId = new mongoose.Types.ObjectId();
+
+// A paid order with one line of `quantity` accounts delivered from stock
+async function createDeliveredOrder(quantity) {
+  await Inventory.create(
+    Array.from({ length: quantity }, (_, index) => ({
+      product: productId,
+      accountCredentials: `account-${index}@example.com:secret`,
+      maxAssignments: 1,
+    }))
+  );
+
+  const order = await Order.create({
+    customer: { email: "customer@example.com", phone: "+94770000000" },
+    items: [
+      {
+        product: productId,
+        title: "Streaming Premium",
+        price: 10,
+        quantity,
+        serviceType: "streaming",
+        duration: "1 month",
+      },
+    ],
+    subtotal: 10 * quantity,
+    total: 10 * quantity,
+    paymentStatus: "paid",
+    paymentInfo: { method: "manual" },
+  });
+  const item = order.items[0];
+
+  const reservation = await InventoryReservationService.reserve({
+    product: productId,
+    quantity,
+    order,
+  });
+  const committed = await InventoryReservationService.commit(
+    reservation.reservationId,
+    order,
+    { orderItem: item._id }
+  );
+
+  item.accountCredentials = committed.credentials.join(CREDENTIALS_SEPARATOR);
+  item.credentials = item.accountCredentials;
+  order.deliveredInventory = committed.inventoryItems.map(
+    (inventory) => inventory._id
+  );
+  await order.save();
+  return order;
+}
+
+describe("RefundService.refundItems", async () => {
+  const unavailable = await db.connect();
+
+  before(async () => {
+    if (!unavailable) {
+      await Promise.all([
+        Order.init(),
+        Inventory.init(),
+        InventoryAssignment.init(),
+        InventoryReservation.init(),
+      ]);
+    }
+  });
+  beforeEach(async (t) => {
+    t.mock.method(
+      CustomerNotificationService,
+      "sendRefundNotificationEmail",
+      async () => ({ success: true })
+    );
+    if (!unavailable) await db.clear();
+  });
+  after(db.disconnect);
+
+  it(
+    "refunds a line only once under concurrent requests",
+    { skip: unavailable },
+    async () => {
+      const order = await createDeliveredOrder(1);
+      const itemId = order.items[0]._id;
+
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () =>
+          RefundService.refundItems(order._id, [{ itemId, quantity: 1 }])
+        )
+      );
+
+      assert.equal(results.filter((result) => result.success).length, 1);
+      const refunded = await Order.findById(order._id);
+      assert.equal(refunded.items[0].refundedQuantity, 1);
+      assert.equal(refunded.paymentInfo.refunds.length, 1);
+    }
+  );
+
+  it(
+    "counts every amount when different lines are refunded concurrently",
+    { skip: unavailable },
+    async () => {
+      const line = (title) => ({
+        product: productId,
+        title,
+        price: 10,
+        quantity: 1,
+        serviceType: "streaming",
+        duration: "1 month",
+      });
+      const order = await Order.create({
+        customer: { email: "customer@example.com", phone: "+94770000000" },
+        items: [line("Streaming Premium"), line("Music Premium")],
+        subtotal: 20,
+        total: 20,
+        paymentStatus: "paid",
+        paymentInfo: { method: "manual" },
+      });
+
+      const results = await Promise.all(
+        order.items.map((item) =>
+          RefundService.refundItems(order._id, [
+            { itemId: item._id, quantity: 1 },
+          ])
+        )
+      );
+
+      assert.ok(results.every((result) => result.success));
+      const refunded = await Order.findById(order._id);
+      assert.equal(refunded.paymentInfo.refundAmount, 20);
+      assert.equal(refunded.paymentInfo.refunds.length, 2);
+    }
+  );
+
+  it(
+    "removes the credentials and inventory of a fully refunded line",
+    { skip: unavailable },
+    async () => {
+      const order = await createDeliveredOrder(2);
+      const itemId = order.items[0]._id;
+
+      const result = await RefundService.refundItems(order._id, [
+        { itemId, quantity: 2 },
+      ]);
+
+      assert.equal(result.success, true);
+      assert.equal(result.fullyRefunded, true);
+      const refunded = await Order.findById(order._id);
+      assert.equal(refunded.items[0].credentials, undefined);
+      assert.equal(refunded.items[0].accountCredentials, undefined);
+      assert.equal(refunded.deliveredInventory.length, 0);
+      assert.equal(refunded.paymentStatus, "refunded");
+    }
+  );
+
+  it(
+    "keeps the accounts a partial refund did not revoke",
+    { skip: unavailable },
+    async () => {
+      const order = await createDeliveredOrder(2);
+      const itemId = order.items[0]._id;
+
+      const result = await RefundService.refundItems(order._id, [
+        { itemId, quantity: 1 },
+      ]);
+
+      assert.equal(result.success, true);
+      const refunded = await Order.findById(order._id);
+      const [kept] = await InventoryAssignment.find({
+        order: order._id,
+        status: "active",
+      }).populate("inventory");
+
+      assert.equal(
+        refunded.items[0].credentials,
+        kept.inventory.getSeatCredentials(kept.seat)
+      );
+      assert.deepEqual(
+        refunded.deliveredInventory.map(String),
+        [kept.inventory._id.toString()]
+      );
+      assert.equal(refunded.items[0].refundedQuantity, 1);
+    }
+  );
+});
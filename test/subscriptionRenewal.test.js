@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+
+const Subscription = require("../models/Subscription");
+const Order = require("../models/Order");
+const PaymentService = require("../services/PaymentService");
+const SubscriptionService = require("../services/subscriptionService");
+
+// A card subscription whose renewal order is still unpaid after an earlier
+// run charged it (or tried to)
+const makeRenewal = (paymentIntentId) => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: "ZLX-RENEWAL",
+    total: 10,
+    currency: "USD",
+    paymentStatus: "pending",
+    paymentInfo: { paymentIntentId },
+  };
+  const subscription = {
+    _id: new mongoose.Types.ObjectId(),
+    subscriptionId: "SUB-1",
+    paymentMethod: "stripe",
+    stripe: { customerId: "cus_1", paymentMethodId: "pm_1" },
+    pendingOrder: order._id,
+    renewalOrders: [order._id],
+    failedAttempts: 1,
+    history: [],
+    save: async () => subscription,
+  };
+  return { order, subscription };
+};
+
+describe("SubscriptionService.renew", () => {
+  let renewal;
+  let charge;
+  let paid;
+
+  beforeEach((t) => {
+    renewal = makeRenewal("pi_earlier");
+    t.mock.method(
+      Subscription,
+      "findOneAndUpdate",
+      async () => renewal.subscription
+    );
+    t.mock.method(Order, "findById", async () => renewal.order);
+    charge = t.mock.method(
+      PaymentService,
+      "chargeSavedPaymentMethod",
+      async () => ({ success: true, paymentIntent: { id: "pi_new" } })
+    );
+    paid = t.mock.method(
+      PaymentService,
+      "handleSuccessfulPayment",
+      async () => ({ success: true })
+    );
+  });
+
+  it("records an earlier charge that succeeded instead of charging again", async (t) => {
+    t.mock.method(PaymentService, "retrievePaymentIntent", async (id) => ({
+      id,
+      status: "succeeded",
+    }));
+
+    const result = await SubscriptionService.renew(renewal.subscription._id);
+
+    assert.equal(result.outcome, "renewed");
+    assert.equal(charge.mock.callCount(), 0);
+    assert.equal(paid.mock.calls[0].arguments[1].transactionId, "pi_earlier");
+  });
+
+  it("leaves a charge that is still processing to the webhook", async (t) => {
+    t.mock.method(PaymentService, "retrievePaymentIntent", async (id) => ({
+      id,
+      status: "processing",
+    }));
+
+    const result = await SubscriptionService.renew(renewal.subscription._id);
+
+    assert.equal(result.outcome, "skipped");
+    assert.equal(charge.mock.callCount(), 0);
+    assert.equal(paid.mock.callCount(), 0);
+  });
+
+  it("charges again after a declined attempt, keyed by the attempt", async (t) => {
+    t.mock.method(PaymentService, "retrievePaymentIntent", async (id) => ({
+      id,
+      status: "requires_payment_method",
+    }));
+
+    const result = await SubscriptionService.renew(renewal.subscription._id);
+
+    assert.equal(result.outcome, "renewed");
+    assert.deepEqual(charge.mock.calls[0].arguments[2], {
+      idempotencyKey: `renewal:${renewal.order._id}:1`,
+    });
+    assert.equal(paid.mock.calls[0].arguments[1].transactionId, "pi_new");
+  });
+});
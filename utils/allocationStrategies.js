@@ -0,0 +1,124 @@
+/**
+ * Inventory allocation strategies: which free slots a delivery claims
+ * first. Each strategy is expressed twice, as Mongo passes for the atomic
+ * claim in InventoryReservationService.reserve and as a comparator for
+ * ranking inventory in the admin picker; keep the two in step.
+ *
+ *   fifo                    oldest inventory first (createdAt)
+ *   soonest_expiring        earliest expirationDate first, undated last
+ *   least_assigned          fewest filled slots first, so shared accounts
+ *                           fill evenly
+ *   spread_across_accounts  accounts the customer does not already hold
+ *                           first, then least assigned
+ */
+
+const ALLOCATION_STRATEGIES = [
+  "fifo",
+  "soonest_expiring",
+  "least_assigned",
+  "spread_across_accounts",
+];
+
+const DEFAULT_ALLOCATION_STRATEGY = "fifo";
+
+const toTime = (date) => (date ? new Date(date).getTime() : 0);
+const byCreatedAt = (a, b) => toTime(a.createdAt) - toTime(b.createdAt);
+const slotsUsed = (item) =>
+  item.activeAssignments ?? item.assignmentCount ?? 0;
+
+/**
+ * Resolve a product's strategy, falling back to FIFO
+ * @param {Object|String} productOrStrategy - Product document or strategy
+ * @returns {String} Strategy name
+ */
+function resolveStrategy(productOrStrategy) {
+  const strategy =
+    typeof productOrStrategy === "string"
+      ? productOrStrategy
+      : productOrStrategy?.allocationStrategy;
+  return ALLOCATION_STRATEGIES.includes(strategy)
+    ? strategy
+    : DEFAULT_ALLOCATION_STRATEGY;
+}
+
+/**
+ * Mongo passes for claiming slots: each pass is tried in order until a
+ * slot is found
+ * @param {String} strategy - Strategy name
+ * @param {Object} context - { heldInventoryIds } for spread_across_accounts
+ * @returns {Array} [{ filter, sort }]
+ */
+function getAllocationPasses(strategy, context = {}) {
+  switch (resolveStrategy(strategy)) {
+    case "soonest_expiring":
+      // Mongo sorts null first, so dated and undated items are separate passes
+      return [
+        {
+          filter: { expirationDate: { $ne: null } },
+          sort: { expirationDate: 1, createdAt: 1 },
+        },
+        { filter: { expirationDate: null }, sort: { createdAt: 1 } },
+      ];
+    case "least_assigned":
+      return [{ filter: {}, sort: { assignmentCount: 1, createdAt: 1 } }];
+    case "spread_across_accounts":
+      return [
+        {
+          filter: { _id: { $nin: context.heldInventoryIds || [] } },
+          sort: { assignmentCount: 1, createdAt: 1 },
+        },
+        { filter: {}, sort: { assignmentCount: 1, createdAt: 1 } },
+      ];
+    default:
+      return [{ filter: {}, sort: { createdAt: 1 } }];
+  }
+}
+
+/**
+ * Order inventory items the way a strategy would claim them
+ * @param {Array} items - Inventory items (documents or aggregate results)
+ * @param {String} strategy - Strategy name
+ * @param {Object} context - { heldInventoryIds } for spread_across_accounts
+ * @returns {Array} New sorted array
+ */
+function sortByStrategy(items, strategy, context = {}) {
+  const held = new Set(
+    (context.heldInventoryIds || []).map((id) => id.toString())
+  );
+
+  let compare;
+  switch (resolveStrategy(strategy)) {
+    case "soonest_expiring":
+      compare = (a, b) => {
+        if (!a.expirationDate !== !b.expirationDate) {
+          return a.expirationDate ? -1 : 1;
+        }
+        return (
+          toTime(a.expirationDate) - toTime(b.expirationDate) ||
+          byCreatedAt(a, b)
+        );
+      };
+      break;
+    case "least_assigned":
+      compare = (a, b) => slotsUsed(a) - slotsUsed(b) || byCreatedAt(a, b);
+      break;
+    case "spread_across_accounts":
+      compare = (a, b) =>
+        held.has(a._id.toString()) - held.has(b._id.toString()) ||
+        slotsUsed(a) - slotsUsed(b) ||
+        byCreatedAt(a, b);
+      break;
+    default:
+      compare = byCreatedAt;
+  }
+
+  return [...items].sort(compare);
+}
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  DEFAULT_ALLOCATION_STRATEGY,
+  resolveStrategy,
+  getAllocationPasses,
+  sortByStrategy,
+};
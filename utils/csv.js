@@ -0,0 +1,82 @@
+/**
+ * Minimal CSV helpers for imports and exports
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header row.
+ * Supports quoted fields with embedded commas, newlines and "" escapes.
+ * @param {String} text - CSV content
+ * @returns {Array} Row objects
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value.trim()));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((values) =>
+    header.reduce((row, name, index) => {
+      row[name] = values[index] !== undefined ? values[index] : "";
+      return row;
+    }, {})
+  );
+}
+
+/**
+ * Serialize rows to CSV, quoting values that need it
+ * @param {Array} columns - Column names, in order
+ * @param {Array} rows - Row objects keyed by column
+ * @returns {String} CSV text with a header row
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = String(value === undefined || value === null ? "" : value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => escape(row[column])).join(",")),
+  ].join("\n");
+}
+
+module.exports = { parseCsv, toCsv };
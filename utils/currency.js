@@ -0,0 +1,209 @@
+/**
+ * Currency configuration and formatting helpers.
+ *
+ * Product prices are stored in the base currency (LKR) and converted with
+ * the server-held exchange rates. Each supported currency carries its own
+ * rounding rule; the list itself is configured in Settings.supportedCurrencies.
+ */
+
+const BASE_CURRENCY = "LKR";
+
+const DEFAULT_CURRENCIES = [
+  {
+    code: "LKR",
+    name: "Sri Lankan Rupee",
+    symbol: "Rs.",
+    locale: "en-LK",
+    decimals: 2,
+    roundingIncrement: 0,
+    roundingMode: "nearest",
+    enabled: true,
+  },
+  {
+    code: "USD",
+    name: "US Dollar",
+    symbol: "$",
+    locale: "en-US",
+    decimals: 2,
+    roundingIncrement: 0,
+    roundingMode: "nearest",
+    enabled: true,
+  },
+  {
+    code: "EUR",
+    name: "Euro",
+    symbol: "€",
+    locale: "de-DE",
+    decimals: 2,
+    roundingIncrement: 0,
+    roundingMode: "nearest",
+    enabled: true,
+  },
+  {
+    code: "GBP",
+    name: "British Pound",
+    symbol: "£",
+    locale: "en-GB",
+    decimals: 2,
+    roundingIncrement: 0,
+    roundingMode: "nearest",
+    enabled: true,
+  },
+  {
+    code: "INR",
+    name: "Indian Rupee",
+    symbol: "₹",
+    locale: "en-IN",
+    decimals: 2,
+    roundingIncrement: 0,
+    roundingMode: "nearest",
+    enabled: true,
+  },
+];
+
+// ISO 4217 minor units of currencies that do not use 2 decimals
+const ISO_DECIMALS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  CLF: 4,
+  UYW: 4,
+};
+
+/**
+ * Decimal places of a currency by ISO 4217
+ * @param {String} code - ISO 4217 code
+ * @returns {Number} Decimal places
+ */
+function getIsoDecimals(code) {
+  return ISO_DECIMALS[(code || "").toUpperCase()] ?? 2;
+}
+
+/**
+ * Look up a currency definition, falling back to the built-in defaults
+ * @param {String} code - ISO 4217 code
+ * @param {Array} currencies - Configured currencies (optional)
+ * @returns {Object|null} Currency definition
+ */
+function getCurrencyConfig(code, currencies = DEFAULT_CURRENCIES) {
+  const upper = (code || "").toUpperCase();
+  return (
+    currencies.find((currency) => currency.code === upper) ||
+    DEFAULT_CURRENCIES.find((currency) => currency.code === upper) ||
+    null
+  );
+}
+
+/**
+ * Decimal places of a currency: as configured, else by ISO 4217
+ * @param {String} code - ISO 4217 code
+ * @param {Array} currencies - Configured currencies (optional)
+ * @returns {Number} Decimal places
+ */
+function getDecimals(code, currencies) {
+  return getCurrencyConfig(code, currencies)?.decimals ?? getIsoDecimals(code);
+}
+
+/**
+ * Round an amount using a currency's rounding rule
+ * @param {Number} amount - Amount to round
+ * @param {Object} rule - { decimals, roundingIncrement, roundingMode }
+ * @returns {Number} Rounded amount
+ */
+function roundAmount(amount, rule = {}) {
+  const decimals = rule.decimals ?? 2;
+  const increment =
+    rule.roundingIncrement > 0 ? rule.roundingIncrement : Math.pow(10, -decimals);
+  const round =
+    rule.roundingMode === "up"
+      ? Math.ceil
+      : rule.roundingMode === "down"
+      ? Math.floor
+      : Math.round;
+
+  // Divide with a small epsilon so 1.005 style floats round as expected
+  const steps = round(Number((amount / increment).toFixed(8)));
+  return Number((steps * increment).toFixed(decimals));
+}
+
+/**
+ * Format an amount in a currency using that currency's locale
+ * @param {Number} amount - Amount to format
+ * @param {String} code - ISO 4217 code
+ * @param {Array} currencies - Configured currencies (optional)
+ * @returns {String} Formatted amount
+ */
+function formatAmount(amount, code = BASE_CURRENCY, currencies) {
+  const config = getCurrencyConfig(code, currencies);
+  const locale = config?.locale || "en-US";
+  const decimals = getDecimals(code, currencies);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: (code || BASE_CURRENCY).toUpperCase(),
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(amount || 0);
+  } catch (error) {
+    // Unknown currency codes still get a readable result
+    return `${code} ${Number(amount || 0).toFixed(decimals)}`;
+  }
+}
+
+/**
+ * Convert an amount to the currency's smallest unit (e.g. cents)
+ * @param {Number} amount - Amount in major units
+ * @param {String} code - ISO 4217 code
+ * @param {Array} currencies - Configured currencies (optional)
+ * @returns {Number} Integer amount in minor units
+ */
+function toMinorUnits(amount, code, currencies) {
+  const decimals = getDecimals(code, currencies);
+  return Math.round(Number(amount) * Math.pow(10, decimals));
+}
+
+/**
+ * Convert an amount in the currency's smallest unit back to major units
+ * @param {Number} minorAmount - Integer amount in minor units
+ * @param {String} code - ISO 4217 code
+ * @param {Array} currencies - Configured currencies (optional)
+ * @returns {Number} Amount in major units
+ */
+function fromMinorUnits(minorAmount, code, currencies) {
+  const decimals = getDecimals(code, currencies);
+  return Number((minorAmount / Math.pow(10, decimals)).toFixed(decimals));
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_CURRENCIES,
+  getCurrencyConfig,
+  getIsoDecimals,
+  getDecimals,
+  roundAmount,
+  formatAmount,
+  toMinorUnits,
+  fromMinorUnits,
+};
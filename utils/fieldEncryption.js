@@ -0,0 +1,329 @@
+const crypto = require("crypto");
+
+/**
+ * Field-level encryption for secrets stored in MongoDB.
+ *
+ * Values are encrypted with AES-256-GCM and a random IV, and stored as
+ *   enc:v<keyVersion>:<iv>:<authTag>:<ciphertext>   (base64 parts)
+ *
+ * Keys are configured as FIELD_ENCRYPTION_KEYS="1:<key>,2:<key>" where each
+ * key is 32 bytes, base64 or hex encoded. New values are encrypted with
+ * FIELD_ENCRYPTION_KEY_VERSION (default: the highest version); older
+ * versions stay readable until utils/rotateEncryptionKey.js has re-keyed
+ * every document. Without FIELD_ENCRYPTION_KEYS, version 1 is derived from
+ * the older ENCRYPTION_KEY; with neither set, encrypt() throws.
+ *
+ * Lookup hashes (hashValue) are keyed with FIELD_HASH_KEY, a separate
+ * 32-byte key that must never change, so hashes survive key rotation.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "enc:v";
+const IV_LENGTH = 12;
+
+// Passphrase of the deprecated crypto.createCipher scheme the Outlook models
+// used; only needed to read values written before the migration
+const LEGACY_PASSPHRASE = () => process.env.ENCRYPTION_KEY || "default-key";
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+function parseKey(value) {
+  const key = /^[0-9a-fA-F]{64}$/.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error("Field encryption keys must be 32 bytes");
+  }
+  return key;
+}
+
+/**
+ * Load the configured keys
+ * @returns {Object} { keys: Map<version, Buffer>, currentVersion }
+ */
+function getKeyring() {
+  const source = `${process.env.FIELD_ENCRYPTION_KEYS || ""}|${
+    process.env.FIELD_ENCRYPTION_KEY_VERSION || ""
+  }|${process.env.ENCRYPTION_KEY || ""}`;
+  if (cachedKeys && cachedKeysSource === source) {
+    return cachedKeys;
+  }
+
+  const keys = new Map();
+  if (process.env.FIELD_ENCRYPTION_KEYS) {
+    for (const entry of process.env.FIELD_ENCRYPTION_KEYS.split(",")) {
+      const [version, key] = entry.trim().split(":");
+      if (!/^\d+$/.test(version) || !key) {
+        throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry "${entry}"`);
+      }
+      keys.set(parseInt(version), parseKey(key));
+    }
+  } else if (process.env.ENCRYPTION_KEY) {
+    // Derive version 1 from the older single-key setting
+    keys.set(
+      1,
+      crypto.createHash("sha256").update(process.env.ENCRYPTION_KEY).digest()
+    );
+  }
+
+  if (keys.size === 0) {
+    throw new Error(
+      "Field encryption is not configured: set FIELD_ENCRYPTION_KEYS"
+    );
+  }
+
+  const currentVersion = process.env.FIELD_ENCRYPTION_KEY_VERSION
+    ? parseInt(process.env.FIELD_ENCRYPTION_KEY_VERSION)
+    : Math.max(...keys.keys());
+  if (!keys.has(currentVersion)) {
+    throw new Error(`No key configured for version ${currentVersion}`);
+  }
+
+  cachedKeys = { keys, currentVersion };
+  cachedKeysSource = source;
+  return cachedKeys;
+}
+
+/**
+ * Whether a stored value was written by encrypt()
+ * @param {String} value - Stored value
+ * @returns {Boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Key version of an encrypted value, or null for plaintext
+ * @param {String} value - Stored value
+ * @returns {Number|null}
+ */
+function getKeyVersion(value) {
+  if (!isEncrypted(value)) return null;
+  return parseInt(value.slice(PREFIX.length).split(":")[0]);
+}
+
+/**
+ * Encrypt a value with the current key. Encrypted values pass through.
+ * @param {String} plaintext - Value to encrypt
+ * @returns {String} Encrypted value
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === "") {
+    return plaintext;
+  }
+  if (isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { keys, currentVersion } = getKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    `${PREFIX}${currentVersion}`,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a value written by encrypt(). Plaintext passes through.
+ * Throws if the key version is unknown or the value was tampered with.
+ * @param {String} value - Stored value
+ * @returns {String} Plaintext
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [version, iv, authTag, ciphertext] = value
+    .slice(PREFIX.length)
+    .split(":");
+  const key = getKeyring().keys.get(parseInt(version));
+  if (!key) {
+    throw new Error(`No key configured for version ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Decrypt a hex value written with crypto.createCipher("aes-256-cbc").
+ * Re-implements its EVP_BytesToKey (MD5, no salt) key derivation since
+ * createDecipher is deprecated.
+ * @param {String} value - Hex ciphertext
+ * @returns {String} Plaintext
+ */
+function decryptLegacy(value) {
+  const passphrase = Buffer.from(LEGACY_PASSPHRASE(), "utf8");
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = crypto
+      .createHash("md5")
+      .update(Buffer.concat([block, passphrase]))
+      .digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-cbc",
+    derived.subarray(0, 32),
+    derived.subarray(32, 48)
+  );
+  return decipher.update(value, "hex", "utf8") + decipher.final("utf8");
+}
+
+function looksLegacyEncrypted(value) {
+  return (
+    typeof value === "string" &&
+    value.length >= 32 &&
+    value.length % 32 === 0 &&
+    /^[0-9a-f]+$/.test(value)
+  );
+}
+
+/**
+ * Read a stored value whatever its format: current, older key version,
+ * legacy createCipher hex (when allowed) or plaintext
+ * @param {String} value - Stored value
+ * @param {Object} options - { legacy }
+ * @returns {String} Plaintext
+ */
+function readStoredValue(value, options = {}) {
+  if (isEncrypted(value)) {
+    return decrypt(value);
+  }
+  if (options.legacy && looksLegacyEncrypted(value)) {
+    try {
+      return decryptLegacy(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Whether a stored value must be rewritten to be encrypted with the
+ * current key version
+ * @param {String} value - Stored value
+ * @returns {Boolean}
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined || value === "") return false;
+  return getKeyVersion(value) !== getKeyring().currentVersion;
+}
+
+function getHashKey() {
+  if (!process.env.FIELD_HASH_KEY) {
+    throw new Error("Field hashing is not configured: set FIELD_HASH_KEY");
+  }
+  return parseKey(process.env.FIELD_HASH_KEY);
+}
+
+/**
+ * Keyed hash of a secret, for equality lookups (e.g. duplicate detection)
+ * on encrypted fields. Keyed with FIELD_HASH_KEY.
+ * @param {String} value - Plaintext (encrypted values are decrypted first)
+ * @returns {String|null} Hex HMAC-SHA256
+ */
+function hashValue(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  return crypto
+    .createHmac("sha256", getHashKey())
+    .update(String(decrypt(value)))
+    .digest("hex");
+}
+
+/**
+ * Check the encryption and hash keys, so a misconfigured deployment fails
+ * at startup rather than on its first write
+ * @throws {Error} When a key is missing or malformed
+ */
+function validateConfig() {
+  getKeyring();
+  getHashKey();
+}
+
+/**
+ * Mask a secret for display, keeping only its first characters
+ * @param {String} value - Plaintext (encrypted values are decrypted first)
+ * @returns {String} Masked value
+ */
+function maskSecret(value) {
+  if (!value) return value;
+  const plaintext = String(readStoredValue(value));
+  return plaintext.length <= 4 ? "****" : `${plaintext.slice(0, 3)}****`;
+}
+
+/**
+ * Schema path definition for an encrypted string. The value is encrypted
+ * when set and decrypted when read; maxlength applies to the plaintext.
+ * Schemas using it should enable getters in toJSON/toObject.
+ * @param {Object} options - Usual path options plus { legacy }
+ * @returns {Object} Mongoose path definition
+ */
+function encryptedField(options = {}) {
+  const { maxlength, legacy, ...rest } = options;
+  const field = {
+    ...rest,
+    type: String,
+    set: encrypt,
+    get: function (value) {
+      try {
+        return readStoredValue(value, { legacy });
+      } catch (error) {
+        console.error("Error decrypting field:", error.message);
+        return value;
+      }
+    },
+  };
+
+  if (maxlength) {
+    const [limit, message] = Array.isArray(maxlength)
+      ? maxlength
+      : [maxlength, `Value cannot exceed ${maxlength} characters`];
+    field.validate = {
+      validator: function (value) {
+        return !value || readStoredValue(value, { legacy }).length <= limit;
+      },
+      message,
+    };
+  }
+
+  return field;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  decryptLegacy,
+  readStoredValue,
+  isEncrypted,
+  getKeyVersion,
+  needsReencryption,
+  hashValue,
+  maskSecret,
+  encryptedField,
+  getKeyring,
+  validateConfig,
+};
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { reencryptSecrets } = require("./reencryptSecrets");
+const { getKeyring, validateConfig } = require("./fieldEncryption");
+
+// Encrypt secrets stored before field encryption: plaintext inventory and
+// order credentials, and Outlook tokens written with crypto.createCipher.
+// --rehash also recomputes every lookup hash; run it once after setting
+// FIELD_HASH_KEY on a deployment whose hashes were keyed from the
+// encryption key.
+// Usage: node utils/migrateEncryptedFields.js [--dry-run] [--rehash]
+async function migrateEncryptedFields() {
+  const dryRun = process.argv.includes("--dry-run");
+  const rehash = process.argv.includes("--rehash");
+
+  try {
+    validateConfig();
+    const { currentVersion } = getKeyring();
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+    console.log(
+      `Encrypting secrets with key version ${currentVersion}${
+        dryRun ? " (dry run)" : ""
+      }`
+    );
+
+    const results = await reencryptSecrets({ dryRun, rehash });
+    console.table(results);
+
+    console.log("Migration completed");
+  } catch (error) {
+    console.error("Error during migration:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateEncryptedFields();
@@ -0,0 +1,121 @@
+const Inventory = require("../models/Inventory");
+const Order = require("../models/Order");
+const InventoryImport = require("../models/InventoryImport");
+const OutlookAccount = require("../models/OutlookAccount");
+const OutlookConfig = require("../models/OutlookConfig");
+const EmailOutbox = require("../models/EmailOutbox");
+const {
+  encrypt,
+  readStoredValue,
+  needsReencryption,
+  hashValue,
+} = require("./fieldEncryption");
+
+// Every encrypted field. `paths` are top-level fields, `arrays` map an
+// array of subdocuments to its encrypted fields. `legacy` fields may still
+// hold values from the old crypto.createCipher scheme.
+const SECRET_FIELDS = [
+  {
+    model: Inventory,
+    paths: ["accountCredentials", "username", "password"],
+    arrays: { seats: ["pin", "credentials"] },
+    hash: { from: "accountCredentials", to: "credentialsHash" },
+  },
+  { model: Order, arrays: { items: ["accountCredentials", "credentials"] } },
+  { model: InventoryImport, arrays: { rows: ["accountCredentials"] } },
+  {
+    model: OutlookAccount,
+    paths: ["accessToken", "refreshToken"],
+    legacy: true,
+  },
+  { model: OutlookConfig, paths: ["clientSecret"], legacy: true },
+  { model: EmailOutbox, paths: ["html"] },
+];
+
+/**
+ * Rewrite every secret field that is not encrypted with the current key
+ * version: plaintext and legacy values are encrypted, values under an older
+ * key version are re-keyed. Works on the raw collections so documents are
+ * not re-validated, and only writes a document if its secrets are still
+ * the values that were read. With rehash, lookup hashes are recomputed
+ * even for secrets that need no re-encryption, e.g. after FIELD_HASH_KEY
+ * was first set.
+ * @param {Object} options - { dryRun, rehash }
+ * @returns {Object} Per-model counts
+ */
+async function reencryptSecrets(options = {}) {
+  const results = {};
+
+  for (const config of SECRET_FIELDS) {
+    const stats = { scanned: 0, updated: 0, skipped: 0, failed: 0 };
+    results[config.model.modelName] = stats;
+
+    const cursor = config.model.collection.find({}).batchSize(100);
+    for await (const doc of cursor) {
+      stats.scanned++;
+
+      const filter = { _id: doc._id };
+      const $set = {};
+      const rewrite = (path, value) => {
+        if (!needsReencryption(value)) return;
+        filter[path] = value;
+        $set[path] = encrypt(readStoredValue(value, { legacy: config.legacy }));
+      };
+
+      try {
+        for (const path of config.paths || []) {
+          rewrite(path, doc[path]);
+        }
+        for (const [arrayPath, paths] of Object.entries(config.arrays || {})) {
+          (doc[arrayPath] || []).forEach((element, index) => {
+            for (const path of paths) {
+              rewrite(`${arrayPath}.${index}.${path}`, element[path]);
+            }
+          });
+        }
+
+        if (
+          config.hash &&
+          doc[config.hash.from] &&
+          ($set[config.hash.from] || !doc[config.hash.to] || options.rehash)
+        ) {
+          const hash = hashValue(
+            $set[config.hash.from] || doc[config.hash.from]
+          );
+          if (hash !== doc[config.hash.to]) {
+            filter[config.hash.from] = doc[config.hash.from];
+            $set[config.hash.to] = hash;
+          }
+        }
+      } catch (error) {
+        stats.failed++;
+        console.error(
+          `Cannot re-encrypt ${config.model.modelName} ${doc._id}: ${error.message}`
+        );
+        continue;
+      }
+
+      if (Object.keys($set).length === 0) {
+        continue;
+      }
+      if (options.dryRun) {
+        stats.updated++;
+        continue;
+      }
+
+      const result = await config.model.collection.updateOne(filter, {
+        $set,
+      });
+      if (result.modifiedCount > 0) {
+        stats.updated++;
+      } else {
+        // Changed since it was read; the new value went through the setters
+        stats.skipped++;
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = { SECRET_FIELDS, reencryptSecrets };
@@ -0,0 +1,10 @@
+/**
+ * Escape user input for use as a literal inside a regular expression
+ * @param {String} value - Raw input
+ * @returns {String} Escaped pattern
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { escapeRegex };
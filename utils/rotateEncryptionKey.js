@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { reencryptSecrets } = require("./reencryptSecrets");
+const { getKeyring } = require("./fieldEncryption");
+
+// Re-key every secret to the current key version.
+// 1. Add the new key to FIELD_ENCRYPTION_KEYS, keeping the old ones
+// 2. Point FIELD_ENCRYPTION_KEY_VERSION at it and restart the app
+// 3. Run: node utils/rotateEncryptionKey.js [--dry-run]
+// 4. Once no failures are reported, remove the old keys
+async function rotateEncryptionKey() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    const { keys, currentVersion } = getKeyring();
+    const oldVersions = [...keys.keys()].filter(
+      (version) => version !== currentVersion
+    );
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+    console.log(
+      `Re-keying secrets to version ${currentVersion}${
+        dryRun ? " (dry run)" : ""
+      }`
+    );
+
+    const results = await reencryptSecrets({ dryRun });
+    console.table(results);
+
+    const failed = Object.values(results).reduce(
+      (sum, stats) => sum + stats.failed,
+      0
+    );
+    if (failed > 0) {
+      console.log(`${failed} document(s) could not be re-keyed`);
+      process.exitCode = 1;
+    } else if (!dryRun && oldVersions.length > 0) {
+      console.log(
+        `All secrets use version ${currentVersion}; key version(s) ${oldVersions.join(
+          ", "
+        )} can be removed`
+      );
+    }
+
+    console.log("Key rotation completed");
+  } catch (error) {
+    console.error("Error during key rotation:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+rotateEncryptionKey();